@@ -14,16 +14,21 @@ build_for_browser() {
     # Copy common files to the output directory
     cp -r _locales franc icons "${output_dir}/"
     cp src/common/popup.html "${output_dir}/"
+    cp src/common/page_common.js src/common/import.html src/common/import.js src/common/history.html src/common/history.js "${output_dir}/"
+    cp src/common/dictionaries.html src/common/dictionaries.js "${output_dir}/"
     cp src/common/style.css "${output_dir}/"
     cp src/config.js "${output_dir}/"
     cp src/common/content.js "${output_dir}/"
 
-    # Combine browser-specific and common background scripts
-    cat src/browser-specific/${browser}/background.js >"${output_dir}/background.js"
+    # The storage layer and the cache are shared by every script; the extension pages and the content script load them on their own
+    cp src/common/storage.js src/common/cache.js "${output_dir}/"
+
+    # Combine browser-specific and common background scripts, with the storage layer, the cache and the dictionaries in between
+    cat src/browser-specific/${browser}/background.js src/common/storage.js src/common/cache.js src/common/dictionary.js >"${output_dir}/background.js"
     cat src/common/background_common.js >>"${output_dir}/background.js"
     
-    # Combine browser-specific and common popup scripts
-    cat src/browser-specific/${browser}/popup.js src/common/popup_common.js >"${output_dir}/popup.js"
+    # Combine browser-specific and common popup scripts, with the storage layer, the cache and the helpers shared with the extension pages in between
+    cat src/browser-specific/${browser}/popup.js src/common/storage.js src/common/cache.js src/common/page_common.js src/common/popup_common.js >"${output_dir}/popup.js"
     
     # Merge common and browser-specific manifest files
     jq -s '.[0] * .[1]' src/common/manifest_common.json src/browser-specific/${browser}/manifest.json >"${output_dir}/manifest.json"
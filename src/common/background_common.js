@@ -10,16 +10,521 @@ const CONVERSATION_TYPES = {
     MNEMONIC: 'mnemonic',
     TRANSLATION: 'translation',
     EXAMPLES: 'examples',
-    TRANSLATION_POPUP: 'translation_popup'
+    TRANSLATION_POPUP: 'translation_popup',
+    CUSTOM_FIELD: 'custom_field',
+    VOCABULARY_EXTRACTION: 'vocabulary_extraction',
+    LEMMA: 'lemma',
+    READING: 'reading',
+    PINYIN: 'pinyin',
+    GENDER: 'gender',
+    CONJUGATION: 'conjugation'
 };
 
 const AI_PROVIDERS = {
     OPENAI: 'openai',
-    GOOGLE: 'google'
+    GOOGLE: 'google',
+    ANTHROPIC: 'anthropic',
+    MISTRAL: 'mistral',
+    AZURE: 'azure',
+    OPENAI_COMPATIBLE: 'openai_compatible',
+    LOCAL: 'local'
 };
 
 const GOOGLE_API_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+const ANTHROPIC_API_BASE_URL = 'https://api.anthropic.com/v1';
+const MISTRAL_API_BASE_URL = 'https://api.mistral.ai/v1';
+const AZURE_API_VERSION = '2024-10-21';
 CONFIG.DEFAULT_GOOGLE_MODEL = 'models/gemini-2.5-flash-preview-05-20'; // Add a default Google model
+CONFIG.DEFAULT_ANTHROPIC_MODEL = 'claude-3-5-haiku-latest';
+CONFIG.DEFAULT_MISTRAL_MODEL = 'mistral-small-latest';
+CONFIG.DEFAULT_LOCAL_ENDPOINT = 'http://localhost:11434/v1'; // Ollama's OpenAI-compatible API
+CONFIG.DEFAULT_LOCAL_TTS_ENDPOINT = 'http://localhost:8880/v1'; // OpenAI-compatible speech servers such as Kokoro-FastAPI
+CONFIG.DEFAULT_TTS_VOICE = 'alloy';
+
+/**
+ * Normalize the base URL of an OpenAI-compatible server
+ * @param {string} endpoint - The base URL entered by the user (e.g. http://localhost:1234/v1)
+ * @returns {string} The base URL without trailing slashes
+ */
+function normalizeEndpoint(endpoint) {
+    return (endpoint || '').trim().replace(/\/+$/, '');
+}
+
+/**
+ * Parse the JSON content returned by a model.
+ * Local models do not always honour structured outputs and may wrap the JSON in a Markdown code fence.
+ * @param {string} content - The raw message content
+ * @returns {Object} The parsed JSON object
+ */
+function parseModelJson(content) {
+    const trimmed = content.trim();
+    const fenced = trimmed.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+    return JSON.parse(fenced ? fenced[1] : trimmed);
+}
+
+/**
+ * Build an OpenAI chat completions request body.
+ * Shared by every backend speaking the OpenAI dialect (OpenAI, Mistral, Azure OpenAI, local and compatible servers).
+ * @param {Object} context - The request context (see callAIProviderAPI)
+ * @returns {Object} The request body
+ */
+function buildOpenAIChatBody(context) {
+    return {
+        model: context.model,
+        messages: context.messages,
+        response_format: {
+            type: "json_schema",
+            json_schema: {
+                name: context.responseSchema.name,
+                schema: context.responseSchema.schema,
+                strict: true
+            }
+        }
+    };
+}
+
+/**
+ * Extract the assistant message from an OpenAI chat completions response
+ * @param {Object} data - The parsed response body
+ * @returns {string} The assistant message content
+ */
+function parseOpenAIChatResponse(data) {
+    if (!data.choices || !Array.isArray(data.choices) || data.choices.length === 0) {
+        throw new Error("Invalid API response: missing or empty choices array");
+    }
+    const assistantMessage = data.choices[0].message;
+    if (!assistantMessage || !assistantMessage.content) {
+        throw new Error("Invalid API response: missing message content");
+    }
+    return assistantMessage.content;
+}
+
+/**
+ * Convert a JSON schema into the OpenAPI subset expected by Google's responseSchema
+ * @param {Object} schema - The JSON schema
+ * @returns {Object} The Google response schema
+ */
+function toGoogleSchema(schema) {
+    const googleSchema = { type: schema.type.toUpperCase() };
+    if (schema.description) {
+        googleSchema.description = schema.description;
+    }
+    if (schema.properties) {
+        googleSchema.properties = Object.fromEntries(
+            Object.entries(schema.properties).map(([name, property]) => [name, toGoogleSchema(property)])
+        );
+    }
+    if (schema.items) {
+        googleSchema.items = toGoogleSchema(schema.items);
+    }
+    if (schema.required) {
+        googleSchema.required = schema.required;
+    }
+    return googleSchema;
+}
+
+/**
+ * Fetch a JSON document, turning HTTP errors into exceptions carrying the provider's error message
+ * @param {string} url - The URL to fetch
+ * @param {Object} options - The fetch options
+ * @returns {Promise<Object>} The parsed response body
+ */
+async function fetchJson(url, options = {}) {
+    const response = await fetch(url, options);
+    if (!response.ok) {
+        let errorMsg = `HTTP error! status: ${response.status}`;
+        try {
+            const errorData = await response.json();
+            errorMsg += ` - ${errorData.error?.message || errorData.message || JSON.stringify(errorData)}`;
+        } catch (e) {
+            errorMsg += ` - ${response.statusText}`;
+        }
+        throw new Error(errorMsg);
+    }
+    return response.json();
+}
+
+/**
+ * AI provider adapters.
+ * Each adapter tells the core flow how to talk to one backend:
+ * - labelKey: i18n key shown in the popup's provider select (adapters without one are not listed)
+ * - apiKeyField / validatedField / modelField / endpointField: the settings it reads from storage
+ * - apiKeyOptional: whether the configuration can be validated without a key
+ * - buildRequest(context): returns { url, headers, body } for a generation call
+ * - parseResponse(data): returns the JSON text produced by the model
+ * - normalizeError(errorData): returns the error in the OpenAI shape ({ error: { message, type } })
+ * - listModels(apiKey, endpoint): returns the model IDs usable for generation, also used to validate keys
+ */
+const PROVIDER_ADAPTERS = {
+    [AI_PROVIDERS.OPENAI]: {
+        labelKey: 'openaiProvider',
+        apiKeyField: 'encryptedApiKey',
+        validatedField: 'apiKeyValidated',
+        modelField: 'model',
+        defaultModel: CONFIG.DEFAULT_REMOTE_MODEL,
+        buildRequest(context) {
+            const body = buildOpenAIChatBody(context);
+            if (!context.isOwnCredits) { // Add userId for worker-based calls
+                body.userId = context.userId;
+            }
+            return {
+                url: context.isOwnCredits
+                    ? 'https://api.openai.com/v1/chat/completions'
+                    : 'https://anki-lingo-flash.piriouvictor.workers.dev/api/chat', // Worker for free tier
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(context.isOwnCredits && { 'Authorization': `Bearer ${context.apiKey}` })
+                },
+                body: body
+            };
+        },
+        parseResponse: parseOpenAIChatResponse,
+        normalizeError: errorData => errorData,
+        // Speech needs the user's own key: the free trial worker only relays chat completions
+        buildSpeechRequest(context) {
+            return {
+                url: 'https://api.openai.com/v1/audio/speech',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${context.apiKey}`
+                },
+                body: { model: 'gpt-4o-mini-tts', voice: context.voice, input: context.text, response_format: 'mp3' }
+            };
+        },
+        async listModels(apiKey) {
+            const data = await fetchJson('https://api.openai.com/v1/models', {
+                headers: { 'Authorization': `Bearer ${apiKey}` }
+            });
+            return data.data
+                .map(model => model.id)
+                .filter(model => model.startsWith('gpt-'));
+        }
+    },
+
+    [AI_PROVIDERS.GOOGLE]: {
+        labelKey: 'googleProvider',
+        apiKeyField: 'encryptedGoogleApiKey',
+        validatedField: 'googleApiKeyValidated',
+        modelField: 'googleModel',
+        defaultModel: CONFIG.DEFAULT_GOOGLE_MODEL,
+        buildRequest(context) {
+            // Google has no system role here: the system prompt is prepended to the user message
+            return {
+                url: `${GOOGLE_API_BASE_URL}/${context.model}:generateContent?key=${context.apiKey}`,
+                headers: { 'Content-Type': 'application/json' },
+                body: {
+                    contents: [{
+                        role: "user",
+                        parts: [{ text: `${context.systemPrompt}\n\nUser query: ${context.userMessage}` }]
+                    }],
+                    generationConfig: {
+                        responseMimeType: "application/json",
+                        responseSchema: toGoogleSchema(context.responseSchema.schema)
+                    }
+                }
+            };
+        },
+        parseResponse(data) {
+            const parts = data.candidates?.[0]?.content?.parts;
+            if (!Array.isArray(parts) || parts.length === 0 || !parts[0].text) {
+                throw new Error("Invalid Google API response: missing or malformed content");
+            }
+            return parts[0].text;
+        },
+        normalizeError: errorData => errorData,
+        async listModels(apiKey) {
+            const data = await fetchJson(`${GOOGLE_API_BASE_URL}/models?key=${apiKey}`);
+            // Model names look like "models/gemini-1.5-flash-latest"
+            return (data.models || [])
+                .map(model => model.name)
+                .filter(model => model.startsWith('models/gemini-') || model.startsWith('gemini-'));
+        }
+    },
+
+    [AI_PROVIDERS.ANTHROPIC]: {
+        labelKey: 'anthropicProvider',
+        apiKeyField: 'encryptedAnthropicApiKey',
+        validatedField: 'anthropicApiKeyValidated',
+        modelField: 'anthropicModel',
+        defaultModel: CONFIG.DEFAULT_ANTHROPIC_MODEL,
+        buildRequest(context) {
+            // Claude returns structured output through a forced tool call
+            return {
+                url: `${ANTHROPIC_API_BASE_URL}/messages`,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': context.apiKey,
+                    'anthropic-version': '2023-06-01',
+                    'anthropic-dangerous-direct-browser-access': 'true'
+                },
+                body: {
+                    model: context.model,
+                    max_tokens: 2048,
+                    system: context.systemPrompt,
+                    messages: context.messages.filter(message => message.role !== 'system'),
+                    tools: [{
+                        name: context.responseSchema.name,
+                        description: 'Return the requested content.',
+                        input_schema: context.responseSchema.schema
+                    }],
+                    tool_choice: { type: 'tool', name: context.responseSchema.name }
+                }
+            };
+        },
+        parseResponse(data) {
+            const toolUse = Array.isArray(data.content) ? data.content.find(block => block.type === 'tool_use') : null;
+            if (!toolUse || !toolUse.input) {
+                throw new Error("Invalid Anthropic API response: missing tool_use content");
+            }
+            return JSON.stringify(toolUse.input);
+        },
+        normalizeError: errorData => errorData,
+        async listModels(apiKey) {
+            const data = await fetchJson(`${ANTHROPIC_API_BASE_URL}/models?limit=100`, {
+                headers: {
+                    'x-api-key': apiKey,
+                    'anthropic-version': '2023-06-01',
+                    'anthropic-dangerous-direct-browser-access': 'true'
+                }
+            });
+            return (data.data || []).map(model => model.id);
+        }
+    },
+
+    [AI_PROVIDERS.MISTRAL]: {
+        labelKey: 'mistralProvider',
+        apiKeyField: 'encryptedMistralApiKey',
+        validatedField: 'mistralApiKeyValidated',
+        modelField: 'mistralModel',
+        defaultModel: CONFIG.DEFAULT_MISTRAL_MODEL,
+        buildRequest(context) {
+            return {
+                url: `${MISTRAL_API_BASE_URL}/chat/completions`,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${context.apiKey}`
+                },
+                body: buildOpenAIChatBody(context)
+            };
+        },
+        parseResponse: parseOpenAIChatResponse,
+        // Mistral reports errors as { message, type } at the top level
+        normalizeError: errorData => errorData.error ? errorData : { error: { message: errorData.message || errorData.detail, type: errorData.type } },
+        async listModels(apiKey) {
+            const data = await fetchJson(`${MISTRAL_API_BASE_URL}/models`, {
+                headers: { 'Authorization': `Bearer ${apiKey}` }
+            });
+            return (data.data || [])
+                .filter(model => !model.capabilities || model.capabilities.completion_chat)
+                .map(model => model.id);
+        }
+    },
+
+    [AI_PROVIDERS.AZURE]: {
+        labelKey: 'azureProvider',
+        apiKeyField: 'encryptedAzureApiKey',
+        validatedField: 'azureApiKeyValidated',
+        modelField: 'azureModel', // The deployment name
+        endpointField: 'azureEndpoint',
+        buildRequest(context) {
+            return {
+                url: `${normalizeEndpoint(context.endpoint)}/openai/deployments/${encodeURIComponent(context.model)}/chat/completions?api-version=${AZURE_API_VERSION}`,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'api-key': context.apiKey
+                },
+                body: buildOpenAIChatBody(context)
+            };
+        },
+        parseResponse: parseOpenAIChatResponse,
+        normalizeError: errorData => errorData,
+        async listModels(apiKey, endpoint) {
+            // Generation targets deployments, not base models
+            const data = await fetchJson(`${normalizeEndpoint(endpoint)}/openai/deployments?api-version=2022-12-01`, {
+                headers: { 'api-key': apiKey }
+            });
+            return (data.data || []).map(deployment => deployment.id);
+        }
+    },
+
+    [AI_PROVIDERS.OPENAI_COMPATIBLE]: {
+        labelKey: 'openaiCompatibleProvider',
+        apiKeyField: 'encryptedCompatibleApiKey',
+        validatedField: 'compatibleApiKeyValidated',
+        modelField: 'compatibleModel',
+        endpointField: 'compatibleEndpoint',
+        apiKeyOptional: true, // Self-hosted servers often run without authentication
+        buildRequest(context) {
+            return {
+                url: `${normalizeEndpoint(context.endpoint)}/chat/completions`,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(context.apiKey && { 'Authorization': `Bearer ${context.apiKey}` })
+                },
+                body: buildOpenAIChatBody(context)
+            };
+        },
+        parseResponse: parseOpenAIChatResponse,
+        normalizeError: errorData => errorData,
+        buildSpeechRequest(context) {
+            return {
+                url: `${normalizeEndpoint(context.endpoint)}/audio/speech`,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(context.apiKey && { 'Authorization': `Bearer ${context.apiKey}` })
+                },
+                body: { model: 'tts-1', voice: context.voice, input: context.text, response_format: 'mp3' }
+            };
+        },
+        async listModels(apiKey, endpoint) {
+            const data = await fetchJson(`${normalizeEndpoint(endpoint)}/models`, {
+                headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}
+            });
+            return Array.isArray(data.data) ? data.data.map(model => model.id) : [];
+        }
+    },
+
+    // Local servers (Ollama, LM Studio...) expose the same API as OpenAI without authentication.
+    // Selected through the popup's local/remote toggle rather than the provider select.
+    [AI_PROVIDERS.LOCAL]: {
+        modelField: 'localModel',
+        endpointField: 'localEndpoint',
+        buildRequest(context) {
+            return {
+                url: `${normalizeEndpoint(context.endpoint || CONFIG.DEFAULT_LOCAL_ENDPOINT)}/chat/completions`,
+                headers: { 'Content-Type': 'application/json' },
+                body: buildOpenAIChatBody(context)
+            };
+        },
+        parseResponse: parseOpenAIChatResponse,
+        normalizeError: errorData => errorData,
+        async listModels(apiKey, endpoint) {
+            const data = await fetchJson(`${normalizeEndpoint(endpoint || CONFIG.DEFAULT_LOCAL_ENDPOINT)}/models`);
+            return Array.isArray(data.data) ? data.data.map(model => model.id) : [];
+        }
+    }
+};
+
+/**
+ * Text-to-speech backends, chosen in the popup. Each builds the HTTP request for a text from the
+ * stored settings; every backend answers with MP3 audio.
+ */
+const TTS_BACKENDS = {
+    // The speech endpoint of the provider used for generation, when it has one
+    provider: {
+        async buildRequest(text, settings) {
+            const provider = settings.selectedProvider || AI_PROVIDERS.OPENAI;
+            const adapter = getProviderAdapter(provider);
+            if (settings.choice === 'local' || !settings.isOwnCredits || !adapter.buildSpeechRequest) {
+                throw new Error(chrome.i18n.getMessage("ttsNotSupportedByProvider"));
+            }
+
+            let apiKey = null;
+            if (settings[adapter.apiKeyField] && settings.installationPassword) {
+                apiKey = await decryptApiKey(settings[adapter.apiKeyField], settings.installationPassword);
+            }
+            if (!apiKey && !adapter.apiKeyOptional) {
+                throw new Error(chrome.i18n.getMessage("apiKeyMissingOrNotEncrypted"));
+            }
+
+            return adapter.buildSpeechRequest({
+                apiKey: apiKey,
+                endpoint: adapter.endpointField ? settings[adapter.endpointField] : undefined,
+                voice: settings.ttsVoice || CONFIG.DEFAULT_TTS_VOICE,
+                text: text
+            });
+        }
+    },
+
+    // A local server exposing the OpenAI speech API
+    local: {
+        async buildRequest(text, settings) {
+            return {
+                url: `${normalizeEndpoint(settings.ttsLocalEndpoint || CONFIG.DEFAULT_LOCAL_TTS_ENDPOINT)}/audio/speech`,
+                headers: { 'Content-Type': 'application/json' },
+                body: { model: 'tts-1', voice: settings.ttsVoice || CONFIG.DEFAULT_TTS_VOICE, input: text, response_format: 'mp3' }
+            };
+        }
+    }
+};
+
+/**
+ * Encode binary data as base64, the format AnkiConnect expects for media files
+ * @param {ArrayBuffer} buffer - The binary data
+ * @returns {string} The base64 string
+ */
+function arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    // Chunked to stay below the argument limit of String.fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+// Recently synthesized audio, so the pronunciation previewed in the review modal is not synthesized again
+// when the note is built. Keyed by backend, voice and text; the oldest entries are dropped first.
+const speechCache = new Map();
+const SPEECH_CACHE_SIZE = 20;
+
+/**
+ * Synthesize speech for a text with the text-to-speech backend chosen in the settings
+ * @param {string} text - The text to speak
+ * @returns {Promise<string>} A promise that resolves with the MP3 audio, base64-encoded
+ */
+async function synthesizeSpeech(text) {
+    const settingKeys = new Set(['ttsBackend', 'ttsLocalEndpoint', 'ttsVoice', 'choice', 'isOwnCredits', 'selectedProvider', 'installationPassword']);
+    Object.values(PROVIDER_ADAPTERS).forEach(adapter => {
+        [adapter.apiKeyField, adapter.endpointField].filter(Boolean).forEach(key => settingKeys.add(key));
+    });
+    const settings = await chrome.storage.sync.get([...settingKeys]);
+    const backend = TTS_BACKENDS[settings.ttsBackend] || TTS_BACKENDS.provider;
+    const cacheKey = JSON.stringify([settings.ttsBackend, settings.ttsVoice, settings.ttsLocalEndpoint, text.trim()]);
+    if (speechCache.has(cacheKey)) {
+        return speechCache.get(cacheKey);
+    }
+
+    const { url, headers, body } = await backend.buildRequest(text, settings);
+    const response = await fetch(url, { method: 'POST', headers: headers, body: JSON.stringify(body) });
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error?.message || `${chrome.i18n.getMessage("ttsError")} (${response.status})`);
+    }
+    const audio = arrayBufferToBase64(await response.arrayBuffer());
+    speechCache.set(cacheKey, audio);
+    if (speechCache.size > SPEECH_CACHE_SIZE) {
+        speechCache.delete(speechCache.keys().next().value);
+    }
+    return audio;
+}
+
+/**
+ * Get the adapter for a provider, falling back to OpenAI for unknown values
+ * @param {string} provider - The provider ID
+ * @returns {Object} The provider adapter
+ */
+function getProviderAdapter(provider) {
+    return PROVIDER_ADAPTERS[provider] || PROVIDER_ADAPTERS[AI_PROVIDERS.OPENAI];
+}
+
+/**
+ * Describe the selectable providers for the popup
+ * @returns {Object[]} The provider descriptors, in display order
+ */
+function getProviderDescriptors() {
+    return Object.entries(PROVIDER_ADAPTERS)
+        .filter(([, adapter]) => adapter.labelKey)
+        .map(([id, adapter]) => ({
+            id: id,
+            labelKey: adapter.labelKey,
+            apiKeyField: adapter.apiKeyField,
+            validatedField: adapter.validatedField,
+            modelField: adapter.modelField,
+            endpointField: adapter.endpointField || null,
+            apiKeyOptional: adapter.apiKeyOptional === true
+        }));
+}
 
 /**
  * Check if a tab is valid for message sending
@@ -36,7 +541,7 @@ function isValidTab(tab) {
  * @returns {string} The escaped text
  */
 function escapeHTML(unsafeText) {
-    return unsafeText
+    return String(unsafeText)
         .replace(/&/g, "&amp;")
         .replace(/</g, "&lt;")
         .replace(/>/g, "&gt;")
@@ -146,128 +651,579 @@ function invoke(action, version, params = {}) {
         });
 }
 
+// Bump when the templates, styling or fields below change: note types in Anki are upgraded in place
+const NOTE_TYPE_VERSION = 7;
+const NOTE_TYPE_VERSION_PATTERN = /AnkiLingoFlash note type v(\d+)/;
+
+// Source sentence rendered as a fourth example, under the three generated ones
+const SOURCE_EXAMPLE_TEMPLATE = `
+                {{#Source Sentence}}
+                <br><i>4. {{Source Sentence}}</i>
+                {{/Source Sentence}}`;
+
+// The form selected on the page, kept when the card was made for its dictionary form
+const INFLECTED_FORM_TEMPLATE = `
+                    {{#Inflected Form}}
+                    <br><i>({{Inflected Form}})</i>
+                    {{/Inflected Form}}`;
+
+// The selection, after its article when the language gives nouns a gender
+const SELECTION_TEMPLATE = `{{#Article}}{{Article}} {{/Article}}{{Selection}}`;
+
+// Language-specific enrichments of the selection: its reading, its pinyin and its gender
+const ENRICHMENT_TEMPLATE = `
+                    {{#Reading}}
+                    <br>{{furigana:Reading}}
+                    {{/Reading}}
+                    {{#Pinyin}}
+                    <br>{{Pinyin}}
+                    {{/Pinyin}}
+                    {{#Gender}}
+                    <br><i>{{Gender}}</i>
+                    {{/Gender}}`;
+
+// The picture attached from the page, shown with the meaning of the term
+const IMAGE_TEMPLATE = `
+                    {{#Image}}
+                    <br><br>{{Image}}
+                    {{/Image}}`;
+
 /**
- * Create a custom Anki model for a specific language
- * @param {string} modelName - The name of the model to create
- * @returns {Promise} A promise that resolves when the model is created
- */
-function createCustomModelForLanguage(modelName) {
-    return invoke('modelNames', 6)
-        .then(models => {
-            if (!models.includes(modelName)) {
-                return invoke('createModel', 6, {
-                    modelName: modelName,
-                    inOrderFields: ["Translation", "Definition", "Selection", "Example_1", "Example_2", "Example_3", "Mnemonic", "Add Reverse"],
-                    cardTemplates: [
-                        {
-                            Name: "Card 1",
-                            Front: `
-                                <div style='font-family: "Arial"; font-size: 20px; text-align: center;'>
-                                    <b>${chrome.i18n.getMessage('directTranslation')}</b><br>{{Translation}}
-                                    <br><br><b>${chrome.i18n.getMessage('Definition')}</b><br>{{Definition}}
-                                </div>`,
-                            Back: `
-                                {{FrontSide}}
-                                <hr id="answer">
-                                <div style='font-family: "Arial"; font-size: 20px; text-align: center;'>
-                                    {{Selection}}
-                                </div>
-                                <br><br>
-                                <i>1. {{Example_1}}</i><br>
-                                <i>2. {{Example_2}}</i><br>
-                                <i>3. {{Example_3}}</i>
-                                {{#Mnemonic}}
-                                <br><br>
-                                <div style='font-family: "Arial"; font-size: 18px;'>
-                                    <b>${chrome.i18n.getMessage('Mnemonic')}</b><br>{{Mnemonic}}
-                                </div>
-                                {{/Mnemonic}}`
-                        },
-                        {
-                            Name: "Card 2 (Reverse)",
-                            Front: `
-                                {{#Add Reverse}}
-                                    {{Selection}}
-                                    <br><br>
-                                    <i>1. {{Example_1}}</i><br>
-                                    <i>2. {{Example_2}}</i><br>
-                                    <i>3. {{Example_3}}</i>
-                                    {{#Mnemonic}}
-                                    <br><br>
-                                    <div style='font-family: "Arial"; font-size: 18px;'>
-                                        <b>${chrome.i18n.getMessage('Mnemonic')}</b><br>{{Mnemonic}}
-                                    </div>
-                                    {{/Mnemonic}}
-                                {{/Add Reverse}}`,
-                            Back: `
-                                {{#Add Reverse}}
-                                <div style='font-family: "Arial"; font-size: 20px; text-align: center;'>
-                                    <b>${chrome.i18n.getMessage('directTranslation')}</b><br>{{Translation}}
-                                    <br><br><b>${chrome.i18n.getMessage('Definition')}</b><br>{{Definition}}
-                                </div>
-                                {{/Add Reverse}}`
-                        }
-                    ]
-                });
-            } else {
-                console.log(`Model ${modelName} already exists.`);
-                return Promise.resolve();
+ * Build the template section linking back to the page a card was created from
+ * @returns {string} The template section, shown only when the note has a source URL
+ */
+function getSourceLinkTemplate() {
+    return `
+                {{#Source URL}}
+                <br><br>
+                <div style='font-family: "Arial"; font-size: 14px;'>
+                    <b>${chrome.i18n.getMessage('source')}</b><br>
+                    <a href="{{text:Source URL}}">{{#Source Title}}{{Source Title}}{{/Source Title}}{{^Source Title}}{{Source URL}}{{/Source Title}}</a>
+                </div>
+                {{/Source URL}}`;
+}
+
+/**
+ * Build the template section of the conjugation table of verbs
+ * @returns {string} The template section, shown only when the note has a conjugation
+ */
+function getConjugationTemplate() {
+    return `
+                {{#Conjugation}}
+                <br><br>
+                <div style='font-family: "Arial"; font-size: 16px;'>
+                    <b>${chrome.i18n.getMessage('enrichmentConjugation')}</b><br>{{Conjugation}}
+                </div>
+                {{/Conjugation}}`;
+}
+
+/**
+ * Build the template sections of user-defined fields
+ * @param {string[]} fieldNames - The names of the user-defined fields
+ * @returns {string} One section per field, shown only when the field is filled
+ */
+function getCustomFieldSections(fieldNames) {
+    return fieldNames.map(name => `
+                {{#${name}}}
+                <br><br>
+                <div style='font-family: "Arial"; font-size: 18px;'>
+                    <b>${escapeHTML(name)}</b><br>{{${name}}}
+                </div>
+                {{/${name}}}`).join('');
+}
+
+// The note types the extension adds notes to. Names are kept as they are in existing collections,
+// since AnkiConnect cannot rename a note type.
+const NOTE_TYPES = {
+    vocabulary: {
+        name: 'AnkiLingoFlash_0.4',
+        fields: ["Translation", "Definition", "Selection", "Example_1", "Example_2", "Example_3", "Mnemonic", "Add Reverse", "Source Sentence", "Source URL", "Source Title", "Audio", "Image", "Inflected Form", "Reading", "Pinyin", "Article", "Gender", "Conjugation"],
+        css: `.card { font-family: "Arial"; font-size: 20px; text-align: center; color: black; background-color: white; }
+.card img { max-width: 100%; max-height: 300px; }
+.card table.conjugation { margin: 0 auto; border-collapse: collapse; }
+.card table.conjugation td { padding: 2px 8px; text-align: left; }`,
+        templates: (customFieldNames) => ({
+            "Card 1": {
+                Front: `
+                <div style='font-family: "Arial"; font-size: 20px; text-align: center;'>
+                    <b>${chrome.i18n.getMessage('directTranslation')}</b><br>{{Translation}}
+                    <br><br><b>${chrome.i18n.getMessage('Definition')}</b><br>{{Definition}}${IMAGE_TEMPLATE}
+                </div>`,
+                Back: `
+                {{FrontSide}}
+                <hr id="answer">
+                <div style='font-family: "Arial"; font-size: 20px; text-align: center;'>
+                    ${SELECTION_TEMPLATE} {{Audio}}${INFLECTED_FORM_TEMPLATE}${ENRICHMENT_TEMPLATE}
+                </div>
+                <br><br>
+                <i>1. {{Example_1}}</i><br>
+                <i>2. {{Example_2}}</i><br>
+                <i>3. {{Example_3}}</i>${SOURCE_EXAMPLE_TEMPLATE}
+                {{#Mnemonic}}
+                <br><br>
+                <div style='font-family: "Arial"; font-size: 18px;'>
+                    <b>${chrome.i18n.getMessage('Mnemonic')}</b><br>{{Mnemonic}}
+                </div>
+                {{/Mnemonic}}${getConjugationTemplate()}${getCustomFieldSections(customFieldNames)}${getSourceLinkTemplate()}`
+            },
+            "Card 2 (Reverse)": {
+                Front: `
+                {{#Add Reverse}}
+                ${SELECTION_TEMPLATE} {{Audio}}${INFLECTED_FORM_TEMPLATE}${ENRICHMENT_TEMPLATE}
+                <br><br>
+                <i>1. {{Example_1}}</i><br>
+                <i>2. {{Example_2}}</i><br>
+                <i>3. {{Example_3}}</i>${SOURCE_EXAMPLE_TEMPLATE}
+                {{#Mnemonic}}
+                <br><br>
+                <div style='font-family: "Arial"; font-size: 18px;'>
+                    <b>${chrome.i18n.getMessage('Mnemonic')}</b><br>{{Mnemonic}}
+                </div>
+                {{/Mnemonic}}${getConjugationTemplate()}${getCustomFieldSections(customFieldNames)}
+                {{/Add Reverse}}`,
+                Back: `
+                {{#Add Reverse}}
+                <div style='font-family: "Arial"; font-size: 20px; text-align: center;'>
+                    <b>${chrome.i18n.getMessage('directTranslation')}</b><br>{{Translation}}
+                    <br><br><b>${chrome.i18n.getMessage('Definition')}</b><br>{{Definition}}${IMAGE_TEMPLATE}
+                </div>${getSourceLinkTemplate()}
+                {{/Add Reverse}}`
             }
-        });
+        })
+    },
+    cloze: {
+        name: 'AnkiLingoFlash_Cloze',
+        isCloze: true,
+        fields: ["Text", "Extra", "Source URL", "Source Title"],
+        css: `.card { font-family: "Arial"; font-size: 20px; text-align: center; color: black; background-color: white; }
+.cloze { font-weight: bold; color: #1a73e8; }
+.card img { max-width: 100%; max-height: 300px; }`,
+        templates: () => ({
+            "Cloze": {
+                Front: `{{cloze:Text}}`,
+                Back: `
+                {{cloze:Text}}
+                {{#Extra}}
+                <br><br>
+                <div style='font-size: 18px;'>{{Extra}}</div>
+                {{/Extra}}${getSourceLinkTemplate()}`
+            }
+        })
+    }
+};
+
+/**
+ * Get the note type a note belongs to from its model name
+ * @param {string} modelName - The name of the Anki model
+ * @returns {string|undefined} The key of the note type in NOTE_TYPES, or undefined for the user's own note types
+ */
+function getNoteTypeId(modelName) {
+    return Object.keys(NOTE_TYPES).find(id => NOTE_TYPES[id].name === modelName);
 }
 
 /**
- * Check and create Anki models for all supported languages
+ * Describe the extension's own note types for the popup
+ * @returns {Object[]} The note types, as `{ id, name, fields, isCloze }`
  */
-function checkAndCreateModel() {
-    const languages = [
-        'english_us', 'english_uk', 'english_au', 'english_ca',
-        'spanish_es', 'spanish_latam',
-        'french_fr', 'french_ca',
-        'german_de', 'german_ch',
-        'italian_it', 'italian_ch',
-        'dutch_nl', 'dutch_be',
-        'portuguese_pt', 'portuguese_br',
-        'russian', 'mandarin_simplified', 'mandarin_traditional', 'cantonese',
-        'japanese', 'arabic', 'arabic_eg', 'korean', 'hindi',
-        'persian'
-    ];
+function getNoteTypeDescriptors() {
+    return Object.keys(NOTE_TYPES).map(id => ({
+        id: id,
+        name: NOTE_TYPES[id].name,
+        fields: NOTE_TYPES[id].fields,
+        isCloze: !!NOTE_TYPES[id].isCloze
+    }));
+}
 
-    const createModels = languages.map(lang => {
-        const modelName = `AnkiLingoFlash_0.5`;
-        return createCustomModelForLanguage(modelName);
-    });
+/**
+ * Create a note type in Anki, or bring an existing one up to date: missing fields are added and
+ * outdated templates and styling are replaced, so existing notes get the new templates too.
+ * @param {string} noteTypeId - The key of the note type in NOTE_TYPES
+ * @param {string[]} [extraFieldNames] - Other fields the note type must have, e.g. user-defined fields
+ * @returns {Promise<string>} A promise that resolves with the name of the note type
+ */
+async function ensureNoteType(noteTypeId, extraFieldNames = []) {
+    const noteType = NOTE_TYPES[noteTypeId];
+    const styling = `${noteType.css}\n/* AnkiLingoFlash note type v${NOTE_TYPE_VERSION} */`;
+
+    if (noteType.isCloze) {
+        extraFieldNames = [];
+    } else {
+        const { customFields } = await chrome.storage.sync.get(['customFields']);
+        const enabledNames = (customFields || []).filter(field => field.enabled && field.name).map(field => field.name);
+        extraFieldNames = [...new Set([...enabledNames, ...extraFieldNames])];
+    }
 
-    Promise.all(createModels)
+    const models = await invoke('modelNames', 6);
+    if (!models.includes(noteType.name)) {
+        const templates = noteType.templates(extraFieldNames);
+        await invoke('createModel', 6, {
+            modelName: noteType.name,
+            inOrderFields: [...noteType.fields, ...extraFieldNames.filter(name => !noteType.fields.includes(name))],
+            css: styling,
+            isCloze: !!noteType.isCloze,
+            cardTemplates: Object.keys(templates).map(name => ({ Name: name, ...templates[name] }))
+        });
+        console.log(`Note type ${noteType.name} created.`);
+        return noteType.name;
+    }
+
+    const existingFields = await invoke('modelFieldNames', 6, { modelName: noteType.name });
+    const missingFields = [...noteType.fields, ...extraFieldNames].filter(name => !existingFields.includes(name));
+    for (const fieldName of missingFields) {
+        await invoke('modelFieldAdd', 6, { modelName: noteType.name, fieldName: fieldName, index: existingFields.length });
+        existingFields.push(fieldName);
+    }
+
+    const currentStyling = await invoke('modelStyling', 6, { modelName: noteType.name });
+    const versionMatch = (currentStyling.css || '').match(NOTE_TYPE_VERSION_PATTERN);
+    const currentVersion = versionMatch ? parseInt(versionMatch[1], 10) : 0;
+    if (currentVersion >= NOTE_TYPE_VERSION && missingFields.length === 0) {
+        return noteType.name;
+    }
+
+    // Every field that is not ours is a user-defined field, including disabled ones that still hold values
+    const customFieldNames = existingFields.filter(name => !noteType.fields.includes(name));
+    await invoke('updateModelTemplates', 6, { model: { name: noteType.name, templates: noteType.templates(customFieldNames) } });
+    await invoke('updateModelStyling', 6, { model: { name: noteType.name, css: styling } });
+    console.log(`Note type ${noteType.name} upgraded from v${currentVersion} to v${NOTE_TYPE_VERSION}.`);
+    return noteType.name;
+}
+
+/**
+ * Create or upgrade every note type, e.g. after the extension was updated
+ * @returns {Promise} A promise that resolves when all note types are up to date
+ */
+function ensureNoteTypes() {
+    return Promise.all(Object.keys(NOTE_TYPES).map(id => ensureNoteType(id)))
         .then(() => {
-            console.log("All models checked/created.");
+            console.log("All note types checked.");
         })
         .catch(error => {
-            console.log("Error checking/creating models:", error);
-            if (error.message.includes('AnkiConnect not available')) {
-                chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
-                    if (tabs.length > 0) {
-                        chrome.tabs.sendMessage(tabs[0].id, {
-                            action: "showAnkiNotOpenModal",
-                            message: chrome.i18n.getMessage("ankiConnectionFailed"),
-                            flashcard: flashcardData
-                        }, function (response) {
-                            if (chrome.runtime.lastError) {
-                                console.log("Error sending message:", chrome.runtime.lastError.message);
-                            } else {
-                                console.log("Message successfully sent to content script");
-                            }
-                        });
-                    } else {
-                        console.log("No active tab available to send the message.");
-                    }
-                });
-            } else {
-                console.log("Unexpected error:", error);
-            }
+            // Anki is not running: the note types are checked again before each note is added
+            console.log("Error checking note types:", error);
         });
 }
 
+/**
+ * Read the note settings of the popup: the note type mapping, the enabled custom fields, the reverse card toggle
+ * and the text-to-speech settings
+ * @returns {Promise<Object>} `{ mapping, customFields, createReverse, ttsEnabled, ttsIncludeExamples }`, where `mapping`
+ *     is null when notes go to the extension's own note type
+ */
+async function loadNoteSettings() {
+    const result = await chrome.storage.sync.get(['noteTypeMapping', 'customFields', 'createReverseCardToggle', 'ttsEnabled', 'ttsIncludeExamples']);
+    const mapping = result.noteTypeMapping;
+    return {
+        mapping: mapping && mapping.modelName ? mapping : null,
+        customFields: (result.customFields || []).filter(field => field.enabled),
+        createReverse: result.createReverseCardToggle !== false,
+        ttsEnabled: !!result.ttsEnabled,
+        ttsIncludeExamples: !!result.ttsIncludeExamples
+    };
+}
+
+/**
+ * Tell whether a flashcard was validated as a cloze note
+ * @param {Object} flashcard - The flashcard
+ * @returns {boolean} Whether the flashcard is a cloze with a deletion in it
+ */
+function isClozeFlashcard(flashcard) {
+    return flashcard.cardType === 'cloze' && (flashcard.clozeText || '').includes('{{c1::');
+}
+
+/**
+ * Describe the image attached to a flashcard as a media file for AnkiConnect:
+ * Anki downloads web images itself, pasted ones are sent as base64
+ * @param {Object} flashcard - The flashcard
+ * @returns {Object|null} The media file, as `{ filename, data }` or `{ filename, url }`, or null without image
+ */
+function getImageMediaFile(flashcard) {
+    if (!flashcard.image) {
+        return null;
+    }
+    const dataUrl = flashcard.image.match(/^data:image\/([\w.+-]+);base64,(.*)$/);
+    if (dataUrl) {
+        const extension = dataUrl[1].replace('svg+xml', 'svg').replace('jpeg', 'jpg');
+        return { filename: `ankilingoflash_${flashcard.id}_image.${extension}`, data: dataUrl[2] };
+    }
+    if (!/^https?:/i.test(flashcard.image)) {
+        return null;
+    }
+    const extensionMatch = new URL(flashcard.image).pathname.match(/\.(png|jpe?g|gif|webp|svg|avif|bmp)$/i);
+    const extension = extensionMatch ? extensionMatch[1].toLowerCase() : 'jpg';
+    return { filename: `ankilingoflash_${flashcard.id}_image.${extension}`, url: flashcard.image };
+}
+
+/**
+ * Build the media files of a flashcard: the pronunciation of the term and, if chosen, of the examples when
+ * text-to-speech is enabled, and the attached image
+ * @param {Object} flashcard - The flashcard
+ * @param {Object} settings - The note settings, from loadNoteSettings
+ * @returns {Promise<Object>} `{ media, audio, imageHtml }`: the files to store, and the contents of the Audio and Image fields
+ */
+async function buildFlashcardMedia(flashcard, settings) {
+    const media = [];
+    const sounds = [];
+    if (settings.ttsEnabled && flashcard.verso && !isClozeFlashcard(flashcard)) {
+        const texts = [{ name: 'term', text: flashcard.verso }];
+        if (settings.ttsIncludeExamples) {
+            [flashcard.example_1, flashcard.example_2, flashcard.example_3].forEach((example, index) => {
+                // Examples may carry the <b> highlighting of the term
+                const text = (example || '').replace(/<[^>]*>/g, '').trim();
+                if (text) {
+                    texts.push({ name: `example_${index + 1}`, text: text });
+                }
+            });
+        }
+        try {
+            for (const item of texts) {
+                const filename = `ankilingoflash_${flashcard.id}_${item.name}.mp3`;
+                media.push({ filename: filename, data: await synthesizeSpeech(item.text) });
+                sounds.push(`[sound:${filename}]`);
+            }
+        } catch (error) {
+            // The note is still worth adding without its audio
+            console.log("Audio skipped for flashcard:", error);
+        }
+    }
+
+    const imageFile = getImageMediaFile(flashcard);
+    if (imageFile) {
+        media.push(imageFile);
+    }
+    return {
+        media: media,
+        audio: sounds.join(''),
+        imageHtml: imageFile ? `<img src="${escapeHTML(imageFile.filename)}">` : ''
+    };
+}
+
+/**
+ * Get the note contents of the language-specific enrichments of a flashcard
+ * @param {Object} [enrichments] - The enrichments, keyed by enrichment module
+ * @returns {Object} The reading, pinyin, article, gender and conjugation table, empty when missing
+ */
+function getEnrichmentPieces(enrichments) {
+    const { reading, pinyin, gender, conjugation } = enrichments || {};
+    return {
+        reading: escapeHTML(reading || ''),
+        pinyin: escapeHTML(pinyin || ''),
+        article: gender ? escapeHTML(gender.article || '') : '',
+        gender: gender && gender.gender ? chrome.i18n.getMessage(`gender${gender.gender.charAt(0).toUpperCase()}${gender.gender.slice(1)}`) : '',
+        conjugation: conjugation && conjugation.length > 0
+            ? `<table class="conjugation">${conjugation.map(row => `<tr><td><b>${escapeHTML(row.tense)}</b></td><td>${escapeHTML(row.forms)}</td></tr>`).join('')}</table>`
+            : ''
+    };
+}
+
+/**
+ * Get the pieces of a flashcard that can be mapped onto the fields of any note type
+ * @param {Object} flashcard - The flashcard, with its `audio` and `imageHtml`
+ * @param {Object[]} customFields - The enabled custom fields
+ * @returns {Object} The field contents keyed by piece: translation, definition, selection, selectedForm, examples,
+ *     mnemonic, sourceSentence, source, audio, image, the enrichments and one `extra_<id>` per custom field
+ */
+function getNotePieces(flashcard, customFields) {
+    const sourceUrl = /^https?:/i.test(flashcard.sourceUrl || '') ? flashcard.sourceUrl : '';
+    return {
+        translation: flashcard.translation || '',
+        definition: flashcard.recto || '',
+        selection: flashcard.verso || '',
+        selectedForm: escapeHTML(flashcard.selectedForm || ''),
+        examples: [flashcard.example_1, flashcard.example_2, flashcard.example_3].filter(Boolean).join('<br>'),
+        mnemonic: flashcard.mnemonic || '',
+        sourceSentence: escapeHTML(flashcard.sourceSentence || ''),
+        source: sourceUrl ? `<a href="${escapeHTML(sourceUrl)}">${escapeHTML(flashcard.sourceTitle || sourceUrl)}</a>` : '',
+        audio: flashcard.audio || '',
+        image: flashcard.imageHtml || '',
+        ...getEnrichmentPieces(flashcard.enrichments),
+        ...Object.fromEntries(customFields.map(field => [`extra_${field.id}`, (flashcard.extraFields || {})[field.id] || '']))
+    };
+}
+
+/**
+ * Build the note of a flashcard for the extension's vocabulary note type
+ * @param {string} deckName - The deck of the note
+ * @param {Object} flashcard - The flashcard, with its `audio` and `imageHtml`
+ * @param {boolean} createReverse - Whether the reverse card should be generated
+ * @param {Object[]} customFields - The enabled custom fields
+ * @returns {Object} The note, in the format expected by AnkiConnect
+ */
+function buildVocabularyNote(deckName, flashcard, createReverse, customFields) {
+    const enrichments = getEnrichmentPieces(flashcard.enrichments);
+    return {
+        deckName: deckName,
+        modelName: NOTE_TYPES.vocabulary.name,
+        fields: {
+            "Definition": flashcard.recto || '',
+            "Selection": flashcard.verso || '',
+            "Translation": flashcard.translation || '',
+            "Example_1": flashcard.example_1 || '',
+            "Example_2": flashcard.example_2 || '',
+            "Example_3": flashcard.example_3 || '',
+            "Mnemonic": flashcard.mnemonic || '',
+            "Add Reverse": createReverse ? "1" : "",
+            "Source Sentence": escapeHTML(flashcard.sourceSentence || ''),
+            "Source URL": escapeHTML(flashcard.sourceUrl || ''),
+            "Source Title": escapeHTML(flashcard.sourceTitle || ''),
+            "Audio": flashcard.audio || '',
+            "Image": flashcard.imageHtml || '',
+            "Inflected Form": escapeHTML(flashcard.selectedForm || ''),
+            "Reading": enrichments.reading,
+            "Pinyin": enrichments.pinyin,
+            "Article": enrichments.article,
+            "Gender": enrichments.gender,
+            "Conjugation": enrichments.conjugation,
+            ...Object.fromEntries(customFields.map(field => [field.name, (flashcard.extraFields || {})[field.id] || '']))
+        },
+        options: {
+            allowDuplicate: true
+        },
+        tags: []
+    };
+}
+
+/**
+ * Build the note of a flashcard for the user's own note type. Pieces mapped to the same field are joined,
+ * pieces mapped to no field are dropped.
+ * @param {string} deckName - The deck of the note
+ * @param {Object} flashcard - The flashcard, with its `audio` and `imageHtml`
+ * @param {Object} mapping - The note type mapping ({ modelName, fields })
+ * @param {Object[]} customFields - The enabled custom fields
+ * @returns {Object} The note, in the format expected by AnkiConnect
+ */
+function buildMappedNote(deckName, flashcard, mapping, customFields) {
+    const pieces = getNotePieces(flashcard, customFields);
+    const fields = {};
+    Object.entries(mapping.fields || {}).forEach(([piece, fieldName]) => {
+        if (!fieldName || !pieces[piece]) {
+            return;
+        }
+        fields[fieldName] = fields[fieldName] ? `${fields[fieldName]}<br><br>${pieces[piece]}` : pieces[piece];
+    });
+    return {
+        deckName: deckName,
+        modelName: mapping.modelName,
+        fields: fields,
+        options: {
+            allowDuplicate: true
+        },
+        tags: []
+    };
+}
+
+/**
+ * Build the note of a flashcard for the extension's cloze note type, with the translation, the definition
+ * and the image as hints
+ * @param {string} deckName - The deck of the note
+ * @param {Object} flashcard - The flashcard, with `clozeText` holding the sentence to study
+ * @returns {Object} The note, in the format expected by AnkiConnect
+ */
+function buildClozeNote(deckName, flashcard) {
+    const extra = [
+        flashcard.translation ? `<b>${chrome.i18n.getMessage("directTranslation")}</b><br>${escapeHTML(flashcard.translation)}` : '',
+        flashcard.recto ? `<b>${chrome.i18n.getMessage("Definition")}</b><br>${escapeHTML(flashcard.recto)}` : '',
+        flashcard.imageHtml || ''
+    ].filter(Boolean).join('<br><br>');
+
+    return {
+        deckName: deckName,
+        modelName: NOTE_TYPES.cloze.name,
+        fields: {
+            "Text": escapeHTML(flashcard.clozeText),
+            "Extra": extra,
+            "Source URL": escapeHTML(flashcard.sourceUrl || ''),
+            "Source Title": escapeHTML(flashcard.sourceTitle || '')
+        },
+        options: {
+            allowDuplicate: true
+        },
+        tags: []
+    };
+}
+
+/**
+ * Build the note of a flashcard with its media, as an outbox entry: sendOutboxEntry adds it right away,
+ * addToOutbox keeps it until Anki is running
+ * @param {Object} flashcard - The flashcard, as validated in the review modal
+ * @param {string} deckName - The deck of the note
+ * @param {Object} settings - The note settings, from loadNoteSettings
+ * @returns {Promise<Object>} The outbox entry
+ */
+async function buildFlashcardEntry(flashcard, deckName, settings) {
+    const { media, audio, imageHtml } = await buildFlashcardMedia(flashcard, settings);
+    const withMedia = { ...flashcard, audio: audio, imageHtml: imageHtml };
+    const isCloze = isClozeFlashcard(withMedia);
+    let note;
+    if (isCloze) {
+        note = buildClozeNote(deckName, withMedia);
+    } else if (settings.mapping) {
+        note = buildMappedNote(deckName, withMedia, settings.mapping, settings.customFields);
+    } else {
+        note = buildVocabularyNote(deckName, withMedia, settings.createReverse, settings.customFields);
+    }
+    return {
+        id: flashcard.id,
+        label: flashcard.verso,
+        note: note,
+        media: media,
+        // The user chose to refresh the note already holding this selection
+        updateNoteId: !isCloze && flashcard.duplicateNoteId ? flashcard.duplicateNoteId : null,
+        queuedAt: Date.now()
+    };
+}
+
+/**
+ * Add a flashcard to Anki, or update the note it duplicates
+ * @param {Object} flashcard - The flashcard, as validated in the review modal
+ * @param {string} deckName - The deck of the note
+ * @param {Object} [overrides] - Note settings chosen for this flashcard, e.g. `createReverse`
+ * @returns {Promise} A promise that resolves with the AnkiConnect result
+ */
+async function addFlashcardToAnki(flashcard, deckName, overrides = {}) {
+    const settings = { ...(await loadNoteSettings()), ...overrides };
+    return sendOutboxEntry(await buildFlashcardEntry(flashcard, deckName, settings));
+}
+
+/**
+ * Queue a flashcard until Anki is running
+ * @param {Object} flashcard - The flashcard, as validated in the review modal
+ * @param {string} deckName - The deck of the note
+ * @returns {Promise} A promise that resolves when the flashcard is queued
+ */
+async function queueFlashcard(flashcard, deckName) {
+    await addToOutbox(await buildFlashcardEntry(flashcard, deckName, await loadNoteSettings()));
+}
+
+/**
+ * Add several flashcards to Anki with a single `addNotes` call, after making sure their note types and decks exist
+ * @param {Object[]} items - The flashcards to add, as `{ deckName, data }`
+ * @param {Object} [overrides] - Note settings chosen for these flashcards, e.g. `createReverse`
+ * @returns {Promise<Array<number|null>>} A promise that resolves with the ID of each new note,
+ *     null in place of each note Anki did not add
+ */
+async function addFlashcardsToAnki(items, overrides = {}) {
+    const settings = { ...(await loadNoteSettings()), ...overrides };
+    const entries = [];
+    for (const item of items) {
+        entries.push(await buildFlashcardEntry(item.data, item.deckName, settings));
+    }
+
+    // The user's own note type is theirs to maintain
+    const noteTypeIds = [...new Set(entries.map(entry => getNoteTypeId(entry.note.modelName)).filter(Boolean))];
+    for (const noteTypeId of noteTypeIds) {
+        await ensureNoteType(noteTypeId);
+    }
+    const existingDecks = await invoke('deckNames', 6);
+    for (const deck of [...new Set(items.map(item => item.deckName))].filter(name => !existingDecks.includes(name))) {
+        await invoke('createDeck', 6, { deck: deck });
+    }
+    for (const file of entries.flatMap(entry => entry.media)) {
+        await invoke('storeMediaFile', 6, file);
+    }
+    return invoke('addNotes', 6, { notes: entries.map(entry => entry.note) });
+}
+
 /**
  * Generate a unique ID
  * @returns {string} A unique ID
@@ -284,7 +1240,7 @@ async function injectContentScript(tabId) {
     try {
         await chrome.scripting.executeScript({
             target: { tabId: tabId },
-            files: ['franc/data.js', 'franc/expressions.js', 'franc/index.js', 'content.js']
+            files: ['franc/data.js', 'franc/expressions.js', 'franc/index.js', 'storage.js', 'cache.js', 'content.js']
         });
         console.log('Content script injected successfully in tab:', tabId);
         chrome.tabs.sendMessage(tabId, { action: "initialize" });
@@ -294,67 +1250,323 @@ async function injectContentScript(tabId) {
 }
 
 /**
- * Fetch or initialize user data
- * @param {string} userId - The user's ID
- * @param {string} userName - The user's name
- * @param {string} userEmail - The user's email
- * @returns {Promise<Object>} A promise that resolves with the user data
+ * Fetch or initialize user data
+ * @param {string} userId - The user's ID
+ * @param {string} userName - The user's name
+ * @param {string} userEmail - The user's email
+ * @returns {Promise<Object>} A promise that resolves with the user data
+ */
+async function fetchOrInitializeUserData(userId = null, userName = null, userEmail = null) {
+    return new Promise((resolve) => {
+        chrome.storage.sync.get(['userId', 'userName', 'userEmail', 'flashcardCount', 'freeGenerationLimit', 'regenerationLimit', 'selectedProvider', 'model', 'googleModel'], async function (result) {
+            const existingOrNewUserId = userId || result.userId || generateUniqueId();
+            try {
+                const response = await fetch(`https://anki-lingo-flash.piriouvictor.workers.dev/api/user-data/${existingOrNewUserId}`);
+                if (response.ok) {
+                    const userData = await response.json();
+                    chrome.storage.sync.set({
+                        userId: existingOrNewUserId,
+                        userName: userName || result.userName || userData.userName,
+                        userEmail: userEmail || result.userEmail || userData.userEmail,
+                        flashcardCount: userData.flashcardCount,
+                        freeGenerationLimit: userData.freeGenerationLimit,
+                        regenerationLimit: userData.regenerationLimit,
+                        selectedProvider: result.selectedProvider || AI_PROVIDERS.OPENAI,
+                        model: result.model || CONFIG.DEFAULT_REMOTE_MODEL,
+                        googleModel: result.googleModel || CONFIG.DEFAULT_GOOGLE_MODEL
+                    }, () => {
+                        resolve(userData);
+                    });
+                } else {
+                    throw new Error('User data not found');
+                }
+            } catch (error) {
+                console.log('Error fetching user data:', error);
+                const limits = await fetchLimitsFromWorker();
+                const newUserData = {
+                    userId: existingOrNewUserId,
+                    userName: userName || result.userName,
+                    userEmail: userEmail || result.userEmail,
+                    flashcardCount: result.flashcardCount || 0,
+                    freeGenerationLimit: limits.freeGenerationLimit,
+                    regenerationLimit: limits.regenerationLimit,
+                    selectedProvider: AI_PROVIDERS.OPENAI,
+                    model: CONFIG.DEFAULT_REMOTE_MODEL,
+                    googleModel: CONFIG.DEFAULT_GOOGLE_MODEL
+                };
+                chrome.storage.sync.set(newUserData, () => {
+                    resolve(newUserData);
+                });
+            }
+        });
+    });
+}
+
+// Create an alarm to keep the service worker alive
+chrome.alarms.create("keepAlive", { periodInMinutes: 1 });
+// Expired cache entries are only deleted when read; clear the others out now and then.
+// Creating the alarm again would restart its period each time the service worker starts.
+chrome.alarms.get("purgeCache", alarm => {
+    if (!alarm) {
+        chrome.alarms.create("purgeCache", { periodInMinutes: 60 });
+    }
+});
+
+// Listen for the alarm and log a message
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === "keepAlive") {
+        console.log("Keeping service worker alive");
+        // Anki may have been started since the last tick
+        drainOutbox();
+    } else if (alarm.name === "purgeCache") {
+        AnkiLingoFlashCache.purgeExpired()
+            .then(count => console.log(`Purged ${count} expired cache entries`))
+            .catch(error => console.log("Error purging the cache:", error));
+    }
+});
+
+// Notes that could not be added because Anki was not running, kept in local storage
+// as { id, label, note, media, updateNoteId, queuedAt, error }, media being [{ filename, data | url }]
+const OUTBOX_STORAGE_KEY = 'outbox';
+// The drain in progress, shared by every caller so the same notes are never sent twice
+let outboxDrain = null;
+
+/**
+ * Get the queued notes
+ * @returns {Promise<Object[]>} A promise that resolves with the outbox entries
+ */
+function getOutbox() {
+    return new Promise(resolve => {
+        chrome.storage.local.get([OUTBOX_STORAGE_KEY], result => resolve(result[OUTBOX_STORAGE_KEY] || []));
+    });
+}
+
+/**
+ * Save the queued notes
+ * @param {Object[]} outbox - The outbox entries
+ * @returns {Promise} A promise that resolves when the outbox is saved
+ */
+function saveOutbox(outbox) {
+    return new Promise(resolve => {
+        chrome.storage.local.set({ [OUTBOX_STORAGE_KEY]: outbox }, resolve);
+    });
+}
+
+/**
+ * Queue a note, replacing any entry queued earlier for the same flashcard
+ * @param {Object} entry - The outbox entry
+ * @returns {Promise} A promise that resolves when the entry is queued
+ */
+async function addToOutbox(entry) {
+    const outbox = await getOutbox();
+    await saveOutbox([...outbox.filter(queued => queued.id !== entry.id), entry]);
+}
+
+/**
+ * Show the number of queued notes on the extension icon
+ * @param {number} count - The number of queued notes
+ */
+function updateOutboxBadge(count) {
+    chrome.action.setBadgeText({ text: count > 0 ? String(count) : '' });
+    chrome.action.setBadgeBackgroundColor({ color: '#f57c00' });
+}
+
+/**
+ * Add one queued note to Anki, creating or upgrading its note type first
+ * @param {Object} entry - The outbox entry
+ * @returns {Promise} A promise that resolves when the note is added or updated
+ */
+async function sendOutboxEntry(entry) {
+    // The note may hold user-defined fields that have been disabled since it was queued.
+    // Note types mapped by the user are left as they are.
+    const noteTypeId = getNoteTypeId(entry.note.modelName);
+    if (noteTypeId) {
+        await ensureNoteType(noteTypeId, Object.keys(entry.note.fields));
+    }
+
+    for (const file of entry.media || []) {
+        await invoke('storeMediaFile', 6, file);
+    }
+
+    if (entry.updateNoteId) {
+        return invoke('updateNoteFields', 6, { note: { id: entry.updateNoteId, fields: entry.note.fields } });
+    }
+    return invoke('addNote', 6, { note: entry.note });
+}
+
+/**
+ * Mark the flashcards of sent outbox entries as added in the flashcard history
+ * @param {Object[]} entries - The sent outbox entries, whose IDs are the flashcard IDs
+ * @returns {Promise} A promise that resolves when the history is saved
+ */
+async function markFlashcardsAdded(entries) {
+    const flashcards = await AnkiLingoFlashStorage.getFlashcards();
+    const sent = entries.filter(entry => flashcards[entry.id]);
+    if (sent.length === 0) {
+        return;
+    }
+    await AnkiLingoFlashStorage.saveFlashcards(sent.map(entry => (
+        { ...flashcards[entry.id], status: 'added', deckName: entry.note.deckName, updatedAt: Date.now() }
+    )));
+}
+
+/**
+ * Add the queued notes to Anki if AnkiConnect answers. Notes that fail stay queued with their error.
+ * Callers arriving while a drain is running wait for that drain instead of starting another one.
+ * @returns {Promise} A promise that resolves when the outbox has been processed
+ */
+function drainOutbox() {
+    if (!outboxDrain) {
+        outboxDrain = sendOutbox().finally(() => {
+            outboxDrain = null;
+        });
+    }
+    return outboxDrain;
+}
+
+/**
+ * Send the queued notes, one after the other
+ * @returns {Promise} A promise that resolves when the outbox has been processed
+ */
+async function sendOutbox() {
+    const outbox = await getOutbox();
+    if (outbox.length === 0) {
+        return;
+    }
+
+    try {
+        await invoke('version', 6);
+    } catch (error) {
+        console.log("Anki is still not available, keeping the outbox:", error.message);
+        return;
+    }
+
+    const sentIds = [];
+    const errors = {};
+    for (const entry of outbox) {
+        try {
+            await sendOutboxEntry(entry);
+            sentIds.push(entry.id);
+        } catch (error) {
+            console.log("Error adding queued note:", error);
+            errors[entry.id] = error.message;
+        }
+    }
+
+    await markFlashcardsAdded(outbox.filter(entry => sentIds.includes(entry.id)));
+
+    // Read again so entries queued or edited meanwhile are kept
+    const current = await getOutbox();
+    await saveOutbox(current
+        .filter(entry => !sentIds.includes(entry.id))
+        .map(entry => errors[entry.id] ? { ...entry, error: errors[entry.id] } : entry));
+    console.log(`Outbox drained: ${sentIds.length} note(s) added to Anki`);
+}
+
+// Keep the badge in sync and try to send new entries right away
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local' || !changes[OUTBOX_STORAGE_KEY]) {
+        return;
+    }
+    const outbox = changes[OUTBOX_STORAGE_KEY].newValue || [];
+    const previous = changes[OUTBOX_STORAGE_KEY].oldValue || [];
+    updateOutboxBadge(outbox.length);
+    if (outbox.length > previous.length) {
+        drainOutbox();
+    }
+});
+
+getOutbox().then(outbox => {
+    updateOutboxBadge(outbox.length);
+    drainOutbox();
+});
+
+// Words collected while reading, turned into flashcards later, kept in local storage
+// as { id, text, sentence, language, url, title, addedAt, error }, `language` being what the page declared for the word
+const BASKET_STORAGE_KEY = 'basket';
+// Basket changes run one after the other, so that none of them saves over the result of another
+let basketChanges = Promise.resolve();
+
+/**
+ * Get the words in the basket
+ * @returns {Promise<Object[]>} A promise that resolves with the basket entries
+ */
+function getBasket() {
+    return new Promise(resolve => {
+        chrome.storage.local.get([BASKET_STORAGE_KEY], result => resolve(result[BASKET_STORAGE_KEY] || []));
+    });
+}
+
+/**
+ * Save the words in the basket
+ * @param {Object[]} basket - The basket entries
+ * @returns {Promise} A promise that resolves when the basket is saved
+ */
+function saveBasket(basket) {
+    return new Promise(resolve => {
+        chrome.storage.local.set({ [BASKET_STORAGE_KEY]: basket }, resolve);
+    });
+}
+
+/**
+ * Change the words in the basket once the changes already started are saved
+ * @param {Function} change - Called with the basket entries, returns the new entries or null to leave the basket as it is
+ * @returns {Promise<boolean>} A promise that resolves with whether the basket was changed
+ */
+function changeBasket(change) {
+    const run = basketChanges.then(async () => {
+        const basket = change(await getBasket());
+        if (!basket) {
+            return false;
+        }
+        await saveBasket(basket);
+        return true;
+    });
+    // A failed change does not block the next ones
+    basketChanges = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Add a word to the basket, unless it is already there
+ * @param {Object} entry - The basket entry
+ * @returns {Promise<boolean>} A promise that resolves with false if the word was already in the basket
+ */
+function addToBasket(entry) {
+    const text = entry.text.trim().toLowerCase();
+    return changeBasket(basket => (
+        basket.some(item => item.text.trim().toLowerCase() === text) ? null : [...basket, entry]
+    ));
+}
+
+/**
+ * Update the words in the basket after a generation: generated words leave it, failed ones keep their error
+ * @param {string[]} removedIds - The IDs of the entries to remove
+ * @param {Object} errors - The errors by entry ID
+ * @returns {Promise} A promise that resolves when the basket is saved
  */
-async function fetchOrInitializeUserData(userId = null, userName = null, userEmail = null) {
-    return new Promise((resolve) => {
-        chrome.storage.sync.get(['userId', 'userName', 'userEmail', 'flashcardCount', 'freeGenerationLimit', 'regenerationLimit', 'selectedProvider', 'model', 'googleModel'], async function (result) {
-            const existingOrNewUserId = userId || result.userId || generateUniqueId();
-            try {
-                const response = await fetch(`https://anki-lingo-flash.piriouvictor.workers.dev/api/user-data/${existingOrNewUserId}`);
-                if (response.ok) {
-                    const userData = await response.json();
-                    chrome.storage.sync.set({
-                        userId: existingOrNewUserId,
-                        userName: userName || result.userName || userData.userName,
-                        userEmail: userEmail || result.userEmail || userData.userEmail,
-                        flashcardCount: userData.flashcardCount,
-                        freeGenerationLimit: userData.freeGenerationLimit,
-                        regenerationLimit: userData.regenerationLimit,
-                        selectedProvider: result.selectedProvider || AI_PROVIDERS.OPENAI,
-                        model: result.model || CONFIG.DEFAULT_REMOTE_MODEL,
-                        googleModel: result.googleModel || CONFIG.DEFAULT_GOOGLE_MODEL
-                    }, () => {
-                        resolve(userData);
-                    });
-                } else {
-                    throw new Error('User data not found');
-                }
-            } catch (error) {
-                console.log('Error fetching user data:', error);
-                const limits = await fetchLimitsFromWorker();
-                const newUserData = {
-                    userId: existingOrNewUserId,
-                    userName: userName || result.userName,
-                    userEmail: userEmail || result.userEmail,
-                    flashcardCount: result.flashcardCount || 0,
-                    freeGenerationLimit: limits.freeGenerationLimit,
-                    regenerationLimit: limits.regenerationLimit,
-                    selectedProvider: AI_PROVIDERS.OPENAI,
-                    model: CONFIG.DEFAULT_REMOTE_MODEL,
-                    googleModel: CONFIG.DEFAULT_GOOGLE_MODEL
-                };
-                chrome.storage.sync.set(newUserData, () => {
-                    resolve(newUserData);
-                });
-            }
-        });
-    });
+async function updateBasket(removedIds = [], errors = {}) {
+    await changeBasket(basket => basket
+        .filter(entry => !removedIds.includes(entry.id))
+        .map(entry => (entry.id in errors ? { ...entry, error: errors[entry.id] } : entry)));
 }
 
-// Create an alarm to keep the service worker alive
-chrome.alarms.create("keepAlive", { periodInMinutes: 1 });
-
-// Listen for the alarm and log a message
-chrome.alarms.onAlarm.addListener((alarm) => {
-    if (alarm.name === "keepAlive") {
-        console.log("Keeping service worker alive");
+/**
+ * Generate the flashcards of the words in the basket in the active tab, where they are reviewed
+ * @returns {Promise} A promise that resolves once the tab has started the generation
+ */
+async function generateBasket() {
+    const basket = await getBasket();
+    if (basket.length === 0) {
+        return;
     }
-});
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab || !tab.url || !tab.url.startsWith('http')) {
+        throw new Error(chrome.i18n.getMessage("openPageToGenerateBasket"));
+    }
+    await injectContentScript(tab.id);
+    await chrome.tabs.sendMessage(tab.id, { action: "generateBasket", entries: basket });
+}
 
 /**
  * Fetch generation limits from the worker
@@ -375,9 +1587,11 @@ async function fetchLimitsFromWorker() {
 
 // Listen for extension installation or update
 chrome.runtime.onInstalled.addListener(async (details) => {
-    // Set default settings
+    // Set default settings, keeping the local model configuration across updates
+    const { choice, localEndpoint } = await chrome.storage.sync.get(['choice', 'localEndpoint']);
     chrome.storage.sync.set({
-        choice: 'remote',
+        choice: choice || 'remote',
+        localEndpoint: localEndpoint || CONFIG.DEFAULT_LOCAL_ENDPOINT,
         model: CONFIG.DEFAULT_REMOTE_MODEL,
         googleModel: CONFIG.DEFAULT_GOOGLE_MODEL,
         isOwnCredits: false,
@@ -388,12 +1602,31 @@ chrome.runtime.onInstalled.addListener(async (details) => {
         console.log(chrome.i18n.getMessage("defaultSettingsSet"));
     });
 
+    // Earlier versions kept the history, the conversations and the translation cache in the synced storage
+    await AnkiLingoFlashStorage.migrateFromSync()
+        .catch(error => console.log("Error moving data out of the synced storage:", error));
+
     // Create context menu item
     chrome.contextMenus.create({
         id: "selectText",
         title: chrome.i18n.getMessage("generateFlashcard"),
         contexts: ["selection"]
     });
+    chrome.contextMenus.create({
+        id: "selectTextCloze",
+        title: chrome.i18n.getMessage("generateClozeCard"),
+        contexts: ["selection"]
+    });
+    chrome.contextMenus.create({
+        id: "extractVocabulary",
+        title: chrome.i18n.getMessage("extractVocabulary"),
+        contexts: ["selection"]
+    });
+    chrome.contextMenus.create({
+        id: "addToBasket",
+        title: chrome.i18n.getMessage("addToBasketMenu"),
+        contexts: ["selection"]
+    });
 
     // Inject content script into existing tabs
     const tabs = await chrome.tabs.query({});
@@ -403,6 +1636,9 @@ chrome.runtime.onInstalled.addListener(async (details) => {
         }
     }
 
+    // Create the note types, or upgrade them in place after an update
+    ensureNoteTypes();
+
     // Open tutorial page on first install
     if (details.reason === 'install') {
         chrome.tabs.create({ url: 'https://ankilingoflash.com/quick-tutorial.html' });
@@ -438,7 +1674,7 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
 
 // Listen for context menu clicks
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
-    if (info.menuItemId === "selectText") {
+    if (info.menuItemId === "selectText" || info.menuItemId === "selectTextCloze") {
         console.log("Context menu clicked, injecting content script...");
         await injectContentScript(tab.id);
         console.log("Content script injected, sending message...");
@@ -450,7 +1686,8 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
                     chrome.tabs.sendMessage(tabs[0].id, {
                         action: "generateFlashcard",
                         text: info.selectionText,
-                        language: result.language || 'en'
+                        language: result.language || 'en',
+                        cardType: info.menuItemId === "selectTextCloze" ? 'cloze' : 'vocabulary'
                     })
                     .then(response => {
                         console.log(`Message sent successfully with response:`, response);
@@ -465,9 +1702,65 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
                 }
             });
         });
+    } else if (info.menuItemId === "extractVocabulary" || info.menuItemId === "addToBasket") {
+        await injectContentScript(tab.id);
+        // The content script knows the sentence around the selection
+        chrome.tabs.sendMessage(tab.id, { action: info.menuItemId, text: info.selectionText })
+            .catch(error => {
+                console.log(`Error sending message:`, error);
+                showToast(chrome.i18n.getMessage("flashcardGenerationError"));
+            });
+    }
+});
+
+// Listen for the keyboard shortcuts declared as commands in the manifest
+chrome.commands.onCommand.addListener(async (command, tab) => {
+    if (command !== "generate-flashcard" && command !== "translate-selection") {
+        return;
+    }
+    const targetTab = tab || (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+    if (!targetTab) {
+        console.log("No active tab found");
+        return;
     }
+    await injectContentScript(targetTab.id);
+    // Unlike a context menu click, a command does not carry the selection: the content script reads it
+    chrome.tabs.sendMessage(targetTab.id, {
+        action: command === "generate-flashcard" ? "generateFlashcardFromSelection" : "translateSelection"
+    }).catch(error => {
+        console.log(`Error sending message:`, error);
+    });
 });
 
+/**
+ * Work out the provider and model generations go to
+ * @param {Object} settings - The settings, with `choice`, `isOwnCredits`, `selectedProvider` and the model field of each provider
+ * @returns {Object} `{ provider, adapter, model }`
+ */
+function resolveActiveModel(settings) {
+    const isLocal = settings.choice === 'local';
+    // The free trial goes through the extension's worker, which speaks OpenAI
+    const provider = isLocal
+        ? AI_PROVIDERS.LOCAL
+        : (settings.isOwnCredits ? (settings.selectedProvider || AI_PROVIDERS.OPENAI) : AI_PROVIDERS.OPENAI);
+    const adapter = getProviderAdapter(provider);
+    const model = settings.isOwnCredits || isLocal
+        ? (settings[adapter.modelField] || adapter.defaultModel)
+        : CONFIG.DEFAULT_REMOTE_MODEL;
+    return { provider, adapter, model };
+}
+
+/**
+ * Get the provider and model generations go to, which identify cached content
+ * @returns {Promise<Object>} A promise that resolves with `{ provider, model }`
+ */
+async function getModelIdentity() {
+    const modelFields = Object.values(PROVIDER_ADAPTERS).map(adapter => adapter.modelField).filter(Boolean);
+    const settings = await chrome.storage.sync.get(['choice', 'isOwnCredits', 'selectedProvider', ...modelFields]);
+    const { provider, model } = resolveActiveModel(settings);
+    return { provider, model };
+}
+
 /**
  * Get or create a conversation for a user and type
  * @param {string} userId - The user's ID
@@ -475,8 +1768,8 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
  * @returns {Promise<Object>} A promise that resolves with the conversation object
  */
 async function getOrCreateConversation(userId, type, learningGoal) {
-    const key = `conversation_${userId}_${type}`;
-    const result = await chrome.storage.sync.get(key);
+    const key = `${AnkiLingoFlashStorage.CONVERSATION_PREFIX}${userId}_${type}`;
+    const result = await AnkiLingoFlashStorage.get([key]);
     const systemPrompt = getSystemPrompt(type, learningGoal);
 
     if (result[key]) {
@@ -489,7 +1782,7 @@ async function getOrCreateConversation(userId, type, learningGoal) {
         messages: [{ role: 'system', content: systemPrompt }]
     };
 
-    await chrome.storage.sync.set({ [key]: newConversation });
+    await AnkiLingoFlashStorage.set({ [key]: newConversation });
     return newConversation;
 }
 
@@ -513,6 +1806,17 @@ function getSystemPrompt(type, learningGoal) {
             return chrome.i18n.getMessage("examplesAssistant", [learningGoal]);
         case CONVERSATION_TYPES.TRANSLATION_POPUP:
             return chrome.i18n.getMessage("translationAssistant");
+        case CONVERSATION_TYPES.CUSTOM_FIELD:
+            return chrome.i18n.getMessage("customFieldAssistant", [learningGoal]);
+        case CONVERSATION_TYPES.VOCABULARY_EXTRACTION:
+            return chrome.i18n.getMessage("vocabularyExtractionAssistant", [learningGoal]);
+        case CONVERSATION_TYPES.LEMMA:
+            return chrome.i18n.getMessage("lemmaAssistant");
+        case CONVERSATION_TYPES.READING:
+        case CONVERSATION_TYPES.PINYIN:
+        case CONVERSATION_TYPES.GENDER:
+        case CONVERSATION_TYPES.CONJUGATION:
+            return chrome.i18n.getMessage("enrichmentAssistant");
         default:
             console.log(`Unknown conversation type: ${type}`);
             return chrome.i18n.getMessage("generateFlashcardInstructions", [learningGoal]);
@@ -601,6 +1905,256 @@ function isNetworkError(error, status) {
     return false;
 }
 
+/**
+ * Declarative description of the fields each conversation type must return.
+ * A field has a name, a type ('string', 'array' or 'object'), a description built from the request context
+ * and, when it is not always requested, an `include(context)` predicate.
+ * String fields may come back empty (e.g. a custom field with nothing to say) unless they are marked `nonEmpty`.
+ * Array fields describe their elements with `items`, object fields their members with `fields`.
+ * `extraFields(context)` adds fields that depend on the user's settings, such as their custom card fields.
+ * These definitions are compiled into a JSON schema (then into each provider's dialect by its adapter)
+ * and used to validate the parsed response.
+ */
+const EXAMPLE_FIELDS = [
+    { name: 'example_1', type: 'string', nonEmpty: true, description: ({ learningGoal }) => `First example sentence using the term or expression in the same language as the given term. Consider the learning goal: ${learningGoal}` },
+    { name: 'example_2', type: 'string', nonEmpty: true, description: ({ learningGoal }) => `Second example sentence using the term or expression in the same language as the given term. Consider the learning goal: ${learningGoal}` },
+    { name: 'example_3', type: 'string', nonEmpty: true, description: ({ learningGoal }) => `Third example sentence using the term or expression in the same language as the given term. Consider the learning goal: ${learningGoal}` }
+];
+
+const RESPONSE_DEFINITIONS = {
+    [CONVERSATION_TYPES.FLASHCARD]: {
+        name: 'flashcard_response',
+        fields: [
+            { name: 'definition', type: 'string', nonEmpty: true, description: ({ language }) => `A clear and concise definition of the term or concept in ${language}` },
+            { name: 'translation', type: 'string', nonEmpty: true, description: ({ language }) => `A direct translation of the term, in ${language}.` },
+            ...EXAMPLE_FIELDS,
+            {
+                name: 'mnemonic',
+                type: 'string',
+                description: ({ language }) => `A memory aid to help remember the definition in ${language}`,
+                include: ({ withMnemonic }) => !!withMnemonic
+            }
+        ],
+        extraFields: ({ customFields }) => customFields.map(field => ({
+            name: getCustomFieldKey(field),
+            type: 'string',
+            description: `${field.name}: ${field.description}`
+        }))
+    },
+    [CONVERSATION_TYPES.DEFINITION]: {
+        name: 'component_response',
+        fields: [{ name: 'definition', type: 'string', nonEmpty: true, description: ({ language }) => `The definition for the term or expression in ${language}` }]
+    },
+    [CONVERSATION_TYPES.MNEMONIC]: {
+        name: 'component_response',
+        fields: [{ name: 'mnemonic', type: 'string', description: ({ language }) => `The mnemonic for the term or expression in ${language}` }]
+    },
+    [CONVERSATION_TYPES.TRANSLATION]: {
+        name: 'component_response',
+        fields: [{ name: 'translation', type: 'string', nonEmpty: true, description: ({ language }) => `The translation for the term or expression in ${language}` }]
+    },
+    [CONVERSATION_TYPES.EXAMPLES]: {
+        name: 'examples_response',
+        fields: EXAMPLE_FIELDS
+    },
+    [CONVERSATION_TYPES.TRANSLATION_POPUP]: {
+        name: 'translation_response',
+        fields: [{ name: 'translation', type: 'string', nonEmpty: true, description: ({ language }) => `A direct translation of the term, in ${language}.` }]
+    },
+    [CONVERSATION_TYPES.CUSTOM_FIELD]: {
+        name: 'custom_field_response',
+        fields: [{ name: 'value', type: 'string', description: 'The requested content for the term or expression' }]
+    },
+    [CONVERSATION_TYPES.VOCABULARY_EXTRACTION]: {
+        name: 'vocabulary_response',
+        fields: [{
+            name: 'items',
+            type: 'array',
+            description: ({ learningGoal }) => `The words and expressions of the text worth learning, considering the learning goal: ${learningGoal}`,
+            items: {
+                type: 'object',
+                fields: [
+                    { name: 'term', type: 'string', description: 'The word or expression exactly as it is written in the text' },
+                    { name: 'difficulty', type: 'string', description: 'Its CEFR level: A1, A2, B1, B2, C1 or C2' }
+                ]
+            }
+        }]
+    },
+    [CONVERSATION_TYPES.LEMMA]: {
+        name: 'lemma_response',
+        fields: [
+            { name: 'lemma', type: 'string', description: 'The dictionary form of the term, in the language of the term' },
+            { name: 'part_of_speech', type: 'string', description: ({ language }) => `The part of speech of the term as used in the sentence, named in ${language}` },
+            {
+                name: 'inflections',
+                type: 'array',
+                description: 'The key inflected forms of the lemma, such as the past tense, the plural or the participles. Empty for words that do not inflect',
+                items: {
+                    type: 'object',
+                    fields: [
+                        { name: 'form', type: 'string', description: 'The inflected form, in the language of the term' },
+                        { name: 'description', type: 'string', description: ({ language }) => `What the form expresses, such as its tense, person, number or case, in ${language}` }
+                    ]
+                }
+            }
+        ]
+    },
+    [CONVERSATION_TYPES.READING]: {
+        name: 'reading_response',
+        fields: [{
+            name: 'reading',
+            type: 'string',
+            description: 'The term with the kana reading of each kanji in Anki furigana syntax: the reading in square brackets after the kanji, and a space before each kanji that follows kana, as in 日本語[にほんご]を 話[はな]す. The term unchanged when it has no kanji'
+        }]
+    },
+    [CONVERSATION_TYPES.PINYIN]: {
+        name: 'pinyin_response',
+        fields: [{ name: 'pinyin', type: 'string', description: 'The pinyin of the term with tone marks, one syllable group per word, as in nǐ hǎo' }]
+    },
+    [CONVERSATION_TYPES.GENDER]: {
+        name: 'gender_response',
+        fields: [
+            { name: 'gender', type: 'string', description: "The grammatical gender of the noun: 'masculine', 'feminine' or 'neuter', or 'none' when the term is not a noun" },
+            { name: 'article', type: 'string', description: "The definite article of the noun in the singular, as in der, la or el. Empty when the term is not a noun" }
+        ]
+    },
+    [CONVERSATION_TYPES.CONJUGATION]: {
+        name: 'conjugation_response',
+        fields: [{
+            name: 'conjugation',
+            type: 'array',
+            description: 'The main tenses of the verb, at most four. Empty when the term is not a verb',
+            items: {
+                type: 'object',
+                fields: [
+                    { name: 'tense', type: 'string', description: ({ language }) => `The tense or form, named in ${language}` },
+                    { name: 'forms', type: 'string', description: 'Its forms for each person, or its main forms for languages without persons, comma-separated in the language of the verb' }
+                ]
+            }
+        }]
+    }
+};
+
+/**
+ * Get the response key of a user-defined card field
+ * @param {Object} field - The custom field settings ({ id, name, description, enabled })
+ * @returns {string} The key the model must use for this field
+ */
+function getCustomFieldKey(field) {
+    return `extra_${field.id}`;
+}
+
+/**
+ * Get the fields requested for a conversation type in a given context
+ * @param {string} type - The conversation type
+ * @param {Object} context - The request context ({ userMessage, language, learningGoal, customFields, withMnemonic })
+ * @returns {Object[]} The field definitions
+ */
+function getResponseFields(type, context) {
+    const definition = RESPONSE_DEFINITIONS[type];
+    const fields = definition.fields.filter(field => !field.include || field.include(context));
+    return definition.extraFields ? fields.concat(definition.extraFields(context)) : fields;
+}
+
+/**
+ * Compile a field definition into a JSON schema
+ * @param {Object} field - The field definition
+ * @param {Object} context - The request context
+ * @returns {Object} The JSON schema of the field
+ */
+function compileFieldSchema(field, context) {
+    const schema = { type: field.type };
+    if (field.description) {
+        schema.description = typeof field.description === 'function' ? field.description(context) : field.description;
+    }
+    if (field.type === 'array') {
+        schema.items = compileFieldSchema(field.items, context);
+    } else if (field.type === 'object') {
+        Object.assign(schema, compileObjectSchema(field.fields, context));
+    }
+    return schema;
+}
+
+/**
+ * Compile a list of field definitions into a strict JSON object schema
+ * @param {Object[]} fields - The field definitions
+ * @param {Object} context - The request context
+ * @returns {Object} The JSON schema of the object
+ */
+function compileObjectSchema(fields, context) {
+    return {
+        type: "object",
+        properties: Object.fromEntries(fields.map(field => [field.name, compileFieldSchema(field, context)])),
+        required: fields.map(field => field.name),
+        additionalProperties: false
+    };
+}
+
+/**
+ * Get the JSON schema of the response expected for a conversation type
+ * @param {string} type - The conversation type
+ * @param {string} userMessage - The user's message
+ * @param {string} language - The target language
+ * @param {string} learningGoal - The user's learning goal
+ * @param {Object[]} customFields - The enabled custom card fields
+ * @param {boolean} withMnemonic - Whether the user asked for a mnemonic
+ * @returns {Object} The schema name and JSON schema
+ */
+function getResponseSchema(type, userMessage, language, learningGoal, customFields = [], withMnemonic = false) {
+    const context = { userMessage, language, learningGoal, customFields, withMnemonic };
+    return {
+        name: RESPONSE_DEFINITIONS[type].name,
+        schema: compileObjectSchema(getResponseFields(type, context), context)
+    };
+}
+
+/**
+ * Check a value against a field definition
+ * @param {*} value - The value returned by the model
+ * @param {Object} field - The field definition
+ * @param {string} path - The path of the value, for error reporting
+ * @returns {string[]} The paths of the missing, malformed or required but empty values
+ */
+function validateField(value, field, path) {
+    if (field.type === 'string') {
+        return typeof value === 'string' && (!field.nonEmpty || value.trim() !== '') ? [] : [path];
+    }
+    if (field.type === 'array') {
+        if (!Array.isArray(value)) {
+            return [path];
+        }
+        return value.flatMap((item, index) => validateField(item, field.items, `${path}[${index}]`));
+    }
+    if (field.type === 'object') {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return [path];
+        }
+        return field.fields.flatMap(member => validateField(value[member.name], member, `${path}.${member.name}`));
+    }
+    return [];
+}
+
+/**
+ * Validate a parsed model response against the fields requested for its conversation type
+ * @param {string} type - The conversation type
+ * @param {Object} data - The parsed response
+ * @param {Object} context - The request context
+ * @throws {Error} If a requested field is missing or of the wrong type, or empty while it is required
+ */
+function validateResponse(type, data, context) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        const error = new Error("Invalid API response: expected a JSON object");
+        error.isInvalidResponse = true;
+        throw error;
+    }
+    const invalidFields = getResponseFields(type, context).flatMap(field => validateField(data[field.name], field, field.name));
+    if (invalidFields.length > 0) {
+        const error = new Error(`Invalid API response: missing or malformed fields ${invalidFields.join(', ')}`);
+        error.isInvalidResponse = true;
+        throw error;
+    }
+}
+
 /**
  * Call the selected AI Provider API
  * @param {string} userId - The user's ID
@@ -608,334 +2162,127 @@ function isNetworkError(error, status) {
  * @param {string} userMessage - The user's message
  * @param {string} language - The target language
  * @param {string} apiKey - The API key (optional)
+ * @param {boolean} withMnemonic - Whether a flashcard should come with a mnemonic
  * @returns {Promise<Object>} A promise that resolves with the API response
  */
-async function callAIProviderAPI(userId, type, userMessage, language, apiKey = null) {
+async function callAIProviderAPI(userId, type, userMessage, language, apiKey = null, withMnemonic = false) {
+    const settingKeys = new Set([
+        'isOwnCredits', 'selectedProvider', 'installationPassword',
+        'learningGoal', 'choice', 'customFields'
+    ]);
+    Object.values(PROVIDER_ADAPTERS).forEach(adapter => {
+        [adapter.apiKeyField, adapter.validatedField, adapter.modelField, adapter.endpointField]
+            .filter(Boolean)
+            .forEach(key => settingKeys.add(key));
+    });
+
     return new Promise((resolve, reject) => {
-        chrome.storage.sync.get([
-            'isOwnCredits', 'selectedProvider', 
-            'encryptedApiKey', 'encryptedGoogleApiKey', 'installationPassword', 
-            'apiKeyValidated', 'googleApiKeyValidated', 
-            'learningGoal', 'model', 'googleModel'
-        ], async function (result) {
-            const provider = result.selectedProvider || AI_PROVIDERS.OPENAI;
+        chrome.storage.sync.get([...settingKeys], async function (result) {
+            const isLocal = result.choice === 'local';
+            const { provider, adapter, model } = resolveActiveModel(result);
             const learningGoal = result.learningGoal || "General language learning";
-            
-            if (result.isOwnCredits) {
-                if (provider === AI_PROVIDERS.OPENAI && !result.apiKeyValidated) {
-                    reject(new Error(chrome.i18n.getMessage("enterValidApiKey")));
-                    return;
-                }
-                if (provider === AI_PROVIDERS.GOOGLE && !result.googleApiKeyValidated) {
-                    reject(new Error(chrome.i18n.getMessage("enterValidGoogleApiKey")));
-                    return;
-                }
+
+            if (isLocal && !result.localModel) {
+                const error = new Error(chrome.i18n.getMessage("localModelMissing"));
+                error.provider = AI_PROVIDERS.LOCAL;
+                reject(error);
+                return;
             }
 
             let apiKeyToUse = apiKey;
-            if (result.isOwnCredits && !apiKeyToUse) {
-                const encryptedKeyField = provider === AI_PROVIDERS.GOOGLE ? 'encryptedGoogleApiKey' : 'encryptedApiKey';
-                if (result[encryptedKeyField] && result.installationPassword) {
+            if (result.isOwnCredits && !isLocal) {
+                if (!result[adapter.validatedField]) {
+                    reject(new Error(chrome.i18n.getMessage(provider === AI_PROVIDERS.GOOGLE ? "enterValidGoogleApiKey" : "enterValidApiKey")));
+                    return;
+                }
+
+                if (!apiKeyToUse && result[adapter.apiKeyField] && result.installationPassword) {
                     try {
-                        apiKeyToUse = await decryptApiKey(result[encryptedKeyField], result.installationPassword);
+                        apiKeyToUse = await decryptApiKey(result[adapter.apiKeyField], result.installationPassword);
                     } catch (error) {
                         console.log(`Error decrypting API key for ${provider}:`, error);
                         reject(new Error(chrome.i18n.getMessage("failedToDecryptApiKey")));
                         return;
                     }
-                } else {
+                }
+
+                if (!apiKeyToUse && !adapter.apiKeyOptional) {
                     reject(new Error(chrome.i18n.getMessage(provider === AI_PROVIDERS.GOOGLE ? "googleApiKeyMissingOrNotEncrypted" : "apiKeyMissingOrNotEncrypted")));
                     return;
                 }
             }
 
-            if (!apiKeyToUse && result.isOwnCredits) {
-                reject(new Error(chrome.i18n.getMessage(provider === AI_PROVIDERS.GOOGLE ? "googleApiKeyMissing" : "apiKeyMissing")));
-                return;
-            }
-
             if (!Object.values(CONVERSATION_TYPES).includes(type)) {
                 reject(new Error(`Invalid conversation type: ${type}`));
                 return;
             }
 
             try {
-                const conversation = await getOrCreateConversation(userId, type, learningGoal); // System prompt is set here
-                
-                // For Google, the system prompt is part of the first user message or overall instruction.
-                // For OpenAI, it's a separate message.
-                // The getSystemPrompt now includes language.
+                const conversation = await getOrCreateConversation(userId, type, learningGoal);
                 const systemPromptText = getSystemPrompt(type, learningGoal, language);
 
-                if (provider === AI_PROVIDERS.OPENAI) {
-                    // Ensure OpenAI conversation has the latest system prompt
-                    if (conversation.messages.length === 0 || conversation.messages[0].role !== 'system') {
-                        conversation.messages.unshift({ role: 'system', content: systemPromptText });
-                    } else {
-                        conversation.messages[0].content = systemPromptText;
-                    }
-                    conversation.messages.push({ role: 'user', content: userMessage });
-
-                    const url = result.isOwnCredits
-                        ? 'https://api.openai.com/v1/chat/completions'
-                        : 'https://anki-lingo-flash.piriouvictor.workers.dev/api/chat'; // Worker for free tier
-
-                    const headers = {
-                        'Content-Type': 'application/json',
-                        ...(result.isOwnCredits && { 'Authorization': `Bearer ${apiKeyToUse}` })
-                    };
-
-                    let responseFormat;
-                    if (type === CONVERSATION_TYPES.FLASHCARD) {
-                        const includeMnemonic = userMessage.includes("mnemonic");
-                        responseFormat = {
-                            type: "json_schema",
-                            json_schema: {
-                                name: "flashcard_response",
-                                schema: {
-                                    type: "object",
-                                    properties: {
-                                        definition: { type: "string", description: `A clear and concise definition of the term or concept in ${language}` },
-                                        translation: { type: "string", description: `A direct translation of the term, in ${language}.` },
-                                        example_1: { type: "string", description: `First example sentence using the term or expression in the same language as the given term. Consider the learning goal: ${learningGoal}` },
-                                        example_2: { type: "string", description: `Second example sentence using the term or expression in the same language as the given term. Consider the learning goal: ${learningGoal}` },
-                                        example_3: { type: "string", description: `Third example sentence using the term or expression in the same language as the given term. Consider the learning goal: ${learningGoal}` },
-                                        ...(includeMnemonic ? { mnemonic: { type: "string", description: `A memory aid to help remember the definition in ${language}` } } : {})
-                                    },
-                                    required: ["definition", "translation", "example_1", "example_2", "example_3", ...(includeMnemonic ? ["mnemonic"] : [])],
-                                    additionalProperties: false
-                                },
-                                strict: true
-                            }
-                        };
-                    } else if (type === CONVERSATION_TYPES.EXAMPLES) {
-                         responseFormat = {
-                            type: "json_schema",
-                            json_schema: {
-                                name: "examples_response",
-                                schema: {
-                                    type: "object",
-                                    properties: {
-                                        example_1: { type: "string", description: `First example sentence using the term in the same language as the given term. Consider the learning goal: ${learningGoal}`},
-                                        example_2: { type: "string", description: `Second example sentence using the term in the same language as the given term. Consider the learning goal: ${learningGoal}`},
-                                        example_3: { type: "string", description: `Third example sentence using the term in the same language as the given term. Consider the learning goal: ${learningGoal}`}
-                                    },
-                                    required: ["example_1", "example_2", "example_3"],
-                                    additionalProperties: false
-                                },
-                                strict: true
-                            }
-                        };
-                    } else if (type === CONVERSATION_TYPES.TRANSLATION_POPUP) {
-                        responseFormat = {
-                            type: "json_schema",
-                            json_schema: {
-                                name: "translation_response",
-                                schema: {
-                                    type: "object",
-                                    properties: {
-                                        translation: { type: "string", description: `A direct translation of the term, in ${language}.` }
-                                    },
-                                    required: ["translation"],
-                                    additionalProperties: false
-                                },
-                                strict: true
-                            }
-                        };
-                    } else { // Definition, Mnemonic, Translation
-                        responseFormat = {
-                            type: "json_schema",
-                            json_schema: {
-                                name: "component_response",
-                                schema: {
-                                    type: "object",
-                                    properties: { [type]: { type: "string", description: `The ${type} for the term or expression in ${language}` } },
-                                    required: [type],
-                                    additionalProperties: false
-                                },
-                                strict: true
-                            }
-                        };
-                    }
-
-
-                    const modelToUse = result.isOwnCredits ? (result.model || CONFIG.DEFAULT_REMOTE_MODEL) : CONFIG.DEFAULT_REMOTE_MODEL;
-                    const apiRequestBody = {
-                        model: modelToUse,
-                        messages: conversation.messages,
-                        response_format: responseFormat
-                    };
-                     if (!result.isOwnCredits) { // Add userId for worker-based calls
-                        apiRequestBody.userId = userId;
-                    }
-
-
-                    const response = await fetch(url, {
-                        method: 'POST',
-                        headers: headers,
-                        body: JSON.stringify(apiRequestBody)
-                    });
-
-                    if (!response.ok) {
-                        const errorData = await response.json().catch(() => ({}));
-                        
-                        // Check if this is an unsupported model error
-                        const isUnsupportedModel = isUnsupportedModelError(errorData, response.status);
-                        const isNetworkErr = isNetworkError(new Error(errorData.error?.message || response.statusText), response.status);
-                        
-                        const error = new Error(`HTTP error! status: ${response.status}, message: ${errorData.error?.message || response.statusText}`);
-                        error.isUnsupportedModel = isUnsupportedModel && !isNetworkErr;
-                        error.errorData = errorData;
-                        error.status = response.status;
-                        
-                        throw error;
-                    }
+                // Conversations are stored in the OpenAI format whatever the provider
+                if (conversation.messages.length === 0 || conversation.messages[0].role !== 'system') {
+                    conversation.messages.unshift({ role: 'system', content: systemPromptText });
+                } else {
+                    conversation.messages[0].content = systemPromptText;
+                }
 
-                    const data = await response.json();
-                    if (!data.choices || !Array.isArray(data.choices) || data.choices.length === 0) {
-                        throw new Error("Invalid API response: missing or empty choices array");
-                    }
-                    const assistantMessage = data.choices[0].message;
-                    if (!assistantMessage || !assistantMessage.content) {
-                        throw new Error("Invalid API response: missing message content");
-                    }
+                // Flashcards also carry the custom fields enabled in the settings
+                const customFields = type === CONVERSATION_TYPES.FLASHCARD
+                    ? (result.customFields || []).filter(field => field.enabled)
+                    : [];
+                const requestMessage = customFields.length > 0
+                    ? `${userMessage}\n\n${chrome.i18n.getMessage("customFieldsInstructions")}\n${customFields.map(field => `- ${getCustomFieldKey(field)} (${field.name}): ${field.description}`).join('\n')}`
+                    : userMessage;
+                conversation.messages.push({ role: 'user', content: requestMessage });
+
+                const responseContext = { userMessage, language, learningGoal, customFields, withMnemonic };
+                const { url, headers, body } = adapter.buildRequest({
+                    userId: userId,
+                    isOwnCredits: result.isOwnCredits && !isLocal,
+                    apiKey: apiKeyToUse,
+                    endpoint: adapter.endpointField ? result[adapter.endpointField] : null,
+                    model: model,
+                    messages: conversation.messages,
+                    systemPrompt: systemPromptText,
+                    userMessage: requestMessage,
+                    responseSchema: getResponseSchema(type, userMessage, language, learningGoal, customFields, withMnemonic)
+                });
 
-                    conversation.messages.push(assistantMessage);
-                    // Keep only system prompt and last request/response pair for OpenAI
-                    conversation.messages = [conversation.messages[0], ...conversation.messages.slice(-2)]; 
-                    await chrome.storage.sync.set({ [`conversation_${userId}_${type}`]: conversation });
-
-                    resolve(JSON.parse(assistantMessage.content));
-
-                } else if (provider === AI_PROVIDERS.GOOGLE) {
-                    const modelToUse = result.googleModel || CONFIG.DEFAULT_GOOGLE_MODEL;
-                    const url = `${GOOGLE_API_BASE_URL}/${modelToUse}:generateContent?key=${apiKeyToUse}`;
-                    
-                    const headers = { 'Content-Type': 'application/json' };
-
-                    // Construct Google's `contents` from conversation history
-                    // Google expects alternating user/model roles. System prompt is prepended.
-                    let googleContents = [];
-                    // The system prompt is prepended to the first actual user message.
-                    // The `conversation` object from storage is OpenAI-centric. We adapt it.
-                    // For a fresh call, or if history is just system prompt:
-                    googleContents.push({
-                        role: "user",
-                        parts: [{ text: `${systemPromptText}\n\nUser query: ${userMessage}` }]
-                    });
-                    
-                    // If there was prior history in `conversation.messages` (beyond system prompt),
-                    // you'd convert it here. For simplicity, this example assumes a direct call
-                    // or that `getOrCreateConversation` provides a clean slate or adaptable history.
-                    // For multi-turn with Google, you'd map OpenAI's history to Google's format.
-                    // e.g. conversation.messages (skipping system) -> map to googleContents.
-
-                    let googleResponseSchema;
-                    if (type === CONVERSATION_TYPES.FLASHCARD) {
-                        const includeMnemonic = userMessage.includes("mnemonic");
-                        googleResponseSchema = {
-                            type: "OBJECT",
-                            properties: {
-                                definition: { type: "STRING", description: `A clear and concise definition of the term or concept in ${language}` },
-                                translation: { type: "STRING", description: `A direct translation of the term, in ${language}.` },
-                                example_1: { type: "STRING", description: `First example sentence using the term or expression in the same language as the given term. Consider the learning goal: ${learningGoal}` },
-                                example_2: { type: "STRING", description: `Second example sentence using the term or expression in the same language as the given term. Consider the learning goal: ${learningGoal}` },
-                                example_3: { type: "STRING", description: `Third example sentence using the term or expression in the same language as the given term. Consider the learning goal: ${learningGoal}` },
-                                ...(includeMnemonic ? { mnemonic: { type: "STRING", description: `A memory aid to help remember the definition in ${language}` } } : {})
-                            },
-                            required: ["definition", "translation", "example_1", "example_2", "example_3", ...(includeMnemonic ? ["mnemonic"] : [])]
-                        };
-                    } else if (type === CONVERSATION_TYPES.EXAMPLES) {
-                        googleResponseSchema = {
-                            type: "OBJECT",
-                            properties: {
-                                example_1: { type: "STRING", description: `First example sentence using the term in the same language as the given term. Consider the learning goal: ${learningGoal}`},
-                                example_2: { type: "STRING", description: `Second example sentence using the term in the same language as the given term. Consider the learning goal: ${learningGoal}`},
-                                example_3: { type: "STRING", description: `Third example sentence using the term in the same language as the given term. Consider the learning goal: ${learningGoal}`}
-                            },
-                            required: ["example_1", "example_2", "example_3"]
-                        };
-                    } else if (type === CONVERSATION_TYPES.TRANSLATION_POPUP) {
-                        googleResponseSchema = {
-                            type: "OBJECT",
-                            properties: {
-                                translation: { type: "STRING", description: `A direct translation of the term, in ${language}.` }
-                            },
-                            required: ["translation"]
-                        };
-                    } else { // Definition, Mnemonic, Translation
-                         googleResponseSchema = {
-                            type: "OBJECT",
-                            properties: {
-                                [type]: { type: "STRING", description: `The ${type} for the term or expression in ${language}` }
-                            },
-                            required: [type]
-                        };
-                    }
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers: headers,
+                    body: JSON.stringify(body)
+                });
 
-                    const requestBody = {
-                        contents: googleContents,
-                        generationConfig: {
-                            responseMimeType: "application/json",
-                            responseSchema: googleResponseSchema,
-                            // temperature: 0.7, // Optional: Adjust temperature
-                        }
-                    };
-
-                    const response = await fetch(url, {
-                        method: 'POST',
-                        headers: headers,
-                        body: JSON.stringify(requestBody)
-                    });
+                if (!response.ok) {
+                    const errorData = adapter.normalizeError(await response.json().catch(() => ({})));
+                    console.log(`${provider} API Error Response:`, errorData);
 
-                    if (!response.ok) {
-                        const errorData = await response.json().catch(() => ({}));
-                        console.log("Google API Error Response:", errorData);
-                        
-                        // Check if this is an unsupported model error
-                        const isUnsupportedModel = isUnsupportedModelError(errorData, response.status);
-                        const isNetworkErr = isNetworkError(new Error(errorData.error?.message || response.statusText), response.status);
-                        
-                        const error = new Error(`Google API HTTP error! status: ${response.status}, message: ${errorData.error?.message || response.statusText}`);
-                        error.isUnsupportedModel = isUnsupportedModel && !isNetworkErr;
-                        error.errorData = errorData;
-                        error.status = response.status;
-                        
-                        throw error;
-                    }
+                    // Check if this is an unsupported model error
+                    const isUnsupportedModel = isUnsupportedModelError(errorData, response.status);
+                    const isNetworkErr = isNetworkError(new Error(errorData.error?.message || response.statusText), response.status);
 
-                    const data = await response.json();
-                    console.log("Full Google API response:", data);
+                    const error = new Error(`HTTP error! status: ${response.status}, message: ${errorData.error?.message || response.statusText}`);
+                    error.isUnsupportedModel = isUnsupportedModel && !isNetworkErr;
+                    error.errorData = errorData;
+                    error.status = response.status;
 
-                    if (!data.candidates || !Array.isArray(data.candidates) || data.candidates.length === 0 ||
-                        !data.candidates[0].content || !data.candidates[0].content.parts || !Array.isArray(data.candidates[0].content.parts) || data.candidates[0].content.parts.length === 0 ||
-                        !data.candidates[0].content.parts[0].text) {
-                        throw new Error("Invalid Google API response: missing or malformed content");
-                    }
+                    throw error;
+                }
 
-                    const assistantResponseText = data.candidates[0].content.parts[0].text;
-                    
-                    // Update conversation history (OpenAI format for storage consistency)
-                    // For Google, we sent the system prompt with the user message.
-                    // The stored conversation will reflect this interaction.
-                    // If `conversation.messages` was empty or just system, it's now:
-                    // [system, user_with_prepended_system, assistant_reply_from_google]
-                    // This might need refinement if true multi-turn with Google is implemented via this shared history.
-                    // For now, let's adapt it to OpenAI's storage style for simplicity.
-                    conversation.messages.push({ role: 'user', content: userMessage }); // The original user message
-                    conversation.messages.push({ role: 'assistant', content: assistantResponseText }); // Google's response
-                    
-                    // Trim conversation: system prompt + last user/assistant pair
-                    if (conversation.messages.length > 0 && conversation.messages[0].role === 'system') {
-                         conversation.messages = [conversation.messages[0], ...conversation.messages.slice(-2)];
-                    } else { // If no system prompt was there (should not happen with getOrCreateConversation)
-                        conversation.messages = conversation.messages.slice(-2);
-                    }
-                    await chrome.storage.sync.set({ [`conversation_${userId}_${type}`]: conversation });
+                const assistantContent = adapter.parseResponse(await response.json());
+                const parsedResponse = parseModelJson(assistantContent);
+                // Refuse incomplete answers rather than creating cards with undefined fields
+                validateResponse(type, parsedResponse, responseContext);
 
-                    resolve(JSON.parse(assistantResponseText));
-                }
+                conversation.messages.push({ role: 'assistant', content: assistantContent });
+                // Keep only system prompt and last request/response pair
+                conversation.messages = [conversation.messages[0], ...conversation.messages.slice(-2)];
+                await AnkiLingoFlashStorage.set({ [`${AnkiLingoFlashStorage.CONVERSATION_PREFIX}${userId}_${type}`]: conversation });
 
+                resolve(parsedResponse);
             } catch (error) {
                 console.log(`Error calling ${provider} API:`, error);
                 
@@ -945,6 +2292,7 @@ async function callAIProviderAPI(userId, type, userMessage, language, apiKey = n
                     status: error.status,
                     errorData: error.errorData,
                     isUnsupportedModel: error.isUnsupportedModel,
+                    isInvalidResponse: error.isInvalidResponse || error instanceof SyntaxError,
                     provider: provider
                 };
                 
@@ -966,58 +2314,28 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         });
         return true;  // Will respond asynchronously
     }
-    else if (request.action === "validateApiKey") {
+    else if (request.action === "getProviders") {
+        sendResponse({ providers: getProviderDescriptors() });
+        return true;
+    }
+    else if (request.action === "getNoteTypes") {
+        sendResponse({ noteTypes: getNoteTypeDescriptors() });
+        return true;
+    }
+    else if (request.action === "validateApiKey" || request.action === "validateGoogleApiKey") {
+        // A key is valid when the provider accepts it to list models
+        const provider = request.action === "validateGoogleApiKey" ? AI_PROVIDERS.GOOGLE : (request.provider || AI_PROVIDERS.OPENAI);
+        const adapter = getProviderAdapter(provider);
         const apiKey = request.apiKey;
 
-        if (!apiKey) {
+        if (!apiKey && !adapter.apiKeyOptional) {
             sendResponse({ valid: false, error: "Invalid API key format" });
             return true;
         }
 
-        fetch('https://api.openai.com/v1/models', {
-            headers: {
-                'Authorization': `Bearer ${apiKey}`
-            }
-        })
-            .then(response => {
-                if (!response.ok) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
-                }
-                return response.json();
-            })
-            .then(data => {
-                sendResponse({ valid: true });
-            })
-            .catch(error => {
-                console.log('Error validating API key:', error);
-                sendResponse({ valid: false, error: error.message });
-            });
-
-        return true;
-    }
-    else if (request.action === "validateGoogleApiKey") {
-        const apiKey = request.apiKey;
-        if (!apiKey) {
-            sendResponse({ valid: false, error: "Invalid Google API key format" });
-            return true;
-        }
-        fetch(`${GOOGLE_API_BASE_URL}/models?key=${apiKey}`)
-            .then(async response => { // Made async to await response.json() in error case
-                if (!response.ok) {
-                    let errorMsg = `HTTP error! status: ${response.status}`;
-                    try {
-                        const errorData = await response.json(); // Try to get JSON error details
-                        errorMsg += ` - ${errorData.error?.message || JSON.stringify(errorData)}`;
-                    } catch (e) {
-                        // If error response is not JSON, use statusText
-                        errorMsg += ` - ${response.statusText}`;
-                    }
-                    throw new Error(errorMsg);
-                }
-                return response.json();
-            })
-            .then(data => {
-                if (data.models && data.models.length > 0) {
+        adapter.listModels(apiKey, request.endpoint)
+            .then(models => {
+                if (models.length > 0) {
                     sendResponse({ valid: true });
                 } else {
                     // This could mean the key is valid but has no models, or an unexpected response structure.
@@ -1025,7 +2343,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                 }
             })
             .catch(error => {
-                console.log('Error validating Google API key:', error);
+                console.log(`Error validating ${provider} API key:`, error);
                 sendResponse({ valid: false, error: error.message });
             });
         return true; // Crucial for async sendResponse
@@ -1058,7 +2376,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         });
         return true; // Indicates that the response will be sent asynchronously
     } else if (request.action === "callChatGPTAPI") {
-        callAIProviderAPI(request.userId, request.type, request.message, request.language, request.apiKey)
+        callAIProviderAPI(request.userId, request.type, request.message, request.language, request.apiKey, !!request.withMnemonic)
             .then(data => {
                 sendResponse({ success: true, data: data });
             })
@@ -1076,18 +2394,22 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                 if (error.isUnsupportedModel) {
                     response.isUnsupportedModel = true;
                 }
+                if (error.isInvalidResponse) {
+                    response.isInvalidResponse = true;
+                }
                 
                 sendResponse(response);
             });
         return true;
     } else if (request.action === "getApiKey") {
-        chrome.storage.sync.get(['selectedProvider', 'encryptedApiKey', 'encryptedGoogleApiKey', 'installationPassword'], async (result) => {
+        chrome.storage.sync.get(['selectedProvider', 'installationPassword'], async (result) => {
             const provider = result.selectedProvider || AI_PROVIDERS.OPENAI;
-            const encryptedKeyField = provider === AI_PROVIDERS.GOOGLE ? 'encryptedGoogleApiKey' : 'encryptedApiKey';
-            
-            if (result[encryptedKeyField] && result.installationPassword) {
+            const encryptedKeyField = getProviderAdapter(provider).apiKeyField;
+            const { [encryptedKeyField]: encryptedKey } = await chrome.storage.sync.get(encryptedKeyField);
+
+            if (encryptedKey && result.installationPassword) {
                 try {
-                    const apiKey = await decryptApiKey(result[encryptedKeyField], result.installationPassword);
+                    const apiKey = await decryptApiKey(encryptedKey, result.installationPassword);
                     sendResponse({ apiKey: apiKey });
                 } catch (error) {
                     console.log(`Error decrypting API key for ${provider}:`, error);
@@ -1099,7 +2421,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         });
         return true;
     } else if (request.action === "retryCreateModel") {
-        checkAndCreateModel();
+        ensureNoteTypes();
     } else if (request.action === "getModels") {
         fetch('https://anki-lingo-flash.piriouvictor.workers.dev/api/models')
             .then(response => response.json())
@@ -1114,55 +2436,96 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                 sendResponse({ error: error.message });
             });
         return true;
-    } else if (request.action === "fetchModels") {
-        fetch('https://api.openai.com/v1/models', {
-            headers: {
-                'Authorization': `Bearer ${request.apiKey}`
-            }
-        })
-            .then(response => {
-                if (!response.ok) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
-                }
-                return response.json();
-            })
-            .then(data => {
-                const models = data.data               // full model objects
-                    .map(model => model.id)            // keep only the ID
+    } else if (request.action === "fetchModels" || request.action === "fetchGoogleModels" || request.action === "fetchLocalModels") {
+        const providerByAction = {
+            fetchGoogleModels: AI_PROVIDERS.GOOGLE,
+            fetchLocalModels: AI_PROVIDERS.LOCAL
+        };
+        const provider = providerByAction[request.action] || request.provider || AI_PROVIDERS.OPENAI;
+        getProviderAdapter(provider).listModels(request.apiKey, request.endpoint)
+            .then(models => {
                 sendResponse({ models: models });
             })
             .catch(error => {
-                console.log('Error fetching models:', error);
+                console.log(`Error fetching ${provider} models:`, error);
                 sendResponse({ error: error.message });
             });
         return true; // Important for async sendResponse
-    } else if (request.action === "fetchGoogleModels") {
-        const apiKey = request.apiKey;
-        fetch(`${GOOGLE_API_BASE_URL}/models?key=${apiKey}`)
-            .then(async response => { // Made async to await response.json() in error case
-                if (!response.ok) {
-                    let errorMsg = `HTTP error! status: ${response.status}`;
-                    try {
-                        const errorData = await response.json(); // Try to get JSON error details
-                        errorMsg += ` - ${errorData.error?.message || JSON.stringify(errorData)}`;
-                    } catch (e) {
-                        // If error response is not JSON, use statusText
-                        errorMsg += ` - ${response.statusText}`;
-                    }
-                    throw new Error(errorMsg);
-                }
-                return response.json();
-            })
-            .then(data => {
-                // Extract model names, e.g., "models/gemini-1.5-flash-latest"
-                const allModels = data.models ? data.models.map(model => model.name) : [];
-                sendResponse({ models: allModels });
-            })
-            .catch(error => {
-                console.log('Error fetching Google models:', error);
-                sendResponse({ error: error.message });
-            });
-        return true; // Crucial for async sendResponse
+    } else if (request.action === "getModelIdentity") {
+        getModelIdentity()
+            .then(identity => sendResponse({ success: true, identity: identity }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;  // Will respond asynchronously
+    } else if (request.action === "lookupDictionary") {
+        AnkiLingoFlashDictionary.lookup(request.text)
+            .then(entries => sendResponse({ success: true, entries: entries }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;  // Will respond asynchronously
+    } else if (request.action === "getDictionaries") {
+        AnkiLingoFlashDictionary.getDictionaries()
+            .then(dictionaries => sendResponse({ success: true, dictionaries: dictionaries }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;  // Will respond asynchronously
+    } else if (request.action === "createDictionary") {
+        AnkiLingoFlashDictionary.createDictionary(request.title, request.format)
+            .then(dictionaryId => sendResponse({ success: true, dictionaryId: dictionaryId }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;  // Will respond asynchronously
+    } else if (request.action === "addDictionaryEntries") {
+        AnkiLingoFlashDictionary.addEntries(request.dictionaryId, request.entries)
+            .then(added => sendResponse({ success: true, added: added }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;  // Will respond asynchronously
+    } else if (request.action === "finishDictionary") {
+        AnkiLingoFlashDictionary.finishDictionary(request.dictionaryId)
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;  // Will respond asynchronously
+    } else if (request.action === "deleteDictionary") {
+        AnkiLingoFlashDictionary.deleteDictionary(request.dictionaryId)
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;  // Will respond asynchronously
+    } else if (request.action === "synthesizeSpeech") {
+        synthesizeSpeech(request.text)
+            .then(audio => sendResponse({ success: true, audio: audio }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;  // Will respond asynchronously
+    } else if (request.action === "queueFlashcard") {
+        queueFlashcard(request.flashcard, request.deckName)
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;  // Will respond asynchronously
+    } else if (request.action === "addFlashcardToAnki") {
+        addFlashcardToAnki(request.flashcard, request.deckName, request.settings)
+            .then(result => sendResponse({ success: true, result: result }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;  // Will respond asynchronously
+    } else if (request.action === "addFlashcardsToAnki") {
+        addFlashcardsToAnki(request.items, request.settings)
+            .then(noteIds => sendResponse({ success: true, noteIds: noteIds }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;  // Will respond asynchronously
+    } else if (request.action === "addToBasket") {
+        addToBasket(request.entry)
+            .then(added => sendResponse({ success: true, added: added }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;  // Will respond asynchronously
+    } else if (request.action === "updateBasket") {
+        updateBasket(request.removedIds, request.errors)
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;  // Will respond asynchronously
+    } else if (request.action === "generateBasket") {
+        generateBasket()
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;  // Will respond asynchronously
+    } else if (request.action === "drainOutbox") {
+        drainOutbox()
+            .then(() => getOutbox())
+            .then(outbox => sendResponse({ success: true, remaining: outbox.length }));
+        return true;  // Will respond asynchronously
     } else if (request.action === "invokeAnkiConnect") {
         fetch('http://127.0.0.1:8765', {
             method: 'POST',
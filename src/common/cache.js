@@ -0,0 +1,255 @@
+/**
+ * AnkiLingoFlash content cache
+ *
+ * Keeps generated translations, definitions, examples, dictionary forms and enrichments in local storage, through the storage layer,
+ * so the same text is not sent to the same model twice.
+ * - Entries are identified by what was asked (kind, text, context, language) and who answered (provider, model).
+ *   Their key is a hash of that identity, and the full identity is stored in the entry: a hash collision reads as a miss.
+ * - Entries expire after the TTL set in the popup (`cacheTtlHours`, in hours).
+ * - Each entry keeps its last use. Past MAX_ENTRIES, the least recently used entries are evicted.
+ *   The index of the entries is only written when an entry is added, never on a lookup, so lookups running
+ *   at the same time in several tabs do not overwrite each other.
+ * - Hits and misses are counted for the popup, in memory first and written together a moment later.
+ *
+ * Loaded in the background, the popup and next to the content script, after storage.js.
+ */
+(function (root) {
+    if (root.AnkiLingoFlashCache) {
+        return;
+    }
+
+    const CACHE_PREFIX = root.AnkiLingoFlashStorage.CACHE_PREFIX;
+    // Keys of the entries, with the time they were added
+    const INDEX_KEY = 'cacheIndex';
+    const STATS_KEY = 'cacheStats';
+    const MAX_ENTRIES = 1000;
+    // Evict down to this share of MAX_ENTRIES, so the entries are not all read again on the next additions
+    const EVICTION_TARGET_RATIO = 0.9;
+    const DEFAULT_TTL_HOURS = 24;
+    // The last use only orders the eviction: an hour's precision spares a write on most hits
+    const LAST_USE_RESOLUTION_MS = 60 * 60 * 1000;
+    const STATS_WRITE_DELAY_MS = 2000;
+
+    // Hits and misses counted since the statistics were last written
+    const pendingStats = { hits: 0, misses: 0 };
+    let statsTimer = null;
+
+    /**
+     * Hash a string into 53 bits (cyrb53). Only used to build short storage keys.
+     * @param {string} text - The string to hash.
+     * @returns {string} The hash, in base 36.
+     */
+    function hashString(text) {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < text.length; i++) {
+            const char = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ char, 2654435761);
+            h2 = Math.imul(h2 ^ char, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+    }
+
+    /**
+     * Describe a cache entry, as a string that is the same whenever the same content was asked to the same model.
+     * @param {Object} request - `{ kind, text, context, language, provider, model }`.
+     * @returns {string} The identity of the entry.
+     */
+    function getIdentity(request) {
+        return JSON.stringify([
+            request.kind,
+            request.provider || '',
+            request.model || '',
+            request.language || '',
+            request.text.trim(),
+            (request.context || '').trim()
+        ]);
+    }
+
+    /**
+     * Get the storage key of a cache entry.
+     * @param {string} kind - The kind of content: 'translation', 'definition', 'examples', 'lemma' or an enrichment such as 'reading'.
+     * @param {string} identity - The identity of the entry, from getIdentity.
+     * @returns {string} The storage key.
+     */
+    function getKey(kind, identity) {
+        return `${CACHE_PREFIX}${kind}_${hashString(identity)}`;
+    }
+
+    /**
+     * Read the TTL set in the popup.
+     * @returns {Promise<number>} A promise that resolves with the TTL, in milliseconds.
+     */
+    function getTtl() {
+        return new Promise(resolve => {
+            chrome.storage.sync.get(['cacheTtlHours'], result => {
+                const hours = Number(result.cacheTtlHours);
+                resolve((hours > 0 ? hours : DEFAULT_TTL_HOURS) * 60 * 60 * 1000);
+            });
+        });
+    }
+
+    /**
+     * Read the cache index.
+     * @returns {Promise<Object>} `{ entries }`, holding the time each key was added.
+     */
+    async function getIndex() {
+        const result = await root.AnkiLingoFlashStorage.get([INDEX_KEY]);
+        return { entries: { ...(result[INDEX_KEY] || {}).entries } };
+    }
+
+    /**
+     * Count a lookup, and write the counts a moment later along with the lookups that follow it.
+     * @param {boolean} isHit - Whether the lookup found a valid entry.
+     */
+    function countLookup(isHit) {
+        pendingStats[isHit ? 'hits' : 'misses']++;
+        if (!statsTimer) {
+            statsTimer = setTimeout(writeStats, STATS_WRITE_DELAY_MS);
+        }
+    }
+
+    /**
+     * Add the lookups counted in memory to the stored statistics.
+     * @returns {Promise} A promise that resolves once the statistics are written.
+     */
+    async function writeStats() {
+        statsTimer = null;
+        const counts = { ...pendingStats };
+        pendingStats.hits = 0;
+        pendingStats.misses = 0;
+        const stats = await getStoredStats();
+        await root.AnkiLingoFlashStorage.set({
+            [STATS_KEY]: { hits: stats.hits + counts.hits, misses: stats.misses + counts.misses }
+        });
+    }
+
+    /**
+     * Read the stored statistics.
+     * @returns {Promise<Object>} `{ hits, misses }`.
+     */
+    async function getStoredStats() {
+        const result = await root.AnkiLingoFlashStorage.get([STATS_KEY]);
+        return { hits: 0, misses: 0, ...result[STATS_KEY] };
+    }
+
+    /**
+     * Look up cached content.
+     * @param {Object} request - `{ kind, text, context, language, provider, model }`.
+     * @returns {Promise<*>} A promise that resolves with the cached value, or null on a miss.
+     */
+    async function get(request) {
+        const identity = getIdentity(request);
+        const key = getKey(request.kind, identity);
+        const [result, ttl] = await Promise.all([root.AnkiLingoFlashStorage.get([key]), getTtl()]);
+        const entry = result[key];
+        const isHit = entry && entry.identity === identity && Date.now() - entry.timestamp <= ttl;
+        countLookup(!!isHit);
+
+        if (isHit) {
+            if (Date.now() - (entry.lastUsed || entry.timestamp) > LAST_USE_RESOLUTION_MS) {
+                await root.AnkiLingoFlashStorage.set({ [key]: { ...entry, lastUsed: Date.now() } });
+            }
+            return entry.value;
+        }
+
+        // Expired entries go as soon as they are found; a colliding entry is left for its own identity.
+        // Their key leaves the index at the next eviction or purge.
+        if (entry && entry.identity === identity) {
+            await root.AnkiLingoFlashStorage.remove([key]);
+        }
+        return null;
+    }
+
+    /**
+     * Cache content, evicting the least recently used entries past MAX_ENTRIES.
+     * @param {Object} request - `{ kind, text, context, language, provider, model }`.
+     * @param {*} value - The content to cache.
+     * @returns {Promise} A promise that resolves once the content is cached.
+     */
+    async function set(request, value) {
+        if (value === undefined || value === null || value === '') {
+            return;
+        }
+        const identity = getIdentity(request);
+        const key = getKey(request.kind, identity);
+        const index = await getIndex();
+        index.entries[key] = Date.now();
+
+        const keys = Object.keys(index.entries);
+        if (keys.length > MAX_ENTRIES) {
+            // The entries hold their last use: read them to find the least recently used
+            const items = await root.AnkiLingoFlashStorage.get(keys.filter(indexedKey => indexedKey !== key));
+            const lastUse = indexedKey => items[indexedKey].lastUsed || items[indexedKey].timestamp || 0;
+            const stored = Object.keys(items).sort((a, b) => lastUse(a) - lastUse(b));
+            const evicted = stored.slice(0, Math.max(0, stored.length + 1 - Math.floor(MAX_ENTRIES * EVICTION_TARGET_RATIO)));
+            // Keys whose entry is already gone, expired or evicted by the storage layer, leave the index too
+            keys.filter(indexedKey => indexedKey !== key && (!items[indexedKey] || evicted.includes(indexedKey)))
+                .forEach(indexedKey => delete index.entries[indexedKey]);
+            if (evicted.length > 0) {
+                await root.AnkiLingoFlashStorage.remove(evicted);
+            }
+        }
+
+        await root.AnkiLingoFlashStorage.set({
+            [key]: { identity: identity, value: value, timestamp: Date.now(), lastUsed: Date.now() },
+            [INDEX_KEY]: index
+        });
+    }
+
+    /**
+     * Delete the expired entries, and the entries the storage layer evicted from the index.
+     * @returns {Promise<number>} A promise that resolves with the number of entries deleted.
+     */
+    async function purgeExpired() {
+        const [items, index, ttl] = await Promise.all([root.AnkiLingoFlashStorage.get(null), getIndex(), getTtl()]);
+        const expired = Object.keys(items)
+            .filter(key => root.AnkiLingoFlashStorage.getCategory(key) === 'cache')
+            .filter(key => !(Date.now() - ((items[key] && items[key].timestamp) || 0) <= ttl));
+        if (expired.length > 0) {
+            await root.AnkiLingoFlashStorage.remove(expired);
+        }
+        Object.keys(index.entries)
+            .filter(key => expired.includes(key) || !items[key])
+            .forEach(key => delete index.entries[key]);
+        await root.AnkiLingoFlashStorage.set({ [INDEX_KEY]: index });
+        return expired.length;
+    }
+
+    /**
+     * Delete every cache entry and reset the statistics.
+     * @returns {Promise} A promise that resolves once the cache is empty.
+     */
+    async function clear() {
+        const items = await root.AnkiLingoFlashStorage.get(null);
+        const keys = Object.keys(items).filter(key => root.AnkiLingoFlashStorage.getCategory(key) === 'cache');
+        pendingStats.hits = 0;
+        pendingStats.misses = 0;
+        await root.AnkiLingoFlashStorage.remove([...keys, INDEX_KEY, STATS_KEY]);
+    }
+
+    /**
+     * Get the cache statistics.
+     * @returns {Promise<Object>} `{ entries, hits, misses, maxEntries }`.
+     */
+    async function getStats() {
+        const [index, stats] = await Promise.all([getIndex(), getStoredStats()]);
+        return {
+            entries: Object.keys(index.entries).length,
+            hits: stats.hits + pendingStats.hits,
+            misses: stats.misses + pendingStats.misses,
+            maxEntries: MAX_ENTRIES
+        };
+    }
+
+    root.AnkiLingoFlashCache = {
+        DEFAULT_TTL_HOURS,
+        get,
+        set,
+        purgeExpired,
+        clear,
+        getStats
+    };
+})(globalThis);
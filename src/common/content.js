@@ -16,7 +16,8 @@ if (window.hasRun === true) {
 
     const AI_PROVIDERS = {
         OPENAI: 'openai',
-        GOOGLE: 'google'
+        GOOGLE: 'google',
+        LOCAL: 'local'
     };
 
     // Define the list of supported i18n language keys for UI elements like dropdowns.
@@ -34,6 +35,70 @@ if (window.hasRun === true) {
         // Ensure these keys exist in your messages.json files (e.g., "english_us": { "message": "English (US)" }).
     ];
 
+    // Languages detectLanguage tells apart: the ISO 639-3 codes franc returns for them, the primary subtags
+    // pages declare them with in their lang attributes, and the i18n key the extension names them with.
+    const DETECTABLE_LANGUAGES = [
+        { codes: ['cmn'], tags: ['zh'], key: 'mandarin_simplified' },
+        { codes: ['spa'], tags: ['es'], key: 'spanish_es' },
+        { codes: ['eng'], tags: ['en'], key: 'english_us' },
+        { codes: ['rus'], tags: ['ru'], key: 'russian' },
+        { codes: ['arb'], tags: ['ar'], key: 'arabic_standard' },
+        { codes: ['ben'], tags: ['bn'], key: 'bengali' },
+        { codes: ['hin'], tags: ['hi'], key: 'hindi' },
+        { codes: ['por'], tags: ['pt'], key: 'portuguese_pt' },
+        { codes: ['ind'], tags: ['id'], key: 'indonesian' },
+        { codes: ['jpn'], tags: ['ja'], key: 'japanese' },
+        { codes: ['fra'], tags: ['fr'], key: 'french_fr' },
+        { codes: ['deu'], tags: ['de'], key: 'german_de' },
+        { codes: ['jav'], tags: ['jv'], key: 'javanese' },
+        { codes: ['kor'], tags: ['ko'], key: 'korean' },
+        { codes: ['tel'], tags: ['te'], key: 'telugu' },
+        { codes: ['vie'], tags: ['vi'], key: 'vietnamese' },
+        { codes: ['mar'], tags: ['mr'], key: 'marathi' },
+        { codes: ['ita'], tags: ['it'], key: 'italian_it' },
+        { codes: ['tam'], tags: ['ta'], key: 'tamil' },
+        { codes: ['tur'], tags: ['tr'], key: 'turkish' },
+        { codes: ['urd'], tags: ['ur'], key: 'urdu' },
+        { codes: ['guj'], tags: ['gu'], key: 'gujarati' },
+        { codes: ['pol'], tags: ['pl'], key: 'polish' },
+        { codes: ['ukr'], tags: ['uk'], key: 'ukrainian' },
+        { codes: ['kan'], tags: ['kn'], key: 'kannada' },
+        { codes: ['mai'], tags: ['mai'], key: 'maithili' },
+        { codes: ['mal'], tags: ['ml'], key: 'malayalam' },
+        { codes: ['mya'], tags: ['my'], key: 'burmese' },
+        { codes: ['pan'], tags: ['pa'], key: 'punjabi' },
+        { codes: ['ron'], tags: ['ro'], key: 'romanian' },
+        { codes: ['nld'], tags: ['nl'], key: 'dutch_nl' },
+        { codes: ['hrv'], tags: ['hr'], key: 'croatian' },
+        { codes: ['tha'], tags: ['th'], key: 'thai' },
+        { codes: ['swh'], tags: ['sw'], key: 'swahili' },
+        { codes: ['amh'], tags: ['am'], key: 'amharic' },
+        { codes: ['orm'], tags: ['om'], key: 'oromo' },
+        { codes: ['uzn'], tags: ['uz'], key: 'uzbek' },
+        { codes: ['aze'], tags: ['az'], key: 'azerbaijani' },
+        { codes: ['kat'], tags: ['ka'], key: 'georgian' },
+        { codes: ['ces'], tags: ['cs'], key: 'czech' },
+        { codes: ['hun'], tags: ['hu'], key: 'hungarian' },
+        { codes: ['ell'], tags: ['el'], key: 'greek' },
+        { codes: ['swe'], tags: ['sv'], key: 'swedish' },
+        // 'iw' is the code Hebrew had before 1989, still found on some pages
+        { codes: ['heb'], tags: ['he', 'iw'], key: 'hebrew' },
+        { codes: ['zlm'], tags: ['ms'], key: 'malay' },
+        { codes: ['dan'], tags: ['da'], key: 'danish' },
+        { codes: ['fin'], tags: ['fi'], key: 'finnish' },
+        // franc tells Bokmål from Nynorsk, the extension does not
+        { codes: ['nob', 'nno'], tags: ['no', 'nb', 'nn'], key: 'norwegian' },
+        { codes: ['slk'], tags: ['sk'], key: 'slovak' },
+        { codes: ['pes'], tags: ['fa'], key: 'persian' }
+    ];
+    // Weight of each clue in detectLanguage: the surrounding text says more than a few selected words,
+    // and the language the page declares is only a hint, often left to a template default
+    const DETECTION_WEIGHTS = { selection: 1, context: 2, page: 0.5 };
+    // Lead of the detected language over the next one, as a share of the total weight, for each confidence level
+    const DETECTION_CONFIDENCE_THRESHOLDS = { high: 0.2, medium: 0.08 };
+    // Source languages written right to left. Also used for the target languages.
+    const RTL_LANGUAGE_KEYS = ['arabic_standard', 'arabic_eg', 'hebrew', 'persian', 'urdu'];
+
     // Variables for toast notifications
     let toastShadowRoot;
     let toastContainer;
@@ -42,6 +107,10 @@ if (window.hasRun === true) {
     // Add timeout tracking for toast removal
     let toastRemovalTimeout = null;
 
+    // Synthesized pronunciations by text, and the preview currently playing
+    const speechCache = new Map();
+    let currentAudio = null;
+
     /**
      * Constants for conversation types.
      * These are used to differentiate between different API call purposes.
@@ -52,14 +121,60 @@ if (window.hasRun === true) {
         MNEMONIC: 'mnemonic',
         TRANSLATION: 'translation',
         EXAMPLES: 'examples',
-        TRANSLATION_POPUP: 'translation_popup'
+        TRANSLATION_POPUP: 'translation_popup',
+        CUSTOM_FIELD: 'custom_field',
+        VOCABULARY_EXTRACTION: 'vocabulary_extraction',
+        LEMMA: 'lemma',
+        READING: 'reading',
+        PINYIN: 'pinyin',
+        GENDER: 'gender',
+        CONJUGATION: 'conjugation'
+    };
+
+    // Longest paragraph sent for vocabulary extraction, which is kept in the stored conversation
+    const MAX_EXTRACTION_LENGTH = 3000;
+
+    // Tries per flashcard when generating a batch, so one transient error does not drop a word
+    const BATCH_GENERATION_ATTEMPTS = 2;
+
+    // Offline dictionary entries shown in the translation popup and given to the model as grounding
+    const MAX_DICTIONARY_DEFINITIONS = 5;
+    const MAX_GROUNDING_ENTRIES = 3;
+
+    // Longer selections are expressions, whose dictionary form is the selection itself
+    const MAX_LEMMA_WORDS = 3;
+    const MAX_LEMMA_INFLECTIONS = 6;
+
+    // Enrichments offered for each source language, keyed by its ISO 639-3 code (see DETECTABLE_LANGUAGES). Also in popup_common.js.
+    const LANGUAGE_ENRICHMENTS = {
+        jpn: ['reading', 'conjugation'],
+        cmn: ['pinyin'],
+        deu: ['gender', 'conjugation'],
+        fra: ['gender', 'conjugation'],
+        spa: ['gender', 'conjugation']
+    };
+    // How each enrichment is asked for, and its label in the review modal
+    const ENRICHMENT_MODULES = {
+        reading: { type: CONVERSATION_TYPES.READING, promptKey: 'generateReadingPrompt', labelKey: 'enrichmentReading' },
+        pinyin: { type: CONVERSATION_TYPES.PINYIN, promptKey: 'generatePinyinPrompt', labelKey: 'enrichmentPinyin' },
+        gender: { type: CONVERSATION_TYPES.GENDER, promptKey: 'generateGenderPrompt', labelKey: 'enrichmentGender' },
+        conjugation: { type: CONVERSATION_TYPES.CONJUGATION, promptKey: 'generateConjugationPrompt', labelKey: 'enrichmentConjugation' }
+    };
+    const GENDERS = ['masculine', 'feminine', 'neuter'];
+
+    // Kinds of note a generated flashcard can be added as, also the keys of NOTE_TYPES in the background script
+    const CARD_TYPES = {
+        VOCABULARY: 'vocabulary',
+        CLOZE: 'cloze'
     };
+    // Name of the vocabulary note type defined in NOTE_TYPES in the background script
+    const VOCABULARY_MODEL_NAME = 'AnkiLingoFlash_0.4';
 
     /**
      * Maps API error responses to user-friendly messages based on HTTP status codes and error details.
      * 
      * @param {Object} error - The error object containing status code and error data
-     * @param {string} provider - The AI provider ('openai' or 'google')
+     * @param {string} provider - The AI provider ('openai', 'google' or 'local')
      * @returns {string} The localized error message key
      */
     function getApiErrorMessage(error, provider = 'openai') {
@@ -72,9 +187,18 @@ if (window.hasRun === true) {
                              error.message.includes('Network request failed') ||
                              error.message.includes('network') ||
                              error.message.includes('connection'))) {
+            // A local server that cannot be reached is usually just not started
+            if (provider === AI_PROVIDERS.LOCAL) {
+                return chrome.i18n.getMessage("localServerConnectionFailed");
+            }
             return chrome.i18n.getMessage("networkError");
         }
 
+        // Local servers have no billing or authentication, so their errors are reported as-is
+        if (provider === AI_PROVIDERS.LOCAL) {
+            return `${chrome.i18n.getMessage("localServerError")} ${errorData.error?.message || error.message}`;
+        }
+
         // JSON parsing errors
         if (error.message && error.message.includes('JSON')) {
             return chrome.i18n.getMessage("jsonParseError");
@@ -373,114 +497,144 @@ if (window.hasRun === true) {
                 return;
             }
     
-            chrome.storage.sync.get(['choice', 'model', 'isOwnCredits', 'flashcards', 'language', 'regenerationLimit', 'userId'], function (settings) {
-                if (settings.choice === 'remote') {
-                    const flashcard = settings.flashcards[flashcardId];
-                    if (!flashcard) {
-                        console.log('Flashcard not found');
-                        return;
-                    }
-    
-                    if (!settings.isOwnCredits && flashcard.regenerationCount[part] >= settings.regenerationLimit) {
-                        showToast(chrome.i18n.getMessage(`${part}RegenerationLimitReached`, [settings.regenerationLimit]));
-                        return;
-                    }
-    
-                    flashcard.regenerationCount[part]++;
-                    settings.flashcards[flashcardId] = flashcard;
-                    chrome.storage.sync.set({ flashcards: settings.flashcards });
-
-                    showToast(chrome.i18n.getMessage(`regenerating${part.charAt(0).toUpperCase() + part.slice(1)}`), true, true);
-
-                    const reviewModal = globalShadowRoot.querySelector('#anki-lingo-flash-review-modal');
-                    if (reviewModal) reviewModal.style.display = 'none';
-
-                    let userPrompt;
-                    // settings.language is an i18n key like "english_us"
-                    const naturalLanguageName = chrome.i18n.getMessage(settings.language) || settings.language;
-
-                    if (part === 'definition') {
-                        userPrompt = chrome.i18n.getMessage("generateDefinition", [naturalLanguageName, flashcard.verso]);
-                    } else if (part === 'mnemonic') {
-                        userPrompt = chrome.i18n.getMessage("generateMnemonic", [naturalLanguageName, flashcard.verso]);
-                    } else if (part === 'translation') {
-                        userPrompt = chrome.i18n.getMessage("generateTranslation", [naturalLanguageName, flashcard.verso]);
-                    } else if (part === 'examples') {
-                        // generateExamples prompt does not take language as a parameter in messages.json
-                        userPrompt = chrome.i18n.getMessage("generateExamples", [flashcard.verso]);
-                    }
+            chrome.storage.sync.get(['choice', 'model', 'isOwnCredits', 'language', 'regenerationLimit', 'userId', 'customFields'], async function (settings) {
+                const flashcards = await AnkiLingoFlashStorage.getFlashcards();
+                const flashcard = flashcards[flashcardId];
+                if (!flashcard) {
+                    console.log('Flashcard not found');
+                    return;
+                }
 
-                    console.log(`[regenerateContent] part: ${part}, language (i18n key): ${settings.language}, naturalLanguageName: ${naturalLanguageName}`);
-                    console.log(`[regenerateContent] Prompt utilisé:`, userPrompt);
-
-                    chrome.runtime.sendMessage({
-                        action: "callChatGPTAPI",
-                        userId: settings.userId,
-                        type: CONVERSATION_TYPES[part.toUpperCase()],
-                        message: userPrompt,
-                        language: settings.language // Send the i18n key
-                    }, response => {
-                        if (response.success) {
-                            let newContent = response.data;
-
-                            if (part === 'definition' && newContent.definition) {
-                                flashcard.recto = newContent.definition;
-                            } else if (part === 'mnemonic' && newContent.mnemonic) {
-                                flashcard.mnemonic = newContent.mnemonic;
-                                flashcard.mnemonicGenerated = true;
-                            } else if (part === 'translation' && newContent.translation) {
-                                flashcard.translation = newContent.translation;
-                                // Cache the regenerated translation
-                                setCachedTranslation(flashcard.verso, settings.language, newContent.translation);
-                                console.log('Cached regenerated translation');
-                            } else if (part === 'examples') {
-                                flashcard.example_1 = newContent.example_1 || '';
-                                flashcard.example_2 = newContent.example_2 || '';
-                                flashcard.example_3 = newContent.example_3 || '';
-                            } else {
-                                console.log(`Invalid content for ${part}:`, newContent);
-                                showToast(chrome.i18n.getMessage(`errorRegenerating${part.charAt(0).toUpperCase() + part.slice(1)}`));
-                                if (reviewModal) reviewModal.style.display = 'flex';
-                                return;
-                            }
-
-                            settings.flashcards[flashcardId] = flashcard;
-                            chrome.storage.sync.set({ flashcards: settings.flashcards }, function () {
-                                updateModalContent(flashcard);
-                                removeCurrentToast();
-                                if (reviewModal) reviewModal.style.display = 'flex';
-                            });
+                // Custom card fields are regenerated as "extra_<field id>"
+                const customField = part.startsWith('extra_')
+                    ? (settings.customFields || []).find(field => `extra_${field.id}` === part)
+                    : null;
+                if (part.startsWith('extra_') && !customField) {
+                    console.log('Custom field not found:', part);
+                    return;
+                }
+                const enrichmentModule = ENRICHMENT_MODULES[part] || null;
+                const partLabel = part.charAt(0).toUpperCase() + part.slice(1);
+                // Custom fields and enrichments are named in the messages, the built-in parts have their own
+                const fieldName = customField ? customField.name : (enrichmentModule ? chrome.i18n.getMessage(enrichmentModule.labelKey) : null);
+
+                // Regeneration limits only apply to the free trial, not to own credits or local models
+                flashcard.regenerationCount[part] = flashcard.regenerationCount[part] || 0;
+                if (settings.choice === 'remote' && !settings.isOwnCredits && flashcard.regenerationCount[part] >= settings.regenerationLimit) {
+                    showToast(fieldName
+                        ? chrome.i18n.getMessage("customFieldRegenerationLimitReached", [fieldName, settings.regenerationLimit])
+                        : chrome.i18n.getMessage(`${part}RegenerationLimitReached`, [settings.regenerationLimit]));
+                    return;
+                }
+
+                flashcard.regenerationCount[part]++;
+                AnkiLingoFlashStorage.saveFlashcards([flashcard]);
+
+                showToast(fieldName
+                    ? chrome.i18n.getMessage("regeneratingCustomField", [fieldName])
+                    : chrome.i18n.getMessage(`regenerating${partLabel}`), true, true);
+
+                const reviewModal = globalShadowRoot.querySelector('#anki-lingo-flash-review-modal');
+                if (reviewModal) reviewModal.style.display = 'none';
+
+                let userPrompt;
+                // settings.language is an i18n key like "english_us"
+                const naturalLanguageName = chrome.i18n.getMessage(settings.language) || settings.language;
+
+                if (part === 'definition') {
+                    userPrompt = withDictionaryContext(withSentenceContext(chrome.i18n.getMessage("generateDefinition", [naturalLanguageName, flashcard.verso]), flashcard.sourceSentence), await lookupDictionary(flashcard.verso));
+                } else if (part === 'mnemonic') {
+                    userPrompt = chrome.i18n.getMessage("generateMnemonic", [naturalLanguageName, flashcard.verso]);
+                } else if (part === 'translation') {
+                    userPrompt = withSentenceContext(chrome.i18n.getMessage("generateTranslation", [naturalLanguageName, flashcard.verso]), flashcard.sourceSentence);
+                } else if (part === 'examples') {
+                    // generateExamples prompt does not take language as a parameter in messages.json
+                    userPrompt = chrome.i18n.getMessage("generateExamples", [flashcard.verso]);
+                } else if (enrichmentModule) {
+                    userPrompt = chrome.i18n.getMessage(enrichmentModule.promptKey, [naturalLanguageName, flashcard.verso]);
+                } else if (customField) {
+                    userPrompt = chrome.i18n.getMessage("generateCustomField", [naturalLanguageName, flashcard.verso, customField.name, customField.description]);
+                }
+                userPrompt = withSourceLanguage(userPrompt, flashcard.sourceLanguage);
+
+                chrome.runtime.sendMessage({
+                    action: "callChatGPTAPI",
+                    userId: settings.userId,
+                    type: customField ? CONVERSATION_TYPES.CUSTOM_FIELD : CONVERSATION_TYPES[part.toUpperCase()],
+                    message: userPrompt,
+                    language: settings.language // Send the i18n key
+                }, response => {
+                    if (response.success) {
+                        let newContent = response.data;
+
+                        if (part === 'definition' && newContent.definition) {
+                            flashcard.recto = newContent.definition;
+                            setCachedContent('definition', flashcard.verso, settings.language, newContent.definition, flashcard.sourceSentence);
+                        } else if (part === 'mnemonic' && newContent.mnemonic) {
+                            flashcard.mnemonic = newContent.mnemonic;
+                            flashcard.mnemonicGenerated = true;
+                        } else if (part === 'translation' && newContent.translation) {
+                            flashcard.translation = newContent.translation;
+                            // Cache the regenerated translation
+                            setCachedTranslation(flashcard.verso, settings.language, newContent.translation, flashcard.sourceSentence);
+                        } else if (part === 'examples') {
+                            flashcard.example_1 = newContent.example_1 || '';
+                            flashcard.example_2 = newContent.example_2 || '';
+                            flashcard.example_3 = newContent.example_3 || '';
+                            setCachedContent('examples', flashcard.verso, settings.language, [flashcard.example_1, flashcard.example_2, flashcard.example_3]);
+                        } else if (enrichmentModule) {
+                            // An empty enrichment is an answer too, e.g. no gender for a word that is not a noun
+                            flashcard.enrichments = { ...flashcard.enrichments, [part]: readEnrichmentResponse(part, newContent) };
+                            setCachedContent(part, flashcard.verso, settings.language, newContent);
+                        } else if (customField && newContent.value) {
+                            flashcard.extraFields = flashcard.extraFields || {};
+                            flashcard.extraFields[customField.id] = newContent.value;
                         } else {
-                            console.log(`Error regenerating ${part}:`, response.error);
-                            removeCurrentToast(); // Remove the "regenerating..." toast
-                            
-                            // Use the provider information from the response
-                            const provider = response.provider || 'openai';
-                            
-                            // Check if this is an unsupported model error
-                            if (response.isUnsupportedModel) {
-                                showToast(chrome.i18n.getMessage("unsupportedModelError"));
-                            } else if (response.status) {
-                                // Use the detailed error information from the background script
-                                const errorObj = {
-                                    status: response.status,
-                                    message: response.error,
-                                    errorData: response.errorData || { error: { message: response.error } }
-                                };
-                                
-                                const errorMessage = getApiErrorMessage(errorObj, provider);
-                                showToast(errorMessage);
-                            } else {
-                                // Fallback to the generic regeneration error
-                                showToast(chrome.i18n.getMessage(`errorRegenerating${part.charAt(0).toUpperCase() + part.slice(1)}`));
-                            }
-                            
+                            console.log(`Invalid content for ${part}:`, newContent);
+                            showToast(fieldName
+                                ? chrome.i18n.getMessage("errorRegeneratingCustomField", [fieldName])
+                                : chrome.i18n.getMessage(`errorRegenerating${partLabel}`));
                             if (reviewModal) reviewModal.style.display = 'flex';
+                            return;
                         }
-                    });
-                } else {
-                    console.log('Local model regeneration not implemented');
-                }
+
+                        AnkiLingoFlashStorage.saveFlashcards([flashcard]).then(function () {
+                            updateModalContent(flashcard);
+                            removeCurrentToast();
+                            if (reviewModal) reviewModal.style.display = 'flex';
+                        });
+                    } else {
+                        console.log(`Error regenerating ${part}:`, response.error);
+                        removeCurrentToast(); // Remove the "regenerating..." toast
+                        
+                        // Use the provider information from the response
+                        const provider = response.provider || 'openai';
+                        
+                        // Check if this is an unsupported model error
+                        if (response.isUnsupportedModel) {
+                            showToast(chrome.i18n.getMessage("unsupportedModelError"));
+                        } else if (response.isInvalidResponse) {
+                            showToast(chrome.i18n.getMessage("incompleteModelResponse"));
+                        } else if (response.status || provider === AI_PROVIDERS.LOCAL) {
+                            // Use the detailed error information from the background script
+                            const errorObj = {
+                                status: response.status,
+                                message: response.error,
+                                errorData: response.errorData || { error: { message: response.error } }
+                            };
+                            
+                            const errorMessage = getApiErrorMessage(errorObj, provider);
+                            showToast(errorMessage);
+                        } else {
+                            // Fallback to the generic regeneration error
+                            showToast(fieldName
+                                ? chrome.i18n.getMessage("errorRegeneratingCustomField", [fieldName])
+                                : chrome.i18n.getMessage(`errorRegenerating${partLabel}`));
+                        }
+                        
+                        if (reviewModal) reviewModal.style.display = 'flex';
+                    }
+                });
             });
         });
     }
@@ -509,6 +663,17 @@ if (window.hasRun === true) {
             }
             
             modal.querySelector('.mnemonic').value = flashcard.mnemonic || '';
+
+            modal.querySelectorAll('.extra-field').forEach(textarea => {
+                textarea.value = (flashcard.extraFields || {})[textarea.dataset.fieldId] || '';
+            });
+
+            // Enrichments still being made are left to the review modal
+            modal.querySelectorAll('.enrichment-field').forEach(textarea => {
+                if (flashcard.enrichments && textarea.dataset.enrichment in flashcard.enrichments) {
+                    fillEnrichmentField(textarea, flashcard.enrichments[textarea.dataset.enrichment]);
+                }
+            });
         }
     }
     
@@ -520,21 +685,17 @@ if (window.hasRun === true) {
      * @param {boolean} ellipsis - Whether to show an ellipsis animation in the toast.
      */
     function showToast(message, keepOpen = false, ellipsis = false) {
-        console.log(`[${new Date().toISOString()}] showToast called with:`, { message, keepOpen, ellipsis });
-        
         if (!toastShadowRoot) {
             initializeToastShadowDOM();
         }
     
         // Clear any pending removal timeout to prevent race conditions
         if (toastRemovalTimeout) {
-            console.log(`[${new Date().toISOString()}] Clearing pending toast removal timeout`);
             clearTimeout(toastRemovalTimeout);
             toastRemovalTimeout = null;
         }
     
         if (currentToast) {
-            console.log(`[${new Date().toISOString()}] Removing existing toast before showing new one`);
             toastContainer.removeChild(currentToast);
         }
     
@@ -558,13 +719,9 @@ if (window.hasRun === true) {
         if (!keepOpen) {
             // Calculate appropriate duration based on message length
             const duration = calculateToastDuration(message);
-            console.log(`[${new Date().toISOString()}] Setting timeout to remove toast in ${duration}ms`);
-            
             setTimeout(() => {
                 removeCurrentToast();
             }, duration);
-        } else {
-            console.log(`[${new Date().toISOString()}] Toast will remain open (keepOpen=true)`);
         }
     }
     
@@ -572,10 +729,7 @@ if (window.hasRun === true) {
      * Removes the current toast notification from the DOM.
      */
     function removeCurrentToast() {
-        console.log('removeCurrentToast called');
-        console.trace('removeCurrentToast call stack'); // Add stack trace to see what's calling this
         if (currentToast) {
-            console.log('Removing toast:', currentToast.textContent);
             currentToast.classList.remove('show');
             
             // Clear any existing timeout to prevent conflicts
@@ -594,8 +748,6 @@ if (window.hasRun === true) {
                     }
                 }
             }, 300);
-        } else {
-            console.log('removeCurrentToast called but no current toast exists');
         }
     }
     
@@ -614,7 +766,6 @@ if (window.hasRun === true) {
                 params: { action, version, params }
             }, response => {
                 if (response.success) {
-                    console.log("API call succeeded:", response.data);
                     resolve(response.data.result);
                 } else {
                     console.log("API call failed:" + response.error);
@@ -646,27 +797,19 @@ if (window.hasRun === true) {
      * @param {function} callback - A callback function that receives a boolean indicating authentication status.
      */
     function checkAuth(callback) {
-        chrome.storage.sync.get(['choice', 'user', 'isOwnCredits', 'apiKeyValidated', 'googleApiKeyValidated', 'selectedProvider'], function (result) {
+        chrome.storage.sync.get(['choice', 'user', 'isOwnCredits', 'selectedProvider'], function (result) {
             if (result.choice === 'remote') {
                 if (result.isOwnCredits) {
                     const provider = result.selectedProvider || AI_PROVIDERS.OPENAI; // Default to OpenAI if not set
-                    let isValid = false;
-                    if (provider === AI_PROVIDERS.GOOGLE) {
-                        isValid = result.googleApiKeyValidated === true;
-                    } else { // OpenAI
-                        isValid = result.apiKeyValidated === true;
-                    }
-
-                    if (isValid) {
-                        callback(true);
-                    } else {
-                        console.log(`API key for ${provider} not validated.`);
-                        const errorMessage = provider === AI_PROVIDERS.GOOGLE 
-                            ? chrome.i18n.getMessage("apiError401IncorrectKey")
-                            : chrome.i18n.getMessage("apiError401IncorrectKey");
-                        showToast(errorMessage);
-                        callback(false);
-                    }
+                    isProviderValidated(provider).then(isValid => {
+                        if (isValid) {
+                            callback(true);
+                        } else {
+                            console.log(`API key for ${provider} not validated.`);
+                            showToast(chrome.i18n.getMessage("apiError401IncorrectKey"));
+                            callback(false);
+                        }
+                    });
                 } else if (!result.user) {
                     console.log("User not authenticated in Free trial mode");
                     showToast(chrome.i18n.getMessage("pleaseLogInForFreeTrial"));
@@ -687,22 +830,31 @@ if (window.hasRun === true) {
      */
     async function isApiKeyValid() {
         return new Promise(resolve => {
-            chrome.storage.sync.get(['isOwnCredits', 'apiKeyValidated', 'googleApiKeyValidated', 'selectedProvider'], function (settings) {
+            chrome.storage.sync.get(['isOwnCredits', 'selectedProvider'], function (settings) {
                 if (!settings.isOwnCredits) {
                     resolve(true); // Not in "own credits" mode, so API key validity isn't the primary concern here.
                     return;
                 }
-                const provider = settings.selectedProvider || AI_PROVIDERS.OPENAI;
-                let isValid = false;
-                if (provider === AI_PROVIDERS.GOOGLE) {
-                    isValid = settings.googleApiKeyValidated === true;
-                } else { // OpenAI
-                    isValid = settings.apiKeyValidated === true;
-                }
-                resolve(isValid);
+                isProviderValidated(settings.selectedProvider || AI_PROVIDERS.OPENAI).then(resolve);
             });
         });
     }
+
+    /**
+     * Checks if the configuration of a provider has been validated in the popup.
+     * The storage flag to read is described by the background's provider adapters.
+     * @param {string} provider - The provider ID.
+     * @returns {Promise<boolean>} A promise that resolves with true if the provider is validated.
+     */
+    async function isProviderValidated(provider) {
+        const response = await chrome.runtime.sendMessage({ action: "getProviders" });
+        const descriptor = ((response && response.providers) || []).find(item => item.id === provider);
+        if (!descriptor) {
+            return false;
+        }
+        const result = await chrome.storage.sync.get(descriptor.validatedField);
+        return result[descriptor.validatedField] === true;
+    }
     
     /**
      * Checks if the given text contains natural language characters from supported languages.
@@ -725,78 +877,262 @@ if (window.hasRun === true) {
     let selectionTimeout = null;
     let translationRequestInProgress = false; // Prevent duplicate requests
     let translationPopupShowing = false; // Track when popup is visible
+    // Sentence around the last selection, kept because popups and modals clear the page selection
+    let lastSelectionSentence = { text: '', sentence: '' };
+
+    // Hover dictionary: holding the modifier key set in the popup over a word translates it, no selection needed
+    const HOVER_LOOKUP_DELAY = 150; // ms the pointer rests on a word before it is looked up
+    let hoverDictionarySettings = { enabled: false, modifier: 'Shift' };
+    let lastPointerPosition = null;
+    let hoverLookupTimeout = null;
+    let lastHoverText = '';
+
+    /**
+     * Extracts the sentence containing the current selection from its block-level ancestor.
+     * Used to tell the model which sense of a polysemous word the page uses.
+     *
+     * @param {Selection} selection - The page selection.
+     * @returns {string} The sentence, or an empty string if it cannot be determined.
+     */
+    function extractSentenceFromSelection(selection) {
+        if (!selection || selection.rangeCount === 0) {
+            return '';
+        }
+        const range = selection.getRangeAt(0);
+        let block = range.commonAncestorContainer;
+        if (block.nodeType !== Node.ELEMENT_NODE) {
+            block = block.parentElement;
+        }
+        while (block && block !== document.body && window.getComputedStyle(block).display.startsWith('inline')) {
+            block = block.parentElement;
+        }
+        if (!block) {
+            return '';
+        }
+
+        // Locate the selection inside the block's text
+        const prefixRange = document.createRange();
+        prefixRange.setStart(block, 0);
+        prefixRange.setEnd(range.startContainer, range.startOffset);
+        const blockText = block.textContent || '';
+        const start = prefixRange.toString().length;
+        const end = start + range.toString().length;
+
+        const sentence = splitSentences(blockText)
+            .filter(item => item.index < end && item.index + item.text.length > start)
+            .map(item => item.text)
+            .join('')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        // Very long "sentences" are usually unpunctuated page chrome, not useful context
+        return sentence.length <= 500 ? sentence : '';
+    }
+
+    /**
+     * Splits a text into sentences.
+     *
+     * @param {string} text - The text to split.
+     * @returns {Object[]} The sentences, as `{ index, text }` with their offset in the text.
+     */
+    function splitSentences(text) {
+        if (typeof Intl.Segmenter === 'function') {
+            return Array.from(new Intl.Segmenter(undefined, { granularity: 'sentence' }).segment(text),
+                segment => ({ index: segment.index, text: segment.segment }));
+        }
+        return Array.from(text.matchAll(/[^.!?。！？]+[.!?。！？]*\s*/g),
+            match => ({ index: match.index, text: match[0] }));
+    }
+
+    /**
+     * Finds the first sentence of a text that contains a term.
+     *
+     * @param {string} text - The text to search, such as a paragraph.
+     * @param {string} term - The term to look for.
+     * @returns {string} The sentence, or an empty string if the term is not found.
+     */
+    function findSentenceContaining(text, term) {
+        const needle = term.trim().toLowerCase();
+        const sentence = splitSentences(text).find(item => item.text.toLowerCase().includes(needle));
+        const result = sentence ? sentence.text.replace(/\s+/g, ' ').trim() : '';
+        return result.length <= 500 ? result : '';
+    }
+
+    /**
+     * Gets the sentence surrounding a selected text, from the live selection or the last one remembered.
+     *
+     * @param {string} text - The selected text.
+     * @returns {string} The sentence, or an empty string if unknown or identical to the selection.
+     */
+    function getSentenceForSelection(text) {
+        const selection = window.getSelection();
+        if (selection && selection.toString().trim() === text) {
+            lastSelectionSentence = { text: text, sentence: extractSentenceFromSelection(selection) };
+        }
+        const sentence = lastSelectionSentence.text === text ? lastSelectionSentence.sentence : '';
+        return sentence !== text ? sentence : '';
+    }
+
+    /**
+     * Gets the text selected on the page, or in the focused text field, for the keyboard shortcuts.
+     *
+     * @returns {string} The selected text, or an empty string if nothing is selected.
+     */
+    function getSelectedText() {
+        const activeElement = document.activeElement;
+        if (activeElement && (activeElement.tagName === 'TEXTAREA' || activeElement.tagName === 'INPUT')
+            && typeof activeElement.selectionStart === 'number') {
+            return activeElement.value.slice(activeElement.selectionStart, activeElement.selectionEnd).trim();
+        }
+        const selection = window.getSelection();
+        return selection ? selection.toString().trim() : '';
+    }
+
+    /**
+     * Gets where to show a popup for the current selection, just below it.
+     *
+     * @returns {Object|null} The position, as `{ left, top }` in page coordinates, or null when the selection has no box.
+     */
+    function getSelectionPosition() {
+        const selection = window.getSelection();
+        if (!selection || selection.rangeCount === 0) {
+            return null;
+        }
+        const rect = selection.getRangeAt(0).getBoundingClientRect();
+        if (rect.width === 0 && rect.height === 0) {
+            return null;
+        }
+        return {
+            left: rect.left + window.scrollX,
+            top: rect.bottom + window.scrollY + 5
+        };
+    }
+
+    /**
+     * Adds the source sentence to a prompt so the model picks the sense used on the page.
+     *
+     * @param {string} prompt - The prompt about the selected text.
+     * @param {string} sentence - The sentence containing the selection.
+     * @returns {string} The prompt, with the sentence context when available.
+     */
+    function withSentenceContext(prompt, sentence) {
+        return sentence ? `${prompt}\n${chrome.i18n.getMessage("sentenceContextPrompt", [sentence])}` : prompt;
+    }
+
+    /**
+     * Tells the model which language the selected text is in, so a word spelled the same in several languages
+     * is read in the right one.
+     *
+     * @param {string} prompt - The prompt about the selected text.
+     * @param {string|null} languageKey - The i18n key of the source language, detected or chosen in the review modal.
+     * @returns {string} The prompt, with the source language when known.
+     */
+    function withSourceLanguage(prompt, languageKey) {
+        return languageKey ? `${prompt}\n${chrome.i18n.getMessage("sourceLanguagePrompt", [chrome.i18n.getMessage(languageKey) || languageKey])}` : prompt;
+    }
 
     /**
-     * Creates a simple hash for text to use in cache keys
-     * @param {string} text - The text to hash
-     * @returns {string} A simple hash of the text
+     * Adds the entries of the offline dictionaries to a prompt, as grounding for the definition.
+     *
+     * @param {string} prompt - The prompt about the selected text.
+     * @param {Object[]} entries - The dictionary entries for the text.
+     * @returns {string} The prompt, with the dictionary entries when there are some.
      */
-    function createTextHash(text) {
-        let hash = 0;
-        for (let i = 0; i < text.length; i++) {
-            const char = text.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32-bit integer
+    function withDictionaryContext(prompt, entries) {
+        if (!entries || entries.length === 0) {
+            return prompt;
         }
-        return hash.toString(36);
+        const excerpt = entries.slice(0, MAX_GROUNDING_ENTRIES).map(entry =>
+            `${entry.term}${entry.reading ? ` [${entry.reading}]` : ''}${entry.partOfSpeech ? ` (${entry.partOfSpeech})` : ''}: ${entry.definitions.slice(0, MAX_DICTIONARY_DEFINITIONS).join('; ')}`
+        ).join('\n');
+        return `${prompt}\n${chrome.i18n.getMessage("dictionaryContextPrompt", [excerpt])}`;
+    }
+
+    /**
+     * Gets the provider and model that currently answer, so cached content is only reused for the same model
+     * @returns {Promise<Object>} The `{ provider, model }` identity, empty when the background does not answer
+     */
+    function getModelIdentity() {
+        return new Promise((resolve) => {
+            chrome.runtime.sendMessage({ action: "getModelIdentity" }, function (response) {
+                if (chrome.runtime.lastError || !response || !response.success) {
+                    resolve({ provider: '', model: '' });
+                } else {
+                    resolve(response.identity);
+                }
+            });
+        });
     }
 
     /**
-     * Creates a cache key for translation storage
+     * Gets cached generated content if it exists and is not expired
+     * @param {string} kind - The kind of content: 'translation', 'definition', 'examples', 'lemma' or an enrichment such as 'reading'
      * @param {string} text - The source text
      * @param {string} language - The target language (i18n key)
-     * @returns {string} The cache key
+     * @param {string} [context] - The sentence the text was selected in, when the content depends on it
+     * @returns {Promise<*>} The cached content or null
      */
-    function createTranslationCacheKey(text, language) {
-        const textHash = createTextHash(text);
-        return `translation_cache_${textHash}_${language}`;
+    async function getCachedContent(kind, text, language, context) {
+        try {
+            const identity = await getModelIdentity();
+            return await AnkiLingoFlashCache.get({ kind, text, language, context, ...identity });
+        } catch (error) {
+            console.log(`Error reading the ${kind} cache:`, error);
+            return null;
+        }
     }
 
     /**
-     * Checks if a translation cache entry has expired (24 hours)
-     * @param {number} timestamp - The timestamp from the cache entry
-     * @returns {boolean} True if expired, false otherwise
+     * Caches generated content
+     * @param {string} kind - The kind of content: 'translation', 'definition', 'examples', 'lemma' or an enrichment such as 'reading'
+     * @param {string} text - The source text
+     * @param {string} language - The target language (i18n key)
+     * @param {*} value - The generated content
+     * @param {string} [context] - The sentence the text was selected in, when the content depends on it
      */
-    function isTranslationExpired(timestamp) {
-        const TWENTY_FOUR_HOURS = 24 * 60 * 60 * 1000; // 86400000 ms
-        return (Date.now() - timestamp) > TWENTY_FOUR_HOURS;
+    async function setCachedContent(kind, text, language, value, context) {
+        try {
+            const identity = await getModelIdentity();
+            await AnkiLingoFlashCache.set({ kind, text, language, context, ...identity }, value);
+        } catch (error) {
+            console.log(`Error writing the ${kind} cache:`, error);
+        }
     }
 
     /**
      * Gets a cached translation if it exists and is not expired
      * @param {string} text - The source text
      * @param {string} language - The target language (i18n key)
+     * @param {string} context - The sentence the text was selected in, which tells its sense
      * @returns {Promise<string|null>} The cached translation or null
      */
-    function getCachedTranslation(text, language) {
-        return new Promise((resolve) => {
-            const cacheKey = createTranslationCacheKey(text, language);
-            chrome.storage.sync.get([cacheKey], function (result) {
-                const cacheEntry = result[cacheKey];
-                if (cacheEntry && !isTranslationExpired(cacheEntry.timestamp)) {
-                    resolve(cacheEntry.translation);
-                } else {
-                    resolve(null);
-                }
-            });
-        });
+    function getCachedTranslation(text, language, context) {
+        return getCachedContent('translation', text, language, context);
     }
 
     /**
-     * Sets a cached translation with timestamp
+     * Caches a translation
      * @param {string} text - The source text
      * @param {string} language - The target language (i18n key)
      * @param {string} translation - The translation result
+     * @param {string} context - The sentence the text was selected in, which tells its sense
+     * @returns {Promise} A promise that resolves once the translation is cached
      */
-    function setCachedTranslation(text, language, translation) {
-        const cacheKey = createTranslationCacheKey(text, language);
-        const cacheEntry = {
-            translation: translation,
-            timestamp: Date.now(),
-            sourceText: text,
-            targetLanguage: language
-        };
-        chrome.storage.sync.set({ [cacheKey]: cacheEntry });
+    function setCachedTranslation(text, language, translation, context) {
+        return setCachedContent('translation', text, language, translation, context);
+    }
+
+    /**
+     * Caches the definition and the examples of a generated flashcard, so they can be reused for the same text
+     * @param {Object} flashcard - The flashcard, with `verso`, `recto`, `sourceSentence` and `example_1` to `example_3`
+     * @param {string} language - The target language (i18n key)
+     */
+    function cacheFlashcardContent(flashcard, language) {
+        setCachedContent('definition', flashcard.verso, language, flashcard.recto, flashcard.sourceSentence);
+        const examples = [flashcard.example_1, flashcard.example_2, flashcard.example_3];
+        if (examples.some(Boolean)) {
+            setCachedContent('examples', flashcard.verso, language, examples.map(example => example || ''));
+        }
     }
 
     /**
@@ -815,6 +1151,8 @@ if (window.hasRun === true) {
             return;
         }
 
+        lastSelectionSentence = { text: selectedText, sentence: extractSentenceFromSelection(selection) };
+
         // Remove existing icon
         hideTranslationIcon();
 
@@ -894,9 +1232,10 @@ if (window.hasRun === true) {
      * Requests a translation from the API
      * @param {string} text - The text to translate
      * @param {string} language - The target language (i18n key)
+     * @param {string} sentence - The sentence around the text, from getSentenceForSelection
      * @param {function} callback - The callback function
      */
-    function requestTranslation(text, language, callback) {
+    function requestTranslation(text, language, sentence, callback) {
         checkAuth((isAuthenticated) => {
             if (!isAuthenticated) {
                 callback(null, chrome.i18n.getMessage("pleaseLogInForFreeTrial") || "Please log in for free trial");
@@ -904,28 +1243,24 @@ if (window.hasRun === true) {
             }
 
             chrome.storage.sync.get(['choice', 'model', 'isOwnCredits', 'language', 'userId'], function (settings) {
-                if (settings.choice === 'remote') {
-                    // Get natural language name for the prompt
-                    const naturalLanguageName = chrome.i18n.getMessage(settings.language) || settings.language;
-                    const userPrompt = chrome.i18n.getMessage("generateTranslation", [naturalLanguageName, text]);
-
-                    chrome.runtime.sendMessage({
-                        action: "callChatGPTAPI",
-                        userId: settings.userId,
-                        type: CONVERSATION_TYPES.TRANSLATION_POPUP,
-                        message: userPrompt,
-                        language: settings.language
-                    }, response => {
-                        if (response.success && response.data && response.data.translation) {
-                            callback(response.data.translation, null);
-                        } else {
-                            const errorMessage = response.error || chrome.i18n.getMessage("errorGeneratingTranslation") || "Error generating translation";
-                            callback(null, errorMessage);
-                        }
-                    });
-                } else {
-                    callback(null, chrome.i18n.getMessage("translationNotSupportedLocal") || "Translation not supported in local mode");
-                }
+                // Get natural language name for the prompt
+                const naturalLanguageName = chrome.i18n.getMessage(settings.language) || settings.language;
+                const userPrompt = withSentenceContext(chrome.i18n.getMessage("generateTranslation", [naturalLanguageName, text]), sentence);
+
+                chrome.runtime.sendMessage({
+                    action: "callChatGPTAPI",
+                    userId: settings.userId,
+                    type: CONVERSATION_TYPES.TRANSLATION_POPUP,
+                    message: userPrompt,
+                    language: settings.language
+                }, response => {
+                    if (response.success && response.data && response.data.translation) {
+                        callback(response.data.translation, null);
+                    } else {
+                        const errorMessage = response.error || chrome.i18n.getMessage("errorGeneratingTranslation") || "Error generating translation";
+                        callback(null, errorMessage);
+                    }
+                });
             });
         });
     }
@@ -945,6 +1280,7 @@ if (window.hasRun === true) {
                         </div>
                     </div>
                     <div class="button-container">
+                        <button id="addToBasketButton" class="modal-button">${chrome.i18n.getMessage("addToBasket")}</button>
                         <button id="generateFlashcardButton" class="modal-button">${chrome.i18n.getMessage("generateFlashcard") || "Generate Flashcard"}</button>
                     </div>
                 </div>
@@ -989,18 +1325,28 @@ if (window.hasRun === true) {
         }
 
         // Get current language setting
-        chrome.storage.sync.get(['language'], function (settings) {
+        // Read before the selection can change, for both the cache and the prompt
+        const sentence = getSentenceForSelection(text);
+
+        chrome.storage.sync.get(['language'], async function (settings) {
             const targetLanguage = settings.language || 'english_us';
 
+            // Offline dictionaries answer first, without calling a model
+            const dictionaryEntries = await lookupDictionary(text);
+            if (dictionaryEntries.length > 0) {
+                displayDictionaryEntries(dictionaryEntries);
+                return;
+            }
+
             // Check cache first
-            getCachedTranslation(text, targetLanguage).then(cachedTranslation => {
+            getCachedTranslation(text, targetLanguage, sentence).then(cachedTranslation => {
                 if (cachedTranslation) {
                     displayTranslationResult(cachedTranslation);
                 } else {
                     // Request translation from API
-                    requestTranslation(text, targetLanguage, function(translation, error) {
+                    requestTranslation(text, targetLanguage, sentence, function(translation, error) {
                         if (translation) {
-                            setCachedTranslation(text, targetLanguage, translation);
+                            setCachedTranslation(text, targetLanguage, translation, sentence);
                             displayTranslationResult(translation);
                         } else {
                             displayTranslationError(error);
@@ -1019,15 +1365,17 @@ if (window.hasRun === true) {
      * @param {string} text - The original text that was translated
      * @param {string} translation - The translation result
      * @param {Object} iconPosition - Position where the popup should appear
+     * @param {Object[]} [dictionaryEntries] - Entries of the offline dictionaries, shown instead of the translation
      */
-    async function showTranslationPopupWithResult(text, translation, iconPosition) {
+    async function showTranslationPopupWithResult(text, translation, iconPosition, dictionaryEntries) {
         const modalHtml = `
             <div id="anki-lingo-flash-translate-modal" class="anki-lingo-flash-container">
                 <div id="translateModal">
                     <div id="translationResult">
-                        <p class="translation-text">${escapeHTML(translation)}</p>
+                        ${dictionaryEntries ? renderDictionaryEntries(dictionaryEntries) : `<p class="translation-text">${escapeHTML(translation)}</p>`}
                     </div>
                     <div class="button-container">
+                        <button id="addToBasketButton" class="modal-button">${chrome.i18n.getMessage("addToBasket")}</button>
                         <button id="generateFlashcardButton" class="modal-button">${chrome.i18n.getMessage("generateFlashcard") || "Generate Flashcard"}</button>
                     </div>
                 </div>
@@ -1102,84 +1450,328 @@ if (window.hasRun === true) {
     }
 
     /**
-     * Displays an error message in the translation popup
-     * @param {string} error - The error message
+     * Displays the entries of the offline dictionaries in the translation popup
+     * @param {Object[]} entries - The dictionary entries
      */
-    function displayTranslationError(error) {
+    function displayDictionaryEntries(entries) {
         const resultDiv = globalShadowRoot.querySelector('#translationResult');
         if (resultDiv) {
-            resultDiv.innerHTML = `<p class="translation-error">${escapeHTML(error)}</p>`;
+            resultDiv.innerHTML = renderDictionaryEntries(entries);
         }
     }
 
     /**
-     * Sets up event listeners for the translation modal
-     * @param {string} originalText - The original text that was translated
+     * Builds the HTML of dictionary entries
+     * @param {Object[]} entries - The dictionary entries, as `{ dictionary, term, reading, partOfSpeech, definitions }`
+     * @returns {string} The HTML of the entries
      */
-    function setupTranslationModalListeners(originalText) {
-        const modal = globalShadowRoot.querySelector('#anki-lingo-flash-translate-modal');
+    function renderDictionaryEntries(entries) {
+        return `<div class="dictionary-entries">${entries.map(entry => `
+            <div class="dictionary-entry">
+                <p class="dictionary-term"><b>${escapeHTML(entry.term)}</b>${entry.reading ? ` <span class="dictionary-reading">${escapeHTML(entry.reading)}</span>` : ''}${entry.partOfSpeech ? ` <i>${escapeHTML(entry.partOfSpeech)}</i>` : ''}</p>
+                <ol class="dictionary-definitions">${entry.definitions.slice(0, MAX_DICTIONARY_DEFINITIONS).map(definition => `<li>${escapeHTML(definition)}</li>`).join('')}</ol>
+                <p class="dictionary-source">${escapeHTML(entry.dictionary)}</p>
+            </div>`).join('')}
+        </div>`;
+    }
 
-        modal.addEventListener('click', function(event) {
-            if (event.target.id === 'generateFlashcardButton') {
-                hideTranslationPopup();
-                // Always generate fresh flashcard (no cache reuse)
-                generateFlashcard(originalText);
-            }
+    /**
+     * Looks a text up in the offline dictionaries, which the background keeps
+     * @param {string} text - The text to look up
+     * @returns {Promise<Object[]>} The entries found, none when the lookup fails
+     */
+    function lookupDictionary(text) {
+        return new Promise((resolve) => {
+            chrome.runtime.sendMessage({ action: "lookupDictionary", text: text }, function (response) {
+                if (chrome.runtime.lastError || !response || !response.success) {
+                    resolve([]);
+                } else {
+                    resolve(response.entries);
+                }
+            });
         });
+    }
 
-        // Add document-level click listener to close popup when clicking outside
-        document.addEventListener('click', function clickOutsideHandler(event) {
-            if (modal && !modal.contains(event.target)) {
-                hideTranslationPopup();
-                document.removeEventListener('click', clickOutsideHandler);
-            }
+    /**
+     * Asks the model for the dictionary form of a selected word, with its part of speech and key inflections.
+     * Answers are cached, so the same form in the same sentence is only asked once.
+     * @param {string} text - The form selected on the page
+     * @param {string} sourceSentence - The sentence containing it, if known
+     * @param {string|null} sourceLanguage - The i18n key of the language it is in, if known
+     * @returns {Promise<Object|null>} `{ lemma, partOfSpeech, inflections }`, `inflections` holding `{ form, description }`,
+     *     or null when the lookup is turned off, the selection is too long or the model failed
+     */
+    async function findLemma(text, sourceSentence, sourceLanguage) {
+        const settings = await new Promise(resolve => chrome.storage.sync.get(['lemmaEnabled', 'language', 'userId'], resolve));
+        if (settings.lemmaEnabled === false || !text.trim() || text.trim().split(/\s+/).length > MAX_LEMMA_WORDS) {
+            return null;
+        }
+        const language = settings.language || 'english_us';
+        const cachedLemma = await getCachedContent('lemma', text, language, sourceSentence);
+        if (cachedLemma) {
+            return cachedLemma;
+        }
+
+        const naturalLanguageName = chrome.i18n.getMessage(language) || language;
+        const prompt = withSourceLanguage(chrome.i18n.getMessage("generateLemmaPrompt", [naturalLanguageName, text]), sourceLanguage);
+        const response = await new Promise(resolve => {
+            chrome.runtime.sendMessage({
+                action: "callChatGPTAPI",
+                userId: settings.userId,
+                type: CONVERSATION_TYPES.LEMMA,
+                message: sourceSentence ? `${prompt}\n${chrome.i18n.getMessage("lemmaSentenceContextPrompt", [sourceSentence])}` : prompt,
+                language: language
+            }, response => resolve(chrome.runtime.lastError ? null : response));
         });
+        if (!response || !response.success) {
+            console.log("Lemma lookup failed:", response ? response.error : chrome.runtime.lastError);
+            return null;
+        }
+
+        const lemma = {
+            lemma: response.data.lemma.trim(),
+            partOfSpeech: response.data.part_of_speech.trim(),
+            inflections: response.data.inflections
+        };
+        setCachedContent('lemma', text, language, lemma, sourceSentence);
+        return lemma;
     }
 
     /**
-     * Hides the translation popup
+     * Lists the enrichments to make for a source language, leaving out those turned off in the popup
+     * @param {string|null} languageCode - The ISO 639-3 code of the source language, from getLanguageCode
+     * @returns {Promise<string[]>} The IDs of the enrichment modules, keys of ENRICHMENT_MODULES
      */
-    function hideTranslationPopup() {
-        const modal = globalShadowRoot.querySelector('#anki-lingo-flash-translate-modal');
-        if (modal) {
-            modal.remove();
+    function loadEnrichmentModules(languageCode) {
+        return new Promise(resolve => {
+            chrome.storage.sync.get(['disabledEnrichments'], function (result) {
+                const disabled = (result.disabledEnrichments || {})[languageCode] || [];
+                resolve((LANGUAGE_ENRICHMENTS[languageCode] || []).filter(moduleId => !disabled.includes(moduleId)));
+            });
+        });
+    }
+
+    /**
+     * Asks the model for an enrichment of a term, unless it is cached. The raw answer is cached,
+     * so a term the enrichment does not apply to is not asked again either.
+     * @param {string} moduleId - The enrichment, a key of ENRICHMENT_MODULES
+     * @param {string} text - The term
+     * @param {string|null} sourceLanguage - The i18n key of the language the term is in
+     * @returns {Promise<*>} The enrichment, from readEnrichmentResponse; null when it does not apply or the model failed
+     */
+    async function findEnrichment(moduleId, text, sourceLanguage) {
+        const settings = await new Promise(resolve => chrome.storage.sync.get(['language', 'userId'], resolve));
+        const language = settings.language || 'english_us';
+        let data = await getCachedContent(moduleId, text, language);
+        if (!data) {
+            const naturalLanguageName = chrome.i18n.getMessage(language) || language;
+            const response = await new Promise(resolve => {
+                chrome.runtime.sendMessage({
+                    action: "callChatGPTAPI",
+                    userId: settings.userId,
+                    type: ENRICHMENT_MODULES[moduleId].type,
+                    message: withSourceLanguage(chrome.i18n.getMessage(ENRICHMENT_MODULES[moduleId].promptKey, [naturalLanguageName, text]), sourceLanguage),
+                    language: language
+                }, response => resolve(chrome.runtime.lastError ? null : response));
+            });
+            if (!response || !response.success) {
+                console.log(`${moduleId} lookup failed:`, response ? response.error : chrome.runtime.lastError);
+                return null;
+            }
+            data = response.data;
+            setCachedContent(moduleId, text, language, data);
         }
-        // Reset flag that popup is showing
-        translationPopupShowing = false;
+        return readEnrichmentResponse(moduleId, data);
     }
 
     /**
-     * Processes a translation request silently, showing popup only on success
-     * @param {string} text - The text to translate
-     * @param {Object} iconPosition - Position of the translation icon for popup placement
+     * Reads an enrichment out of the model's answer
+     * @param {string} moduleId - The enrichment, a key of ENRICHMENT_MODULES
+     * @param {Object} data - The answer of the model
+     * @returns {*} A string for the reading and the pinyin, `{ gender, article }` for the gender,
+     *     `[{ tense, forms }]` for the conjugation; null when the enrichment does not apply to the term
      */
-    async function processTranslationRequest(text, iconPosition) {
-        // Prevent duplicate requests
-        if (translationRequestInProgress) {
-            return;
+    function readEnrichmentResponse(moduleId, data) {
+        if (moduleId === 'gender') {
+            const gender = data.gender.trim().toLowerCase();
+            return GENDERS.includes(gender) ? { gender: gender, article: data.article.trim() } : null;
+        }
+        if (moduleId === 'conjugation') {
+            return data.conjugation.length > 0
+                ? data.conjugation.map(row => ({ tense: row.tense.trim(), forms: row.forms.trim() }))
+                : null;
         }
+        return data[moduleId].trim() || null;
+    }
 
-        translationRequestInProgress = true;
+    /**
+     * Shows an enrichment as the text edited in the review modal: conjugations as one "tense: forms" line per tense
+     * @param {string} moduleId - The enrichment, a key of ENRICHMENT_MODULES
+     * @param {*} value - The enrichment, from readEnrichmentResponse
+     * @returns {string} The text
+     */
+    function formatEnrichment(moduleId, value) {
+        if (!value) {
+            return '';
+        }
+        if (moduleId === 'gender') {
+            return value.article;
+        }
+        if (moduleId === 'conjugation') {
+            return value.map(row => row.tense ? `${row.tense}: ${row.forms}` : row.forms).join('\n');
+        }
+        return value;
+    }
 
-        try {
-            // Get language setting
-            const settings = await new Promise(resolve => {
-                chrome.storage.sync.get(['language'], resolve);
+    /**
+     * Reads an enrichment back from the text edited in the review modal
+     * @param {string} moduleId - The enrichment, a key of ENRICHMENT_MODULES
+     * @param {string} text - The edited text
+     * @param {string} [gender] - The gender the article goes with, for the gender enrichment
+     * @returns {*} The enrichment, as returned by readEnrichmentResponse
+     */
+    function parseEnrichment(moduleId, text, gender) {
+        if (!text.trim()) {
+            return null;
+        }
+        if (moduleId === 'gender') {
+            return { gender: gender || '', article: text.trim() };
+        }
+        if (moduleId === 'conjugation') {
+            return text.split('\n').filter(line => line.trim()).map(line => {
+                const separator = line.indexOf(':');
+                return separator === -1
+                    ? { tense: '', forms: line.trim() }
+                    : { tense: line.slice(0, separator).trim(), forms: line.slice(separator + 1).trim() };
+            });
+        }
+        return text.trim();
+    }
+
+    /**
+     * Shows an enrichment in its field of the review modal. The gender of a noun goes next to the heading of its article.
+     * @param {HTMLTextAreaElement} textarea - The field of the enrichment
+     * @param {*} value - The enrichment, from readEnrichmentResponse
+     */
+    function fillEnrichmentField(textarea, value) {
+        const moduleId = textarea.dataset.enrichment;
+        textarea.value = formatEnrichment(moduleId, value);
+        if (moduleId === 'gender') {
+            textarea.dataset.gender = value ? value.gender : '';
+            textarea.closest('.sub-section').querySelector('.enrichment-gender').textContent = value && value.gender
+                ? `(${chrome.i18n.getMessage(`gender${value.gender.charAt(0).toUpperCase()}${value.gender.slice(1)}`)})`
+                : '';
+        }
+    }
+
+    /**
+     * Displays an error message in the translation popup
+     * @param {string} error - The error message
+     */
+    function displayTranslationError(error) {
+        const resultDiv = globalShadowRoot.querySelector('#translationResult');
+        if (resultDiv) {
+            resultDiv.innerHTML = `<p class="translation-error">${escapeHTML(error)}</p>`;
+        }
+    }
+
+    /**
+     * Sets up event listeners for the translation modal
+     * @param {string} originalText - The original text that was translated
+     */
+    function setupTranslationModalListeners(originalText) {
+        const modal = globalShadowRoot.querySelector('#anki-lingo-flash-translate-modal');
+
+        showKnownWordNotice(originalText);
+
+        loadTtsSettings().then(settings => {
+            const buttonContainer = modal.querySelector('.button-container');
+            if (!settings.ttsEnabled || !buttonContainer || modal.querySelector('#playPronunciationButton')) {
+                return;
+            }
+            const playButton = document.createElement('button');
+            playButton.id = 'playPronunciationButton';
+            playButton.className = 'modal-button play-audio-button';
+            playButton.title = chrome.i18n.getMessage("playPronunciation");
+            playButton.innerHTML = '&#9654;';
+            buttonContainer.insertBefore(playButton, buttonContainer.firstChild);
+        });
+
+        modal.addEventListener('click', function(event) {
+            if (event.target.id === 'generateFlashcardButton') {
+                hideTranslationPopup();
+                // Always generate fresh flashcard (no cache reuse)
+                generateFlashcard(originalText);
+            } else if (event.target.id === 'addToBasketButton') {
+                hideTranslationPopup();
+                addToBasket(originalText);
+            } else if (event.target.id === 'playPronunciationButton') {
+                playPronunciation(originalText, event.target);
+            }
+        });
+
+        // Add document-level click listener to close popup when clicking outside
+        document.addEventListener('click', function clickOutsideHandler(event) {
+            if (modal && !modal.contains(event.target)) {
+                hideTranslationPopup();
+                document.removeEventListener('click', clickOutsideHandler);
+            }
+        });
+    }
+
+    /**
+     * Hides the translation popup
+     */
+    function hideTranslationPopup() {
+        const modal = globalShadowRoot.querySelector('#anki-lingo-flash-translate-modal');
+        if (modal) {
+            modal.remove();
+        }
+        // Reset flag that popup is showing
+        translationPopupShowing = false;
+    }
+
+    /**
+     * Processes a translation request silently, showing popup only on success
+     * @param {string} text - The text to translate
+     * @param {Object} iconPosition - Position of the translation icon for popup placement
+     */
+    async function processTranslationRequest(text, iconPosition) {
+        // Prevent duplicate requests
+        if (translationRequestInProgress) {
+            return;
+        }
+
+        translationRequestInProgress = true;
+        // Read before the selection can change, for both the cache and the prompt
+        const sentence = getSentenceForSelection(text);
+
+        try {
+            // Get language setting
+            const settings = await new Promise(resolve => {
+                chrome.storage.sync.get(['language'], resolve);
             });
             const targetLanguage = settings.language || 'english_us';
 
+            // Offline dictionaries answer first, without calling a model
+            const dictionaryEntries = await lookupDictionary(text);
+            if (dictionaryEntries.length > 0) {
+                showTranslationPopupWithResult(text, null, iconPosition, dictionaryEntries);
+                return;
+            }
+
             // Check cache first
-            const cachedTranslation = await getCachedTranslation(text, targetLanguage);
+            const cachedTranslation = await getCachedTranslation(text, targetLanguage, sentence);
 
             if (cachedTranslation) {
                 // Success from cache - show popup immediately
                 showTranslationPopupWithResult(text, cachedTranslation, iconPosition);
             } else {
                 // Request from API
-                requestTranslation(text, targetLanguage, function(translation, error) {
+                requestTranslation(text, targetLanguage, sentence, function(translation, error) {
                     if (translation) {
                         // Cache the successful translation
-                        setCachedTranslation(text, targetLanguage, translation);
+                        setCachedTranslation(text, targetLanguage, translation, sentence);
                         showTranslationPopupWithResult(text, translation, iconPosition);
                     } else {
                         showErrorToast(error || chrome.i18n.getMessage("errorGeneratingTranslation") || "Translation failed");
@@ -1202,6 +1794,16 @@ if (window.hasRun === true) {
     async function generateFlashcardWithCachedTranslation(text, translation) {
         // Show loading toast immediately
         showToast(chrome.i18n.getMessage("generatingFlashcard"), true, true);
+        const sourceSentence = getSentenceForSelection(text);
+        const pageLanguage = getPageLanguage(text);
+        const duplicateChoice = await checkForDuplicateNotes(text);
+        if (duplicateChoice.action === 'skip') {
+            return;
+        }
+        if (!currentToast) {
+            // The duplicate modal replaced the loading toast
+            showToast(chrome.i18n.getMessage("generatingFlashcard"), true, true);
+        }
 
         try {
             const settings = await new Promise(resolve =>
@@ -1212,7 +1814,7 @@ if (window.hasRun === true) {
                 if (settings.isOwnCredits) {
                     const isValid = await isApiKeyValid();
                     if (isValid) {
-                        await proceedWithFlashcardGenerationWithTranslation(text, translation, settings);
+                        await proceedWithFlashcardGenerationWithTranslation(text, translation, settings, sourceSentence, duplicateChoice, pageLanguage);
                     } else {
                         removeCurrentToast();
                         console.log("API key validation failed");
@@ -1225,12 +1827,15 @@ if (window.hasRun === true) {
                     }
                     const canGenerate = await checkCanGenerateFlashcard(settings.user.id, settings.isOwnCredits);
                     if (canGenerate) {
-                        await proceedWithFlashcardGenerationWithTranslation(text, translation, settings);
+                        await proceedWithFlashcardGenerationWithTranslation(text, translation, settings, sourceSentence, duplicateChoice, pageLanguage);
                     } else {
                         removeCurrentToast();
                         showToast(chrome.i18n.getMessage("flashcardLimitReached", [settings.freeGenerationLimit]));
                     }
                 }
+            } else {
+                // Local models are neither metered nor authenticated
+                await proceedWithFlashcardGenerationWithTranslation(text, translation, settings, sourceSentence, duplicateChoice, pageLanguage);
             }
         } catch (error) {
             removeCurrentToast();
@@ -1244,34 +1849,85 @@ if (window.hasRun === true) {
      * @param {string} selectedText - The text selected by the user
      * @param {string} cachedTranslation - The cached translation
      * @param {Object} settings - User settings and preferences
+     * @param {string} sourceSentence - The sentence containing the selection, if known
+     * @param {Object} duplicateChoice - What to do with an existing note for the same text, from checkForDuplicateNotes
+     * @param {string|null} pageLanguage - The language the page declares for the selection, from getPageLanguage
+     */
+    async function proceedWithFlashcardGenerationWithTranslation(selectedText, cachedTranslation, settings, sourceSentence = '', duplicateChoice = { action: 'add' }, pageLanguage = null) {
+        const newFlashcard = await buildFlashcardFromCache(Date.now().toString(), selectedText, cachedTranslation, settings, {
+            sourceSentence: sourceSentence,
+            duplicateNoteId: duplicateChoice.action === 'update' ? duplicateChoice.noteId : null,
+            detection: detectLanguage(selectedText, sourceSentence, pageLanguage)
+        });
+
+        // The history page filters the flashcards by the language they were generated in
+        await AnkiLingoFlashStorage.saveFlashcards([{ ...newFlashcard, language: settings.language }]);
+        showReviewModal(newFlashcard, settings.language);
+        await countFreeTrialGeneration(settings);
+    }
+
+    /**
+     * Builds a flashcard around a cached translation, reusing the cached definition and examples
+     * and generating only what is missing: the definition, or the mnemonic when it is turned on.
+     * @param {string} flashcardId - The ID of the new flashcard
+     * @param {string} selectedText - The text selected by the user
+     * @param {string} cachedTranslation - The cached translation
+     * @param {Object} settings - User settings and preferences
+     * @param {Object} options - `sourceSentence`, `duplicateNoteId` and the `detection` of the source language, from detectLanguage
+     * @returns {Promise<Object>} A promise that resolves with the flashcard, without its definition if it could not be generated
      */
-    async function proceedWithFlashcardGenerationWithTranslation(selectedText, cachedTranslation, settings) {
+    async function buildFlashcardFromCache(flashcardId, selectedText, cachedTranslation, settings, options) {
         const language = settings.language;
         const naturalLanguageName = chrome.i18n.getMessage(language);
+        const sourceSentence = options.sourceSentence || '';
+        const detection = options.detection;
 
-        // Create flashcard with cached translation immediately, no API call needed
-        const flashcardId = Date.now().toString();
         const newFlashcard = {
             id: flashcardId,
             recto: "Definition will be generated...", // We'll generate this separately
             verso: selectedText,
             translation: cachedTranslation,
+            sourceSentence: sourceSentence,
+            sourceUrl: window.location.href,
+            sourceTitle: document.title,
+            cardType: CARD_TYPES.VOCABULARY,
+            duplicateNoteId: options.duplicateNoteId || null,
+            detectedLanguage: detection.key,
+            detectionConfidence: detection.confidence,
+            sourceLanguage: detection.key,
+            extraFields: {}, // Custom fields are not part of the definition request; they can be generated from the review modal
             regenerationCount: { definition: 0, mnemonic: 0, translation: 0, examples: 0 }
         };
 
-        // We need to generate the definition separately since we only have the translation
+        // Examples do not depend on the sentence; the definition does
+        const [cachedDefinition, cachedExamples] = await Promise.all([
+            getCachedContent('definition', selectedText, language, sourceSentence),
+            getCachedContent('examples', selectedText, language)
+        ]);
+        if (Array.isArray(cachedExamples)) {
+            [newFlashcard.example_1, newFlashcard.example_2, newFlashcard.example_3] = cachedExamples;
+        }
+
+        // We need to generate the definition separately since we only have the translation,
+        // or only the mnemonic when the definition is cached too
         const mnemonicToggleState = await loadMnemonicToggleState();
-        const definitionPrompt = mnemonicToggleState
-            ? chrome.i18n.getMessage("generateDefinitionWithMnemonicPrompt", [naturalLanguageName, selectedText])
-            : chrome.i18n.getMessage("generateDefinitionPrompt", [naturalLanguageName, selectedText]);
+        let prompt;
+        if (cachedDefinition) {
+            newFlashcard.recto = cachedDefinition;
+            prompt = mnemonicToggleState ? withSourceLanguage(chrome.i18n.getMessage("generateMnemonic", [naturalLanguageName, selectedText]), detection.key) : null;
+        } else {
+            prompt = withDictionaryContext(withSentenceContext(withSourceLanguage(mnemonicToggleState
+                ? chrome.i18n.getMessage("generateDefinitionWithMnemonicPrompt", [naturalLanguageName, selectedText])
+                : chrome.i18n.getMessage("generateDefinitionPrompt", [naturalLanguageName, selectedText]), detection.key), sourceSentence), await lookupDictionary(selectedText));
+        }
 
         try {
-            const response = await new Promise((resolve, reject) => {
+            const response = !prompt ? null : await new Promise((resolve, reject) => {
                 chrome.runtime.sendMessage({
                     action: "callChatGPTAPI",
                     userId: settings.userId,
-                    type: CONVERSATION_TYPES.DEFINITION,
-                    message: definitionPrompt,
+                    type: cachedDefinition ? CONVERSATION_TYPES.MNEMONIC : CONVERSATION_TYPES.DEFINITION,
+                    message: prompt,
                     language: language
                 }, response => {
                     if (chrome.runtime.lastError) {
@@ -1282,31 +1938,19 @@ if (window.hasRun === true) {
                 });
             });
 
-            if (response.success && response.data && response.data.definition) {
+            if (response && response.success && response.data && response.data.definition) {
                 newFlashcard.recto = response.data.definition;
-                newFlashcard.mnemonic = mnemonicToggleState ? (response.data.mnemonic || "") : "";
-                newFlashcard.mnemonicGenerated = mnemonicToggleState && !!response.data.mnemonic;
+                setCachedContent('definition', selectedText, language, response.data.definition, sourceSentence);
             }
-
-            const flashcards = settings.flashcards || {};
-            flashcards[flashcardId] = newFlashcard;
-
-            await new Promise(resolve => chrome.storage.sync.set({ flashcards: flashcards }, resolve));
-            showReviewModal(newFlashcard, language);
-
-            if (!settings.isOwnCredits) {
-                const incrementResponse = await new Promise(resolve =>
-                    chrome.runtime.sendMessage({ action: "incrementFlashcardCount" }, resolve)
-                );
-                if (incrementResponse && incrementResponse.success) {
-                    updateFlashcardCounter(incrementResponse.newCount, incrementResponse.remainingCards);
-                }
+            if (response && response.success && response.data && mnemonicToggleState) {
+                newFlashcard.mnemonic = response.data.mnemonic || "";
+                newFlashcard.mnemonicGenerated = !!response.data.mnemonic;
             }
         } catch (error) {
+            // The flashcard is still shown with the cached translation
             console.log("Error generating definition:", error);
-            // Still show the modal with cached translation even if definition generation fails
-            showReviewModal(newFlashcard, language);
         }
+        return newFlashcard;
     }
 
     /**
@@ -1367,6 +2011,165 @@ if (window.hasRun === true) {
         });
     }
     
+    /**
+     * Sets up the hover dictionary: while the modifier key is held, the word under the pointer is selected
+     * and its translation popup is shown in place, with the button that generates its flashcard.
+     */
+    function setupHoverDictionary() {
+        const loadSettings = () => chrome.storage.sync.get(['hoverDictionaryEnabled', 'hoverDictionaryModifier'], function (result) {
+            hoverDictionarySettings = {
+                enabled: !!result.hoverDictionaryEnabled,
+                modifier: result.hoverDictionaryModifier || 'Shift'
+            };
+        });
+        loadSettings();
+        chrome.storage.onChanged.addListener(function (changes, areaName) {
+            if (areaName === 'sync' && (changes.hoverDictionaryEnabled || changes.hoverDictionaryModifier)) {
+                loadSettings();
+            }
+        });
+
+        document.addEventListener('mousemove', function (event) {
+            lastPointerPosition = { x: event.clientX, y: event.clientY };
+            // A button held down means a selection is being extended, not a word pointed at
+            if (hoverDictionarySettings.enabled && event.buttons === 0 && event.getModifierState(hoverDictionarySettings.modifier)) {
+                scheduleHoverLookup();
+            }
+        }, { passive: true });
+
+        // Pressing the modifier looks up the word the pointer already rests on
+        document.addEventListener('keydown', function (event) {
+            if (hoverDictionarySettings.enabled && event.key === hoverDictionarySettings.modifier && !event.repeat) {
+                scheduleHoverLookup();
+            }
+        });
+        document.addEventListener('keyup', function (event) {
+            if (event.key === hoverDictionarySettings.modifier) {
+                clearTimeout(hoverLookupTimeout);
+                lastHoverText = '';
+            }
+        });
+    }
+
+    /**
+     * Looks up the word under the pointer once the pointer rests on it.
+     */
+    function scheduleHoverLookup() {
+        clearTimeout(hoverLookupTimeout);
+        hoverLookupTimeout = setTimeout(function () {
+            if (!lastPointerPosition || translationRequestInProgress) {
+                return;
+            }
+            const range = findTextRangeAtPoint(lastPointerPosition.x, lastPointerPosition.y);
+            const text = range ? range.toString().trim() : '';
+            if (!text || text === lastHoverText) {
+                return;
+            }
+            lastHoverText = text;
+
+            // Selecting the word keeps its sentence for the flashcard, as a selection by hand would
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+            getSentenceForSelection(text);
+            currentSelection = selection;
+
+            const rect = range.getBoundingClientRect();
+            hideTranslationIcon();
+            hideTranslationPopup();
+            processTranslationRequest(text, {
+                left: rect.left + window.scrollX,
+                top: rect.bottom + window.scrollY + 5
+            });
+        }, HOVER_LOOKUP_DELAY);
+    }
+
+    /**
+     * Finds the text under a point of the viewport: the selection when the point is on it, so phrases can be
+     * looked up, the word at the point otherwise. Words are found with Intl.Segmenter, which also splits
+     * Chinese and Japanese text written without spaces.
+     *
+     * @param {number} x - The horizontal position, in viewport coordinates.
+     * @param {number} y - The vertical position, in viewport coordinates.
+     * @returns {Range|null} The range of the text, or null when the point is not on a word.
+     */
+    function findTextRangeAtPoint(x, y) {
+        const isAtPoint = range => [...range.getClientRects()].some(rect =>
+            x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom);
+
+        const selection = window.getSelection();
+        if (selection && selection.rangeCount > 0 && !selection.isCollapsed && isAtPoint(selection.getRangeAt(0))) {
+            return selection.getRangeAt(0).cloneRange();
+        }
+
+        let node = null;
+        let offset = 0;
+        if (document.caretPositionFromPoint) {
+            const position = document.caretPositionFromPoint(x, y);
+            node = position && position.offsetNode;
+            offset = position ? position.offset : 0;
+        } else if (document.caretRangeFromPoint) {
+            const caretRange = document.caretRangeFromPoint(x, y);
+            node = caretRange && caretRange.startContainer;
+            offset = caretRange ? caretRange.startOffset : 0;
+        }
+        // Form fields and the extension's own popups, in shadow roots, hold no text node to look into
+        if (!node || node.nodeType !== Node.TEXT_NODE) {
+            return null;
+        }
+
+        const word = findWordAt(node.data, offset, node.parentElement && node.parentElement.closest('[lang]'));
+        if (!word) {
+            return null;
+        }
+        const range = document.createRange();
+        range.setStart(node, word.start);
+        range.setEnd(node, word.end);
+        // The caret goes to the closest text, which may be far from a pointer resting on a margin
+        return isAtPoint(range) ? range : null;
+    }
+
+    /**
+     * Finds the word of a text at an offset.
+     *
+     * @param {string} text - The text.
+     * @param {number} offset - The offset of the caret in the text.
+     * @param {Element|null} langElement - The closest element with a `lang` attribute, which tells how to split words.
+     * @returns {Object|null} The word, as `{ start, end }` offsets in the text, or null when the offset is not on a word.
+     */
+    function findWordAt(text, offset, langElement) {
+        if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+            const locale = langElement ? langElement.getAttribute('lang') || undefined : undefined;
+            let segmenter;
+            try {
+                segmenter = new Intl.Segmenter(locale, { granularity: 'word' });
+            } catch (error) {
+                segmenter = new Intl.Segmenter(undefined, { granularity: 'word' });
+            }
+            const segments = segmenter.segment(text);
+            // The caret may sit right after the last letter of the word
+            for (const position of [offset, offset - 1]) {
+                const segment = position >= 0 && position < text.length ? segments.containing(position) : null;
+                if (segment && segment.isWordLike) {
+                    return { start: segment.index, end: segment.index + segment.segment.length };
+                }
+            }
+            return null;
+        }
+
+        // Without Intl.Segmenter, a word is a run of letters, marks, digits, apostrophes and hyphens
+        const isWordChar = char => /[\p{L}\p{M}\p{N}'’-]/u.test(char);
+        let start = Math.min(offset, text.length);
+        let end = start;
+        while (start > 0 && isWordChar(text[start - 1])) {
+            start--;
+        }
+        while (end < text.length && isWordChar(text[end])) {
+            end++;
+        }
+        return end > start ? { start: start, end: end } : null;
+    }
+
     /**
      * Checks if a flashcard can be generated for the given user.
      * 
@@ -1386,15 +2189,188 @@ if (window.hasRun === true) {
             .then(data => data.canGenerate);
     }
     
+    /**
+     * Escapes a value for use inside a quoted Anki search term, where `*` and `_` are wildcards.
+     * 
+     * @param {string} value - The raw value.
+     * @returns {string} The escaped value.
+     */
+    function escapeAnkiSearchValue(value) {
+        return value
+            .replace(/\\/g, '\\\\')
+            .replace(/"/g, '\\"')
+            .replace(/\*/g, '\\*')
+            .replace(/_/g, '\\_');
+    }
+
+    /**
+     * Finds the vocabulary notes whose selection, or the inflected form kept next to it, is the given text,
+     * in the user's mapped note type if any.
+     * 
+     * @param {string} text - The selected text.
+     * @param {string} [deckName] - Restricts the search to this deck when given.
+     * @returns {Promise<Object[]>} A promise that resolves with the matching notes: noteId, selection, translation, definition and deckName.
+     */
+    async function findExistingNotes(text, deckName) {
+        const mapping = await loadNoteTypeMapping();
+        const modelName = mapping ? mapping.modelName : VOCABULARY_MODEL_NAME;
+        const selectionField = mapping ? mapping.fields.selection : 'Selection';
+        // A card made for the dictionary form also keeps the form it was selected as
+        const selectedFormField = mapping ? mapping.fields.selectedForm : 'Inflected Form';
+        const translationField = mapping ? mapping.fields.translation : 'Translation';
+        const definitionField = mapping ? mapping.fields.definition : 'Definition';
+        if (!selectionField) {
+            // Without a field holding the selection there is nothing to compare
+            return [];
+        }
+
+        const textTerms = [selectionField, selectedFormField].filter(Boolean)
+            .map(fieldName => `"${escapeAnkiSearchValue(fieldName)}:${escapeAnkiSearchValue(text.trim())}"`);
+        const terms = [`"note:${escapeAnkiSearchValue(modelName)}"`, `(${textTerms.join(' OR ')})`];
+        if (deckName) {
+            terms.push(`"deck:${escapeAnkiSearchValue(deckName)}"`);
+        }
+
+        const noteIds = await invoke('findNotes', 6, { query: terms.join(' ') });
+        if (!noteIds || noteIds.length === 0) {
+            return [];
+        }
+
+        const notes = await invoke('notesInfo', 6, { notes: noteIds });
+        // Notes have no deck of their own; use the deck of their first card
+        const cards = await invoke('cardsInfo', 6, { cards: notes.map(note => note.cards[0]) });
+        const fieldValue = (note, fieldName) => fieldName && note.fields[fieldName] ? note.fields[fieldName].value : '';
+        return notes.map((note, index) => ({
+            noteId: note.noteId,
+            selection: fieldValue(note, selectionField),
+            translation: fieldValue(note, translationField),
+            definition: fieldValue(note, definitionField),
+            deckName: cards[index] ? cards[index].deckName : ''
+        }));
+    }
+
+    /**
+     * Looks for notes already holding the selected text in the last used deck and, if there are any,
+     * asks the user whether to skip, add anyway or update the existing note.
+     * Anki being closed is not an error here: the check is skipped and generation goes on.
+     * 
+     * @param {string} selectedText - The text selected by the user.
+     * @returns {Promise<Object>} A promise that resolves with `{ action: 'add' | 'update' | 'skip', noteId }`.
+     */
+    async function checkForDuplicateNotes(selectedText) {
+        const { lastUsedDeck } = await new Promise(resolve => chrome.storage.sync.get(['lastUsedDeck'], resolve));
+
+        let duplicates;
+        try {
+            duplicates = await findExistingNotes(selectedText, lastUsedDeck);
+        } catch (error) {
+            console.log("Duplicate check skipped:", error);
+            return { action: 'add' };
+        }
+
+        if (duplicates.length === 0) {
+            return { action: 'add' };
+        }
+        removeCurrentToast();
+        return showDuplicateModal(selectedText, duplicates);
+    }
+
+    /**
+     * Displays the notes already holding the selected text and lets the user choose what to do.
+     * 
+     * @param {string} selectedText - The text selected by the user.
+     * @param {Object[]} duplicates - The matching notes, as returned by findExistingNotes.
+     * @returns {Promise<Object>} A promise that resolves with `{ action: 'add' | 'update' | 'skip', noteId }`.
+     */
+    function showDuplicateModal(selectedText, duplicates) {
+        return new Promise(resolve => {
+            // Field values are HTML stored by Anki; show them as text
+            const toText = html => new DOMParser().parseFromString(html, 'text/html').body.textContent || '';
+            const duplicatesHtml = duplicates.map(note => `
+                        <li>
+                            <b>${escapeHTML(toText(note.selection))}</b> (${escapeHTML(note.deckName)})<br>
+                            ${escapeHTML(toText(note.translation))}
+                        </li>`).join('');
+
+            const modalHtml = `
+                <div id="anki-lingo-flash-duplicate-modal" class="anki-lingo-flash-container">
+                    <div id="duplicateModal">
+                        <h2>${chrome.i18n.getMessage("duplicateNoteTitle")}</h2>
+                        <p>${escapeHTML(chrome.i18n.getMessage("duplicateNoteMessage", [selectedText]))}</p>
+                        <ul class="duplicate-list">${duplicatesHtml}
+                        </ul>
+                        <div class="button-container">
+                            <button id="skipDuplicateButton" class="modal-button">${chrome.i18n.getMessage("skip")}</button>
+                            <button id="addDuplicateButton" class="modal-button">${chrome.i18n.getMessage("addAnyway")}</button>
+                            <button id="updateDuplicateButton" class="modal-button">${chrome.i18n.getMessage("updateExistingNote")}</button>
+                        </div>
+                    </div>
+                    <div id="modalBackdrop"></div>
+                </div>
+            `;
+
+            const modalContainer = document.createElement('div');
+            modalContainer.innerHTML = modalHtml;
+            globalShadowRoot.appendChild(modalContainer);
+
+            const choose = (action) => {
+                modalContainer.remove();
+                resolve({ action: action, noteId: duplicates[0].noteId });
+            };
+            globalShadowRoot.querySelector('#skipDuplicateButton').addEventListener('click', () => {
+                showToast(chrome.i18n.getMessage("flashcardCreationCanceled"));
+                choose('skip');
+            });
+            globalShadowRoot.querySelector('#addDuplicateButton').addEventListener('click', () => choose('add'));
+            globalShadowRoot.querySelector('#updateDuplicateButton').addEventListener('click', () => choose('update'));
+        });
+    }
+
+    /**
+     * Tells the user in the translation popup that the text is already in their collection.
+     * 
+     * @param {string} text - The text shown in the popup.
+     */
+    function showKnownWordNotice(text) {
+        findExistingNotes(text)
+            .then(notes => {
+                const modal = globalShadowRoot.querySelector('#translateModal');
+                if (notes.length === 0 || !modal || modal.querySelector('.known-word')) {
+                    return;
+                }
+                const decks = [...new Set(notes.map(note => note.deckName))].join(', ');
+                const notice = document.createElement('p');
+                notice.className = 'known-word';
+                notice.textContent = chrome.i18n.getMessage("alreadyInAnki", [decks]);
+                modal.insertBefore(notice, modal.querySelector('.button-container'));
+            })
+            .catch(error => {
+                // Anki is not running: the popup still works without the notice
+                console.log("Known word check skipped:", error);
+            });
+    }
+
     /**
      * Generates a flashcard from the selected text.
      * 
      * @param {string} selectedText - The text selected by the user.
      * @param {string} [requestedLanguageKey] - Optional: The i18n language key requested for generation (e.g., from context menu).
+     * @param {string} [cardType] - The kind of note to propose, one of CARD_TYPES.
      */
-    async function  generateFlashcard(selectedText, requestedLanguageKey) {
+    async function  generateFlashcard(selectedText, requestedLanguageKey, cardType = CARD_TYPES.VOCABULARY) {
         // Show loading toast immediately
         showToast(chrome.i18n.getMessage("generatingFlashcard"), true, true);
+        // Read the sentence and the language of the page before anything else can clear the selection
+        const sourceSentence = getSentenceForSelection(selectedText);
+        const pageLanguage = getPageLanguage(selectedText);
+        const duplicateChoice = await checkForDuplicateNotes(selectedText);
+        if (duplicateChoice.action === 'skip') {
+            return;
+        }
+        if (!currentToast) {
+            // The duplicate modal replaced the loading toast
+            showToast(chrome.i18n.getMessage("generatingFlashcard"), true, true);
+        }
         try {
             const settings = await new Promise(resolve =>
                 chrome.storage.sync.get(['choice', 'user', 'isOwnCredits', 'apiKeyValidated', 'googleApiKeyValidated', 'selectedProvider', 'freeGenerationLimit', 'userId', 'language', 'learningGoal'], resolve)
@@ -1402,14 +2378,12 @@ if (window.hasRun === true) {
     
             // Use requestedLanguageKey if provided, otherwise default to settings.language
             const naturalLanguageName = chrome.i18n.getMessage(settings.language)
-            console.log("settings.language:",settings.language);
-            console.log('naturalLanguageName:', naturalLanguageName);
 
             if (settings.choice === 'remote') {
                 if (settings.isOwnCredits) {
                     const isValid = await isApiKeyValid();
                     if (isValid) {
-                        await proceedWithFlashcardGeneration(selectedText, naturalLanguageName, settings);
+                        await proceedWithFlashcardGeneration(selectedText, naturalLanguageName, settings, sourceSentence, cardType, duplicateChoice, pageLanguage);
                     } else {
                         removeCurrentToast(); 
                         // Error message will be shown by the API key validation
@@ -1423,21 +2397,15 @@ if (window.hasRun === true) {
                     }
                     const canGenerate = await checkCanGenerateFlashcard(settings.user.id, settings.isOwnCredits);
                     if (canGenerate) {
-                        await proceedWithFlashcardGeneration(selectedText, naturalLanguageName, settings);
+                        await proceedWithFlashcardGeneration(selectedText, naturalLanguageName, settings, sourceSentence, cardType, duplicateChoice, pageLanguage);
                     } else {
                         removeCurrentToast();
                         showToast(chrome.i18n.getMessage("flashcardLimitReached", [settings.freeGenerationLimit]));
                     }
                 }
             } else {
-                // Local model logic
-                removeCurrentToast(); // Remove "generating..." toast
-                // ... (existing local model logic)
-                // For local, ensure naturalLanguageName is derived if needed for prompts
-                // const naturalLanguageName = chrome.i18n.getMessage(languageKeyToUse) || languageKeyToUse;
-                // ...
-                console.log('Local model flashcard generation not fully implemented here.');
-                showToast("Local model generation not yet fully supported via this flow.");
+                // Local models are neither metered nor authenticated
+                await proceedWithFlashcardGeneration(selectedText, naturalLanguageName, settings, sourceSentence, cardType, duplicateChoice, pageLanguage);
             }
         } catch (error) {
             removeCurrentToast();
@@ -1447,43 +2415,585 @@ if (window.hasRun === true) {
     }
     
     /**
-     * Updates the flashcard counter in storage and UI.
+     * Extracts the vocabulary of a paragraph, lets the user pick the words to learn, generates their
+     * flashcards one after the other, and adds the reviewed cards to Anki in one go.
      * 
-     * @param {number} count - The new flashcard count.
-     * @param {number} remainingCards - The number of remaining cards.
-     */
-    function updateFlashcardCounter(count, remainingCards) {
-        chrome.storage.sync.set({
-            flashcardCount: count,
-            remainingCards: remainingCards
-        }, () => {
-            console.log('Flashcard count updated:', count);
-            console.log('Remaining cards:', remainingCards);
-        });
-    }
-    
-    /**
-     * Increments the flashcard count and updates the UI.
+     * @param {string} text - The selected paragraph.
      */
-    function incrementFlashcardCount() {
-        chrome.runtime.sendMessage({ action: "incrementFlashcardCount" }, function (response) {
-            if (response && response.success) {
-                updateFlashcardCounter(response.newCount, response.remainingCards);
-            } else {
-                console.log('Error incrementing flashcard count:', response ? response.error : 'Unknown error');
-            }
-        });
-    }
-    
-    /**
-     * Displays a review modal for a given flashcard, allowing users to review and edit its content.
+    async function extractVocabulary(text) {
+        const paragraph = text.trim().slice(0, MAX_EXTRACTION_LENGTH);
+        // Read before the checklist can clear the selection
+        const pageLanguage = getPageLanguage(text);
+        showToast(chrome.i18n.getMessage("extractingVocabulary"), true, true);
+
+        try {
+            const settings = await new Promise(resolve =>
+                chrome.storage.sync.get(['choice', 'user', 'isOwnCredits', 'freeGenerationLimit', 'userId', 'language'], resolve)
+            );
+            const language = chrome.i18n.getMessage(settings.language);
+
+            const response = await new Promise((resolve, reject) => {
+                chrome.runtime.sendMessage({
+                    action: "callChatGPTAPI",
+                    userId: settings.userId,
+                    type: CONVERSATION_TYPES.VOCABULARY_EXTRACTION,
+                    message: chrome.i18n.getMessage("extractVocabularyPrompt", [language, paragraph]),
+                    language: settings.language
+                }, response => {
+                    if (chrome.runtime.lastError) {
+                        reject(chrome.runtime.lastError);
+                    } else {
+                        resolve(response);
+                    }
+                });
+            });
+            removeCurrentToast();
+            if (!response.success) {
+                showToast(getGenerationErrorMessage(response));
+                return;
+            }
+
+            // The same word can be listed twice under different levels
+            const seen = new Set();
+            const candidates = response.data.items.filter(item => {
+                const key = item.term.trim().toLowerCase();
+                return !seen.has(key) && seen.add(key);
+            });
+            if (candidates.length === 0) {
+                showToast(chrome.i18n.getMessage("noVocabularyFound"));
+                return;
+            }
+
+            const choice = await showVocabularyChecklistModal(candidates);
+            if (!choice) {
+                showToast(chrome.i18n.getMessage("flashcardCreationCanceled"));
+                return;
+            }
+
+            const items = choice.items.map(item => ({
+                term: item.term,
+                sourceSentence: findSentenceContaining(paragraph, item.term),
+                pageLanguage: pageLanguage
+            }));
+            const { flashcards } = await generateFlashcardBatch(items, settings);
+            await reviewAndAddFlashcardBatch(flashcards, language, choice.reviewMode);
+        } catch (error) {
+            removeCurrentToast();
+            console.log('Error extracting vocabulary:', error);
+            showToast(chrome.i18n.getMessage("errorGeneratingFlashcard") + (error.message ? `: ${error.message}` : ''));
+        }
+    }
+
+    /**
+     * Shows the words found in a paragraph with their level, for the user to pick the ones to learn.
+     * Words already in Anki are unchecked.
+     * 
+     * @param {Object[]} candidates - The extracted words, as `{ term, difficulty }`.
+     * @returns {Promise<Object|null>} A promise that resolves with the chosen `items` and `reviewMode`, or null if cancelled.
+     */
+    async function showVocabularyChecklistModal(candidates) {
+        const reviewMode = await loadBatchReviewMode();
+        const known = await Promise.all(candidates.map(item =>
+            findExistingNotes(item.term).then(notes => notes.length > 0).catch(() => false)
+        ));
+        const rowsHtml = candidates.map((item, index) => `
+                            <li>
+                                <label>
+                                    <input type="checkbox" class="vocabulary-choice" data-index="${index}" ${known[index] ? '' : 'checked'}>
+                                    <span class="vocabulary-term">${escapeHTML(item.term)}</span>
+                                    <span class="difficulty-badge">${escapeHTML(item.difficulty)}</span>
+                                    ${known[index] ? `<span class="known-word">${chrome.i18n.getMessage("inAnki")}</span>` : ''}
+                                </label>
+                            </li>`).join('');
+
+        return new Promise(resolve => {
+            const modalHtml = `
+                <div id="anki-lingo-flash-vocabulary-modal" class="anki-lingo-flash-container">
+                    <div id="vocabularyModal">
+                        <h2>${chrome.i18n.getMessage("extractVocabularyTitle")}</h2>
+                        <p>${chrome.i18n.getMessage("extractVocabularyHelp")}</p>
+                        <ul class="vocabulary-list">${rowsHtml}
+                        </ul>
+                        <div class="form-group">
+                            <label for="batchReviewMode">${chrome.i18n.getMessage("reviewMode")}</label>
+                            <select id="batchReviewMode">
+                                <option value="oneByOne">${chrome.i18n.getMessage("reviewOneByOne")}</option>
+                                <option value="grid" ${reviewMode === 'grid' ? 'selected' : ''}>${chrome.i18n.getMessage("reviewInGrid")}</option>
+                            </select>
+                        </div>
+                        <div class="button-container">
+                            <button id="cancelButton" class="modal-button">${chrome.i18n.getMessage("cancel")}</button>
+                            <button id="validateButton" class="modal-button">${chrome.i18n.getMessage("generateSelected")}</button>
+                        </div>
+                    </div>
+                    <div id="modalBackdrop"></div>
+                </div>
+            `;
+
+            const modalContainer = document.createElement('div');
+            modalContainer.innerHTML = modalHtml;
+            globalShadowRoot.appendChild(modalContainer);
+
+            modalContainer.querySelector('#cancelButton').addEventListener('click', () => {
+                modalContainer.remove();
+                resolve(null);
+            });
+            modalContainer.querySelector('#validateButton').addEventListener('click', () => {
+                const items = [...modalContainer.querySelectorAll('.vocabulary-choice:checked')]
+                    .map(checkbox => candidates[Number(checkbox.dataset.index)]);
+                if (items.length === 0) {
+                    showToast(chrome.i18n.getMessage("selectAtLeastOneWord"));
+                    return;
+                }
+                const chosenReviewMode = modalContainer.querySelector('#batchReviewMode').value;
+                chrome.storage.sync.set({ batchReviewMode: chosenReviewMode });
+                modalContainer.remove();
+                resolve({ items: items, reviewMode: chosenReviewMode });
+            });
+        });
+    }
+
+    /**
+     * Generates the flashcards of a batch of words one after the other, with a progress toast, going through
+     * the same steps as a single flashcard: the duplicate check, the cached translation and definition, and the lemma.
+     * A word that fails is tried once more, then reported and skipped; the free trial limit stops the batch.
+     * 
+     * @param {Object[]} items - The words, as `{ term, sourceSentence }`, optionally with the `sourceUrl` and
+     *                           `sourceTitle` of the page they were found on when it is not the current one,
+     *                           and the `pageLanguage` that page declared for them, from getPageLanguage.
+     * @param {Object} settings - User settings and preferences, with the i18n key of the target `language`.
+     * @returns {Promise<Object>} A promise that resolves with the generated `flashcards`, in the order of their items,
+     *                            the `failed` items with their `error`, and the items `skipped` as duplicates.
+     */
+    async function generateFlashcardBatch(items, settings) {
+        const withMnemonic = await loadMnemonicToggleState();
+        const customFields = await loadEnabledCustomFields();
+        const isFreeTrial = settings.choice === 'remote' && !settings.isOwnCredits;
+        const flashcards = [];
+        const failed = [];
+        const skipped = [];
+
+        for (const [index, item] of items.entries()) {
+            const progress = chrome.i18n.getMessage("generatingBatchProgress", [String(index + 1), String(items.length), item.term]);
+            showToast(progress, true, true);
+
+            const duplicateChoice = await checkForDuplicateNotes(item.term);
+            if (duplicateChoice.action === 'skip') {
+                skipped.push(item);
+                continue;
+            }
+            if (!currentToast) {
+                // The duplicate modal replaced the progress toast
+                showToast(progress, true, true);
+            }
+
+            if (isFreeTrial && !(await checkCanGenerateFlashcard(settings.user.id, settings.isOwnCredits))) {
+                removeCurrentToast();
+                showToast(chrome.i18n.getMessage("flashcardLimitReached", [settings.freeGenerationLimit]));
+                break;
+            }
+
+            const detection = detectLanguage(item.term, item.sourceSentence, item.pageLanguage || null);
+            const options = {
+                withMnemonic: withMnemonic,
+                sourceSentence: item.sourceSentence,
+                duplicateNoteId: duplicateChoice.action === 'update' ? duplicateChoice.noteId : null,
+                customFields: customFields,
+                detection: detection
+            };
+            let lastError = null;
+            for (let attempt = 0; attempt < BATCH_GENERATION_ATTEMPTS; attempt++) {
+                try {
+                    const flashcard = await generateBatchFlashcard(`${Date.now()}_${index}`, item.term, settings, options);
+                    // The review modal offers the dictionary form without looking it up again
+                    flashcard.lemma = await findLemma(item.term, item.sourceSentence, detection.key);
+                    if (item.sourceUrl) {
+                        flashcard.sourceUrl = item.sourceUrl;
+                        flashcard.sourceTitle = item.sourceTitle || '';
+                    }
+                    flashcards.push(flashcard);
+                    await countFreeTrialGeneration(settings);
+                    lastError = null;
+                    break;
+                } catch (error) {
+                    console.log(`Flashcard generation failed for "${item.term}" (attempt ${attempt + 1}):`, error);
+                    lastError = error;
+                }
+            }
+            if (lastError) {
+                failed.push({ item: item, error: lastError.message || chrome.i18n.getMessage("errorCreatingFlashcard") });
+            }
+        }
+
+        // Regeneration from the review modal looks the flashcards up in storage
+        await AnkiLingoFlashStorage.saveFlashcards(flashcards.map(flashcard => ({ ...flashcard, language: settings.language })));
+
+        removeCurrentToast();
+        if (failed.length > 0) {
+            showToast(chrome.i18n.getMessage("batchGenerationFailed", [failed.map(failure => failure.item.term).join(', ')]));
+        }
+        return { flashcards: flashcards, failed: failed, skipped: skipped };
+    }
+
+    /**
+     * Generates the flashcard of one word of a batch. As for a single flashcard, a word already translated
+     * and defined in this sentence only needs what is missing, unless custom fields call for the full request.
+     * 
+     * @param {string} flashcardId - The ID of the new flashcard.
+     * @param {string} term - The word or expression.
+     * @param {Object} settings - User settings and preferences, with the i18n key of the target `language`.
+     * @param {Object} options - The options of buildGeneratedFlashcard.
+     * @returns {Promise<Object>} A promise that resolves with the flashcard.
+     */
+    async function generateBatchFlashcard(flashcardId, term, settings, options) {
+        if (options.customFields.length === 0) {
+            const [cachedTranslation, cachedDefinition] = await Promise.all([
+                getCachedTranslation(term, settings.language, options.sourceSentence),
+                getCachedContent('definition', term, settings.language, options.sourceSentence)
+            ]);
+            if (cachedTranslation && cachedDefinition) {
+                return buildFlashcardFromCache(flashcardId, term, cachedTranslation, settings, options);
+            }
+        }
+
+        const response = await requestFlashcardContent(term, settings.language, settings.userId, options.sourceSentence, options.withMnemonic, options.detection.key);
+        if (!response.success) {
+            throw new Error(getGenerationErrorMessage(response));
+        }
+        const flashcard = buildGeneratedFlashcard(flashcardId, term, response.data, options);
+        if (flashcard.translation) {
+            setCachedTranslation(term, settings.language, flashcard.translation, options.sourceSentence);
+        }
+        cacheFlashcardContent(flashcard, settings.language);
+        return flashcard;
+    }
+
+    /**
+     * Lets the user review the flashcards of a batch, then adds the ones kept.
+     * 
+     * @param {Object[]} flashcards - The generated flashcards.
+     * @param {string} language - The target language for the flashcards.
+     * @param {string} reviewMode - 'oneByOne' or 'grid'.
+     * @returns {Promise<Object[]>} A promise that resolves with the flashcards added to Anki or queued for it.
+     */
+    async function reviewAndAddFlashcardBatch(flashcards, language, reviewMode) {
+        if (flashcards.length === 0) {
+            return [];
+        }
+        const reviewed = reviewMode === 'grid'
+            ? await showBatchGridModal(flashcards)
+            : await reviewFlashcardsOneByOne(flashcards, language);
+        if (reviewed.length === 0) {
+            showToast(chrome.i18n.getMessage("flashcardCreationCanceled"));
+            return [];
+        }
+        return addFlashcardBatch(reviewed);
+    }
+
+    /**
+     * Loads the way batches of flashcards were last reviewed.
+     * 
+     * @returns {Promise<string>} A promise that resolves with 'oneByOne' or 'grid'.
+     */
+    function loadBatchReviewMode() {
+        return new Promise(resolve => {
+            chrome.storage.sync.get(['batchReviewMode'], result => resolve(result.batchReviewMode || 'oneByOne'));
+        });
+    }
+
+    /**
+     * Adds a word to the basket, with its sentence and page, to generate its flashcard later.
+     * 
+     * @param {string} text - The selected word or expression.
+     */
+    function addToBasket(text) {
+        const entry = {
+            id: Date.now().toString(),
+            text: text.trim(),
+            sentence: getSentenceForSelection(text),
+            language: getPageLanguage(text),
+            url: window.location.href,
+            title: document.title,
+            addedAt: Date.now()
+        };
+        chrome.runtime.sendMessage({ action: "addToBasket", entry: entry }, response => {
+            if (chrome.runtime.lastError || !response || !response.success) {
+                showToast(chrome.i18n.getMessage("errorAddingToBasket"));
+            } else {
+                showToast(chrome.i18n.getMessage(response.added ? "addedToBasket" : "alreadyInBasket", [entry.text]));
+            }
+        });
+    }
+
+    /**
+     * Generates the flashcards of the words in the basket, lets the user review them and adds them.
+     * Added words leave the basket; words that failed stay in it with their error, to be retried.
+     * 
+     * @param {Object[]} entries - The basket entries.
+     */
+    async function generateBasket(entries) {
+        try {
+            const settings = await new Promise(resolve =>
+                chrome.storage.sync.get(['choice', 'user', 'isOwnCredits', 'freeGenerationLimit', 'userId', 'language'], resolve)
+            );
+            const language = chrome.i18n.getMessage(settings.language);
+            const items = entries.map(entry => ({
+                term: entry.text,
+                sourceSentence: entry.sentence,
+                sourceUrl: entry.url,
+                sourceTitle: entry.title,
+                pageLanguage: entry.language || null,
+                entryId: entry.id
+            }));
+
+            const { flashcards, failed, skipped } = await generateFlashcardBatch(items, settings);
+            const errors = Object.fromEntries(failed.map(failure => [failure.item.entryId, failure.error]));
+            // Flashcards are generated in the order of the items that neither failed nor were skipped
+            const succeeded = items.filter(item => !(item.entryId in errors) && !skipped.includes(item));
+            const entryIds = new Map(flashcards.map((flashcard, index) => [flashcard.id, succeeded[index].entryId]));
+            // Words skipped as duplicates are already in Anki
+            chrome.runtime.sendMessage({ action: "updateBasket", removedIds: skipped.map(item => item.entryId), errors: errors });
+
+            const added = await reviewAndAddFlashcardBatch(flashcards, language, await loadBatchReviewMode());
+            chrome.runtime.sendMessage({ action: "updateBasket", removedIds: added.map(flashcard => entryIds.get(flashcard.id)) });
+        } catch (error) {
+            removeCurrentToast();
+            console.log('Error generating the basket:', error);
+            showToast(chrome.i18n.getMessage("errorGeneratingFlashcard") + (error.message ? `: ${error.message}` : ''));
+        }
+    }
+
+    /**
+     * Shows the review modal for each flashcard of a batch in turn.
+     * 
+     * @param {Object[]} flashcards - The generated flashcards.
+     * @param {string} language - The target language for the flashcards.
+     * @returns {Promise<Object[]>} A promise that resolves with the validated flashcards; cancelled ones are left out.
+     */
+    async function reviewFlashcardsOneByOne(flashcards, language) {
+        const reviewed = [];
+        for (const [index, flashcard] of flashcards.entries()) {
+            const result = await new Promise(resolve => {
+                showReviewModal(flashcard, language, {
+                    progress: `${index + 1}/${flashcards.length}`,
+                    onValidate: resolve,
+                    onCancel: () => resolve(null)
+                });
+            });
+            if (result) {
+                reviewed.push(result);
+            }
+        }
+        return reviewed;
+    }
+
+    /**
+     * Shows all the flashcards of a batch in an editable grid.
+     * 
+     * @param {Object[]} flashcards - The generated flashcards.
+     * @returns {Promise<Object[]>} A promise that resolves with the kept flashcards, as edited; empty if cancelled.
+     */
+    function showBatchGridModal(flashcards) {
+        const cardsHtml = flashcards.map((flashcard, index) => `
+                            <div class="batch-card" data-index="${index}">
+                                <label class="batch-card-keep">
+                                    <input type="checkbox" class="batch-keep" checked>
+                                    <input type="text" class="batch-term" value="${escapeHTML(flashcard.verso)}" list="batchLemma${index}">
+                                    <datalist id="batchLemma${index}">${flashcard.lemma ? `<option value="${escapeHTML(flashcard.lemma.lemma)}">` : ''}</datalist>
+                                </label>
+                                <h4>${chrome.i18n.getMessage("directTranslation")}</h4>
+                                <textarea class="batch-translation" rows="2">${escapeHTML(flashcard.translation || '')}</textarea>
+                                <h4>${chrome.i18n.getMessage("Definition")}</h4>
+                                <textarea class="batch-definition" rows="3">${escapeHTML(flashcard.recto || '')}</textarea>
+                                <h4>${chrome.i18n.getMessage("examples")}</h4>
+                                <textarea class="batch-examples" rows="3">${escapeHTML([flashcard.example_1, flashcard.example_2, flashcard.example_3].filter(Boolean).join('\n'))}</textarea>
+                            </div>`).join('');
+
+        return new Promise(resolve => {
+            const modalHtml = `
+                <div id="anki-lingo-flash-batch-modal" class="anki-lingo-flash-container">
+                    <div id="batchModal">
+                        <h2>${chrome.i18n.getMessage("reviewFlashcards")}</h2>
+                        <div class="modal-content">
+                            <div class="batch-grid">${cardsHtml}
+                            </div>
+                        </div>
+                        <div class="button-container">
+                            <button id="cancelButton" class="modal-button">${chrome.i18n.getMessage("cancel")}</button>
+                            <button id="validateButton" class="modal-button">${chrome.i18n.getMessage("validate")}</button>
+                        </div>
+                    </div>
+                    <div id="modalBackdrop"></div>
+                </div>
+            `;
+
+            const modalContainer = document.createElement('div');
+            modalContainer.innerHTML = modalHtml;
+            globalShadowRoot.appendChild(modalContainer);
+
+            modalContainer.querySelector('#cancelButton').addEventListener('click', () => {
+                modalContainer.remove();
+                resolve([]);
+            });
+            modalContainer.querySelector('#validateButton').addEventListener('click', () => {
+                const kept = [...modalContainer.querySelectorAll('.batch-card')]
+                    .filter(card => card.querySelector('.batch-keep').checked)
+                    .map(card => {
+                        const examples = card.querySelector('.batch-examples').value.split('\n').filter(example => example.trim() !== '');
+                        const flashcard = flashcards[Number(card.dataset.index)];
+                        const verso = card.querySelector('.batch-term').value.trim();
+                        return {
+                            ...flashcard,
+                            verso: verso,
+                            // As in the review modal, a card turned to its dictionary form keeps the form that was selected
+                            selectedForm: flashcard.lemma && verso === flashcard.lemma.lemma && verso !== flashcard.verso ? flashcard.verso : flashcard.selectedForm || '',
+                            translation: card.querySelector('.batch-translation').value,
+                            recto: card.querySelector('.batch-definition').value,
+                            example_1: examples[0] || '',
+                            example_2: examples[1] || '',
+                            example_3: examples[2] || ''
+                        };
+                    });
+                modalContainer.remove();
+                resolve(kept);
+            });
+        });
+    }
+
+    /**
+     * Asks for the deck of a batch of flashcards, then adds them all with a single `addNotes` call.
+     * When Anki is not running, the flashcards go to the outbox instead.
+     * 
+     * @param {Object[]} flashcards - The reviewed flashcards.
+     * @returns {Promise<Object[]>} A promise that resolves with the flashcards added or queued; empty if cancelled.
+     */
+    async function addFlashcardBatch(flashcards) {
+        const decks = await fetchDecks();
+        if (decks.length === 0) {
+            for (const flashcard of flashcards) {
+                await queueFlashcard(flashcard);
+            }
+            return flashcards;
+        }
+
+        const settings = await new Promise(resolve =>
+            chrome.storage.sync.get(['lastUsedDeck', 'createReverseCardToggle'], resolve)
+        );
+        const createReverseCardToggle = settings.createReverseCardToggle !== undefined ? settings.createReverseCardToggle : true;
+        const deckOptions = decks.map(deck =>
+            `<option value="${escapeHTML(deck)}" ${deck === settings.lastUsedDeck ? 'selected' : ''}>${escapeHTML(deck)}</option>`
+        ).join('');
+
+        const modalHtml = `
+            <div id="anki-lingo-flash-deck-selection-modal" class="anki-lingo-flash-container">
+                <div id="flashcardModal">
+                    <p>${chrome.i18n.getMessage("batchReadyToAdd", [String(flashcards.length)])}</p>
+                    <div class="form-group">
+                        <label for="deckSelect">${chrome.i18n.getMessage("selectTheDeck")}</label>
+                        <select id="deckSelect">
+                            ${deckOptions}
+                        </select>
+                    </div>
+                    <div class="create-reverse-checkbox">
+                        <label for="createReverseCardToggle">${chrome.i18n.getMessage("CreateReverseCardLabel")}</label>
+                        <label class="toggle-switch">
+                            <input type="checkbox" id="createReverseCardToggle" name="createReverseCardToggle" ${createReverseCardToggle ? 'checked' : ''}>
+                            <span class="slider">
+                                <span class="toggle-label" data-state="off">${chrome.i18n.getMessage("No")}</span>
+                                <span class="toggle-label" data-state="on">${chrome.i18n.getMessage("Yes")}</span>
+                            </span>
+                        </label>
+                    </div>
+                    <div class="button-container">
+                        <button id="validateButton" class="modal-button">${chrome.i18n.getMessage("validate")}</button>
+                        <button id="cancelButton" class="modal-button">${chrome.i18n.getMessage("cancel")}</button>
+                    </div>
+                </div>
+                <div id="modalBackdrop"></div>
+            </div>
+        `;
+
+        const modalContainer = document.createElement('div');
+        modalContainer.innerHTML = modalHtml;
+        globalShadowRoot.appendChild(modalContainer);
+
+        return new Promise(resolve => {
+            modalContainer.querySelector('#cancelButton').addEventListener('click', () => {
+                recordFlashcardStatus(flashcards, 'cancelled');
+                showToast(chrome.i18n.getMessage("flashcardCreationCanceled"));
+                modalContainer.remove();
+                resolve([]);
+            });
+
+            modalContainer.querySelector('#validateButton').addEventListener('click', async () => {
+                const selectedDeck = modalContainer.querySelector('#deckSelect').value;
+                const createReverse = modalContainer.querySelector('#createReverseCardToggle').checked;
+                chrome.storage.sync.set({ createReverseCardToggle: createReverse, lastUsedDeck: selectedDeck });
+                modalContainer.remove();
+                showToast(chrome.i18n.getMessage("addingFlashcards"), true, true);
+
+                try {
+                    // addNotes answers null in place of each note it could not add
+                    const { noteIds } = await sendFlashcardsToBackground({
+                        action: "addFlashcardsToAnki",
+                        items: flashcards.map(flashcard => ({ deckName: selectedDeck, data: flashcard })),
+                        settings: { createReverse: createReverse }
+                    });
+                    const added = flashcards.filter((flashcard, index) => noteIds[index]);
+                    await recordFlashcardStatus(added, 'added', selectedDeck);
+                    removeCurrentToast();
+                    showToast(chrome.i18n.getMessage("batchAddedToDeck", [String(added.length), String(flashcards.length), selectedDeck]));
+                    resolve(added);
+                } catch (error) {
+                    console.log("Error adding notes:", error);
+                    removeCurrentToast();
+                    showToast(chrome.i18n.getMessage("errorAddingFlashcard") + ": " + error.message);
+                    resolve([]);
+                }
+            });
+        });
+    }
+
+    /**
+     * Updates the flashcard counter in storage and UI.
+     * 
+     * @param {number} count - The new flashcard count.
+     * @param {number} remainingCards - The number of remaining cards.
+     */
+    function updateFlashcardCounter(count, remainingCards) {
+        chrome.storage.sync.set({
+            flashcardCount: count,
+            remainingCards: remainingCards
+        }, () => {
+            console.log('Flashcard count updated:', count);
+            console.log('Remaining cards:', remainingCards);
+        });
+    }
+    
+    /**
+     * Increments the flashcard count and updates the UI.
+     */
+    function incrementFlashcardCount() {
+        chrome.runtime.sendMessage({ action: "incrementFlashcardCount" }, function (response) {
+            if (response && response.success) {
+                updateFlashcardCounter(response.newCount, response.remainingCards);
+            } else {
+                console.log('Error incrementing flashcard count:', response ? response.error : 'Unknown error');
+            }
+        });
+    }
+    
+    /**
+     * Displays a review modal for a given flashcard, allowing users to review and edit its content.
      * The modal includes fields for the front (definition), back (selected text), direct translation, and mnemonic.
      * Users can regenerate content, validate their changes, or cancel the review.
      * 
      * @param {Object} flashcard - The flashcard object containing its content and metadata.
      * @param {string} selectedLanguage - The language selected by the user for the flashcard.
+     * @param {Object} [options] - For batches: `progress` shown in the title, and `onValidate(flashcard)` / `onCancel()`
+     *                             called instead of adding the card to Anki.
      */
-    async function showReviewModal(flashcard, selectedLanguage) {
+    async function showReviewModal(flashcard, selectedLanguage, options = {}) {
         if (currentToast) {
             removeCurrentToast();
         }
@@ -1493,54 +3003,73 @@ if (window.hasRun === true) {
             oldModal.remove();
         }
         
-        let selectedText = flashcard.verso;
-        let contextText = '';
-    
-        // Tentative de récupération du texte sélectionné et du contexte
-        const selection = window.getSelection();
-        if (selection && selection.rangeCount > 0) {
-            const range = selection.getRangeAt(0);
-            
-            // Récupération du texte sélectionné
-            selectedText = range.toString().trim();
-            
-            // Tentative de récupération du contexte
-            let container = range.commonAncestorContainer;
-            while (container && container.nodeType !== Node.ELEMENT_NODE) {
-                container = container.parentNode;
-            }
-            
-            if (container) {
-                // Récupération d'un contexte plus large
-                contextText = container.textContent || container.innerText || '';
-            }
+        // Flashcards made before the source language was kept, or imported, are detected now.
+        // What the page declares only applies to flashcards made on this page.
+        if (flashcard.sourceLanguage === undefined) {
+            const detection = detectLanguage(flashcard.verso, flashcard.sourceSentence, flashcard.sourceUrl === window.location.href ? getPageLanguage(flashcard.verso) : null);
+            flashcard.detectedLanguage = detection.key;
+            flashcard.detectionConfidence = detection.confidence;
+            flashcard.sourceLanguage = detection.key;
         }
-    
-        // Si nous n'avons pas pu obtenir de contexte, utilisons le texte sélectionné comme contexte
-        if (!contextText) {
-            contextText = selectedText;
+
+        const customFields = await loadEnabledCustomFields();
+        const ttsSettings = await loadTtsSettings();
+        const enrichmentModules = await loadEnrichmentModules(getLanguageCode(flashcard.sourceLanguage));
+        const sourceLanguageOptions = await generateLanguageOptions(flashcard.sourceLanguage);
+        const detectionText = flashcard.detectedLanguage
+            ? chrome.i18n.getMessage("languageDetected", [chrome.i18n.getMessage(flashcard.detectedLanguage), chrome.i18n.getMessage(`detectionConfidence_${flashcard.detectionConfidence}`)])
+            : chrome.i18n.getMessage("languageNotDetected");
+
+        /**
+         * Builds the fields of the enrichments made for the source language.
+         * @param {string[]} modules - The IDs of the enrichment modules, from loadEnrichmentModules.
+         * @returns {string} The HTML of the fields.
+         */
+        function getEnrichmentsHtml(modules) {
+            return modules.map(moduleId => `
+                        <div class="sub-section">
+                            <h4>${chrome.i18n.getMessage(ENRICHMENT_MODULES[moduleId].labelKey)}${moduleId === 'gender' ? ' <span class="enrichment-gender"></span>' : ''}</h4>
+                            <div class="sub-section-content">
+                                <div class="input-with-button">
+                                    <textarea class="enrichment-field editable" data-enrichment="${moduleId}" rows="${moduleId === 'conjugation' ? 4 : 1}"></textarea>
+                                    <button class="regenerate-button" data-regenerate-part="${moduleId}"></button>
+                                </div>
+                            </div>
+                        </div>`).join('');
         }
-    
-        console.log("Selected text:", selectedText);
-        console.log("Context text:", contextText);
-    
-        const detectedLanguage = detectLanguage(selectedText, contextText);
-        console.log("Detected language:", detectedLanguage);
-    
-        flashcard.detectedLanguage = detectedLanguage;
+        const extraFieldsHtml = customFields.map(field => `
+                        <div class="sub-section">
+                            <h4>${escapeHTML(field.name)}</h4>
+                            <div class="sub-section-content">
+                                <div class="input-with-button">
+                                    <textarea class="extra-field editable ${isRtlLanguage(selectedLanguage) ? 'rtl-language' : ''}" data-field-id="${escapeHTML(field.id)}" rows="2">${escapeHTML((flashcard.extraFields || {})[field.id] || '')}</textarea>
+                                    <button class="regenerate-button" data-regenerate-part="extra_${escapeHTML(field.id)}"></button>
+                                </div>
+                            </div>
+                        </div>`).join('');
+
+        // Either a web URL or a data URL, attached by clicking an image on the page or pasting one
+        let attachedImage = flashcard.image || '';
+
+        const isCloze = flashcard.cardType === CARD_TYPES.CLOZE;
+        const clozeText = flashcard.clozeText || buildClozeText(flashcard.sourceSentence, flashcard.verso, flashcard.translation);
+
+        // Only link to web pages, never to javascript: or extension URLs
+        const sourceLinkHtml = /^https?:/i.test(flashcard.sourceUrl || '') ? `
+                                <p class="source-link">${chrome.i18n.getMessage("source")}: <a href="${escapeHTML(flashcard.sourceUrl)}" target="_blank" rel="noopener noreferrer">${escapeHTML(flashcard.sourceTitle || flashcard.sourceUrl)}</a></p>` : '';
         
         const modalHtml = `
         <div id="anki-lingo-flash-review-modal" class="anki-lingo-flash-container">
             <div id="reviewModal" data-flashcard-id="${escapeHTML(flashcard.id)}">
                 <div class="modal-content">
-                    <h2>${chrome.i18n.getMessage("reviewFlashcard")}</h2>
+                    <h2>${chrome.i18n.getMessage("reviewFlashcard")}${options.progress ? ` (${escapeHTML(options.progress)})` : ''}</h2>
                     <div class="section">
                         <h3>${chrome.i18n.getMessage("front")}</h3>
                         <div class="sub-section">
                             <h4>${chrome.i18n.getMessage("directTranslation")}</h4>
                             <div class="sub-section-content">
                                 <div class="input-with-button">
-                                    <textarea class="translation editable ${isArabic(selectedLanguage) ? 'rtl-language' : ''}" rows="3">${escapeHTML(flashcard.translation || '')}</textarea>
+                                    <textarea class="translation editable ${isRtlLanguage(selectedLanguage) ? 'rtl-language' : ''}" rows="3">${escapeHTML(flashcard.translation || '')}</textarea>
                                     <button id="regenerateTranslation" class="regenerate-button"></button>
                                 </div>
                             </div>
@@ -1549,32 +3078,92 @@ if (window.hasRun === true) {
                             <h4>${chrome.i18n.getMessage("Definition")}</h4>
                             <div class="sub-section-content">
                                 <div class="input-with-button">
-                                    <textarea class="definition editable ${isArabic(selectedLanguage) ? 'rtl-language' : ''}" rows="3">${escapeHTML(flashcard.recto)}</textarea>
+                                    <textarea class="definition editable ${isRtlLanguage(selectedLanguage) ? 'rtl-language' : ''}" rows="3">${escapeHTML(flashcard.recto)}</textarea>
                                     <button id="regenerateDefinition" class="regenerate-button"></button>
                                 </div>
                             </div>
                         </div>
+                        <div class="sub-section">
+                            <h4>${chrome.i18n.getMessage("image")}</h4>
+                            <div class="sub-section-content">
+                                <p class="image-hint">${chrome.i18n.getMessage("imageHint")}</p>
+                                <div class="image-attachment">
+                                    <img class="image-preview" alt="" ${attachedImage ? `src="${escapeHTML(attachedImage)}"` : 'hidden'}>
+                                    <button id="pickImageButton" class="modal-button">${chrome.i18n.getMessage("pickImage")}</button>
+                                    <button id="removeImageButton" class="modal-button" ${attachedImage ? '' : 'hidden'}>${chrome.i18n.getMessage("removeImage")}</button>
+                                </div>
+                            </div>
+                        </div>
                     </div>
                     <div class="section">
                         <h3>${chrome.i18n.getMessage("back")}</h3>
+                        <div class="sub-section">
+                            <h4>${chrome.i18n.getMessage("sourceLanguage")}</h4>
+                            <div class="sub-section-content">
+                                <select id="sourceLanguageSelect">
+                                    <option value="" ${flashcard.sourceLanguage ? '' : 'selected'}>${chrome.i18n.getMessage("unknownLanguage")}</option>
+                                    ${sourceLanguageOptions}
+                                </select>
+                                <p class="language-detection">${escapeHTML(detectionText)}</p>
+                            </div>
+                        </div>
                         <div class="sub-section">
                             <h4>${chrome.i18n.getMessage("selectedText")}</h4>
                             <div class="sub-section-content">
                                 <div class="input-with-button">
-                                    <textarea class="back editable ${isArabic(flashcard.detectedLanguage) ? 'rtl-language' : ''}" rows="3">${escapeHTML(flashcard.verso)}</textarea>
-                                    <div class="spacer"></div>
+                                    <textarea class="back editable ${isRtlLanguage(flashcard.sourceLanguage) ? 'rtl-language' : ''}" rows="3">${escapeHTML(flashcard.verso)}</textarea>
+                                    ${ttsSettings.ttsEnabled ? `<button id="playPronunciation" class="play-audio-button" title="${chrome.i18n.getMessage("playPronunciation")}">&#9654;</button>` : '<div class="spacer"></div>'}
                                 </div>
                             </div>
                         </div>
+                        <div class="sub-section lemma-section" hidden>
+                            <h4>${chrome.i18n.getMessage("dictionaryForm")}</h4>
+                            <div class="sub-section-content">
+                                <p class="lemma-summary"></p>
+                                <ul class="lemma-inflections"></ul>
+                                <div class="lemma-choice">
+                                    <button id="useLemmaButton" class="modal-button" aria-pressed="false">${chrome.i18n.getMessage("useLemma")}</button>
+                                    <button id="keepSelectedButton" class="modal-button" aria-pressed="true">${chrome.i18n.getMessage("keepAsSelected")}</button>
+                                </div>
+                                <p class="known-word" hidden></p>
+                            </div>
+                        </div>
+                        <div class="enrichment-fields">${getEnrichmentsHtml(enrichmentModules)}</div>
                         <div class="sub-section">
-                            <h4>${chrome.i18n.getMessage("examples")}</h4>
+                            <h4>${chrome.i18n.getMessage("examples")}${ttsSettings.ttsEnabled && ttsSettings.ttsIncludeExamples ? ` <button id="playExamples" class="play-audio-button" title="${chrome.i18n.getMessage("playExamples")}">&#9654;</button>` : ''}</h4>
                             <div class="sub-section-content">
                                 <div class="input-with-button">
-                                    <textarea class="examples editable ${isArabic(selectedLanguage) ? 'rtl-language' : ''}" rows="6">${escapeHTML(flashcard.example_1 || '')}\n${escapeHTML(flashcard.example_2 || '')}\n${escapeHTML(flashcard.example_3 || '')}</textarea>
+                                    <textarea class="examples editable ${isRtlLanguage(selectedLanguage) ? 'rtl-language' : ''}" rows="6">${escapeHTML(flashcard.example_1 || '')}\n${escapeHTML(flashcard.example_2 || '')}\n${escapeHTML(flashcard.example_3 || '')}</textarea>
                                     <button id="regenerateExamples" class="regenerate-button"></button>
                                 </div>
                             </div>
                         </div>
+                        <div class="sub-section">
+                            <h4>${chrome.i18n.getMessage("sourceSentenceAsExample")}</h4>
+                            <div class="sub-section-content">
+                                <div class="input-with-button">
+                                    <textarea class="source-sentence editable ${isRtlLanguage(flashcard.sourceLanguage) ? 'rtl-language' : ''}" rows="3">${escapeHTML(flashcard.sourceSentence || '')}</textarea>
+                                    <div class="spacer"></div>
+                                </div>
+                                ${sourceLinkHtml}
+                            </div>
+                        </div>
+                        ${extraFieldsHtml}
+                        <div class="sub-section" id="cloze-section">
+                            <label for="clozeToggle" class="toggle-switch">
+                                <input type="checkbox" id="clozeToggle" ${isCloze ? 'checked' : ''}>
+                                <span class="slider round">
+                                <span class="toggle-label" data-state="off">${chrome.i18n.getMessage("vocabularyCard")}</span>
+                                <span class="toggle-label" data-state="on">${chrome.i18n.getMessage("clozeCard")}</span>
+                                </span>
+                            </label>
+                            <div class="sub-section-content" id="clozeContent" style="display: ${isCloze ? 'block' : 'none'};">
+                                <div class="input-with-button">
+                                    <textarea class="cloze-text editable ${isRtlLanguage(flashcard.sourceLanguage) ? 'rtl-language' : ''}" rows="3">${escapeHTML(clozeText)}</textarea>
+                                    <div class="spacer"></div>
+                                </div>
+                            </div>
+                        </div>
                         <div class="sub-section" id="mnemonic-section">
                             <label for="mnemonicToggle" class="toggle-switch">
                                 <input type="checkbox" id="mnemonicToggle">
@@ -1585,7 +3174,7 @@ if (window.hasRun === true) {
                             </label>
                             <div class="sub-section-content" id="mnemonicContent">
                                 <div class="input-with-button">
-                                    <textarea class="mnemonic editable ${isArabic(selectedLanguage) ? 'rtl-language' : ''}" rows="3">${escapeHTML(flashcard.mnemonic || '')}</textarea>
+                                    <textarea class="mnemonic editable ${isRtlLanguage(selectedLanguage) ? 'rtl-language' : ''}" rows="3">${escapeHTML(flashcard.mnemonic || '')}</textarea>
                                     <button id="regenerateMnemonic" class="regenerate-button"></button>
                                 </div>
                             </div>
@@ -1627,14 +3216,13 @@ if (window.hasRun === true) {
         
                     await regenerateContent('mnemonic', flashcard.id);
         
-                    chrome.storage.sync.get(['flashcards'], function(result) {
-                        const updatedFlashcard = result.flashcards[flashcard.id];
+                    AnkiLingoFlashStorage.getFlashcards().then(function(flashcards) {
+                        const updatedFlashcard = flashcards[flashcard.id];
                         globalShadowRoot.querySelector('.mnemonic').value = updatedFlashcard.mnemonic || '';
                         
                         flashcard.mnemonicGenerated = true;  // Correction ici
                         flashcard.mnemonic = updatedFlashcard.mnemonic;  // Mise à jour du mnémonique dans l'objet flashcard local
-                        result.flashcards[flashcard.id] = flashcard;  // Mise à jour de l'objet flashcard dans le stockage
-                        chrome.storage.sync.set({ flashcards: result.flashcards });
+                        AnkiLingoFlashStorage.saveFlashcards([flashcard]);  // Mise à jour de l'objet flashcard dans le stockage
                         
                         mnemonicContent.style.display = 'block';
                         globalShadowRoot.querySelector('#anki-lingo-flash-review-modal').style.display = 'flex';
@@ -1649,20 +3237,54 @@ if (window.hasRun === true) {
             }
         });
     
+        // When the card is made for the dictionary form, the form as selected on the page
+        let selectedForm = flashcard.selectedForm || '';
+        const originalForm = selectedForm || flashcard.verso;
+
+        const clozeToggle = globalShadowRoot.querySelector('#clozeToggle');
+        const clozeContent = globalShadowRoot.querySelector('#clozeContent');
+        clozeToggle.addEventListener('change', function() {
+            const clozeTextarea = globalShadowRoot.querySelector('#reviewModal .cloze-text');
+            if (this.checked && !clozeTextarea.value.trim()) {
+                // Build the cloze from the fields as edited so far
+                // The sentence holds the form as selected, not the dictionary form
+                clozeTextarea.value = buildClozeText(
+                    globalShadowRoot.querySelector('#reviewModal .source-sentence').value,
+                    selectedForm || globalShadowRoot.querySelector('#reviewModal .back').value,
+                    globalShadowRoot.querySelector('#reviewModal .translation').value
+                );
+            }
+            clozeContent.style.display = this.checked ? 'block' : 'none';
+        });
+
         // Utilisation de la délégation d'événements
         const modal = globalShadowRoot.querySelector('#anki-lingo-flash-review-modal');
         
         modal.addEventListener('click', function(event) {
             if (event.target.id === 'validateButton') {
+                const verso = this.querySelector('#reviewModal .back').value;
                 const updatedFlashcard = {
                     id: flashcard.id,
                     recto: this.querySelector('#reviewModal .definition').value,
-                    verso: this.querySelector('#reviewModal .back').value,
+                    verso: verso,
+                    // Edited back to the form as selected, the card is no longer about the dictionary form
+                    selectedForm: selectedForm !== verso.trim() ? selectedForm : '',
+                    lemma: flashcard.lemma || null,
+                    enrichments: {},
                     translation: this.querySelector('#reviewModal .translation').value,
                     mnemonic: mnemonicToggle.checked ? this.querySelector('#reviewModal .mnemonic').value : "",
                     regenerationCount: flashcard.regenerationCount,
                     detectedLanguage: flashcard.detectedLanguage,
-                    mnemonicGenerated: flashcard.mnemonicGenerated
+                    detectionConfidence: flashcard.detectionConfidence,
+                    sourceLanguage: flashcard.sourceLanguage,
+                    mnemonicGenerated: flashcard.mnemonicGenerated,
+                    sourceSentence: this.querySelector('#reviewModal .source-sentence').value.trim(),
+                    sourceUrl: flashcard.sourceUrl || '',
+                    sourceTitle: flashcard.sourceTitle || '',
+                    cardType: clozeToggle.checked ? CARD_TYPES.CLOZE : CARD_TYPES.VOCABULARY,
+                    duplicateNoteId: flashcard.duplicateNoteId || null,
+                    clozeText: this.querySelector('#reviewModal .cloze-text').value.trim(),
+                    image: attachedImage
                 };
     
                 // Séparation des exemples
@@ -1671,11 +3293,31 @@ if (window.hasRun === true) {
                 updatedFlashcard.example_1 = examples[0] || '';
                 updatedFlashcard.example_2 = examples[1] || '';
                 updatedFlashcard.example_3 = examples[2] || '';
+
+                updatedFlashcard.extraFields = {};
+                this.querySelectorAll('#reviewModal .extra-field').forEach(textarea => {
+                    updatedFlashcard.extraFields[textarea.dataset.fieldId] = textarea.value;
+                });
+
+                this.querySelectorAll('#reviewModal .enrichment-field').forEach(textarea => {
+                    const moduleId = textarea.dataset.enrichment;
+                    updatedFlashcard.enrichments[moduleId] = parseEnrichment(moduleId, textarea.value, textarea.dataset.gender);
+                });
     
                 this.remove();
-                checkAnkiRunning(updatedFlashcard);
+                if (options.onValidate) {
+                    options.onValidate(updatedFlashcard);
+                } else {
+                    checkAnkiRunning(updatedFlashcard);
+                }
             } else if (event.target.id === 'cancelReviewButton') {
                 this.remove();
+                // The flashcard stays in the history, where it can still be sent to Anki
+                recordFlashcardStatus([flashcard], 'cancelled');
+                if (options.onCancel) {
+                    options.onCancel();
+                    return;
+                }
                 chrome.runtime.sendMessage({ action: "flashcardCreationCanceled" }, function (response) {
                     showToast(chrome.i18n.getMessage("flashcardCreationCanceled"));
                 });
@@ -1687,14 +3329,189 @@ if (window.hasRun === true) {
                 regenerateContent('translation', flashcard.id);
             } else if (event.target.id === 'regenerateExamples') {
                 regenerateContent('examples', flashcard.id);
+            } else if (event.target.dataset.regeneratePart) {
+                regenerateContent(event.target.dataset.regeneratePart, flashcard.id);
+            } else if (event.target.id === 'useLemmaButton') {
+                chooseLemma(true);
+            } else if (event.target.id === 'keepSelectedButton') {
+                chooseLemma(false);
+            } else if (event.target.id === 'pickImageButton') {
+                pickPageImage().then(image => {
+                    if (image) {
+                        setAttachedImage(image);
+                    }
+                });
+            } else if (event.target.id === 'removeImageButton') {
+                setAttachedImage('');
+            } else if (event.target.id === 'playPronunciation') {
+                playPronunciation(this.querySelector('#reviewModal .back').value, event.target);
+            } else if (event.target.id === 'playExamples') {
+                // Preview the first example, the others are read the same way
+                const firstExample = this.querySelector('#reviewModal .examples').value.split('\n').find(example => example.trim() !== '') || '';
+                playPronunciation(firstExample.replace(/<[^>]*>/g, ''), event.target);
             }
         });
     
-        // Debugging
-        console.log('Modal created:', modal);
-        console.log('Validate button:', modal.querySelector('#validateButton'));
-        console.log('Cancel button:', modal.querySelector('#cancelReviewButton'));
-    
+        /**
+         * Shows the attached image, or hides the preview when it is removed.
+         * @param {string} image - The image URL or data URL, empty to remove it.
+         */
+        function setAttachedImage(image) {
+            attachedImage = image;
+            const preview = modal.querySelector('.image-preview');
+            if (image) {
+                preview.src = image;
+            } else {
+                preview.removeAttribute('src');
+            }
+            preview.hidden = !image;
+            modal.querySelector('#removeImageButton').hidden = !image;
+        }
+
+        /**
+         * Shows the dictionary form of the selection, with the choice between it and the form as selected.
+         * @param {Object} lemma - The dictionary form, from findLemma.
+         */
+        function showLemmaChoice(lemma) {
+            const section = modal.querySelector('.lemma-section');
+            section.querySelector('.lemma-summary').textContent = chrome.i18n.getMessage("lemmaSummary", [lemma.lemma, lemma.partOfSpeech]);
+            section.querySelector('.lemma-inflections').innerHTML = (lemma.inflections || []).slice(0, MAX_LEMMA_INFLECTIONS).map(inflection => `
+                                    <li><b>${escapeHTML(inflection.form)}</b>: ${escapeHTML(inflection.description)}</li>`).join('');
+            section.querySelector('#useLemmaButton').setAttribute('aria-pressed', String(!!selectedForm));
+            section.querySelector('#keepSelectedButton').setAttribute('aria-pressed', String(!selectedForm));
+            section.hidden = false;
+            if (selectedForm) {
+                showLemmaNotes(lemma.lemma);
+            }
+        }
+
+        /**
+         * Puts the dictionary form or the form as selected on the card. Parts regenerated afterwards are about that form.
+         * @param {boolean} useLemma - Whether to use the dictionary form.
+         */
+        function chooseLemma(useLemma) {
+            const verso = useLemma ? flashcard.lemma.lemma : originalForm;
+            selectedForm = useLemma ? originalForm : '';
+            modal.querySelector('#reviewModal .back').value = verso;
+            modal.querySelector('#useLemmaButton').setAttribute('aria-pressed', String(useLemma));
+            modal.querySelector('#keepSelectedButton').setAttribute('aria-pressed', String(!useLemma));
+            modal.querySelector('.lemma-section .known-word').hidden = true;
+            if (useLemma) {
+                showLemmaNotes(verso);
+            }
+
+            updateStoredFlashcard(flashcard.id, { verso: verso, selectedForm: selectedForm, lemma: flashcard.lemma });
+        }
+
+        /**
+         * Tells the user when the dictionary form is already in their collection.
+         * @param {string} lemma - The dictionary form.
+         */
+        function showLemmaNotes(lemma) {
+            findExistingNotes(lemma)
+                .then(notes => {
+                    const notice = modal.querySelector('.lemma-section .known-word');
+                    if (notes.length === 0 || !selectedForm) {
+                        return;
+                    }
+                    notice.textContent = chrome.i18n.getMessage("alreadyInAnki", [[...new Set(notes.map(note => note.deckName))].join(', ')]);
+                    notice.hidden = false;
+                })
+                .catch(error => {
+                    // Anki is not running: the choice still works without the notice
+                    console.log("Known lemma check skipped:", error);
+                });
+        }
+
+        // The dictionary form is looked up once the modal is shown, so the review is never held up by it
+        (flashcard.lemma ? Promise.resolve(flashcard.lemma) : findLemma(originalForm, flashcard.sourceSentence, flashcard.sourceLanguage))
+            .then(lemma => {
+                if (!lemma || !modal.isConnected || lemma.lemma.toLowerCase() === originalForm.trim().toLowerCase()) {
+                    return;
+                }
+                flashcard.lemma = lemma;
+                showLemmaChoice(lemma);
+            });
+
+        // Counts the runs of fillEnrichments, so a run for a source language no longer chosen stops
+        let enrichmentRun = 0;
+
+        /**
+         * Makes the enrichments of the source language, one at a time so each is saved on top of the last.
+         * @param {string[]} modules - The IDs of the enrichment modules, from loadEnrichmentModules.
+         */
+        async function fillEnrichments(modules) {
+            const run = ++enrichmentRun;
+            flashcard.enrichments = flashcard.enrichments || {};
+            for (const moduleId of modules) {
+                const textarea = modal.querySelector(`.enrichment-field[data-enrichment="${moduleId}"]`);
+                if (moduleId in flashcard.enrichments) {
+                    fillEnrichmentField(textarea, flashcard.enrichments[moduleId]);
+                    continue;
+                }
+                const value = await findEnrichment(moduleId, flashcard.verso, flashcard.sourceLanguage);
+                if (!modal.isConnected || run !== enrichmentRun) {
+                    return;
+                }
+                flashcard.enrichments[moduleId] = value;
+                // Never overwrite what the user typed while waiting
+                if (!textarea.value.trim()) {
+                    fillEnrichmentField(textarea, value);
+                }
+                await updateStoredFlashcard(flashcard.id, { enrichments: flashcard.enrichments });
+            }
+        }
+
+        // Enrichments are made once the modal is shown too
+        fillEnrichments(enrichmentModules);
+
+        // The chosen source language replaces the detected one for the direction of the source text,
+        // the enrichments and the parts regenerated from now on
+        modal.querySelector('#sourceLanguageSelect').addEventListener('change', async function() {
+            flashcard.sourceLanguage = this.value || null;
+            modal.querySelectorAll('#reviewModal .back, #reviewModal .source-sentence, #reviewModal .cloze-text').forEach(textarea => {
+                textarea.classList.toggle('rtl-language', isRtlLanguage(flashcard.sourceLanguage));
+            });
+            // The enrichments of the other language no longer apply
+            flashcard.enrichments = {};
+            const modules = await loadEnrichmentModules(getLanguageCode(flashcard.sourceLanguage));
+            modal.querySelector('.enrichment-fields').innerHTML = getEnrichmentsHtml(modules);
+            await updateStoredFlashcard(flashcard.id, { sourceLanguage: flashcard.sourceLanguage, enrichments: flashcard.enrichments });
+            fillEnrichments(modules);
+        });
+
+        // Pasting an image anywhere in the modal attaches it
+        modal.addEventListener('paste', function(event) {
+            const item = [...(event.clipboardData ? event.clipboardData.items : [])]
+                .find(clipboardItem => clipboardItem.type.startsWith('image/'));
+            if (!item) {
+                return;
+            }
+            event.preventDefault();
+            readAsDataUrl(item.getAsFile())
+                .then(setAttachedImage)
+                .catch(error => console.log("Pasted image could not be read:", error));
+        });
+
+        // Ctrl+Enter validates since Enter starts a new line in the fields; Alt+Shift+1 to Alt+Shift+9 regenerate the custom fields.
+        // Alt alone opens the browser menus and switches tabs, and Alt+Shift+F and Alt+Shift+T are the extension's own commands.
+        setupModalKeyboard(modal, [
+            { key: 'Enter', primary: true, button: '#validateButton' },
+            { key: 'Escape', button: '#cancelReviewButton' },
+            { key: 'KeyR', alt: true, shift: true, button: '#regenerateTranslation' },
+            { key: 'KeyD', alt: true, shift: true, button: '#regenerateDefinition' },
+            { key: 'KeyE', alt: true, shift: true, button: '#regenerateExamples' },
+            { key: 'KeyM', alt: true, shift: true, button: '#regenerateMnemonic' },
+            { key: 'KeyL', alt: true, shift: true, button: '#useLemmaButton' },
+            { key: 'KeyK', alt: true, shift: true, button: '#keepSelectedButton' },
+            ...customFields.slice(0, 9).map((field, index) => ({
+                key: `Digit${index + 1}`,
+                alt: true,
+                shift: true,
+                button: `[data-regenerate-part="extra_${CSS.escape(field.id)}"]`
+            }))
+        ], '#reviewModal .translation');
+
         // Assurez-vous que le DOM est complètement chargé
         setTimeout(() => {
             setupRefreshLogo();
@@ -1702,129 +3519,198 @@ if (window.hasRun === true) {
     }
     
     /**
-     * Proceeds with flashcard generation after initial checks.
+     * Proceeds with flashcard generation after initial checks.
+     * 
+     * @param {string} selectedText - The text selected by the user.
+     * @param {string} language - The target language for the flashcard.
+     * @param {Object} settings - User settings and preferences.
+     * @param {string} sourceSentence - The sentence containing the selection, if known.
+     * @param {string} cardType - The kind of note to propose, one of CARD_TYPES.
+     * @param {Object} duplicateChoice - What to do with an existing note for the same text, from checkForDuplicateNotes.
+     * @param {string|null} pageLanguage - The language the page declares for the selection, from getPageLanguage.
+     */
+    async function proceedWithFlashcardGeneration(selectedText, language, settings, sourceSentence = '', cardType = CARD_TYPES.VOCABULARY, duplicateChoice = { action: 'add' }, pageLanguage = null) {
+        showToast(chrome.i18n.getMessage("creatingFlashcard"), true, true);
+
+        // Charger l'état du toggle mnémonique
+        const mnemonicToggleState = await loadMnemonicToggleState();
+        const customFields = await loadEnabledCustomFields();
+
+        // A word already translated and defined in this sentence only needs what is missing.
+        // Custom fields are part of the full request only, so they rule the shortcut out.
+        if (cardType === CARD_TYPES.VOCABULARY && customFields.length === 0) {
+            const [cachedTranslation, cachedDefinition] = await Promise.all([
+                getCachedTranslation(selectedText, settings.language, sourceSentence),
+                getCachedContent('definition', selectedText, settings.language, sourceSentence)
+            ]);
+            if (cachedTranslation && cachedDefinition) {
+                await proceedWithFlashcardGenerationWithTranslation(selectedText, cachedTranslation, settings, sourceSentence, duplicateChoice, pageLanguage);
+                return;
+            }
+        }
+
+        const detection = detectLanguage(selectedText, sourceSentence, pageLanguage);
+
+        try {
+            const response = await requestFlashcardContent(selectedText, settings.language, settings.userId, sourceSentence, mnemonicToggleState, detection.key);
+
+            if (response.success) {
+                const flashcardData = response.data;
+                const newFlashcard = buildGeneratedFlashcard(Date.now().toString(), selectedText, flashcardData, {
+                    withMnemonic: mnemonicToggleState,
+                    sourceSentence: sourceSentence,
+                    cardType: cardType,
+                    duplicateNoteId: duplicateChoice.action === 'update' ? duplicateChoice.noteId : null,
+                    customFields: customFields,
+                    detection: detection
+                });
+
+                // Cache the generated content for future use; the cache is keyed by the i18n key of the language
+                if (flashcardData.translation) {
+                    setCachedTranslation(selectedText, settings.language, flashcardData.translation, sourceSentence);
+                }
+                cacheFlashcardContent(newFlashcard, settings.language);
+
+                await AnkiLingoFlashStorage.saveFlashcards([{ ...newFlashcard, language: settings.language }]);
+                showReviewModal(newFlashcard, language);
+                await countFreeTrialGeneration(settings);
+            } else {
+                console.log("API Error:", response.error);
+                removeCurrentToast(); // Remove the "creating..." toast
+                showToast(getGenerationErrorMessage(response));
+            }
+        } catch (error) {
+            console.log("Error calling ChatGPT API:", error);
+            removeCurrentToast(); // Remove the "creating..." toast
+            
+            // Handle network and other errors
+            // Since this is a catch block, we don't have response.provider, so use default
+            chrome.storage.sync.get(['selectedProvider', 'choice'], function(providerResult) {
+                const provider = providerResult.choice === 'local' ? AI_PROVIDERS.LOCAL : (providerResult.selectedProvider || 'openai');
+                const errorMessage = getApiErrorMessage(error, provider);
+                showToast(errorMessage);
+            });
+        }
+    }
+    
+    /**
+     * Asks the model for the content of a flashcard.
      * 
-     * @param {string} selectedText - The text selected by the user.
-     * @param {string} language - The target language for the flashcard.
-     * @param {Object} settings - User settings and preferences.
+     * @param {string} selectedText - The term to make a flashcard for.
+     * @param {string} language - The i18n key of the target language for the flashcard.
+     * @param {string} userId - The user's ID.
+     * @param {string} sourceSentence - The sentence containing the term, if known.
+     * @param {boolean} withMnemonic - Whether a mnemonic should be generated too.
+     * @param {string|null} sourceLanguage - The i18n key of the language the term is in, from detectLanguage.
+     * @returns {Promise<Object>} A promise that resolves with the background's response, holding the content in `data` on success.
      */
-    async function proceedWithFlashcardGeneration(selectedText, language, settings) {
-        showToast(chrome.i18n.getMessage("creatingFlashcard"), true, true);
-
-        if (settings.choice === 'remote') {
-            console.log('Using remote model');
-
-            // Charger l'état du toggle mnémonique
-            const mnemonicToggleState = await loadMnemonicToggleState();
+    async function requestFlashcardContent(selectedText, language, userId, sourceSentence, withMnemonic, sourceLanguage) {
+        const naturalLanguageName = chrome.i18n.getMessage(language) || language;
+        // Choisir le bon prompt en fonction de l'état du toggle mnémonique
+        const userMessage = withDictionaryContext(withSentenceContext(withSourceLanguage(withMnemonic
+            ? chrome.i18n.getMessage("generateFlashcardWithMnemonicPrompt", [naturalLanguageName, selectedText])
+            : chrome.i18n.getMessage("generateFlashcardPrompt", [naturalLanguageName, selectedText]), sourceLanguage), sourceSentence), await lookupDictionary(selectedText));
 
-            // Choisir le bon prompt en fonction de l'état du toggle mnémonique
-            const userMessage = mnemonicToggleState
-                ? chrome.i18n.getMessage("generateFlashcardWithMnemonicPrompt", [language, selectedText])
-                : chrome.i18n.getMessage("generateFlashcardPrompt", [language, selectedText]);
-
-            console.log(`[generateFlashcard] language (i18n key): ${language}`);
-            console.log(`[generateFlashcard] Prompt utilisé:`, userMessage);
+        return new Promise((resolve, reject) => {
+            chrome.runtime.sendMessage({
+                action: "callChatGPTAPI",
+                userId: userId,
+                type: CONVERSATION_TYPES.FLASHCARD,
+                message: userMessage,
+                language: language,
+                withMnemonic: withMnemonic
+            }, response => {
+                if (chrome.runtime.lastError) {
+                    reject(chrome.runtime.lastError);
+                } else {
+                    resolve(response);
+                }
+            });
+        });
+    }
 
-            try {
-                const response = await new Promise((resolve, reject) => {
-                    chrome.runtime.sendMessage({
-                        action: "callChatGPTAPI",
-                        userId: settings.userId,
-                        type: CONVERSATION_TYPES.FLASHCARD,
-                        message: userMessage,
-                        language: language
-                    }, response => {
-                        if (chrome.runtime.lastError) {
-                            reject(chrome.runtime.lastError);
-                        } else {
-                            resolve(response);
-                        }
-                    });
-                });
-    
-                console.log('Full API response:', response);
-                if (response.success) {
-                    const flashcardData = response.data;
+    /**
+     * Builds a flashcard from the content generated by the model.
+     * 
+     * @param {string} flashcardId - The ID of the new flashcard.
+     * @param {string} selectedText - The term the flashcard is about.
+     * @param {Object} flashcardData - The generated content.
+     * @param {Object} options - `withMnemonic`, `sourceSentence`, `cardType`, `duplicateNoteId`, the enabled `customFields`
+     *                           and the `detection` of the source language, from detectLanguage.
+     * @returns {Object} The flashcard.
+     */
+    function buildGeneratedFlashcard(flashcardId, selectedText, flashcardData, options) {
+        return {
+            id: flashcardId,
+            recto: flashcardData.definition,
+            verso: selectedText,
+            mnemonic: options.withMnemonic ? flashcardData.mnemonic : "",
+            mnemonicGenerated: options.withMnemonic,
+            translation: flashcardData.translation,
+            example_1: flashcardData.example_1,
+            example_2: flashcardData.example_2,
+            example_3: flashcardData.example_3,
+            sourceSentence: options.sourceSentence || '',
+            sourceUrl: window.location.href,
+            sourceTitle: document.title,
+            cardType: options.cardType || CARD_TYPES.VOCABULARY,
+            duplicateNoteId: options.duplicateNoteId || null,
+            detectedLanguage: options.detection.key,
+            detectionConfidence: options.detection.confidence,
+            sourceLanguage: options.detection.key,
+            extraFields: collectExtraFields(flashcardData, options.customFields),
+            regenerationCount: { definition: 0, mnemonic: 0, translation: 0, examples: 0 }
+        };
+    }
 
-                    // Cache the translation for future use
-                    if (flashcardData.translation) {
-                        setCachedTranslation(selectedText, language, flashcardData.translation);
-                        console.log('Cached translation from flashcard generation');
-                    }
+    /**
+     * Counts a generation against the free trial, when the free trial is in use.
+     * 
+     * @param {Object} settings - User settings and preferences.
+     * @returns {Promise} A promise that resolves once the count is updated.
+     */
+    async function countFreeTrialGeneration(settings) {
+        if (settings.choice !== 'remote' || settings.isOwnCredits) {
+            return;
+        }
+        const incrementResponse = await new Promise(resolve =>
+            chrome.runtime.sendMessage({ action: "incrementFlashcardCount" }, resolve)
+        );
+        if (incrementResponse && incrementResponse.success) {
+            updateFlashcardCounter(incrementResponse.newCount, incrementResponse.remainingCards);
+        } else {
+            console.log("Failed to increment flashcard count");
+        }
+    }
 
-                    const flashcardId = Date.now().toString();
-                    const newFlashcard = {
-                        id: flashcardId,
-                        recto: flashcardData.definition,
-                        verso: selectedText,
-                        mnemonic: mnemonicToggleState ? flashcardData.mnemonic : "",
-                        mnemonicGenerated: mnemonicToggleState,
-                        translation: flashcardData.translation,
-                        example_1: flashcardData.example_1,
-                        example_2: flashcardData.example_2,
-                        example_3: flashcardData.example_3,
-                        regenerationCount: { definition: 0, mnemonic: 0, translation: 0, examples: 0 }
-                    };
-                    console.log("NEW FLASHCARD:");
-                    console.log(newFlashcard);
-    
-                    const flashcards = settings.flashcards || {};
-                    flashcards[flashcardId] = newFlashcard;
-    
-                    await new Promise(resolve => chrome.storage.sync.set({ flashcards: flashcards }, resolve));
-                    showReviewModal(newFlashcard, language);
-                    console.log('Flashcard created:', newFlashcard);
-                    if (!settings.isOwnCredits) {
-                        const incrementResponse = await new Promise(resolve =>
-                            chrome.runtime.sendMessage({ action: "incrementFlashcardCount" }, resolve)
-                        );
-                        if (incrementResponse && incrementResponse.success) {
-                            console.log("Flashcard count incremented successfully");
-                            updateFlashcardCounter(incrementResponse.newCount, incrementResponse.remainingCards);
-                        } else {
-                            console.log("Failed to increment flashcard count");
-                        }
-                    }
-                } else {
-                    console.log("API Error:", response.error);
-                    removeCurrentToast(); // Remove the "creating..." toast
-                    
-                    // Use the provider information from the response
-                    const provider = response.provider || 'openai';
-                    
-                    // Check if this is an unsupported model error
-                    if (response.isUnsupportedModel) {
-                        showToast(chrome.i18n.getMessage("unsupportedModelError"));
-                    } else if (response.status) {
-                        // Use the detailed error information from the background script
-                        const errorObj = {
-                            status: response.status,
-                            message: response.error,
-                            errorData: response.errorData || { error: { message: response.error } }
-                        };
-                        
-                        const errorMessage = getApiErrorMessage(errorObj, provider);
-                        showToast(errorMessage);
-                    } else {
-                        // Fallback to the generic creation error
-                        showToast(chrome.i18n.getMessage("errorCreatingFlashcard"));
-                    }
-                }
-            } catch (error) {
-                console.log("Error calling ChatGPT API:", error);
-                removeCurrentToast(); // Remove the "creating..." toast
-                
-                // Handle network and other errors
-                // Since this is a catch block, we don't have response.provider, so use default
-                chrome.storage.sync.get(['selectedProvider'], function(providerResult) {
-                    const provider = providerResult.selectedProvider || 'openai';
-                    const errorMessage = getApiErrorMessage(error, provider);
-                    showToast(errorMessage);
-                });
-            }
+    /**
+     * Gets the message to show for a failed generation.
+     * 
+     * @param {Object} response - The failed response from the background script.
+     * @returns {string} The localized error message.
+     */
+    function getGenerationErrorMessage(response) {
+        // Use the provider information from the response
+        const provider = response.provider || 'openai';
+
+        // Check if this is an unsupported model error
+        if (response.isUnsupportedModel) {
+            return chrome.i18n.getMessage("unsupportedModelError");
+        } else if (response.isInvalidResponse) {
+            return chrome.i18n.getMessage("incompleteModelResponse");
+        } else if (response.status || provider === AI_PROVIDERS.LOCAL) {
+            // Use the detailed error information from the background script
+            const errorObj = {
+                status: response.status,
+                message: response.error,
+                errorData: response.errorData || { error: { message: response.error } }
+            };
+            return getApiErrorMessage(errorObj, provider);
         }
+        // Fallback to the generic creation error
+        return chrome.i18n.getMessage("errorCreatingFlashcard");
     }
-    
+
     /**
      * Checks if Anki is running and proceeds accordingly.
      * 
@@ -1855,6 +3741,7 @@ if (window.hasRun === true) {
                     <p>${chrome.i18n.getMessage("pleaseEnsureAnkiOpen")}</p>
                     <div class="button-container">
                         <button id="cancelButton" class="modal-button">${chrome.i18n.getMessage("cancel")}</button>
+                        <button id="queueButton" class="modal-button">${chrome.i18n.getMessage("addLater")}</button>
                         <button id="retryButton" class="modal-button">${chrome.i18n.getMessage("tryAgain")}</button>
                     </div>
                 </div>
@@ -1876,222 +3763,365 @@ if (window.hasRun === true) {
     
         globalShadowRoot.getElementById('cancelButton').addEventListener('click', () => {
             globalShadowRoot.querySelector('#anki-lingo-flash-anki-not-open-modal').remove();
+            recordFlashcardStatus([flashcard], 'cancelled');
             showToast(chrome.i18n.getMessage("flashcardCreationCanceled"));
         });
     
+        globalShadowRoot.getElementById('queueButton').addEventListener('click', () => {
+            globalShadowRoot.querySelector('#anki-lingo-flash-anki-not-open-modal').remove();
+            queueFlashcard(flashcard);
+        });
+    
         globalShadowRoot.getElementById('retryButton').addEventListener('click', () => {
             globalShadowRoot.querySelector('#anki-lingo-flash-anki-not-open-modal').remove();
             checkAnkiRunning(flashcard);
         });
     }
+
+    /**
+     * Puts a validated flashcard in the outbox, which the background adds to Anki once it is running.
+     * The note is built now, for the last used deck; the deck can be changed from the popup.
+     * 
+     * @param {Object} flashcard - The flashcard object that could not be added.
+     */
+    async function queueFlashcard(flashcard) {
+        const settings = await new Promise(resolve =>
+            chrome.storage.sync.get(['lastUsedDeck'], resolve)
+        );
+        const deckName = settings.lastUsedDeck || 'Default';
+        const clozeText = flashcard.clozeText || buildClozeText(flashcard.sourceSentence, flashcard.verso, flashcard.translation);
+
+        const queued = await sendFlashcardsToBackground({
+            action: "queueFlashcard",
+            flashcard: { ...flashcard, clozeText: clozeText },
+            deckName: deckName
+        }).then(() => true, error => {
+            console.log("Error queuing flashcard:", error);
+            return false;
+        });
+        if (!queued) {
+            showToast(chrome.i18n.getMessage("errorQueuingFlashcard"));
+            return;
+        }
+        // Batches queue their flashcards one after the other, so the history is saved before the next one
+        await recordFlashcardStatus([flashcard], 'queued', deckName);
+        showToast(chrome.i18n.getMessage("flashcardQueued", [deckName]));
+    }
     
     /**
-     * Checks if the model for a specific language exists in Anki, and creates it if not.
+     * Saves changes to a flashcard of the history, leaving the rest of it as stored.
      * 
-     * @param {string} modelName - The name of the model to check/create.
-     * @returns {Promise} A promise that resolves when the model is checked/created.
-     */
-    function checkAndCreateModelForLanguage(modelName) {
-        return invoke('modelNames', 6)
-            .then(models => {
-                if (!models.includes(modelName)) {
-                    return invoke('createModel', 6, {
-                        modelName: modelName,
-                        inOrderFields: ["Translation", "Definition", "Selection", "Example_1", "Example_2", "Example_3", "Mnemonic", "Add Reverse"],
-                        cardTemplates: [
-                            {
-                                Name: "Card 1",
-                                Front: `
-                                    <div style='font-family: "Arial"; font-size: 20px; text-align: center;'>
-                                        <b>${chrome.i18n.getMessage('directTranslation')}</b><br>{{Translation}}
-                                        <br><br><b>${chrome.i18n.getMessage('Definition')}</b><br>{{Definition}}
-                                    </div>`,
-                                Back: `
-                                    {{FrontSide}}
-                                    <hr id="answer">
-                                    <div style='font-family: "Arial"; font-size: 20px; text-align: center;'>
-                                        {{Selection}}
-                                    </div>
-                                    <br><br>
-                                    <i>1. {{Example_1}}</i><br>
-                                    <i>2. {{Example_2}}</i><br>
-                                    <i>3. {{Example_3}}</i>
-                                    {{#Mnemonic}}
-                                    <br><br>
-                                    <div style='font-family: "Arial"; font-size: 18px;'>
-                                        <b>${chrome.i18n.getMessage('Mnemonic')}</b><br>{{Mnemonic}}
-                                    </div>
-                                    {{/Mnemonic}}`
-                            },
-                            {
-                                Name: "Card 2 (Reverse)",
-                                Front: `
-                                    {{#Add Reverse}}
-                                        {{Selection}}
-                                        <br><br>
-                                        <i>1. {{Example_1}}</i><br>
-                                        <i>2. {{Example_2}}</i><br>
-                                        <i>3. {{Example_3}}</i>
-                                        {{#Mnemonic}}
-                                        <br><br>
-                                        <div style='font-family: "Arial"; font-size: 18px;'>
-                                            <b>${chrome.i18n.getMessage('Mnemonic')}</b><br>{{Mnemonic}}
-                                        </div>
-                                        {{/Mnemonic}}
-                                    {{/Add Reverse}}`,
-                                Back: `
-                                    {{#Add Reverse}}
-                                    <div style='font-family: "Arial"; font-size: 20px; text-align: center;'>
-                                        <b>${chrome.i18n.getMessage('directTranslation')}</b><br>{{Translation}}
-                                        <br><br><b>${chrome.i18n.getMessage('Definition')}</b><br>{{Definition}}
-                                    </div>
-                                    {{/Add Reverse}}`
-                            }
-                        ]
-                    });
+     * @param {string} flashcardId - The ID of the flashcard.
+     * @param {Object} changes - The properties to change.
+     * @returns {Promise} A promise that resolves once the flashcard is saved.
+     */
+    async function updateStoredFlashcard(flashcardId, changes) {
+        const flashcards = await AnkiLingoFlashStorage.getFlashcards();
+        if (flashcards[flashcardId]) {
+            await AnkiLingoFlashStorage.saveFlashcards([{ ...flashcards[flashcardId], ...changes }]);
+        }
+    }
+
+    /**
+     * Records what became of validated or cancelled flashcards, for the history page.
+     * 
+     * @param {Object[]} flashcards - The flashcards, as last edited by the user.
+     * @param {string} status - 'added', 'queued' or 'cancelled'.
+     * @param {string} [deckName] - The deck the flashcards went to.
+     * @returns {Promise} A promise that resolves once the history is saved.
+     */
+    async function recordFlashcardStatus(flashcards, status, deckName) {
+        const { language } = await new Promise(resolve => chrome.storage.sync.get(['language'], resolve));
+        const storedFlashcards = await AnkiLingoFlashStorage.getFlashcards();
+        await AnkiLingoFlashStorage.saveFlashcards(flashcards.map(flashcard => {
+            const stored = storedFlashcards[flashcard.id] || {};
+            // Pictures would quickly fill the history
+            const { image, imageHtml, audio, ...data } = flashcard;
+            return {
+                ...stored,
+                ...data,
+                language: stored.language || language,
+                status: status,
+                deckName: deckName || stored.deckName || '',
+                updatedAt: Date.now()
+            };
+        }));
+    }
+
+    /**
+     * Sends flashcards to the background, which builds their notes and media the same way for every page.
+     * 
+     * @param {Object} message - The message: "addFlashcardToAnki", "addFlashcardsToAnki" or "queueFlashcard".
+     * @returns {Promise<Object>} A promise that resolves with the response of the background.
+     */
+    function sendFlashcardsToBackground(message) {
+        return new Promise((resolve, reject) => {
+            chrome.runtime.sendMessage(message, response => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                } else if (!response || !response.success) {
+                    reject(new Error(response ? response.error : chrome.i18n.getMessage("ankiConnectionFailed")));
                 } else {
-                    console.log(`Model ${modelName} already exists.`);
-                    return Promise.resolve();
+                    resolve(response);
                 }
             });
+        });
     }
     
     /**
-     * Checks if the model exists, creates it if necessary, and then adds the note to Anki.
+     * Reads a file or blob as a data URL.
      * 
-     * @param {string} selectedDeck - The name of the selected Anki deck.
-     * @param {Object} data - The flashcard data.
-     * @param {string} modelName - The name of the Anki model to use.
-     * @returns {Promise} A promise that resolves when the note is added.
-     */
-    function checkAndCreateModelBeforeAdding(selectedDeck, data, modelName, createReverse) {
-        console.log("Starting checkAndCreateModelBeforeAdding");
-        console.log("Selected deck:", selectedDeck);
-        console.log("Model name:", modelName);
-        console.log("Flashcard data:", data);
-        console.log("Create reverse card:", createReverse);
-    
-        return checkAndCreateModelForLanguage(modelName)
-            .then(() => {
-                console.log("Model checked/created successfully");
-    
-                const note = {
-                    "deckName": selectedDeck,
-                    "modelName": modelName,
-                    "fields": {
-                        "Definition": data.recto,
-                        "Selection": data.verso,
-                        "Translation": data.translation || '',
-                        "Example_1": data.example_1 || '',
-                        "Example_2": data.example_2 || '',
-                        "Example_3": data.example_3 || '',
-                        "Mnemonic": data.mnemonic || '',
-                        "Add Reverse": createReverse ? "1" : ""
-                    },
-                    "options": {
-                        allowDuplicate: true
-                    },
-                    "tags": []
-                };
-    
-                console.log("Prepared note:", note);
-                return invoke('addNote', 6, { note });
-            })
-            .then(result => {
-                console.log("Note added successfully:", result);
-                return result;
-            })
-            .catch(error => {
-                console.log("Error in checkAndCreateModelBeforeAdding:", error);
-                throw error;
-            });
+     * @param {Blob} blob - The file or blob to read.
+     * @returns {Promise<string>} A promise that resolves with the data URL.
+     */
+    function readAsDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
     }
-    
+
     /**
-     * Detects the language of the given text using context from the original element.
+     * Lets the user click an image on the page while the review modal is hidden.
+     * Clicks are intercepted until an image is clicked, so links do not navigate away; Escape cancels.
      * 
-     * @param {string} text - The text to detect the language of.
-     * @param {Element} originalElement - The original DOM element containing the text.
-     * @returns {string} The detected language code.
+     * @returns {Promise<string|null>} A promise that resolves with the image URL, or null if cancelled.
      */
-    function detectLanguage(text, originalElement) {
-        const languagesToCheck = ['cmn', 'spa', 'eng', 'rus', 'arb', 'ben', 'hin', 'por', 'ind', 'jpn', 'fra', 'deu', 'jav', 'kor', 'tel', 'vie', 'mar', 'ita', 'tam', 'tur', 'urd', 'guj', 'pol', 'ukr', 'kan', 'mai', 'mal', 'mya', 'pan', 'ron', 'nld', 'hrv', 'tha', 'swh', 'amh', 'orm', 'uzn', 'aze', 'kat', 'ces', 'hun', 'ell', 'swe', 'heb', 'zlm', 'dan', 'fin', 'nor', 'slk'];
+    function pickPageImage() {
+        const reviewModal = globalShadowRoot.querySelector('#anki-lingo-flash-review-modal');
+        reviewModal.style.display = 'none';
+        showToast(chrome.i18n.getMessage("clickImageToAttach"), true);
 
-        function detectWithFranc(text) {
-            return window.francAll(text, {
-                minLength: 1,
-                whitelist: languagesToCheck
-            })[0][0];
-        }
-
-        function getTextContent(element) {
-            return element.textContent.trim().replace(/\s+/g, ' ');
-        }
-        function expandContext(element, depth = 0) {
-            if (!element || depth > 5) return null;
-
-            let parent = element.parentElement;
-            if (!parent) return null;
+        return new Promise(resolve => {
+            const finish = image => {
+                document.removeEventListener('click', onClick, true);
+                document.removeEventListener('keydown', onKeyDown, true);
+                removeCurrentToast();
+                reviewModal.style.display = 'flex';
+                resolve(image);
+            };
+            const onClick = event => {
+                event.preventDefault();
+                event.stopPropagation();
+                const image = event.composedPath().find(element => element.tagName === 'IMG');
+                const source = image && (image.currentSrc || image.src);
+                if (!source) {
+                    return;
+                }
+                if (source.startsWith('blob:')) {
+                    // Blob URLs only live as long as the page, keep the image itself
+                    fetch(source)
+                        .then(response => response.blob())
+                        .then(readAsDataUrl)
+                        .then(finish)
+                        .catch(() => finish(null));
+                } else {
+                    finish(source);
+                }
+            };
+            const onKeyDown = event => {
+                if (event.key === 'Escape') {
+                    finish(null);
+                }
+            };
+            document.addEventListener('click', onClick, true);
+            document.addEventListener('keydown', onKeyDown, true);
+        });
+    }
 
-            let contextText = getTextContent(parent);
-            if (contextText.length > text.length * 3) {
-                return contextText;
-            }
+    /**
+     * Loads the text-to-speech settings chosen in the popup.
+     * 
+     * @returns {Promise<Object>} A promise that resolves with `ttsEnabled` and `ttsIncludeExamples`.
+     */
+    function loadTtsSettings() {
+        return new Promise(resolve => {
+            chrome.storage.sync.get(['ttsEnabled', 'ttsIncludeExamples'], resolve);
+        });
+    }
 
-            return expandContext(parent, depth + 1);
+    /**
+     * Synthesizes speech for a text through the background. Results are kept for the page's lifetime,
+     * so a preview played again is not requested again.
+     * 
+     * @param {string} text - The text to speak.
+     * @returns {Promise<string>} A promise that resolves with the MP3 audio, base64-encoded.
+     */
+    function synthesizeSpeech(text) {
+        const key = text.trim();
+        if (!speechCache.has(key)) {
+            const request = new Promise((resolve, reject) => {
+                chrome.runtime.sendMessage({ action: "synthesizeSpeech", text: key }, response => {
+                    if (chrome.runtime.lastError) {
+                        reject(new Error(chrome.runtime.lastError.message));
+                    } else if (!response || !response.success) {
+                        reject(new Error(response ? response.error : chrome.i18n.getMessage("ttsError")));
+                    } else {
+                        resolve(response.audio);
+                    }
+                });
+            });
+            // Let a failed request be retried
+            request.catch(() => speechCache.delete(key));
+            speechCache.set(key, request);
         }
+        return speechCache.get(key);
+    }
 
-        let initialDetection = detectWithFranc(text);
-        console.log("Initial detection:", initialDetection);
-
-        if (languagesToCheck.includes(initialDetection) && originalElement) {
-            let expandedContext = expandContext(originalElement);
-            if (expandedContext) {
-                let contextDetection = detectWithFranc(expandedContext);
-                console.log("Context detection:", contextDetection);
+    /**
+     * Plays the pronunciation of a text, stopping any preview still playing.
+     * 
+     * @param {string} text - The text to speak.
+     * @param {HTMLElement} button - The play button, disabled while the audio is synthesized.
+     */
+    function playPronunciation(text, button) {
+        if (!text.trim()) {
+            return;
+        }
+        button.disabled = true;
+        synthesizeSpeech(text)
+            .then(audio => {
+                if (currentAudio) {
+                    currentAudio.pause();
+                }
+                currentAudio = new Audio(`data:audio/mpeg;base64,${audio}`);
+                return currentAudio.play();
+            })
+            .catch(error => {
+                console.log("Pronunciation preview failed:", error);
+                showToast(`${chrome.i18n.getMessage("ttsError")}: ${error.message}`);
+            })
+            .finally(() => {
+                button.disabled = false;
+            });
+    }
 
-                if (contextDetection !== initialDetection) {
-                    // If the context detection is different, look for a majority class
-                    let detections = [initialDetection, contextDetection];
-                    let currentElement = originalElement.parentElement;
-                    let depth = 0;
+    /**
+     * Builds the text of a cloze note by hiding the selected term in its sentence.
+     * 
+     * @param {string} sentence - The sentence containing the term.
+     * @param {string} term - The selected term to hide.
+     * @param {string} hint - The hint shown in place of the term, usually its translation.
+     * @returns {string} The cloze text, or an empty string if the term is not in the sentence.
+     */
+    function buildClozeText(sentence, term, hint) {
+        if (!sentence || !term) {
+            return '';
+        }
+        const pattern = new RegExp(term.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        const match = sentence.match(pattern);
+        if (!match) {
+            return '';
+        }
+        // "::" and "}}" would end the cloze deletion early
+        const safeHint = (hint || '').replace(/::|\}\}/g, ' ').replace(/\s+/g, ' ').trim();
+        const deletion = safeHint ? `{{c1::${match[0]}::${safeHint}}}` : `{{c1::${match[0]}}}`;
+        return sentence.slice(0, match.index) + deletion + sentence.slice(match.index + match[0].length);
+    }
 
-                    while (currentElement && depth < 5) {
-                        let furtherContext = getTextContent(currentElement);
+    /**
+     * Detects the language of a selection. franc's scores for the selection and for the text around it are added up,
+     * with the language the page declares there, each weighed as in DETECTION_WEIGHTS.
+     * 
+     * @param {string} text - The selected text.
+     * @param {string} contextText - The sentence or text around the selection, if known.
+     * @param {string|null} pageLanguage - The i18n key of the language the page declares, from getPageLanguage.
+     * @returns {Object} `{ key, confidence }`: the i18n key of the language, null when no supported language fits,
+     *                   and how sure the detection is, 'high', 'medium' or 'low'.
+     */
+    function detectLanguage(text, contextText, pageLanguage) {
+        const whitelist = DETECTABLE_LANGUAGES.flatMap(language => language.codes);
+        const scores = {};
+        let totalWeight = 0;
+
+        function addScores(sample, weight) {
+            const sampleScores = {};
+            window.francAll(sample, { minLength: 1, whitelist: whitelist }).forEach(([code, score]) => {
+                const key = getLanguageKey(code);
+                // Bokmål and Nynorsk both count for Norwegian, by the best of their scores
+                if (key && !(sampleScores[key] >= score)) {
+                    sampleScores[key] = score;
+                }
+            });
+            Object.entries(sampleScores).forEach(([key, score]) => {
+                scores[key] = (scores[key] || 0) + score * weight;
+            });
+            totalWeight += weight;
+        }
 
-                        console.log("expanded context: " + furtherContext);
+        if (text && text.trim()) {
+            addScores(text, DETECTION_WEIGHTS.selection);
+        }
+        if (contextText && contextText.trim() && contextText.trim() !== (text || '').trim()) {
+            addScores(contextText, DETECTION_WEIGHTS.context);
+        }
+        if (pageLanguage) {
+            scores[pageLanguage] = (scores[pageLanguage] || 0) + DETECTION_WEIGHTS.page;
+            totalWeight += DETECTION_WEIGHTS.page;
+        }
 
-                        let furtherDetection = detectWithFranc(furtherContext);
-                        detections.push(furtherDetection);
+        const [best, runnerUp] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+        if (!best) {
+            return { key: null, confidence: 'low' };
+        }
+        const lead = (best[1] - (runnerUp ? runnerUp[1] : 0)) / totalWeight;
+        const confidence = lead >= DETECTION_CONFIDENCE_THRESHOLDS.high ? 'high'
+            : lead >= DETECTION_CONFIDENCE_THRESHOLDS.medium ? 'medium' : 'low';
+        return { key: best[0], confidence: confidence };
+    }
 
-                        // Check if a language is in majority
-                        let counts = detections.reduce((acc, lang) => {
-                            acc[lang] = (acc[lang] || 0) + 1;
-                            return acc;
-                        }, {});
+    /**
+     * Gets the i18n key of a language detected by franc.
+     * 
+     * @param {string} code - The ISO 639-3 code franc returned.
+     * @returns {string|null} The i18n key, null when the language is not supported.
+     */
+    function getLanguageKey(code) {
+        const language = DETECTABLE_LANGUAGES.find(language => language.codes.includes(code));
+        return language ? language.key : null;
+    }
 
-                        let majorityLang = Object.keys(counts).reduce((a, b) => counts[a] > counts[b] ? a : b);
-                        if (counts[majorityLang] > detections.length / 2) {
-                            console.log("Majority language found:", majorityLang);
-                            return majorityLang;
-                        }
+    /**
+     * Gets the ISO 639-3 code of a language, as LANGUAGE_ENRICHMENTS and the popup settings know it.
+     * 
+     * @param {string|null} key - The i18n key of the language.
+     * @returns {string|null} The code, null when the language is not supported.
+     */
+    function getLanguageCode(key) {
+        const language = DETECTABLE_LANGUAGES.find(language => language.key === key);
+        return language ? language.codes[0] : null;
+    }
 
-                        currentElement = currentElement.parentElement;
-                        depth++;
-                    }
-                }
-            }
+    /**
+     * Gets the language the page declares where a text is selected.
+     * The closest lang attribute wins, so a quote marked up in another language is read as such.
+     * Text that is not in the current selection may come from a frame or from another page, whose language this page says nothing about.
+     * 
+     * @param {string} text - The text the language is wanted for.
+     * @returns {string|null} The i18n key of the language, null when the text is not selected, no language is declared or it is not supported.
+     */
+    function getPageLanguage(text) {
+        const selection = window.getSelection();
+        const normalize = value => value.replace(/\s+/g, ' ').trim().toLowerCase();
+        if (!selection || selection.rangeCount === 0 || !normalize(text) || !normalize(selection.toString()).includes(normalize(text))) {
+            return null;
         }
-
-        console.log("Final detection:", initialDetection);
-        return initialDetection;
+        const node = selection.getRangeAt(0).commonAncestorContainer;
+        const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        const declaringElement = (element && element.closest('[lang]')) || document.documentElement;
+        // Only the primary subtag matters: "pt-BR" is Portuguese
+        const tag = (declaringElement.getAttribute('lang') || '').trim().toLowerCase().split(/[-_]/)[0];
+        const language = DETECTABLE_LANGUAGES.find(language => language.tags.includes(tag));
+        return language ? language.key : null;
     }
     
     /**
      * Displays a modal for selecting an Anki deck and confirming flashcard details.
      * 
      * @param {Object} data - The flashcard data to be added to Anki.
-     *                          `data.detectedLanguage` should ideally be an i18n key if present.
+     *                          `data.sourceLanguage` and `data.detectedLanguage` are i18n keys if present.
      */
     async function showDeckSelectionModal(data) {
         const decks = await fetchDecks();
@@ -2100,8 +4130,8 @@ if (window.hasRun === true) {
             let lastUsedDeck = result.lastUsedDeck;
             
             // currentLanguageKey should be an i18n key.
-            // Prioritize data.detectedLanguage (if it's an i18n key), then stored settings.language, then a default.
-            let currentLanguageKey = data.detectedLanguage || result.language;
+            // Prioritize the source language chosen in the review, then the detected one, then stored settings.language, then a default.
+            let currentLanguageKey = data.sourceLanguage || data.detectedLanguage || result.language;
             if (!SUPPORTED_I18N_LANGUAGE_KEYS.includes(currentLanguageKey)) {
                 currentLanguageKey = SUPPORTED_I18N_LANGUAGE_KEYS.includes('english_us') ? 'english_us' : SUPPORTED_I18N_LANGUAGE_KEYS[0]; 
             }
@@ -2134,6 +4164,16 @@ if (window.hasRun === true) {
                         </div>
                         -->
                         <div class="create-reverse-checkbox">
+                            <label for="clozeCardToggle">${chrome.i18n.getMessage("cardTypeLabel")}</label>
+                            <label class="toggle-switch">
+                                <input type="checkbox" id="clozeCardToggle" name="clozeCardToggle" ${data.cardType === CARD_TYPES.CLOZE ? 'checked' : ''}>
+                                <span class="slider">
+                                    <span class="toggle-label" data-state="off">${chrome.i18n.getMessage("vocabularyCard")}</span>
+                                    <span class="toggle-label" data-state="on">${chrome.i18n.getMessage("clozeCard")}</span>
+                                </span>
+                            </label>
+                        </div>
+                        <div class="create-reverse-checkbox" id="createReverseCardRow" ${data.cardType === CARD_TYPES.CLOZE ? 'style="display: none;"' : ''}>
                             <label for="createReverseCardToggle">${chrome.i18n.getMessage("CreateReverseCardLabel")}</label>
                             <label class="toggle-switch">
                                 <input type="checkbox" id="createReverseCardToggle" name="createReverseCardToggle" ${createReverseCardToggle ? 'checked' : ''}>
@@ -2162,23 +4202,44 @@ if (window.hasRun === true) {
             //     languageSelect.value = currentLanguageKey;
             // }
     
+            // Reverse cards only exist for vocabulary notes
+            globalShadowRoot.querySelector('#clozeCardToggle').addEventListener('change', function () {
+                globalShadowRoot.querySelector('#createReverseCardRow').style.display = this.checked ? 'none' : '';
+            });
+
             globalShadowRoot.querySelector('#validateButton').addEventListener('click', () => {
                 const selectedDeck = globalShadowRoot.querySelector('#deckSelect').value;
                 const createReverse = globalShadowRoot.querySelector('#createReverseCardToggle').checked;
+                const isCloze = globalShadowRoot.querySelector('#clozeCardToggle').checked;
+                const clozeText = data.clozeText || buildClozeText(data.sourceSentence, data.verso, data.translation);
+
+                if (isCloze && !clozeText.includes('{{c1::')) {
+                    showToast(chrome.i18n.getMessage("clozeNeedsSentence"));
+                    return;
+                }
     
                 // If languageSelect is active:
                 // const selectedLanguageKey = globalShadowRoot.querySelector('#languageSelect').value;
                 // console.log("Selected language key:", selectedLanguageKey);
                 // chrome.storage.sync.set({ language: selectedLanguageKey }); // Optionally save selected language
     
-                const modelName = `AnkiLingoFlash_0.4`; // Model name is generic
-    
-                chrome.storage.sync.set({ createReverseCardToggle: createReverse, lastUsedDeck: selectedDeck });
+                if (isCloze) {
+                    chrome.storage.sync.set({ lastUsedDeck: selectedDeck });
+                } else {
+                    chrome.storage.sync.set({ createReverseCardToggle: createReverse, lastUsedDeck: selectedDeck });
+                }
     
-                checkAndCreateModelBeforeAdding(selectedDeck, data, modelName, createReverse)
-                    .then(result => {
-                        console.log("Note added successfully:", result);
-                        showToast(chrome.i18n.getMessage("flashcardAddedToDeck", [selectedDeck]));
+                sendFlashcardsToBackground({
+                    action: "addFlashcardToAnki",
+                    flashcard: { ...data, cardType: isCloze ? CARD_TYPES.CLOZE : CARD_TYPES.VOCABULARY, clozeText: clozeText },
+                    deckName: selectedDeck,
+                    settings: { createReverse: createReverse }
+                })
+                    .then(() => {
+                        showToast(!isCloze && data.duplicateNoteId
+                            ? chrome.i18n.getMessage("flashcardUpdated")
+                            : chrome.i18n.getMessage("flashcardAddedToDeck", [selectedDeck]));
+                        recordFlashcardStatus([{ ...data, cardType: isCloze ? CARD_TYPES.CLOZE : CARD_TYPES.VOCABULARY, clozeText: clozeText }], 'added', selectedDeck);
                         modalContainer.remove(); // Remove the specific modal instance
                     })
                     .catch(error => {
@@ -2188,12 +4249,101 @@ if (window.hasRun === true) {
             });
     
             globalShadowRoot.querySelector('#cancelButton').addEventListener('click', () => {
+                recordFlashcardStatus([data], 'cancelled');
                 showToast(chrome.i18n.getMessage("flashcardCreationCanceled"));
                 modalContainer.remove(); // Remove the specific modal instance
             });
+
+            setupModalKeyboard(globalShadowRoot.querySelector('#anki-lingo-flash-deck-selection-modal'), [
+                { key: 'Enter', primary: true, button: '#validateButton' },
+                { key: 'Enter', button: '#validateButton' },
+                { key: 'Escape', button: '#cancelButton' }
+            ], '#deckSelect');
         });
     }
     
+    /**
+     * Lets a modal be driven from the keyboard while it is shown: Tab and Shift+Tab cycle through its controls
+     * without leaving it, and the shortcuts press its buttons. Each button with a shortcut shows it in its tooltip.
+     * The listener is removed as soon as the modal leaves the page.
+     *
+     * @param {HTMLElement} modal - The modal container, in the shadow root.
+     * @param {Object[]} shortcuts - The shortcuts, as `{ key, button, alt, shift, primary }`: the `KeyboardEvent.code`
+     *                               (or `key` for Enter and Escape), the selector of the button to press, and whether
+     *                               Alt, Shift or Ctrl (Cmd on macOS) must be held.
+     * @param {string} [initialFocus] - The selector of the control to focus first.
+     */
+    function setupModalKeyboard(modal, shortcuts, initialFocus) {
+        const isMac = /Mac/i.test(navigator.platform);
+        shortcuts.forEach(shortcut => {
+            const button = modal.querySelector(shortcut.button);
+            if (button) {
+                const keyLabel = shortcut.key.replace(/^Key|^Digit/, '');
+                const combination = `${shortcut.primary ? (isMac ? 'Cmd+' : 'Ctrl+') : ''}${shortcut.alt ? 'Alt+' : ''}${shortcut.shift ? 'Shift+' : ''}${keyLabel}`;
+                button.title = chrome.i18n.getMessage("keyboardShortcutHint", [combination]);
+                button.setAttribute('aria-keyshortcuts', combination.replace('Cmd', 'Meta').replace('Ctrl', 'Control'));
+            }
+        });
+
+        const isShown = element => !element.disabled && !element.hidden && element.getClientRects().length > 0;
+
+        const onKeyDown = event => {
+            // Hidden while a part is regenerated or an image is picked on the page
+            if (modal.style.display === 'none') {
+                return;
+            }
+            const focused = globalShadowRoot.activeElement;
+
+            if (event.key === 'Tab') {
+                const focusable = [...modal.querySelectorAll('button, select, textarea, input, a[href]')].filter(isShown);
+                if (focusable.length === 0) {
+                    return;
+                }
+                const index = focusable.indexOf(focused);
+                const next = index === -1
+                    ? focusable[event.shiftKey ? focusable.length - 1 : 0]
+                    : focusable[(index + (event.shiftKey ? -1 : 1) + focusable.length) % focusable.length];
+                event.preventDefault();
+                event.stopPropagation();
+                next.focus();
+                return;
+            }
+
+            const shortcut = shortcuts.find(candidate =>
+                (event.code === candidate.key || event.key === candidate.key)
+                && !!candidate.alt === event.altKey
+                && !!candidate.shift === event.shiftKey
+                && !!candidate.primary === (event.ctrlKey || event.metaKey));
+            if (!shortcut) {
+                return;
+            }
+            // A plain Enter keeps its meaning in text areas and on buttons
+            if (shortcut.key === 'Enter' && !shortcut.primary && focused && ['TEXTAREA', 'BUTTON', 'A'].includes(focused.tagName)) {
+                return;
+            }
+            const button = modal.querySelector(shortcut.button);
+            if (button && isShown(button)) {
+                event.preventDefault();
+                event.stopPropagation();
+                button.click();
+            }
+        };
+        document.addEventListener('keydown', onKeyDown, true);
+        // Modals are closed by removing them, wherever that happens
+        const removalObserver = new MutationObserver(() => {
+            if (!modal.isConnected) {
+                document.removeEventListener('keydown', onKeyDown, true);
+                removalObserver.disconnect();
+            }
+        });
+        removalObserver.observe(globalShadowRoot, { childList: true, subtree: true });
+
+        const firstControl = initialFocus && modal.querySelector(initialFocus);
+        if (firstControl) {
+            firstControl.focus();
+        }
+    }
+
     /**
      * Sets up the refresh logo for regenerate buttons.
      */
@@ -2212,7 +4362,6 @@ if (window.hasRun === true) {
                 button.style.backgroundRepeat = 'no-repeat';
                 button.style.backgroundPosition = 'center';
                 button.style.display = 'inline-block';
-                console.log('Refresh logo set for button:', button);
             });
         }, 0);
     }
@@ -2222,6 +4371,7 @@ if (window.hasRun === true) {
 
     // Initialize translation popup functionality
     setupTextSelectionDetection();
+    setupHoverDictionary();
     
     /**
      * Removes the toast notification from the DOM.
@@ -2235,7 +4385,6 @@ if (window.hasRun === true) {
     
     // Listen for messages from the background script
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-        console.log("Received message:", request);
         if (request.action === "updateFlashcardCount") {
             console.log('Flashcard count updated:', request.count);
             console.log('Remaining cards:', request.remainingCards);
@@ -2257,19 +4406,49 @@ if (window.hasRun === true) {
         else if (request.action === "flashcardCreationCanceled") {
             showToast(chrome.i18n.getMessage("flashcardCreationCanceled"));
         } else if (request.action === "generateFlashcard") {
-            console.log('Selected text:', request.text);
             // request.language should be an i18n key if sent from popup/context menu
             // If not, generateFlashcard will fall back to settings.language
             const requestedLanguageKey = request.language; 
     
             checkAuth((isAuthenticated) => {
                 if (isAuthenticated) {
-                    generateFlashcard(request.text, requestedLanguageKey);
+                    generateFlashcard(request.text, requestedLanguageKey, request.cardType);
                 } else {
                     // Auth check already shows the appropriate error message via showToast
                     console.log("Authentication failed for flashcard generation");
                 }
             });
+        } else if (request.action === "generateFlashcardFromSelection" || request.action === "translateSelection") {
+            // Sent by the keyboard shortcuts, which do not know the selection
+            const selectedText = getSelectedText();
+            if (!selectedText) {
+                showToast(chrome.i18n.getMessage("noTextSelected"));
+            } else if (request.action === "translateSelection") {
+                hideTranslationIcon();
+                currentSelection = window.getSelection();
+                processTranslationRequest(selectedText, getSelectionPosition());
+            } else {
+                checkAuth((isAuthenticated) => {
+                    if (isAuthenticated) {
+                        generateFlashcard(selectedText);
+                    }
+                });
+            }
+        } else if (request.action === "addToBasket") {
+            addToBasket(request.text);
+        } else if (request.action === "generateBasket") {
+            checkAuth((isAuthenticated) => {
+                if (isAuthenticated) {
+                    generateBasket(request.entries);
+                }
+            });
+            sendResponse({ started: true });
+        } else if (request.action === "extractVocabulary") {
+            checkAuth((isAuthenticated) => {
+                if (isAuthenticated) {
+                    extractVocabulary(request.text);
+                }
+            });
         } else if (request.action === "showAnkiNotOpenModal") {
             showAnkiNotOpenModal(request.flashcard);
         } else if (request.action === "showToast") {
@@ -2277,9 +4456,9 @@ if (window.hasRun === true) {
         }
     });
     
-    // Helper function to check if a language is Arabic
-    function isArabic(language) {
-        return language === 'arabic_standard' || language === 'arabic_eg'; // 'arb' for Standard Arabic, 'arz' for Egyptian Arabic
+    // Helper function to check if a language, given by its i18n key, is written right to left
+    function isRtlLanguage(language) {
+        return RTL_LANGUAGE_KEYS.includes(language);
     }
 
     function loadMnemonicToggleState() {
@@ -2293,4 +4472,40 @@ if (window.hasRun === true) {
     function saveMnemonicToggleState(state) {
         chrome.storage.sync.set({ mnemonicToggleState: state });
     }
+
+    /**
+     * Loads the user's note type mapping, set from the popup.
+     * @returns {Promise<Object|null>} `{ modelName, fields }`, where `fields` maps a piece of the flashcard
+     *     to a field name, or null when notes go to the extension's own note type.
+     */
+    function loadNoteTypeMapping() {
+        return new Promise((resolve) => {
+            chrome.storage.sync.get(['noteTypeMapping'], function(result) {
+                const mapping = result.noteTypeMapping;
+                resolve(mapping && mapping.modelName ? mapping : null);
+            });
+        });
+    }
+
+    /**
+     * Loads the custom card fields enabled in the settings.
+     * @returns {Promise<Object[]>} The enabled fields ({ id, name, description, enabled }).
+     */
+    function loadEnabledCustomFields() {
+        return new Promise((resolve) => {
+            chrome.storage.sync.get(['customFields'], function(result) {
+                resolve((result.customFields || []).filter(field => field.enabled));
+            });
+        });
+    }
+
+    /**
+     * Extracts the custom field values from a flashcard generation response.
+     * @param {Object} data - The parsed model response, with one `extra_<id>` key per field.
+     * @param {Object[]} customFields - The enabled custom fields.
+     * @returns {Object} The values keyed by field ID.
+     */
+    function collectExtraFields(data, customFields) {
+        return Object.fromEntries(customFields.map(field => [field.id, data[`extra_${field.id}`] || '']));
+    }
 }
@@ -0,0 +1,516 @@
+/**
+ * Dictionaries page: imports offline dictionaries into the background's IndexedDB and lists them.
+ * Supported formats are Yomitan (Yomichan) zip dictionaries, StarDict dictionaries (the .ifo, .idx and .dict files,
+ * compressed or not) and Wiktionary JSONL extracts, one word per line as published by kaikki.org.
+ */
+
+// Entries sent to the background per message
+const IMPORT_BATCH_SIZE = 1000;
+
+let importInProgress = false;
+
+document.addEventListener('DOMContentLoaded', initializeDictionariesPage);
+
+/**
+ * Translate the page, list the dictionaries and set up the import.
+ */
+function initializeDictionariesPage() {
+    translatePage();
+    renderDictionaries();
+
+    document.getElementById('importDictionary').addEventListener('click', function () {
+        const files = [...document.getElementById('dictionaryFiles').files];
+        if (files.length === 0 || importInProgress) return;
+        importDictionary(files);
+    });
+
+    document.getElementById('dictionaryList').addEventListener('click', function (event) {
+        const item = event.target.closest('.dictionary-card');
+        if (!item || event.target.dataset.dictionaryAction !== 'delete') return;
+        if (!confirm(chrome.i18n.getMessage("dictionaryDeleteConfirm", [item.dataset.title]))) return;
+        event.target.disabled = true;
+        sendDictionaryMessage({ action: "deleteDictionary", dictionaryId: Number(item.dataset.dictionaryId) })
+            .then(renderDictionaries)
+            .catch(error => showDictionaryError(error.message));
+    });
+}
+
+/**
+ * Show an error above the list, or hide it.
+ * @param {string} [message] - The error message; hides the error when empty.
+ */
+function showDictionaryError(message) {
+    const errorElement = document.getElementById('dictionaryError');
+    errorElement.textContent = message || '';
+    errorElement.style.display = message ? 'block' : 'none';
+}
+
+/**
+ * Send a message to the background's dictionary store.
+ * @param {Object} message - The message, with its `action`.
+ * @returns {Promise<Object>} A promise that resolves with the response, or rejects with its error.
+ */
+function sendDictionaryMessage(message) {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage(message, response => {
+            if (response && response.success) {
+                resolve(response);
+            } else {
+                reject(new Error(response ? response.error : chrome.i18n.getMessage("dictionaryImportFailed")));
+            }
+        });
+    });
+}
+
+/**
+ * List the installed dictionaries.
+ */
+async function renderDictionaries() {
+    const list = document.getElementById('dictionaryList');
+    try {
+        const { dictionaries } = await sendDictionaryMessage({ action: "getDictionaries" });
+        list.innerHTML = dictionaries.length > 0
+            ? dictionaries.map(renderDictionary).join('')
+            : `<p class="custom-fields-help">${chrome.i18n.getMessage("dictionariesEmpty")}</p>`;
+    } catch (error) {
+        showDictionaryError(error.message);
+    }
+}
+
+/**
+ * Build the HTML of an installed dictionary.
+ * @param {Object} dictionary - The dictionary record.
+ * @returns {string} The HTML of the dictionary.
+ */
+function renderDictionary(dictionary) {
+    const details = [
+        chrome.i18n.getMessage(`dictionaryFormat_${dictionary.format}`),
+        chrome.i18n.getMessage("dictionaryEntryCount", [String(dictionary.entryCount)]),
+        new Date(dictionary.importedAt).toLocaleDateString(),
+        dictionary.complete ? '' : chrome.i18n.getMessage("dictionaryIncomplete")
+    ].filter(Boolean).map(escapeHTML).join(' · ');
+
+    return `
+        <div class="sub-card dictionary-card" data-dictionary-id="${escapeHTML(dictionary.id)}" data-title="${escapeHTML(dictionary.title)}">
+            <div class="custom-field-header">
+                <b class="outbox-label">${escapeHTML(dictionary.title)}</b>
+                <button data-dictionary-action="delete">${chrome.i18n.getMessage("dictionaryDelete")}</button>
+            </div>
+            <p class="history-details">${details}</p>
+        </div>
+    `;
+}
+
+/**
+ * Import a dictionary from the files picked by the user, whose names tell the format.
+ * A dictionary that fails halfway is deleted.
+ * @param {File[]} files - The picked files.
+ */
+async function importDictionary(files) {
+    const button = document.getElementById('importDictionary');
+    const progress = document.getElementById('dictionaryProgress');
+    const importer = createImporter(count => {
+        progress.textContent = chrome.i18n.getMessage("dictionaryImportProgress", [String(count)]);
+    });
+
+    importInProgress = true;
+    button.disabled = true;
+    showDictionaryError('');
+    progress.textContent = chrome.i18n.getMessage("dictionaryReading");
+
+    try {
+        if (files.some(file => /\.ifo$/i.test(file.name))) {
+            await readStarDictDictionary(files, importer);
+        } else if (files.length === 1 && /\.zip$/i.test(files[0].name)) {
+            await readYomitanDictionary(files[0], importer);
+        } else if (files.length === 1 && /\.jsonl?$/i.test(files[0].name)) {
+            await readWiktionaryDictionary(files[0], importer);
+        } else {
+            throw new Error(chrome.i18n.getMessage("dictionaryUnknownFormat"));
+        }
+        const count = await importer.finish();
+        progress.textContent = chrome.i18n.getMessage("dictionaryImported", [String(count)]);
+    } catch (error) {
+        console.log('Dictionary import failed:', error);
+        progress.textContent = '';
+        showDictionaryError(chrome.i18n.getMessage("dictionaryImportFailed") + (error.message ? `: ${error.message}` : ''));
+        await importer.cancel();
+    } finally {
+        importInProgress = false;
+        button.disabled = false;
+        document.getElementById('dictionaryFiles').value = '';
+        renderDictionaries();
+    }
+}
+
+/**
+ * Create the importer the readers hand their entries to. It creates the dictionary in the background
+ * and sends the entries in batches.
+ * @param {function(number)} onProgress - Called with the number of entries imported so far.
+ * @returns {Object} The importer: `start(title, format)`, `add(entries)`, `finish()` and `cancel()`.
+ */
+function createImporter(onProgress) {
+    let dictionaryId = null;
+    let pending = [];
+    let count = 0;
+
+    const flush = async () => {
+        if (pending.length === 0) return;
+        const entries = pending;
+        pending = [];
+        const response = await sendDictionaryMessage({ action: "addDictionaryEntries", dictionaryId: dictionaryId, entries: entries });
+        count += response.added;
+        onProgress(count);
+    };
+
+    return {
+        async start(title, format) {
+            const response = await sendDictionaryMessage({ action: "createDictionary", title: title, format: format });
+            dictionaryId = response.dictionaryId;
+        },
+        async add(entries) {
+            entries.forEach(entry => {
+                if (entry.term && entry.definitions.length > 0) {
+                    pending.push(entry);
+                }
+            });
+            if (pending.length >= IMPORT_BATCH_SIZE) {
+                await flush();
+            }
+        },
+        async finish() {
+            await flush();
+            await sendDictionaryMessage({ action: "finishDictionary", dictionaryId: dictionaryId });
+            return count;
+        },
+        async cancel() {
+            if (dictionaryId !== null) {
+                await sendDictionaryMessage({ action: "deleteDictionary", dictionaryId: dictionaryId })
+                    .catch(error => console.log('Partial dictionary not deleted:', error));
+            }
+        }
+    };
+}
+
+/**
+ * Decompress gzip or raw deflate data.
+ * @param {Uint8Array} bytes - The compressed data.
+ * @param {string} format - 'gzip' or 'deflate-raw'.
+ * @returns {Promise<Uint8Array>} A promise that resolves with the decompressed data.
+ */
+async function decompress(bytes, format) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read a file, decompressing it when its name ends in .gz or .dz (dictzip files are gzip files).
+ * @param {File} file - The file.
+ * @returns {Promise<Uint8Array>} A promise that resolves with the content of the file.
+ */
+async function readMaybeCompressed(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    return /\.(gz|dz)$/i.test(file.name) ? decompress(bytes, 'gzip') : bytes;
+}
+
+/**
+ * Open a zip archive, from its central directory. Zip64 archives are not supported.
+ * @param {File} file - The zip file.
+ * @returns {Promise<Object>} `{ names, readText(name) }`: the names of the files in the archive,
+ *     and a function that reads one of them as text.
+ */
+async function openZip(file) {
+    const buffer = await file.arrayBuffer();
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+
+    // The end of central directory record is the last 22 bytes, before a comment of up to 64 KB
+    let endOffset = -1;
+    for (let offset = buffer.byteLength - 22; offset >= Math.max(0, buffer.byteLength - 22 - 65535); offset--) {
+        if (view.getUint32(offset, true) === 0x06054b50) {
+            endOffset = offset;
+            break;
+        }
+    }
+    if (endOffset === -1) {
+        throw new Error(chrome.i18n.getMessage("dictionaryInvalidZip"));
+    }
+
+    const files = {};
+    const fileCount = view.getUint16(endOffset + 10, true);
+    let offset = view.getUint32(endOffset + 16, true);
+    for (let i = 0; i < fileCount; i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) {
+            throw new Error(chrome.i18n.getMessage("dictionaryInvalidZip"));
+        }
+        const nameLength = view.getUint16(offset + 28, true);
+        const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+        files[name] = {
+            method: view.getUint16(offset + 10, true),
+            compressedSize: view.getUint32(offset + 20, true),
+            localOffset: view.getUint32(offset + 42, true)
+        };
+        offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+    }
+
+    return {
+        names: Object.keys(files),
+        async readText(name) {
+            const entry = files[name];
+            // The local header repeats the name, and may have an extra field of its own length
+            const dataOffset = entry.localOffset + 30 + view.getUint16(entry.localOffset + 26, true) + view.getUint16(entry.localOffset + 28, true);
+            const bytes = new Uint8Array(buffer, dataOffset, entry.compressedSize);
+            if (entry.method === 0) {
+                return decoder.decode(bytes);
+            }
+            if (entry.method === 8) {
+                return decoder.decode(await decompress(bytes, 'deflate-raw'));
+            }
+            throw new Error(chrome.i18n.getMessage("dictionaryInvalidZip"));
+        }
+    };
+}
+
+/**
+ * Read a Yomitan (or Yomichan) dictionary: an index.json and term banks, whose rows are
+ * `[term, reading, definition tags, rules, score, glossary, sequence, term tags]` since format 3,
+ * with the glossary spread from the sixth item on in format 1.
+ * @param {File} file - The zip file.
+ * @param {Object} importer - The importer, from createImporter.
+ */
+async function readYomitanDictionary(file, importer) {
+    const zip = await openZip(file);
+    if (!zip.names.includes('index.json')) {
+        throw new Error(chrome.i18n.getMessage("dictionaryInvalidYomitan"));
+    }
+    const index = JSON.parse(await zip.readText('index.json'));
+    const format = index.format || index.version;
+    await importer.start(index.title || file.name, 'yomitan');
+
+    const bankNumber = name => parseInt(name.match(/\d+/)[0], 10);
+    const banks = zip.names
+        .filter(name => /^term_bank_\d+\.json$/.test(name))
+        .sort((a, b) => bankNumber(a) - bankNumber(b));
+    for (const bank of banks) {
+        const rows = JSON.parse(await zip.readText(bank));
+        await importer.add(rows.map(row => ({
+            term: row[0],
+            reading: row[1] && row[1] !== row[0] ? row[1] : '',
+            partOfSpeech: typeof row[2] === 'string' ? row[2] : '',
+            definitions: (format === 1 ? row.slice(5) : (row[5] || []))
+                .map(flattenYomitanGlossary)
+                .filter(Boolean)
+        })));
+    }
+}
+
+/**
+ * Turn a Yomitan glossary item into plain text.
+ * @param {string|Object|Array} item - A string, a `text`, `structured-content` or `image` item,
+ *     or an array pointing to the uninflected form of the term.
+ * @returns {string} The text of the item, empty when it has none.
+ */
+function flattenYomitanGlossary(item) {
+    if (typeof item === 'string') {
+        return item.trim();
+    }
+    if (!item || Array.isArray(item)) {
+        return '';
+    }
+    if (item.type === 'text') {
+        return (item.text || '').trim();
+    }
+    if (item.type === 'structured-content') {
+        return flattenStructuredContent(item.content)
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .join('; ');
+    }
+    return '';
+}
+
+/**
+ * Turn Yomitan structured content, a tree of HTML-like elements, into text with a line per block.
+ * @param {string|Object|Array} content - The content.
+ * @returns {string} The text of the content.
+ */
+function flattenStructuredContent(content) {
+    if (typeof content === 'string') {
+        return content;
+    }
+    if (Array.isArray(content)) {
+        return content.map(flattenStructuredContent).join('');
+    }
+    if (!content || content.tag === 'img' || content.tag === 'rt') {
+        return '';
+    }
+    if (content.tag === 'br') {
+        return '\n';
+    }
+    const text = flattenStructuredContent(content.content || '');
+    return ['div', 'p', 'li', 'ol', 'ul', 'tr', 'table', 'details', 'summary'].includes(content.tag) ? `\n${text}\n` : text;
+}
+
+/**
+ * Read a StarDict dictionary: the .ifo file describes it, the .idx file lists the words with the offset and size
+ * of their data in the .dict file.
+ * @param {File[]} files - The .ifo, .idx (or .idx.gz) and .dict (or .dict.dz) files.
+ * @param {Object} importer - The importer, from createImporter.
+ */
+async function readStarDictDictionary(files, importer) {
+    const findFile = pattern => files.find(file => pattern.test(file.name));
+    const ifoFile = findFile(/\.ifo$/i);
+    const idxFile = findFile(/\.idx(\.gz)?$/i);
+    const dictFile = findFile(/\.dict(\.dz)?$/i);
+    if (!ifoFile || !idxFile || !dictFile) {
+        throw new Error(chrome.i18n.getMessage("dictionaryStarDictFiles"));
+    }
+
+    const info = {};
+    (await ifoFile.text()).split(/\r?\n/).forEach(line => {
+        const separator = line.indexOf('=');
+        if (separator > 0) {
+            info[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+        }
+    });
+    const index = await readMaybeCompressed(idxFile);
+    const data = await readMaybeCompressed(dictFile);
+    await importer.start(info.bookname || ifoFile.name, 'stardict');
+
+    const view = new DataView(index.buffer, index.byteOffset, index.byteLength);
+    const decoder = new TextDecoder();
+    const offsetSize = info.idxoffsetbits === '64' ? 8 : 4;
+    let position = 0;
+    while (position < index.length) {
+        const end = index.indexOf(0, position);
+        if (end === -1) {
+            break;
+        }
+        const term = decoder.decode(index.subarray(position, end));
+        position = end + 1;
+        const offset = offsetSize === 8 ? Number(view.getBigUint64(position)) : view.getUint32(position);
+        const size = view.getUint32(position + offsetSize);
+        position += offsetSize + 4;
+
+        const fields = parseStarDictFields(data.subarray(offset, offset + size), info.sametypesequence || '');
+        const phonetic = fields.find(field => field.type === 't' || field.type === 'y');
+        await importer.add([{
+            term: term,
+            reading: phonetic ? phonetic.text : '',
+            partOfSpeech: '',
+            definitions: fields.filter(field => field !== phonetic).map(field => field.text).filter(Boolean)
+        }]);
+    }
+}
+
+/**
+ * Split the data of a StarDict word into its fields and turn the textual ones into plain text.
+ * Lowercase types end with a null byte, uppercase (binary) types start with their size.
+ * @param {Uint8Array} bytes - The data of the word.
+ * @param {string} sameTypeSequence - The types of the fields when the dictionary leaves them out of the data.
+ * @returns {Object[]} The textual fields, as `{ type, text }`.
+ */
+function parseStarDictFields(bytes, sameTypeSequence) {
+    const decoder = new TextDecoder();
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const fields = [];
+    let position = 0;
+    let typeIndex = 0;
+
+    while (position < bytes.length) {
+        let type;
+        if (sameTypeSequence) {
+            if (typeIndex >= sameTypeSequence.length) break;
+            type = sameTypeSequence[typeIndex++];
+        } else {
+            type = String.fromCharCode(bytes[position++]);
+        }
+        // The last field of a same type sequence takes the rest of the data, without terminator or size
+        const isLast = sameTypeSequence && typeIndex === sameTypeSequence.length;
+
+        if (type === type.toUpperCase()) {
+            const size = isLast ? bytes.length - position : view.getUint32(position);
+            position += (isLast ? 0 : 4) + size;
+            continue;
+        }
+        let end = isLast ? bytes.length : bytes.indexOf(0, position);
+        if (end === -1) {
+            end = bytes.length;
+        }
+        const raw = decoder.decode(bytes.subarray(position, end));
+        position = end + 1;
+        // Pango markup, HTML, XDXF and KingSoft data are markup; the other text types are plain
+        const text = 'ghxk'.includes(type) ? markupToText(raw) : raw.trim();
+        if (text) {
+            fields.push({ type: type, text: text });
+        }
+    }
+    return fields;
+}
+
+/**
+ * Turn markup into plain text, keeping line breaks.
+ * @param {string} markup - The markup.
+ * @returns {string} The text.
+ */
+function markupToText(markup) {
+    const html = markup.replace(/<br\s*\/?>/gi, '\n').replace(/<\/(p|div|li|def)>/gi, '\n');
+    return (new DOMParser().parseFromString(html, 'text/html').body.textContent || '')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .join('; ');
+}
+
+/**
+ * Read a Wiktionary extract in the JSONL format of kaikki.org: one word per line, with its part of speech
+ * and senses. The file is read as a stream, since extracts can be larger than the memory of the page.
+ * @param {File} file - The JSONL file.
+ * @param {Object} importer - The importer, from createImporter.
+ */
+async function readWiktionaryDictionary(file, importer) {
+    await importer.start(file.name.replace(/\.jsonl?$/i, ''), 'wiktionary');
+
+    const reader = file.stream().pipeThrough(new TextDecoderStream()).getReader();
+    let pending = '';
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+            break;
+        }
+        const lines = (pending + value).split('\n');
+        pending = lines.pop();
+        await importer.add(lines.map(parseWiktionaryLine).filter(Boolean));
+    }
+    await importer.add([parseWiktionaryLine(pending)].filter(Boolean));
+}
+
+/**
+ * Read an entry of a Wiktionary extract.
+ * @param {string} line - A line of the extract.
+ * @returns {Object|null} The entry, or null when the line holds no word with senses.
+ */
+function parseWiktionaryLine(line) {
+    if (!line.trim()) {
+        return null;
+    }
+    let data;
+    try {
+        data = JSON.parse(line);
+    } catch (error) {
+        return null;
+    }
+    if (!data.word || !Array.isArray(data.senses)) {
+        return null;
+    }
+    return {
+        term: data.word,
+        reading: '',
+        partOfSpeech: data.pos || '',
+        // Glosses go from the general sense to the specific one; the last is the sense itself
+        definitions: data.senses
+            .map(sense => (sense.glosses || sense.raw_glosses || []).slice(-1)[0])
+            .filter(Boolean)
+    };
+}
@@ -0,0 +1,228 @@
+/**
+ * AnkiLingoFlash offline dictionaries
+ *
+ * Keeps the dictionaries imported from the dictionaries page in IndexedDB, so the translation popup can show
+ * their entries without calling a model, and generation can give them to the model as grounding.
+ * - `dictionaries` holds one record per dictionary: `{ id, title, format, entryCount, importedAt, complete }`.
+ * - `entries` holds the entries: `{ dictionaryId, term, reading, partOfSpeech, definitions }`,
+ *   looked up by their normalized term (`termKey`) or reading (`readingKey`).
+ *
+ * Loaded in the background only: the content script runs in the page's origin, whose IndexedDB is the page's own.
+ */
+(function (root) {
+    if (root.AnkiLingoFlashDictionary) {
+        return;
+    }
+
+    const DB_NAME = 'AnkiLingoFlashDictionaries';
+    const DB_VERSION = 1;
+    const MAX_LOOKUP_RESULTS = 10;
+
+    let databasePromise = null;
+
+    /**
+     * Normalize a term for lookups, so case and Unicode composition do not matter.
+     * @param {string} text - The term.
+     * @returns {string} The normalized term.
+     */
+    function normalizeTerm(text) {
+        return String(text || '').normalize('NFC').trim().toLowerCase();
+    }
+
+    /**
+     * Open the database, creating its stores on first use.
+     * @returns {Promise<IDBDatabase>} A promise that resolves with the database.
+     */
+    function openDatabase() {
+        if (!databasePromise) {
+            databasePromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const database = request.result;
+                    database.createObjectStore('dictionaries', { keyPath: 'id', autoIncrement: true });
+                    const entries = database.createObjectStore('entries', { autoIncrement: true });
+                    entries.createIndex('termKey', 'termKey');
+                    entries.createIndex('readingKey', 'readingKey');
+                    entries.createIndex('dictionaryId', 'dictionaryId');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    databasePromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return databasePromise;
+    }
+
+    /**
+     * Wait for an IndexedDB request.
+     * @param {IDBRequest} request - The request.
+     * @returns {Promise<*>} A promise that resolves with the result of the request.
+     */
+    function waitForRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Wait for an IndexedDB transaction to be committed.
+     * @param {IDBTransaction} transaction - The transaction.
+     * @returns {Promise} A promise that resolves once the transaction is committed.
+     */
+    function waitForTransaction(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * List the installed dictionaries.
+     * @returns {Promise<Object[]>} A promise that resolves with the dictionary records.
+     */
+    async function getDictionaries() {
+        const database = await openDatabase();
+        return waitForRequest(database.transaction('dictionaries').objectStore('dictionaries').getAll());
+    }
+
+    /**
+     * Create an empty dictionary, to which entries are then added in batches.
+     * @param {string} title - The title of the dictionary.
+     * @param {string} format - The format it was imported from: 'yomitan', 'stardict' or 'wiktionary'.
+     * @returns {Promise<number>} A promise that resolves with the ID of the dictionary.
+     */
+    async function createDictionary(title, format) {
+        const database = await openDatabase();
+        const transaction = database.transaction('dictionaries', 'readwrite');
+        const dictionaryId = await waitForRequest(transaction.objectStore('dictionaries').add({
+            title: title,
+            format: format,
+            entryCount: 0,
+            importedAt: Date.now(),
+            complete: false
+        }));
+        await waitForTransaction(transaction);
+        return dictionaryId;
+    }
+
+    /**
+     * Add a batch of entries to a dictionary. Entries without a term or a definition are skipped.
+     * @param {number} dictionaryId - The ID of the dictionary.
+     * @param {Object[]} entries - The entries, as `{ term, reading, partOfSpeech, definitions }`.
+     * @returns {Promise<number>} A promise that resolves with the number of entries added.
+     */
+    async function addEntries(dictionaryId, entries) {
+        const validEntries = entries.filter(entry => normalizeTerm(entry.term) && Array.isArray(entry.definitions) && entry.definitions.length > 0);
+        const database = await openDatabase();
+        const transaction = database.transaction(['dictionaries', 'entries'], 'readwrite');
+        const dictionaryStore = transaction.objectStore('dictionaries');
+        const dictionary = await waitForRequest(dictionaryStore.get(dictionaryId));
+        if (!dictionary) {
+            transaction.abort();
+            throw new Error(`Dictionary ${dictionaryId} not found`);
+        }
+
+        const entryStore = transaction.objectStore('entries');
+        validEntries.forEach(entry => {
+            const readingKey = normalizeTerm(entry.reading);
+            entryStore.add({
+                dictionaryId: dictionaryId,
+                term: entry.term.trim(),
+                reading: entry.reading || '',
+                partOfSpeech: entry.partOfSpeech || '',
+                definitions: entry.definitions,
+                termKey: normalizeTerm(entry.term),
+                // Left out rather than empty, so the reading index only holds entries with a reading
+                ...(readingKey ? { readingKey: readingKey } : {})
+            });
+        });
+        dictionary.entryCount += validEntries.length;
+        dictionaryStore.put(dictionary);
+        await waitForTransaction(transaction);
+        return validEntries.length;
+    }
+
+    /**
+     * Mark a dictionary as fully imported.
+     * @param {number} dictionaryId - The ID of the dictionary.
+     * @returns {Promise} A promise that resolves once the dictionary is marked.
+     */
+    async function finishDictionary(dictionaryId) {
+        const database = await openDatabase();
+        const transaction = database.transaction('dictionaries', 'readwrite');
+        const dictionaryStore = transaction.objectStore('dictionaries');
+        const dictionary = await waitForRequest(dictionaryStore.get(dictionaryId));
+        if (dictionary) {
+            dictionary.complete = true;
+            dictionaryStore.put(dictionary);
+        }
+        await waitForTransaction(transaction);
+    }
+
+    /**
+     * Delete a dictionary and all its entries.
+     * @param {number} dictionaryId - The ID of the dictionary.
+     * @returns {Promise} A promise that resolves once the dictionary is deleted.
+     */
+    async function deleteDictionary(dictionaryId) {
+        const database = await openDatabase();
+        const transaction = database.transaction(['dictionaries', 'entries'], 'readwrite');
+        transaction.objectStore('dictionaries').delete(dictionaryId);
+        const entryStore = transaction.objectStore('entries');
+        const cursorRequest = entryStore.index('dictionaryId').openKeyCursor(IDBKeyRange.only(dictionaryId));
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (cursor) {
+                entryStore.delete(cursor.primaryKey);
+                cursor.continue();
+            }
+        };
+        await waitForTransaction(transaction);
+    }
+
+    /**
+     * Look a term up in every dictionary, by its written form or its reading.
+     * @param {string} text - The term.
+     * @returns {Promise<Object[]>} A promise that resolves with the entries found, as
+     *     `{ dictionary, term, reading, partOfSpeech, definitions }` where `dictionary` is the dictionary title.
+     */
+    async function lookup(text) {
+        const key = normalizeTerm(text);
+        if (!key) {
+            return [];
+        }
+        const database = await openDatabase();
+        const transaction = database.transaction(['dictionaries', 'entries'], 'readonly');
+        const entryStore = transaction.objectStore('entries');
+        const [byTerm, byReading, dictionaries] = await Promise.all([
+            waitForRequest(entryStore.index('termKey').getAll(key, MAX_LOOKUP_RESULTS)),
+            waitForRequest(entryStore.index('readingKey').getAll(key, MAX_LOOKUP_RESULTS)),
+            waitForRequest(transaction.objectStore('dictionaries').getAll())
+        ]);
+
+        const titles = Object.fromEntries(dictionaries.map(dictionary => [dictionary.id, dictionary.title]));
+        // An entry whose term and reading are both the text is found twice
+        return [...byTerm, ...byReading.filter(entry => entry.termKey !== key)]
+            .slice(0, MAX_LOOKUP_RESULTS)
+            .map(entry => ({
+                dictionary: titles[entry.dictionaryId] || '',
+                term: entry.term,
+                reading: entry.reading,
+                partOfSpeech: entry.partOfSpeech,
+                definitions: entry.definitions
+            }));
+    }
+
+    root.AnkiLingoFlashDictionary = {
+        getDictionaries,
+        createDictionary,
+        addEntries,
+        finishDictionary,
+        deleteDictionary,
+        lookup
+    };
+})(globalThis);
@@ -0,0 +1,430 @@
+/**
+ * History page: lists the flashcards kept by the storage layer,
+ * whether they were added to Anki, queued or cancelled, and lets the user edit, regenerate,
+ * send again or delete them.
+ */
+
+const HISTORY_STATUSES = ['added', 'queued', 'cancelled', 'pending'];
+
+// Parts of a flashcard that can be regenerated, with the conversation type of their prompt
+const REGENERABLE_PARTS = {
+    translation: 'translation',
+    definition: 'definition',
+    examples: 'examples',
+    mnemonic: 'mnemonic'
+};
+
+let flashcards = {};
+let settings = {};
+let editingId = null;
+
+document.addEventListener('DOMContentLoaded', initializeHistoryPage);
+
+/**
+ * Translate the page, load the history and set up the filters.
+ */
+function initializeHistoryPage() {
+    translatePage();
+
+    chrome.storage.sync.get(['choice', 'user', 'userId', 'isOwnCredits', 'language', 'regenerationLimit', 'lastUsedDeck', 'customFields'], async function (result) {
+        settings = result;
+        flashcards = await AnkiLingoFlashStorage.getFlashcards();
+        renderFilters();
+        renderHistory();
+    });
+
+    invokeAnkiConnect('deckNames')
+        .then(decks => {
+            document.getElementById('historyDecks').innerHTML = decks
+                .map(deck => `<option value="${escapeHTML(deck)}"></option>`).join('');
+        })
+        .catch(error => console.log('Decks not available:', error.message));
+
+    ['historySearch', 'historyLanguage', 'historyDeck', 'historyStatus'].forEach(id => {
+        document.getElementById(id).addEventListener('input', renderHistory);
+    });
+
+    // Flashcards generated or reviewed in other tabs show up as they are saved,
+    // unless a flashcard is being edited here
+    chrome.storage.onChanged.addListener(function (changes, areaName) {
+        const flashcardChanges = changes[AnkiLingoFlashStorage.FLASHCARDS_KEY];
+        if (areaName === 'local' && flashcardChanges) {
+            flashcards = flashcardChanges.newValue || {};
+            if (!editingId) {
+                renderFilters();
+                renderHistory();
+            }
+        }
+        if (areaName !== 'sync') return;
+        ['choice', 'user', 'userId', 'isOwnCredits', 'language', 'regenerationLimit', 'lastUsedDeck', 'customFields'].forEach(key => {
+            if (changes[key]) {
+                settings[key] = changes[key].newValue;
+            }
+        });
+    });
+
+    const list = document.getElementById('historyList');
+    list.addEventListener('click', function (event) {
+        const item = event.target.closest('.history-card');
+        if (!item || !event.target.dataset.historyAction) return;
+        handleCardAction(event.target.dataset.historyAction, item.dataset.cardId, event.target);
+    });
+}
+
+/**
+ * Show an error above the list, or hide it.
+ * @param {string} [message] - The error message; hides the error when empty.
+ */
+function showHistoryError(message) {
+    const errorElement = document.getElementById('historyError');
+    errorElement.textContent = message || '';
+    errorElement.style.display = message ? 'block' : 'none';
+}
+
+/**
+ * Get the status of a flashcard in the history.
+ * @param {Object} flashcard - The stored flashcard.
+ * @returns {string} One of HISTORY_STATUSES; flashcards never validated nor cancelled are 'pending'.
+ */
+function getFlashcardStatus(flashcard) {
+    return HISTORY_STATUSES.includes(flashcard.status) ? flashcard.status : 'pending';
+}
+
+/**
+ * Fill the language, deck and status filters from the flashcards in the history, keeping their selection.
+ */
+function renderFilters() {
+    const cards = Object.values(flashcards);
+    const fillSelect = (id, allKey, values, label) => {
+        const select = document.getElementById(id);
+        const selected = select.value;
+        select.innerHTML = `<option value="">${chrome.i18n.getMessage(allKey)}</option>` + values
+            .map(value => `<option value="${escapeHTML(value)}">${escapeHTML(label(value))}</option>`).join('');
+        select.value = values.includes(selected) ? selected : '';
+    };
+
+    const unique = values => [...new Set(values.filter(Boolean))].sort();
+    fillSelect('historyLanguage', 'historyAllLanguages', unique(cards.map(card => card.language)),
+        language => chrome.i18n.getMessage(language) || language);
+    fillSelect('historyDeck', 'historyAllDecks', unique(cards.map(card => card.deckName)), deck => deck);
+    fillSelect('historyStatus', 'historyAllStatuses', HISTORY_STATUSES,
+        status => chrome.i18n.getMessage(`historyStatus_${status}`));
+}
+
+/**
+ * Get the flashcards matching the search and the filters, most recent first.
+ * @returns {Object[]} The flashcards to show.
+ */
+function getFilteredFlashcards() {
+    const search = document.getElementById('historySearch').value.trim().toLowerCase();
+    const language = document.getElementById('historyLanguage').value;
+    const deck = document.getElementById('historyDeck').value;
+    const status = document.getElementById('historyStatus').value;
+
+    return Object.values(flashcards)
+        .filter(card => !language || card.language === language)
+        .filter(card => !deck || card.deckName === deck)
+        .filter(card => !status || getFlashcardStatus(card) === status)
+        .filter(card => !search || [card.verso, card.translation, card.recto, card.sourceSentence]
+            .some(text => (text || '').toLowerCase().includes(search)))
+        .sort((a, b) => parseInt(b.id, 10) - parseInt(a.id, 10));
+}
+
+/**
+ * Render the list of flashcards and the storage they use.
+ */
+function renderHistory() {
+    const shown = getFilteredFlashcards();
+    const list = document.getElementById('historyList');
+
+    document.getElementById('historyCount').textContent = chrome.i18n.getMessage("historyCount",
+        [String(shown.length), String(Object.keys(flashcards).length)]);
+    list.innerHTML = shown.length > 0
+        ? shown.map(renderCard).join('')
+        : `<p class="custom-fields-help">${chrome.i18n.getMessage("historyEmpty")}</p>`;
+
+    AnkiLingoFlashStorage.getUsage().then(usage => {
+        document.getElementById('historyStorage').textContent = chrome.i18n.getMessage("historyStorageUsage",
+            [(usage.local.categories.flashcards / 1024).toFixed(1), String(Math.round(usage.local.budget / 1024))]);
+    });
+}
+
+/**
+ * Build the HTML of a flashcard of the history, with its editor when it is being edited.
+ * @param {Object} card - The stored flashcard.
+ * @returns {string} The HTML of the flashcard.
+ */
+function renderCard(card) {
+    const status = getFlashcardStatus(card);
+    const date = new Date(parseInt(card.id, 10));
+    const details = [
+        chrome.i18n.getMessage(card.language) || card.language,
+        card.deckName,
+        isNaN(date) ? '' : date.toLocaleDateString()
+    ].filter(Boolean).map(escapeHTML).join(' · ');
+
+    return `
+        <div class="sub-card history-card" data-card-id="${escapeHTML(card.id)}">
+            <div class="custom-field-header">
+                <b class="outbox-label">${escapeHTML(card.verso || '')}</b>
+                <span class="history-status history-status-${status}">${chrome.i18n.getMessage(`historyStatus_${status}`)}</span>
+            </div>
+            <p class="basket-sentence">${escapeHTML(card.translation || '')}</p>
+            <p class="history-details">${details}</p>
+            ${card.id === editingId ? renderEditor(card) : `
+            <div class="history-actions">
+                <button data-history-action="edit">${chrome.i18n.getMessage("historyEdit")}</button>
+                <button data-history-action="send">${chrome.i18n.getMessage("historySend")}</button>
+                <button data-history-action="delete">${chrome.i18n.getMessage("historyDelete")}</button>
+            </div>`}
+            <div class="error-message history-card-error" style="display: none;"></div>
+        </div>
+    `;
+}
+
+/**
+ * Build the editor of a flashcard.
+ * @param {Object} card - The stored flashcard.
+ * @returns {string} The HTML of the editor.
+ */
+function renderEditor(card) {
+    const customFields = (settings.customFields || []).filter(field => field.enabled);
+    const examples = [card.example_1, card.example_2, card.example_3].filter(Boolean).join('\n');
+    const part = (key, labelKey, value, rows) => `
+        <label class="label-text">${chrome.i18n.getMessage(labelKey)}
+            <button class="history-regenerate" data-history-action="regenerate" data-part="${key}" title="${escapeHTML(chrome.i18n.getMessage("historyRegenerate"))}">&#x21bb;</button>
+        </label>
+        <textarea data-key="${key}" rows="${rows}">${escapeHTML(value || '')}</textarea>`;
+
+    return `
+        <div class="history-editor">
+            <label class="label-text">${chrome.i18n.getMessage("selectedText")}</label>
+            <input type="text" data-key="verso" value="${escapeHTML(card.verso || '')}">
+            ${part('translation', 'directTranslation', card.translation, 2)}
+            ${part('definition', 'Definition', card.recto, 3)}
+            ${part('examples', 'Examples', examples, 3)}
+            ${part('mnemonic', 'Mnemonic', card.mnemonic, 2)}
+            ${customFields.map(field => `
+                <label class="label-text">${escapeHTML(field.name)}
+                    <button class="history-regenerate" data-history-action="regenerate" data-part="extra_${escapeHTML(field.id)}" title="${escapeHTML(chrome.i18n.getMessage("historyRegenerate"))}">&#x21bb;</button>
+                </label>
+                <textarea data-key="extra_${escapeHTML(field.id)}" rows="2">${escapeHTML((card.extraFields || {})[field.id] || '')}</textarea>
+            `).join('')}
+            <label class="label-text">${chrome.i18n.getMessage("sourceSentence")}</label>
+            <textarea data-key="sourceSentence" rows="2">${escapeHTML(card.sourceSentence || '')}</textarea>
+            <label class="label-text">${chrome.i18n.getMessage("importColumnDeck")}</label>
+            <input type="text" data-key="deckName" list="historyDecks" value="${escapeHTML(card.deckName || settings.lastUsedDeck || '')}">
+            <div class="history-actions">
+                <button data-history-action="save">${chrome.i18n.getMessage("save")}</button>
+                <button data-history-action="send">${chrome.i18n.getMessage("historySend")}</button>
+                <button data-history-action="close">${chrome.i18n.getMessage("historyClose")}</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Run the action of a button of a flashcard.
+ * @param {string} action - 'edit', 'save', 'close', 'regenerate', 'send' or 'delete'.
+ * @param {string} cardId - The ID of the flashcard.
+ * @param {HTMLElement} button - The button clicked.
+ */
+async function handleCardAction(action, cardId, button) {
+    const item = button.closest('.history-card');
+    const card = flashcards[cardId];
+    if (!card) return;
+    showCardError(item, '');
+
+    if (action === 'edit') {
+        editingId = cardId;
+        renderHistory();
+    } else if (action === 'close') {
+        editingId = null;
+        renderFilters();
+        renderHistory();
+    } else if (action === 'save') {
+        await saveFlashcard({ ...card, ...readEditor(item, card) });
+        editingId = null;
+        renderFilters();
+        renderHistory();
+    } else if (action === 'regenerate') {
+        button.disabled = true;
+        try {
+            await regeneratePart(card, button.dataset.part, item);
+        } catch (error) {
+            showCardError(item, error.message);
+        } finally {
+            button.disabled = false;
+        }
+    } else if (action === 'send') {
+        const edited = cardId === editingId ? { ...card, ...readEditor(item, card) } : card;
+        button.disabled = true;
+        try {
+            await sendFlashcard(edited);
+            editingId = null;
+            renderFilters();
+            renderHistory();
+        } catch (error) {
+            console.log('Error sending the flashcard:', error);
+            showCardError(item, `${chrome.i18n.getMessage("errorAddingFlashcard")}: ${error.message}`);
+            button.disabled = false;
+        }
+    } else if (action === 'delete') {
+        if (!confirm(chrome.i18n.getMessage("historyDeleteConfirm", [card.verso || '']))) return;
+        delete flashcards[cardId];
+        if (editingId === cardId) {
+            editingId = null;
+        }
+        await AnkiLingoFlashStorage.deleteFlashcards([cardId]);
+        renderFilters();
+        renderHistory();
+    }
+}
+
+/**
+ * Show an error under a flashcard, or hide it.
+ * @param {HTMLElement} item - The element of the flashcard.
+ * @param {string} [message] - The error message; hides the error when empty.
+ */
+function showCardError(item, message) {
+    const errorElement = item.querySelector('.history-card-error');
+    errorElement.textContent = message || '';
+    errorElement.style.display = message ? 'block' : 'none';
+}
+
+/**
+ * Read the values of a flashcard's editor.
+ * @param {HTMLElement} item - The element of the flashcard.
+ * @param {Object} card - The stored flashcard.
+ * @returns {Object} The edited fields, in the format stored by the content script.
+ */
+function readEditor(item, card) {
+    const value = key => {
+        const field = item.querySelector(`[data-key="${key}"]`);
+        return field ? field.value : '';
+    };
+    const examples = value('examples').split('\n').filter(example => example.trim() !== '');
+    const extraFields = { ...card.extraFields };
+    item.querySelectorAll('[data-key^="extra_"]').forEach(field => {
+        extraFields[field.dataset.key.slice('extra_'.length)] = field.value;
+    });
+
+    return {
+        verso: value('verso').trim(),
+        translation: value('translation'),
+        recto: value('definition'),
+        example_1: examples[0] || '',
+        example_2: examples[1] || '',
+        example_3: examples[2] || '',
+        mnemonic: value('mnemonic'),
+        sourceSentence: value('sourceSentence').trim(),
+        deckName: value('deckName').trim(),
+        extraFields: extraFields
+    };
+}
+
+/**
+ * Save a flashcard in the history.
+ * @param {Object} card - The flashcard to save.
+ * @returns {Promise} A promise that resolves once the flashcard is saved.
+ */
+function saveFlashcard(card) {
+    flashcards[card.id] = { ...card, updatedAt: Date.now() };
+    return AnkiLingoFlashStorage.saveFlashcards([flashcards[card.id]]);
+}
+
+/**
+ * Add a flashcard of the history to Anki, in its deck or the last used one, and mark it as added.
+ * @param {Object} card - The flashcard to send.
+ * @returns {Promise} A promise that resolves once the flashcard is added.
+ */
+async function sendFlashcard(card) {
+    const deckName = card.deckName || settings.lastUsedDeck || 'Default';
+    const [noteId] = await addFlashcardsToAnki([{ deckName: deckName, data: card }]);
+    if (!noteId) {
+        throw new Error(chrome.i18n.getMessage("importNoteNotAdded"));
+    }
+    await saveFlashcard({ ...card, deckName: deckName, status: 'added' });
+}
+
+/**
+ * Regenerate one part of a flashcard being edited, with the same prompts as the review modal.
+ * The new content goes into the editor; it is saved with the flashcard.
+ * @param {Object} card - The stored flashcard.
+ * @param {string} part - 'translation', 'definition', 'examples', 'mnemonic' or 'extra_<field id>'.
+ * @param {HTMLElement} item - The element of the flashcard.
+ * @returns {Promise} A promise that resolves once the part is regenerated.
+ */
+async function regeneratePart(card, part, item) {
+    if (settings.choice === 'remote' && !settings.isOwnCredits && !settings.user) {
+        throw new Error(chrome.i18n.getMessage("pleaseLogInForFreeTrial"));
+    }
+
+    const customField = part.startsWith('extra_')
+        ? (settings.customFields || []).find(field => `extra_${field.id}` === part)
+        : null;
+    if (!customField && !REGENERABLE_PARTS[part]) {
+        return;
+    }
+
+    // Regeneration limits only apply to the free trial, not to own credits or local models
+    const regenerationCount = { ...card.regenerationCount };
+    regenerationCount[part] = regenerationCount[part] || 0;
+    if (settings.choice === 'remote' && !settings.isOwnCredits && regenerationCount[part] >= settings.regenerationLimit) {
+        throw new Error(customField
+            ? chrome.i18n.getMessage("customFieldRegenerationLimitReached", [customField.name, settings.regenerationLimit])
+            : chrome.i18n.getMessage(`${part}RegenerationLimitReached`, [settings.regenerationLimit]));
+    }
+
+    const edited = readEditor(item, card);
+    // settings.language is an i18n key like "english_us"
+    const languageKey = card.language || settings.language;
+    const naturalLanguageName = chrome.i18n.getMessage(languageKey) || languageKey;
+    const withSentenceContext = prompt => edited.sourceSentence
+        ? `${prompt}\n${chrome.i18n.getMessage("sentenceContextPrompt", [edited.sourceSentence])}`
+        : prompt;
+
+    let userPrompt;
+    if (part === 'definition') {
+        userPrompt = withSentenceContext(chrome.i18n.getMessage("generateDefinition", [naturalLanguageName, edited.verso]));
+    } else if (part === 'mnemonic') {
+        userPrompt = chrome.i18n.getMessage("generateMnemonic", [naturalLanguageName, edited.verso]);
+    } else if (part === 'translation') {
+        userPrompt = withSentenceContext(chrome.i18n.getMessage("generateTranslation", [naturalLanguageName, edited.verso]));
+    } else if (part === 'examples') {
+        userPrompt = chrome.i18n.getMessage("generateExamples", [edited.verso]);
+    } else {
+        userPrompt = chrome.i18n.getMessage("generateCustomField", [naturalLanguageName, edited.verso, customField.name, customField.description]);
+    }
+
+    const response = await new Promise(resolve => {
+        chrome.runtime.sendMessage({
+            action: "callChatGPTAPI",
+            userId: settings.userId,
+            type: customField ? 'custom_field' : REGENERABLE_PARTS[part],
+            message: userPrompt,
+            language: languageKey
+        }, resolve);
+    });
+    const partLabel = part.charAt(0).toUpperCase() + part.slice(1);
+    const errorMessage = customField
+        ? chrome.i18n.getMessage("errorRegeneratingCustomField", [customField.name])
+        : chrome.i18n.getMessage(`errorRegenerating${partLabel}`);
+    if (!response || !response.success) {
+        throw new Error(response && response.isInvalidResponse ? chrome.i18n.getMessage("incompleteModelResponse") : errorMessage);
+    }
+
+    const newContent = response.data;
+    const value = part === 'examples'
+        ? [newContent.example_1, newContent.example_2, newContent.example_3].filter(Boolean).join('\n')
+        : (customField ? newContent.value : newContent[part]);
+    if (!value) {
+        throw new Error(errorMessage);
+    }
+    item.querySelector(`[data-key="${part}"]`).value = value;
+
+    // Only the count is saved right away, the content is saved with the rest of the editor
+    regenerationCount[part]++;
+    card.regenerationCount = regenerationCount;
+    await saveFlashcard(card);
+}
@@ -0,0 +1,480 @@
+/**
+ * Bulk import page: turns a list of terms (CSV or plain text, optionally with context and deck columns)
+ * into flashcards, generated through the background script and reviewed in a table before being added to Anki.
+ */
+
+const MAX_CONCURRENCY = 5;
+
+// Column names recognized in the header row, in lowercase
+const HEADER_ALIASES = {
+    term: ['term', 'word', 'expression', 'vocabulary'],
+    context: ['context', 'sentence', 'example'],
+    deck: ['deck']
+};
+
+let rows = [];
+let settings = {};
+let paused = true;
+let activeWorkers = 0;
+// Free trial generations the workers may still start, shared so that they cannot overshoot the limit together
+let freeGenerationsLeft = Infinity;
+
+document.addEventListener('DOMContentLoaded', initializeImportPage);
+
+/**
+ * Translate the page and set up its controls.
+ */
+function initializeImportPage() {
+    translatePage();
+
+    chrome.storage.sync.get(['choice', 'user', 'userId', 'isOwnCredits', 'language', 'mnemonicToggleState', 'lastUsedDeck', 'createReverseCardToggle'], function (result) {
+        settings = result;
+        document.getElementById('importDeck').value = result.lastUsedDeck || '';
+        document.getElementById('importCreateReverse').checked = result.createReverseCardToggle !== false;
+    });
+
+    invokeAnkiConnect('deckNames')
+        .then(decks => {
+            document.getElementById('importDecks').innerHTML = decks
+                .map(deck => `<option value="${escapeHTML(deck)}"></option>`).join('');
+        })
+        .catch(error => console.log('Decks not available:', error.message));
+
+    document.getElementById('importFile').addEventListener('change', function () {
+        const file = this.files[0];
+        if (!file) return;
+        file.text().then(text => {
+            document.getElementById('importText').value = text;
+        });
+    });
+    document.getElementById('loadRows').addEventListener('click', loadRows);
+    document.getElementById('startGeneration').addEventListener('click', startGeneration);
+    document.getElementById('pauseGeneration').addEventListener('click', pauseGeneration);
+    document.getElementById('addToAnki').addEventListener('click', addRowsToAnki);
+
+    const tbody = document.querySelector('#importTable tbody');
+    tbody.addEventListener('input', function (event) {
+        const row = findRow(event.target.closest('tr'));
+        if (row && event.target.dataset.key) {
+            row[event.target.dataset.key] = event.target.value;
+        }
+    });
+    tbody.addEventListener('click', function (event) {
+        const row = findRow(event.target.closest('tr'));
+        if (!row) return;
+        if (event.target.classList.contains('import-drop')) {
+            rows = rows.filter(item => item !== row);
+            event.target.closest('tr').remove();
+            updateProgress();
+        } else if (event.target.classList.contains('import-retry')) {
+            row.status = 'pending';
+            row.error = null;
+            renderRow(row);
+            updateProgress();
+        }
+    });
+}
+
+/**
+ * Show an error under the import form, or hide it.
+ * @param {string} [message] - The error message; hides the error when empty.
+ */
+function showImportError(message) {
+    const errorElement = document.getElementById('importError');
+    errorElement.textContent = message || '';
+    errorElement.style.display = message ? 'block' : 'none';
+}
+
+/**
+ * Guess the column delimiter from the first line: tabs, then whichever of semicolons or commas is more frequent.
+ * @param {string} firstLine - The first line of the list.
+ * @returns {string|null} The delimiter, or null for a plain list with one term per line.
+ */
+function detectDelimiter(firstLine) {
+    if (firstLine.includes('\t')) {
+        return '\t';
+    }
+    const semicolons = (firstLine.match(/;/g) || []).length;
+    const commas = (firstLine.match(/,/g) || []).length;
+    if (semicolons === 0 && commas === 0) {
+        return null;
+    }
+    return semicolons > commas ? ';' : ',';
+}
+
+/**
+ * Split delimited text into rows of cells. Quoted cells may contain delimiters, line breaks and doubled quotes.
+ * @param {string} text - The delimited text.
+ * @param {string} delimiter - The column delimiter.
+ * @returns {string[][]} The rows.
+ */
+function splitDelimited(text, delimiter) {
+    const result = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell);
+            result.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell);
+    result.push(row);
+    return result;
+}
+
+/**
+ * Parse the list into import rows.
+ * @param {string} text - The content of the file or text area.
+ * @param {boolean} hasHeader - Whether the first row names the columns.
+ * @returns {Object[]} The rows, as `{ term, context, deck }`.
+ */
+function parseList(text, hasHeader) {
+    const content = text.replace(/^\uFEFF/, '').trim();
+    if (!content) {
+        return [];
+    }
+    const delimiter = detectDelimiter(content.split(/\r?\n/)[0]);
+    let cells = delimiter ? splitDelimited(content, delimiter) : content.split(/\r?\n/).map(line => [line]);
+
+    // Without a header, columns are term, context and deck in that order
+    let columns = { term: 0, context: 1, deck: 2 };
+    if (hasHeader) {
+        const header = cells[0].map(name => name.trim().toLowerCase());
+        columns = Object.fromEntries(Object.entries(HEADER_ALIASES).map(([key, aliases]) =>
+            [key, header.findIndex(name => aliases.includes(name))]
+        ));
+        if (columns.term === -1) {
+            columns.term = 0;
+        }
+        cells = cells.slice(1);
+    }
+
+    const cell = (row, key) => (columns[key] >= 0 && row[columns[key]] ? row[columns[key]].trim() : '');
+    return cells
+        .map(row => ({ term: cell(row, 'term'), context: cell(row, 'context'), deck: cell(row, 'deck') }))
+        .filter(row => row.term);
+}
+
+/**
+ * Load the list into the review table.
+ */
+function loadRows() {
+    showImportError('');
+    const parsed = parseList(document.getElementById('importText').value, document.getElementById('importHasHeader').checked);
+    if (parsed.length === 0) {
+        showImportError(chrome.i18n.getMessage("importEmptyList"));
+        return;
+    }
+
+    pauseGeneration();
+    rows = parsed.map((row, index) => ({
+        ...row,
+        id: `${Date.now()}_${index}`,
+        status: 'pending',
+        error: null,
+        translation: '',
+        definition: '',
+        examples: '',
+        mnemonic: '',
+        extraFields: {}
+    }));
+
+    const tbody = document.querySelector('#importTable tbody');
+    tbody.innerHTML = '';
+    rows.forEach(row => tbody.appendChild(document.createElement('tr')));
+    rows.forEach(renderRow);
+    document.getElementById('importRowsSection').style.display = 'block';
+    updateProgress();
+}
+
+/**
+ * Find the import row shown in a table row.
+ * @param {HTMLElement} tableRow - The table row.
+ * @returns {Object|undefined} The import row.
+ */
+function findRow(tableRow) {
+    return tableRow ? rows.find(row => row.id === tableRow.dataset.rowId) : undefined;
+}
+
+/**
+ * Render one row of the table, keeping its position.
+ * @param {Object} row - The import row.
+ */
+function renderRow(row) {
+    const tbody = document.querySelector('#importTable tbody');
+    const tableRow = tbody.querySelector(`tr[data-row-id="${row.id}"]`) || tbody.children[rows.indexOf(row)];
+    if (!tableRow) return;
+
+    // Generated content can only be edited once there is some
+    const editable = row.status === 'done' ? '' : 'disabled';
+    tableRow.dataset.rowId = row.id;
+    tableRow.className = `import-row import-${row.status}`;
+    tableRow.innerHTML = `
+        <td><input type="text" data-key="term" value="${escapeHTML(row.term)}"></td>
+        <td><textarea data-key="context" rows="2">${escapeHTML(row.context)}</textarea></td>
+        <td><input type="text" data-key="deck" list="importDecks" value="${escapeHTML(row.deck)}"></td>
+        <td><textarea data-key="translation" rows="2" ${editable}>${escapeHTML(row.translation)}</textarea></td>
+        <td><textarea data-key="definition" rows="3" ${editable}>${escapeHTML(row.definition)}</textarea></td>
+        <td><textarea data-key="examples" rows="3" ${editable}>${escapeHTML(row.examples)}</textarea></td>
+        <td>
+            ${chrome.i18n.getMessage(`importStatus_${row.status}`)}
+            ${row.error ? `<div class="error-message">${escapeHTML(row.error)}</div>` : ''}
+            ${row.status === 'error' ? `<button class="import-retry">${chrome.i18n.getMessage("tryAgain")}</button>` : ''}
+        </td>
+        <td><button class="custom-field-delete import-drop" title="${escapeHTML(chrome.i18n.getMessage("discard"))}">&times;</button></td>
+    `;
+}
+
+/**
+ * Show how many rows are generated, failed and left, and the state of the generation buttons.
+ * Generation can only be resumed once the workers of the paused run have finished their rows.
+ */
+function updateProgress() {
+    const count = status => rows.filter(row => row.status === status).length;
+    document.getElementById('importProgress').textContent = chrome.i18n.getMessage("importProgress", [
+        String(count('done') + count('added')), String(rows.length), String(count('error'))
+    ]);
+    document.getElementById('startGeneration').disabled = !paused || activeWorkers > 0 || count('pending') === 0;
+    document.getElementById('pauseGeneration').disabled = paused;
+}
+
+/**
+ * Start or resume generating the pending rows, a few at a time.
+ */
+async function startGeneration() {
+    if (!paused || activeWorkers > 0) return;
+    const isFreeTrial = settings.choice === 'remote' && !settings.isOwnCredits;
+    if (isFreeTrial && !settings.user) {
+        showImportError(chrome.i18n.getMessage("pleaseLogInForFreeTrial"));
+        return;
+    }
+    showImportError('');
+    paused = false;
+    updateProgress();
+
+    freeGenerationsLeft = Infinity;
+    if (isFreeTrial) {
+        try {
+            freeGenerationsLeft = await getFreeGenerationsLeft();
+        } catch (error) {
+            freeGenerationsLeft = 0;
+            console.log('Free trial limits not available:', error.message);
+        }
+        if (freeGenerationsLeft <= 0) {
+            paused = true;
+            showImportError(chrome.i18n.getMessage("importFreeTrialLimit"));
+            updateProgress();
+            return;
+        }
+    }
+
+    const requested = parseInt(document.getElementById('importConcurrency').value, 10) || 1;
+    const concurrency = Math.min(Math.max(requested, 1), MAX_CONCURRENCY);
+    for (let i = 0; i < concurrency; i++) {
+        runWorker();
+    }
+    updateProgress();
+}
+
+/**
+ * Ask how many flashcards the free trial still allows.
+ * @returns {Promise<number>} A promise that resolves with the number of flashcards left.
+ */
+async function getFreeGenerationsLeft() {
+    const limits = await fetch('https://anki-lingo-flash.piriouvictor.workers.dev/api/generate-flashcard', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ userId: settings.user.id, isOwnCredits: false })
+    }).then(response => response.json());
+    if (!limits.canGenerate) {
+        return 0;
+    }
+    const { flashcardCount, freeGenerationLimit } = await new Promise(resolve =>
+        chrome.storage.sync.get(['flashcardCount', 'freeGenerationLimit'], resolve)
+    );
+    return freeGenerationLimit ? Math.max(freeGenerationLimit - (flashcardCount || 0), 0) : Infinity;
+}
+
+/**
+ * Stop taking new rows. Rows already being generated finish.
+ */
+function pauseGeneration() {
+    paused = true;
+    updateProgress();
+}
+
+/**
+ * Generate pending rows one after the other until there are none left or the generation is paused.
+ */
+async function runWorker() {
+    activeWorkers++;
+    while (!paused) {
+        const row = rows.find(item => item.status === 'pending');
+        if (!row) break;
+        if (freeGenerationsLeft <= 0) {
+            paused = true;
+            showImportError(chrome.i18n.getMessage("importFreeTrialLimit"));
+            break;
+        }
+
+        // Taken before the first await, so that other workers see the row and the generation as used
+        freeGenerationsLeft--;
+        row.status = 'generating';
+        renderRow(row);
+        try {
+            await generateRow(row);
+            row.status = 'done';
+            row.error = null;
+        } catch (error) {
+            // A failed generation is not counted by the free trial
+            freeGenerationsLeft++;
+            row.status = 'error';
+            row.error = error.message;
+        }
+        renderRow(row);
+        updateProgress();
+    }
+    activeWorkers--;
+    if (activeWorkers === 0) {
+        paused = true;
+        updateProgress();
+    }
+}
+
+/**
+ * Generate the flashcard content of a row through the background script.
+ * @param {Object} row - The import row, filled in place.
+ * @returns {Promise} A promise that resolves when the row is generated.
+ */
+async function generateRow(row) {
+    const isFreeTrial = settings.choice === 'remote' && !settings.isOwnCredits;
+    // settings.language is an i18n key like "english_us"
+    const naturalLanguageName = chrome.i18n.getMessage(settings.language) || settings.language;
+    const withMnemonic = settings.mnemonicToggleState !== false;
+    const prompt = chrome.i18n.getMessage(withMnemonic ? "generateFlashcardWithMnemonicPrompt" : "generateFlashcardPrompt", [naturalLanguageName, row.term]);
+    const message = row.context ? `${prompt}\n${chrome.i18n.getMessage("sentenceContextPrompt", [row.context])}` : prompt;
+
+    const response = await new Promise(resolve => {
+        chrome.runtime.sendMessage({
+            action: "callChatGPTAPI",
+            userId: settings.userId,
+            type: 'flashcard',
+            message: message,
+            language: settings.language,
+            withMnemonic: withMnemonic
+        }, resolve);
+    });
+    if (!response || !response.success) {
+        throw new Error(response && response.isInvalidResponse
+            ? chrome.i18n.getMessage("incompleteModelResponse")
+            : (response && response.error) || chrome.i18n.getMessage("errorCreatingFlashcard"));
+    }
+
+    const data = response.data;
+    row.translation = data.translation;
+    row.definition = data.definition;
+    row.examples = [data.example_1, data.example_2, data.example_3].filter(Boolean).join('\n');
+    row.mnemonic = withMnemonic ? data.mnemonic || '' : '';
+    // Custom card fields come back as "extra_<field id>"
+    row.extraFields = Object.fromEntries(Object.keys(data).filter(key => key.startsWith('extra_')).map(key => [key.slice('extra_'.length), data[key]]));
+
+    if (isFreeTrial) {
+        chrome.runtime.sendMessage({ action: "incrementFlashcardCount" });
+    }
+}
+
+/**
+ * Get the flashcard of a generated row, in the format stored by the content script.
+ * @param {Object} row - The import row.
+ * @returns {Object} The flashcard data.
+ */
+function getRowFlashcard(row) {
+    const examples = row.examples.split('\n').filter(example => example.trim() !== '');
+    return {
+        id: row.id,
+        recto: row.definition,
+        verso: row.term,
+        translation: row.translation,
+        example_1: examples[0] || '',
+        example_2: examples[1] || '',
+        example_3: examples[2] || '',
+        mnemonic: row.mnemonic,
+        sourceSentence: row.context,
+        extraFields: row.extraFields
+    };
+}
+
+/**
+ * Add every generated row to Anki with a single `addNotes` call, creating the decks named in the list.
+ * The added flashcards are saved to the history.
+ */
+async function addRowsToAnki() {
+    showImportError('');
+    const ready = rows.filter(row => row.status === 'done');
+    if (ready.length === 0) {
+        showImportError(chrome.i18n.getMessage("importNothingToAdd"));
+        return;
+    }
+
+    const addButton = document.getElementById('addToAnki');
+    const defaultDeck = document.getElementById('importDeck').value.trim() || 'Default';
+    const createReverse = document.getElementById('importCreateReverse').checked;
+    addButton.disabled = true;
+
+    try {
+        await new Promise(resolve => chrome.storage.sync.set({ lastUsedDeck: defaultDeck, createReverseCardToggle: createReverse }, resolve));
+        const items = ready.map(row => ({
+            deckName: row.deck.trim() || defaultDeck,
+            data: getRowFlashcard(row)
+        }));
+        const noteIds = await addFlashcardsToAnki(items);
+        // addNotes answers null in place of each note it could not add
+        ready.forEach((row, index) => {
+            if (noteIds[index]) {
+                row.status = 'added';
+                row.error = null;
+            } else {
+                row.error = chrome.i18n.getMessage("importNoteNotAdded");
+            }
+            renderRow(row);
+        });
+        updateProgress();
+        await AnkiLingoFlashStorage.saveFlashcards(items.filter((item, index) => noteIds[index]).map(item => ({
+            ...item.data,
+            language: settings.language,
+            status: 'added',
+            deckName: item.deckName,
+            updatedAt: Date.now()
+        })));
+    } catch (error) {
+        console.log('Error adding the imported notes:', error);
+        showImportError(`${chrome.i18n.getMessage("errorAddingFlashcard")}: ${error.message}`);
+    } finally {
+        addButton.disabled = false;
+    }
+}
@@ -0,0 +1,74 @@
+/**
+ * Helpers shared by the extension pages (bulk import, history) and the popup: translation of the page,
+ * AnkiConnect calls through the background script and flashcards sent to Anki by the background.
+ */
+
+/**
+ * Translates the elements of the page based on their data-i18n attribute.
+ */
+function translatePage() {
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        const message = chrome.i18n.getMessage(element.dataset.i18n);
+        if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
+            element.placeholder = message;
+        } else {
+            element.textContent = message;
+        }
+    });
+}
+
+/**
+ * Escapes HTML characters to prevent XSS attacks.
+ *
+ * @param {string} unsafeText - The text to be escaped.
+ * @returns {string} The escaped text.
+ */
+function escapeHTML(unsafeText) {
+    return String(unsafeText)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#039;");
+}
+
+/**
+ * Call AnkiConnect through the background script.
+ * @param {string} action - The AnkiConnect action.
+ * @param {Object} [params] - The action parameters.
+ * @returns {Promise<*>} A promise that resolves with the action result.
+ */
+function invokeAnkiConnect(action, params = {}) {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage({ action: "invokeAnkiConnect", params: { action: action, version: 6, params: params } }, function (response) {
+            if (!response || !response.success || !response.data) {
+                reject(new Error(chrome.i18n.getMessage("ankiConnectionFailed")));
+            } else if (response.data.error) {
+                reject(new Error(response.data.error));
+            } else {
+                resolve(response.data.result);
+            }
+        });
+    });
+}
+
+/**
+ * Adds several flashcards to Anki with a single `addNotes` call. The background builds their notes and media
+ * the same way as for the flashcards of the content script, and makes sure their note types and decks exist.
+ * @param {Object[]} items - The flashcards to add, as `{ deckName, data }`.
+ * @returns {Promise<Array<number|null>>} A promise that resolves with the ID of each new note,
+ *     null in place of each note Anki did not add.
+ */
+function addFlashcardsToAnki(items) {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage({ action: "addFlashcardsToAnki", items: items }, response => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+            } else if (!response || !response.success) {
+                reject(new Error(response ? response.error : chrome.i18n.getMessage("ankiConnectionFailed")));
+            } else {
+                resolve(response.noteIds);
+            }
+        });
+    });
+}
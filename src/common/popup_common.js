@@ -2,9 +2,18 @@ const DEV_MODE = false;
 
 const AI_PROVIDERS = {
     OPENAI: 'openai',
-    GOOGLE: 'google'
+    GOOGLE: 'google',
+    AZURE: 'azure'
 };
 
+const DEFAULT_LOCAL_ENDPOINT = 'http://localhost:11434/v1';
+
+// Selectable AI providers, as described by the background's adapter registry
+let providerDescriptors = [];
+
+// The extension's own note types, as described by the background's NOTE_TYPES
+let noteTypeDescriptors = [];
+
 const elementsToTranslate = [
     { id: 'enterLearningGoal', key: 'enterLearningGoal' },
     { id: 'settingsTitle', key: 'settingsTitle', html: true },
@@ -34,9 +43,95 @@ const elementsToTranslate = [
     { id: 'openaiProvider', key: 'openaiProvider' },
     { id: 'googleProvider', key: 'googleProvider' },
     { id: 'apiKeyLabel', key: 'enterOpenAIKey' },
-    { id: 'modelChoiceLabel', key: 'chooseChatGPTModel' }
+    { id: 'modelChoiceLabel', key: 'chooseChatGPTModel' },
+    { id: 'localEndpointLabel', key: 'localEndpointLabel' },
+    { id: 'connectLocalServer', key: 'connectLocalServer' },
+    { id: 'chooseLocalModel', key: 'chooseLocalModel' },
+    { id: 'providerEndpointLabel', key: 'providerEndpointLabel' },
+    { id: 'customFieldsTitle', key: 'customFieldsTitle' },
+    { id: 'customFieldsHelp', key: 'customFieldsHelp' },
+    { id: 'addCustomField', key: 'addCustomField' },
+    { id: 'outboxTitle', key: 'outboxTitle' },
+    { id: 'outboxHelp', key: 'outboxHelp' },
+    { id: 'sendOutbox', key: 'sendOutbox' },
+    { id: 'noteTypeTitle', key: 'noteTypeTitle' },
+    { id: 'noteTypeHelp', key: 'noteTypeHelp' },
+    { id: 'ttsTitle', key: 'ttsTitle' },
+    { id: 'ttsHelp', key: 'ttsHelp' },
+    { id: 'ttsEnabled', key: 'ttsEnabled' },
+    { id: 'ttsDisabled', key: 'ttsDisabled' },
+    { id: 'ttsBackend', key: 'ttsBackend' },
+    { id: 'ttsBackendProvider', key: 'ttsBackendProvider' },
+    { id: 'ttsBackendLocal', key: 'ttsBackendLocal' },
+    { id: 'ttsVoice', key: 'ttsVoice' },
+    { id: 'ttsTermOnly', key: 'ttsTermOnly' },
+    { id: 'ttsTermAndExamples', key: 'ttsTermAndExamples' },
+    { id: 'basketTitle', key: 'basketTitle' },
+    { id: 'basketHelp', key: 'basketHelp' },
+    { id: 'generateAll', key: 'generateAll' },
+    { id: 'bulkImportTitle', key: 'bulkImportTitle' },
+    { id: 'bulkImportHelp', key: 'bulkImportHelp' },
+    { id: 'openBulkImport', key: 'openBulkImport' },
+    { id: 'historyTitle', key: 'historyTitle' },
+    { id: 'historyPopupHelp', key: 'historyPopupHelp' },
+    { id: 'openHistory', key: 'openHistory' },
+    { id: 'dictionariesTitle', key: 'dictionariesTitle' },
+    { id: 'dictionariesPopupHelp', key: 'dictionariesPopupHelp' },
+    { id: 'openDictionaries', key: 'openDictionaries' },
+    { id: 'storageTitle', key: 'storageTitle' },
+    { id: 'cacheTitle', key: 'cacheTitle' },
+    { id: 'cacheTtlHours', key: 'cacheTtlHours' },
+    { id: 'clearCache', key: 'clearCache' },
+    { id: 'hoverDictionaryTitle', key: 'hoverDictionaryTitle' },
+    { id: 'hoverDictionaryHelp', key: 'hoverDictionaryHelp' },
+    { id: 'hoverDictionaryEnabled', key: 'hoverDictionaryEnabled' },
+    { id: 'hoverDictionaryDisabled', key: 'hoverDictionaryDisabled' },
+    { id: 'hoverDictionaryModifier', key: 'hoverDictionaryModifier' },
+    { id: 'modifierShift', key: 'modifierShift' },
+    { id: 'modifierAlt', key: 'modifierAlt' },
+    { id: 'modifierControl', key: 'modifierControl' },
+    { id: 'lemmaTitle', key: 'lemmaTitle' },
+    { id: 'lemmaHelp', key: 'lemmaHelp' },
+    { id: 'lemmaEnabled', key: 'lemmaEnabled' },
+    { id: 'lemmaDisabled', key: 'lemmaDisabled' },
+    { id: 'enrichmentTitle', key: 'enrichmentTitle' },
+    { id: 'enrichmentHelp', key: 'enrichmentHelp' }
+];
+
+// Pieces of a generated flashcard that can be mapped onto the fields of the user's own note type
+const MAPPABLE_NOTE_PIECES = [
+    { id: 'selection', labelKey: 'selectedText', defaultField: 'Selection' },
+    { id: 'selectedForm', labelKey: 'inflectedForm', defaultField: 'Inflected Form' },
+    { id: 'translation', labelKey: 'directTranslation', defaultField: 'Translation' },
+    { id: 'definition', labelKey: 'Definition', defaultField: 'Definition' },
+    { id: 'examples', labelKey: 'Examples', defaultField: 'Examples' },
+    { id: 'mnemonic', labelKey: 'Mnemonic', defaultField: 'Mnemonic' },
+    { id: 'sourceSentence', labelKey: 'sourceSentence', defaultField: 'Sentence' },
+    { id: 'source', labelKey: 'source', defaultField: 'Source' },
+    { id: 'audio', labelKey: 'audio', defaultField: 'Audio' },
+    { id: 'image', labelKey: 'image', defaultField: 'Image' },
+    { id: 'reading', labelKey: 'enrichmentReading', defaultField: 'Reading' },
+    { id: 'pinyin', labelKey: 'enrichmentPinyin', defaultField: 'Pinyin' },
+    { id: 'article', labelKey: 'enrichmentArticle', defaultField: 'Article' },
+    { id: 'gender', labelKey: 'enrichmentGender', defaultField: 'Gender' },
+    { id: 'conjugation', labelKey: 'enrichmentConjugation', defaultField: 'Conjugation' }
 ];
 
+// Enrichments offered for each source language, keyed by ISO 639-3 code as in content.js
+const LANGUAGE_ENRICHMENTS = [
+    { code: 'jpn', labelKey: 'languageJapanese', modules: ['reading', 'conjugation'] },
+    { code: 'cmn', labelKey: 'languageMandarin', modules: ['pinyin'] },
+    { code: 'deu', labelKey: 'languageGerman', modules: ['gender', 'conjugation'] },
+    { code: 'fra', labelKey: 'languageFrench', modules: ['gender', 'conjugation'] },
+    { code: 'spa', labelKey: 'languageSpanish', modules: ['gender', 'conjugation'] }
+];
+const ENRICHMENT_LABEL_KEYS = {
+    reading: 'enrichmentReading',
+    pinyin: 'enrichmentPinyin',
+    gender: 'enrichmentGender',
+    conjugation: 'enrichmentConjugation'
+};
+
 /**
  * Translates elements in the UI based on their data-i18n attribute.
  */
@@ -150,21 +245,6 @@ document.addEventListener('DOMContentLoaded', function () {
     addModelChoiceListener();
 });
 
-/**
- * Escapes HTML characters to prevent XSS attacks.
- * 
- * @param {string} unsafeText - The text to be escaped.
- * @returns {string} The escaped text.
- */
-function escapeHTML(unsafeText) {
-    return unsafeText
-        .replace(/&/g, "&amp;")
-        .replace(/</g, "&lt;")
-        .replace(/>/g, "&gt;")
-        .replace(/"/g, "&quot;")
-        .replace(/'/g, "&#039;");
-}
-
 /**
  * Get a localized sort function based on the given language.
  * @param {string} language - The language code.
@@ -359,11 +439,26 @@ async function loadSavedLanguage() {
  * Initialize toggle switches and load saved settings.
  */
 function initializeToggleSwitches() {
+    const modelToggle = document.getElementById('modelToggle');
     const useOwnApiKeyToggle = document.getElementById('useOwnApiKeyToggle');
     const ownCreditsOption = document.getElementById('ownCreditsOption');
     const freeTrialOption = document.getElementById('freeTrialOption');
     const aiProviderSelect = document.getElementById('aiProviderSelect');
 
+    if (modelToggle) {
+        // Checked means remote (OpenAI, Google or free trial), unchecked means local server
+        modelToggle.addEventListener('change', function () {
+            const choice = this.checked ? 'remote' : 'local';
+            chrome.storage.sync.set({ choice: choice }, function () {
+                console.log('Model choice saved:', choice);
+                updateOptionsVisibility();
+                if (choice === 'local') {
+                    fetchLocalModels();
+                }
+            });
+        });
+    }
+
     if (useOwnApiKeyToggle && ownCreditsOption && freeTrialOption) {
         // Add event listener for API key toggle
         useOwnApiKeyToggle.addEventListener('change', function () {
@@ -381,6 +476,7 @@ function initializeToggleSwitches() {
                 console.log('AI Provider saved:', selectedProvider);
                 updateApiKeyLabel(selectedProvider);
                 updateModelChoiceLabel(selectedProvider);
+                updateProviderEndpointField(selectedProvider);
                 // Reset API key validation status and input on provider change
                 const apiKeyInput = document.getElementById('apiKey');
                 if (apiKeyInput) {
@@ -388,54 +484,106 @@ function initializeToggleSwitches() {
                     apiKeyInput.classList.remove('valid', 'invalid');
                     hideApiKeyError();
                 }
-                if (selectedProvider === AI_PROVIDERS.OPENAI) {
-                    chrome.storage.sync.set({ apiKeyValidated: false, googleApiKeyValidated: false });
-                } else {
-                    chrome.storage.sync.set({ googleApiKeyValidated: false, apiKeyValidated: false });
-                }
+                chrome.storage.sync.set(Object.fromEntries(providerDescriptors.map(descriptor => [descriptor.validatedField, false])));
                 updateOptionsVisibility(); // Re-check visibility, especially for model choice
                 fetchModels(); // Attempt to fetch models for the new provider if key was previously validated for it
             });
         });
     }
 
-    // Load saved settings and decrypt API key if available
-    chrome.storage.sync.get(['isOwnCredits', 'selectedProvider', 'encryptedApiKey', 'installationPassword', 'encryptedGoogleApiKey'], async function (result) {
-        if (useOwnApiKeyToggle) {
-            useOwnApiKeyToggle.checked = result.isOwnCredits;
-        }
-
-        const currentProvider = result.selectedProvider || AI_PROVIDERS.OPENAI;
-        if (aiProviderSelect) {
-            aiProviderSelect.value = currentProvider;
-        }
-        updateApiKeyLabel(currentProvider);
-        updateModelChoiceLabel(currentProvider);
-
-
-        const apiKeyField = document.getElementById('apiKey');
-        if (apiKeyField && result.installationPassword) {
-            let encryptedKeyToUse;
-            if (currentProvider === AI_PROVIDERS.OPENAI && result.encryptedApiKey) {
-                encryptedKeyToUse = result.encryptedApiKey;
-            } else if (currentProvider === AI_PROVIDERS.GOOGLE && result.encryptedGoogleApiKey) {
-                encryptedKeyToUse = result.encryptedGoogleApiKey;
+    // Load the provider list, then the saved settings, and decrypt API key if available
+    loadProviders(function () {
+        const providerSettingKeys = providerDescriptors.flatMap(descriptor => [descriptor.apiKeyField, descriptor.endpointField].filter(Boolean));
+        chrome.storage.sync.get(['isOwnCredits', 'selectedProvider', 'installationPassword', ...providerSettingKeys], async function (result) {
+            if (useOwnApiKeyToggle) {
+                useOwnApiKeyToggle.checked = result.isOwnCredits;
             }
 
-            if (encryptedKeyToUse) {
-                try {
-                    const decryptedApiKey = await decryptApiKey(encryptedKeyToUse, result.installationPassword);
-                    apiKeyField.value = decryptedApiKey;
-                } catch (decryptError) {
-                    console.log(chrome.i18n.getMessage("failedToDecryptApiKey"), decryptError);
-                    apiKeyField.value = '';
+            const currentProvider = result.selectedProvider || AI_PROVIDERS.OPENAI;
+            const descriptor = getProviderDescriptor(currentProvider);
+            if (aiProviderSelect) {
+                aiProviderSelect.value = currentProvider;
+            }
+            updateApiKeyLabel(currentProvider);
+            updateModelChoiceLabel(currentProvider);
+            updateProviderEndpointField(currentProvider, descriptor.endpointField ? result[descriptor.endpointField] : '');
+
+            const apiKeyField = document.getElementById('apiKey');
+            if (apiKeyField && result.installationPassword) {
+                const encryptedKeyToUse = result[descriptor.apiKeyField];
+
+                if (encryptedKeyToUse) {
+                    try {
+                        const decryptedApiKey = await decryptApiKey(encryptedKeyToUse, result.installationPassword);
+                        apiKeyField.value = decryptedApiKey;
+                    } catch (decryptError) {
+                        console.log(chrome.i18n.getMessage("failedToDecryptApiKey"), decryptError);
+                        apiKeyField.value = '';
+                    }
                 }
             }
+            updateOptionsVisibility();
+        });
+    });
+}
+
+/**
+ * Load the extension's own note types from the background.
+ * @param {Function} callback - Called once the note types are known.
+ */
+function loadNoteTypes(callback) {
+    chrome.runtime.sendMessage({ action: "getNoteTypes" }, function (response) {
+        noteTypeDescriptors = (response && response.noteTypes) || [];
+        callback();
+    });
+}
+
+/**
+ * Load the selectable AI providers from the background and fill the provider dropdown.
+ * @param {Function} callback - Called once the providers are known.
+ */
+function loadProviders(callback) {
+    chrome.runtime.sendMessage({ action: "getProviders" }, function (response) {
+        providerDescriptors = (response && response.providers) || [];
+        const aiProviderSelect = document.getElementById('aiProviderSelect');
+        if (aiProviderSelect) {
+            aiProviderSelect.innerHTML = providerDescriptors
+                .map(descriptor => `<option value="${descriptor.id}">${escapeHTML(chrome.i18n.getMessage(descriptor.labelKey))}</option>`)
+                .join('');
         }
-        updateOptionsVisibility();
+        callback();
     });
 }
 
+/**
+ * Get the descriptor of a provider, falling back to OpenAI.
+ * @param {string} provider - The provider ID.
+ * @returns {Object} The provider descriptor.
+ */
+function getProviderDescriptor(provider) {
+    return providerDescriptors.find(descriptor => descriptor.id === provider)
+        || providerDescriptors.find(descriptor => descriptor.id === AI_PROVIDERS.OPENAI)
+        || { id: AI_PROVIDERS.OPENAI, labelKey: 'openaiProvider', apiKeyField: 'encryptedApiKey', validatedField: 'apiKeyValidated', modelField: 'model', endpointField: null, apiKeyOptional: false };
+}
+
+/**
+ * Show the endpoint input for providers that need one (Azure OpenAI, OpenAI-compatible servers).
+ * @param {string} provider - The selected AI provider.
+ * @param {string} [endpoint] - The saved endpoint to display.
+ */
+function updateProviderEndpointField(provider, endpoint = '') {
+    const endpointSection = document.getElementById('providerEndpointSection');
+    const endpointInput = document.getElementById('providerEndpoint');
+    const descriptor = getProviderDescriptor(provider);
+    if (endpointSection) {
+        endpointSection.style.display = descriptor.endpointField ? 'block' : 'none';
+    }
+    if (endpointInput) {
+        endpointInput.value = endpoint || '';
+        endpointInput.placeholder = provider === AI_PROVIDERS.AZURE ? 'https://my-resource.openai.azure.com' : 'https://api.example.com/v1';
+    }
+}
+
 /**
  * Add event listeners to various elements.
  */
@@ -443,6 +591,8 @@ function addEventListeners() {
     const loginButton = document.getElementById('login-button');
     const logoutButton = document.getElementById('logout-button');
     const validateApiKey = document.getElementById('validateApiKey');
+    const connectLocalEndpoint = document.getElementById('connectLocalEndpoint');
+    const localModelChoice = document.getElementById('localModelChoice');
 
     if (loginButton) {
         loginButton.addEventListener('click', handleLogin);
@@ -453,6 +603,108 @@ function addEventListeners() {
     if (validateApiKey) {
         validateApiKey.addEventListener('click', handleValidateApiKey);
     }
+    if (connectLocalEndpoint) {
+        connectLocalEndpoint.addEventListener('click', handleConnectLocalEndpoint);
+    }
+    if (localModelChoice) {
+        localModelChoice.addEventListener('change', function () {
+            chrome.storage.sync.set({ localModel: this.value }, () => {
+                console.log('Local model saved:', this.value);
+            });
+        });
+    }
+}
+
+/**
+ * Save the local server URL and list its models.
+ */
+function handleConnectLocalEndpoint() {
+    const localEndpointInput = document.getElementById('localEndpoint');
+    const endpoint = localEndpointInput.value.trim() || DEFAULT_LOCAL_ENDPOINT;
+
+    try {
+        new URL(endpoint);
+    } catch (error) {
+        showLocalEndpointError(chrome.i18n.getMessage("invalidLocalEndpoint"));
+        return;
+    }
+
+    localEndpointInput.value = endpoint;
+    chrome.storage.sync.set({ localEndpoint: endpoint }, function () {
+        console.log('Local endpoint saved:', endpoint);
+        fetchLocalModels();
+    });
+}
+
+/**
+ * Fetch the models served by the configured local server and fill the dropdown.
+ */
+function fetchLocalModels() {
+    const localModelSection = document.getElementById('localModelSection');
+    const localModelChoice = document.getElementById('localModelChoice');
+    const localEndpointInput = document.getElementById('localEndpoint');
+
+    chrome.storage.sync.get(['localEndpoint', 'localModel'], function (result) {
+        const endpoint = result.localEndpoint || DEFAULT_LOCAL_ENDPOINT;
+        if (localEndpointInput && !localEndpointInput.value) {
+            localEndpointInput.value = endpoint;
+        }
+
+        chrome.runtime.sendMessage({ action: "fetchLocalModels", endpoint: endpoint }, function (response) {
+            if (!response || response.error || !response.models || response.models.length === 0) {
+                console.log(chrome.i18n.getMessage("localServerConnectionFailed"), response && response.error);
+                showLocalEndpointError(chrome.i18n.getMessage(response && response.models ? "noLocalModelsFound" : "localServerConnectionFailed"));
+                if (localEndpointInput) {
+                    localEndpointInput.classList.add('invalid');
+                    localEndpointInput.classList.remove('valid');
+                }
+                if (localModelSection) localModelSection.style.display = 'none';
+                return;
+            }
+
+            hideLocalEndpointError();
+            if (localEndpointInput) {
+                localEndpointInput.classList.remove('invalid');
+                localEndpointInput.classList.add('valid');
+            }
+
+            if (localModelChoice) {
+                localModelChoice.innerHTML = response.models
+                    .map(model => `<option value="${escapeHTML(model)}">${escapeHTML(model)}</option>`)
+                    .join('');
+
+                if (result.localModel && response.models.includes(result.localModel)) {
+                    localModelChoice.value = result.localModel;
+                } else {
+                    localModelChoice.value = response.models[0];
+                    chrome.storage.sync.set({ localModel: response.models[0] });
+                }
+            }
+            if (localModelSection) localModelSection.style.display = 'block';
+        });
+    });
+}
+
+/**
+ * Show the local server error message.
+ * @param {string} message - The localized message to display.
+ */
+function showLocalEndpointError(message) {
+    const errorElement = document.getElementById('localEndpointError');
+    if (errorElement) {
+        errorElement.textContent = message;
+        errorElement.style.display = 'block';
+    }
+}
+
+/**
+ * Hide the local server error message.
+ */
+function hideLocalEndpointError() {
+    const errorElement = document.getElementById('localEndpointError');
+    if (errorElement) {
+        errorElement.style.display = 'none';
+    }
 }
 
 
@@ -463,9 +715,21 @@ async function handleValidateApiKey() {
     const apiKeyInput = document.getElementById('apiKey');
     const apiKey = apiKeyInput.value.trim();
     const selectedProvider = document.getElementById('aiProviderSelect').value;
+    const descriptor = getProviderDescriptor(selectedProvider);
+    const endpointInput = document.getElementById('providerEndpoint');
+    const endpoint = descriptor.endpointField && endpointInput ? endpointInput.value.trim() : null;
+
+    if (descriptor.endpointField) {
+        try {
+            new URL(endpoint);
+        } catch (error) {
+            showApiKeyError("invalidProviderEndpoint");
+            return;
+        }
+    }
 
-    if (!apiKey) {
-        showApiKeyError(selectedProvider === AI_PROVIDERS.GOOGLE ? "enterGoogleApiKey" : "enterOpenAIKey");
+    if (!apiKey && !descriptor.apiKeyOptional) {
+        showApiKeyError(getApiKeyLabelMessage(selectedProvider), true);
         return;
     }
 
@@ -477,7 +741,7 @@ async function handleValidateApiKey() {
     validateButton.textContent = chrome.i18n.getMessage("validating") + "...";
     validateButton.disabled = true;
 
-    chrome.runtime.sendMessage({ action: action, apiKey: apiKey }, async function (response) {
+    chrome.runtime.sendMessage({ action: action, provider: selectedProvider, apiKey: apiKey, endpoint: endpoint }, async function (response) {
         validateButton.textContent = originalButtonText; // Restore button text
         validateButton.disabled = false; // Re-enable button
 
@@ -494,25 +758,24 @@ async function handleValidateApiKey() {
 
             try {
                 const installationPassword = await generateInstallationPassword();
-                const encryptedApiKey = await encryptApiKey(apiKey, installationPassword);
 
                 const storageUpdate = {
                     isOwnCredits: true,
                     installationPassword: installationPassword
                 };
 
-                if (selectedProvider === AI_PROVIDERS.GOOGLE) {
-                    storageUpdate.encryptedGoogleApiKey = encryptedApiKey;
-                    storageUpdate.encryptedApiKey = null; // Clear OpenAI key
-                    storageUpdate.googleApiKeyValidated = true;
-                    storageUpdate.apiKeyValidated = false; // Set OpenAI as not validated
-                    storageUpdate.model = null; // Clear any selected OpenAI model
-                } else { // OpenAI
-                    storageUpdate.encryptedApiKey = encryptedApiKey;
-                    storageUpdate.encryptedGoogleApiKey = null; // Clear Google key
-                    storageUpdate.apiKeyValidated = true;
-                    storageUpdate.googleApiKeyValidated = false; // Set Google as not validated
-                    storageUpdate.googleModel = null; // Clear any selected Google model
+                // Only one provider key is kept at a time: clear the others
+                providerDescriptors.forEach(other => {
+                    if (other.id !== selectedProvider) {
+                        storageUpdate[other.apiKeyField] = null;
+                        storageUpdate[other.validatedField] = false;
+                        storageUpdate[other.modelField] = null;
+                    }
+                });
+                storageUpdate[descriptor.apiKeyField] = apiKey ? await encryptApiKey(apiKey, installationPassword) : null;
+                storageUpdate[descriptor.validatedField] = true;
+                if (descriptor.endpointField) {
+                    storageUpdate[descriptor.endpointField] = endpoint;
                 }
 
                 chrome.storage.sync.set(storageUpdate, function () {
@@ -541,13 +804,7 @@ async function handleValidateApiKey() {
             apiKeyInput.classList.add('invalid');
             apiKeyInput.classList.remove('valid');
             // Ensure the correct validation status is false in storage if validation fails
-            const failedValidationUpdate = {};
-            if (selectedProvider === AI_PROVIDERS.GOOGLE) {
-                failedValidationUpdate.googleApiKeyValidated = false;
-            } else {
-                failedValidationUpdate.apiKeyValidated = false;
-            }
-            chrome.storage.sync.set(failedValidationUpdate);
+            chrome.storage.sync.set({ [descriptor.validatedField]: false });
         }
     });
 }
@@ -678,14 +935,8 @@ function updateModelChoice(models, provider) {
         return;
     }
 
-    let filteredModels = [];
-    if (provider === AI_PROVIDERS.GOOGLE) {
-        // Google models usually start with "models/gemini-" or "gemini-"
-        filteredModels = models.filter(model => typeof model === 'string' && (model.startsWith('models/gemini-') || model.startsWith('gemini-')));
-    } else {
-        // Filter models to only include GPT models for OpenAI
-        filteredModels = models.filter(model => typeof model === 'string' && model.startsWith('gpt-'));
-    }
+    // The background adapters only return models usable for generation
+    const filteredModels = models.filter(model => typeof model === 'string');
 
     if (filteredModels.length === 0) {
         console.warn(chrome.i18n.getMessage(provider === AI_PROVIDERS.GOOGLE ? "noGoogleModelsFound" : "noGptModelsFound"));
@@ -701,11 +952,11 @@ function updateModelChoice(models, provider) {
         modelChoice.innerHTML = filteredModels.map(model => {
             // For Google, display name might be preferable if available, but model ID is needed for value
             const displayName = model.startsWith('models/') ? model.substring(model.lastIndexOf('/') + 1) : model;
-            return `<option value="${model}">${displayName}</option>`;
+            return `<option value="${escapeHTML(model)}">${escapeHTML(displayName)}</option>`;
         }).join('');
 
         // Set the selected model based on stored preference or default
-        const storageKey = provider === AI_PROVIDERS.GOOGLE ? 'googleModel' : 'model';
+        const storageKey = getProviderDescriptor(provider).modelField;
         chrome.storage.sync.get([storageKey], function (result) {
             const savedModel = result[storageKey];
             if (savedModel && filteredModels.includes(savedModel)) {
@@ -723,13 +974,15 @@ function updateModelChoice(models, provider) {
 /**
  * Send a request to fetch available models.
  * @param {string} apiKey - The API key to use for fetching models.
- * @param {string} provider - The AI provider ('openai' or 'google').
+ * @param {string} provider - The AI provider ID.
+ * @param {string} [endpoint] - The base URL, for providers that need one.
  */
-function sendFetchModelsRequest(apiKey, provider) {
-    const action = provider === AI_PROVIDERS.GOOGLE ? "fetchGoogleModels" : "fetchModels";
+function sendFetchModelsRequest(apiKey, provider, endpoint = null) {
     chrome.runtime.sendMessage({
-        action: action,
-        apiKey: apiKey
+        action: "fetchModels",
+        provider: provider,
+        apiKey: apiKey,
+        endpoint: endpoint
     }, function (response) {
         if (response.error) {
             console.log(chrome.i18n.getMessage(provider === AI_PROVIDERS.GOOGLE ? "errorFetchingGoogleModels" : "errorFetchingModels"), response.error);
@@ -743,30 +996,32 @@ function sendFetchModelsRequest(apiKey, provider) {
 /**
  * Fetch available models based on user settings.
  * @param {string} apiKey - The API key to use for fetching models.
- * @param {string} provider - The AI provider ('openai' or 'google'). If not provided, it's read from storage.
+ * @param {string} provider - The AI provider ID. If not provided, it's read from storage.
  */
 function fetchModels(apiKey, provider) {
     chrome.storage.sync.get(['isOwnCredits', 'selectedProvider'], function (result) {
         const currentProvider = provider || result.selectedProvider || AI_PROVIDERS.OPENAI;
 
         if (result.isOwnCredits) {
-            if (!apiKey) {
-                const encryptedKeyName = currentProvider === AI_PROVIDERS.GOOGLE ? 'encryptedGoogleApiKey' : 'encryptedApiKey';
-                chrome.storage.sync.get([encryptedKeyName, 'installationPassword'], async function (keyResult) {
-                    if (keyResult[encryptedKeyName] && keyResult.installationPassword) {
-                        try {
-                            const decryptedApiKey = await decryptApiKey(keyResult[encryptedKeyName], keyResult.installationPassword);
-                            sendFetchModelsRequest(decryptedApiKey, currentProvider);
-                        } catch (error) {
-                            console.log(`Error decrypting API key for ${currentProvider}:`, error);
-                        }
-                    } else {
-                        console.log(chrome.i18n.getMessage(currentProvider === AI_PROVIDERS.GOOGLE ? "googleApiKeyMissing" : "apiKeyMissing"));
+            const descriptor = getProviderDescriptor(currentProvider);
+            const settingKeys = [descriptor.apiKeyField, descriptor.endpointField, 'installationPassword'].filter(Boolean);
+            chrome.storage.sync.get(settingKeys, async function (keyResult) {
+                const endpoint = descriptor.endpointField ? keyResult[descriptor.endpointField] : null;
+                if (apiKey) {
+                    sendFetchModelsRequest(apiKey, currentProvider, endpoint);
+                } else if (keyResult[descriptor.apiKeyField] && keyResult.installationPassword) {
+                    try {
+                        const decryptedApiKey = await decryptApiKey(keyResult[descriptor.apiKeyField], keyResult.installationPassword);
+                        sendFetchModelsRequest(decryptedApiKey, currentProvider, endpoint);
+                    } catch (error) {
+                        console.log(`Error decrypting API key for ${currentProvider}:`, error);
                     }
-                });
-            } else {
-                sendFetchModelsRequest(apiKey, currentProvider);
-            }
+                } else if (descriptor.apiKeyOptional) {
+                    sendFetchModelsRequest(null, currentProvider, endpoint);
+                } else {
+                    console.log(chrome.i18n.getMessage(currentProvider === AI_PROVIDERS.GOOGLE ? "googleApiKeyMissing" : "apiKeyMissing"));
+                }
+            });
         } else {
             // If not using own credits, fetch models from the extension's API (currently OpenAI specific)
             // This part might need adjustment if free tier should support Google in the future via your worker
@@ -845,7 +1100,7 @@ function addModelChoiceListener() {
     if (modelChoice) {
         modelChoice.addEventListener('change', function () {
             const selectedProvider = document.getElementById('aiProviderSelect').value;
-            const storageKey = selectedProvider === AI_PROVIDERS.GOOGLE ? 'googleModel' : 'model';
+            const storageKey = getProviderDescriptor(selectedProvider).modelField;
             chrome.storage.sync.set({ [storageKey]: this.value }, function () {
                 console.log(`Model choice for ${selectedProvider} saved:`, this.value);
             });
@@ -924,31 +1179,34 @@ function updateFlashcardCounter(count, remainingCards) {
  */
 function updateOptionsVisibility() {
     chrome.storage.sync.get([
-        'user', 'apiKeyValidated', 'googleApiKeyValidated', 'choice', 
-        'isOwnCredits', 'flashcardCount', 'selectedProvider'
+        'user', 'choice', 'isOwnCredits', 'flashcardCount', 'selectedProvider',
+        ...providerDescriptors.map(descriptor => descriptor.validatedField)
     ], function (result) {
-        const modelToggleContainer = document.querySelector('.form-group:has(#modelToggle)');
+        const modelToggle = document.getElementById('modelToggle');
         const remoteSettings = document.getElementById('remoteSettings');
+        const localSettings = document.getElementById('localSettings');
         const useOwnApiKeyToggle = document.getElementById('useOwnApiKeyToggle');
         const ownCreditsOption = document.getElementById('ownCreditsOption');
         const freeTrialOption = document.getElementById('freeTrialOption');
         const userInfo = document.getElementById('user-info');
         const modelChoiceSection = document.getElementById('modelChoiceSection');
-        const localModelMessage = document.getElementById('localModelMessage');
         const aiProviderSection = document.getElementById('aiProviderSection');
         const apiKeyEntrySection = document.getElementById('apiKeyEntrySection');
 
-        // Hide model toggle container (AI model remote/local)
-        if (modelToggleContainer) modelToggleContainer.style.display = 'none';
-
-        const isRemoteMode = result.choice === 'remote'; // This seems to be legacy, assuming always remote for now
+        const isRemoteMode = result.choice !== 'local';
         const isOwnCreditsMode = result.isOwnCredits;
         const currentProvider = result.selectedProvider || AI_PROVIDERS.OPENAI;
 
-        // Update UI based on remote/local mode (assuming remote for now)
-        // if (modelToggle) modelToggle.checked = isRemoteMode;
-        if (remoteSettings) remoteSettings.style.display = 'block'; // Always show remote settings
-        if (localModelMessage) localModelMessage.style.display = 'none'; // Hide local message
+        // Update UI based on remote/local mode
+        if (modelToggle) modelToggle.checked = isRemoteMode;
+        if (remoteSettings) remoteSettings.style.display = isRemoteMode ? 'block' : 'none';
+        if (localSettings) localSettings.style.display = isRemoteMode ? 'none' : 'block';
+
+        if (!isRemoteMode) {
+            // Local mode needs neither an account nor an API key
+            if (userInfo) userInfo.style.display = 'none';
+            return;
+        }
 
         // Update UI for remote mode
         if (useOwnApiKeyToggle) useOwnApiKeyToggle.checked = isOwnCreditsMode;
@@ -966,8 +1224,7 @@ function updateOptionsVisibility() {
             if (freeTrialOption) freeTrialOption.style.display = 'none';
             if (userInfo) userInfo.style.display = 'none';
 
-            const apiKeyIsValidForCurrentProvider = (currentProvider === AI_PROVIDERS.GOOGLE && result.googleApiKeyValidated) ||
-                                                 (currentProvider === AI_PROVIDERS.OPENAI && result.apiKeyValidated);
+            const apiKeyIsValidForCurrentProvider = result[getProviderDescriptor(currentProvider).validatedField] === true;
 
             if (modelChoiceSection) {
                 const wasHidden = modelChoiceSection.style.display === 'none';
@@ -1004,29 +1261,50 @@ function updateOptionsVisibility() {
     });
 }
 
+/**
+ * Get the API key label of a provider.
+ * @param {string} provider - The selected AI provider.
+ * @returns {string} The localized label.
+ */
+function getApiKeyLabelMessage(provider) {
+    if (provider === AI_PROVIDERS.OPENAI) return chrome.i18n.getMessage('enterOpenAIKey');
+    if (provider === AI_PROVIDERS.GOOGLE) return chrome.i18n.getMessage('enterGoogleApiKey');
+    const providerName = chrome.i18n.getMessage(getProviderDescriptor(provider).labelKey);
+    return chrome.i18n.getMessage(getProviderDescriptor(provider).apiKeyOptional ? 'enterOptionalProviderApiKey' : 'enterProviderApiKey', [providerName]);
+}
+
 /**
  * Updates the API key input label based on the selected provider.
- * @param {string} provider - The selected AI provider ('openai' or 'google').
+ * @param {string} provider - The selected AI provider.
  */
 function updateApiKeyLabel(provider) {
     const apiKeyLabel = document.getElementById('apiKeyLabel');
     if (apiKeyLabel) {
-        const key = provider === AI_PROVIDERS.GOOGLE ? 'enterGoogleApiKey' : 'enterOpenAIKey';
-        apiKeyLabel.textContent = chrome.i18n.getMessage(key);
-        apiKeyLabel.setAttribute('data-i18n', key); // For consistency if translateElements is called again
+        apiKeyLabel.textContent = getApiKeyLabelMessage(provider);
+        // Generic labels need the provider name, so they are not re-translated by translateElements
+        apiKeyLabel.removeAttribute('data-i18n');
     }
 }
 
 /**
  * Updates the model choice label based on the selected provider.
- * @param {string} provider - The selected AI provider ('openai' or 'google').
+ * @param {string} provider - The selected AI provider.
  */
 function updateModelChoiceLabel(provider) {
     const modelChoiceLabel = document.getElementById('modelChoiceLabel');
     if (modelChoiceLabel) {
-        const key = provider === AI_PROVIDERS.GOOGLE ? 'chooseGoogleModel' : 'chooseChatGPTModel';
-        modelChoiceLabel.textContent = chrome.i18n.getMessage(key);
-        modelChoiceLabel.setAttribute('data-i18n', key);
+        let message;
+        if (provider === AI_PROVIDERS.OPENAI) {
+            message = chrome.i18n.getMessage('chooseChatGPTModel');
+        } else if (provider === AI_PROVIDERS.GOOGLE) {
+            message = chrome.i18n.getMessage('chooseGoogleModel');
+        } else if (provider === AI_PROVIDERS.AZURE) {
+            message = chrome.i18n.getMessage('chooseAzureDeployment');
+        } else {
+            message = chrome.i18n.getMessage('chooseProviderModel', [chrome.i18n.getMessage(getProviderDescriptor(provider).labelKey)]);
+        }
+        modelChoiceLabel.textContent = message;
+        modelChoiceLabel.removeAttribute('data-i18n');
     }
 }
 
@@ -1040,6 +1318,636 @@ function initializePopup() {
     updateUserInfo();
     updateOptionsVisibility(); 
     addModelChoiceListener();
+    loadLocalSettings();
+    initializeCustomFields();
+    initializeBasket();
+    initializeExtensionPages();
+    initializeStorageUsage();
+    initializeOutbox();
+    initializeTextToSpeech();
+    initializeLemmatization();
+    initializeEnrichments();
+    initializeHoverDictionary();
+    loadNoteTypes(initializeNoteTypeMapping);
+}
+
+/**
+ * Load the user-defined card fields and set up their editor.
+ */
+function initializeCustomFields() {
+    const addCustomFieldButton = document.getElementById('addCustomField');
+    if (addCustomFieldButton) {
+        addCustomFieldButton.addEventListener('click', function () {
+            chrome.storage.sync.get(['customFields'], function (result) {
+                const customFields = result.customFields || [];
+                customFields.push({
+                    id: Date.now().toString(36),
+                    name: '',
+                    description: '',
+                    enabled: false // Enabled once the field has a valid name
+                });
+                saveCustomFields(customFields);
+            });
+        });
+    }
+    chrome.storage.sync.get(['customFields'], function (result) {
+        renderCustomFields(result.customFields || []);
+    });
+}
+
+/**
+ * Save the custom card fields and refresh their editor.
+ * @param {Object[]} customFields - The fields ({ id, name, description, enabled }).
+ * @param {Function} [callback] - Called once the editor is refreshed.
+ */
+function saveCustomFields(customFields, callback) {
+    chrome.storage.sync.set({ customFields: customFields }, function () {
+        console.log('Custom fields saved:', customFields);
+        renderCustomFields(customFields);
+        if (callback) callback();
+    });
+}
+
+/**
+ * Check a custom field name, which becomes an Anki note field name.
+ * @param {string} name - The field name.
+ * @param {Object[]} customFields - All custom fields.
+ * @param {string} fieldId - The ID of the field being named.
+ * @returns {string|null} The i18n key of the error, or null if the name is valid.
+ */
+function getCustomFieldNameError(name, customFields, fieldId) {
+    // Anki uses these characters in its template syntax
+    if (!name || /[:{}"]/.test(name) || /^[#\/^]/.test(name)) {
+        return "customFieldNameInvalid";
+    }
+    const lowerName = name.toLowerCase();
+    // Custom fields are added to the vocabulary note type, next to its built-in fields
+    const builtInFields = noteTypeDescriptors.filter(noteType => !noteType.isCloze).flatMap(noteType => noteType.fields);
+    const isTaken = builtInFields.some(builtIn => builtIn.toLowerCase() === lowerName)
+        || customFields.some(field => field.id !== fieldId && field.name.toLowerCase() === lowerName);
+    return isTaken ? "customFieldNameTaken" : null;
+}
+
+/**
+ * Render the custom card field editor.
+ * @param {Object[]} customFields - The fields ({ id, name, description, enabled }).
+ */
+function renderCustomFields(customFields) {
+    const list = document.getElementById('customFieldsList');
+    if (!list) return;
+
+    list.innerHTML = customFields.map(field => `
+        <div class="sub-card custom-field" data-field-id="${escapeHTML(field.id)}">
+            <div class="custom-field-header">
+                <input type="text" class="custom-field-name" value="${escapeHTML(field.name)}" placeholder="${escapeHTML(chrome.i18n.getMessage("customFieldNamePlaceholder"))}">
+                <button class="custom-field-delete" title="${escapeHTML(chrome.i18n.getMessage("deleteCustomField"))}">&times;</button>
+            </div>
+            <textarea class="custom-field-description" rows="2" placeholder="${escapeHTML(chrome.i18n.getMessage("customFieldDescriptionPlaceholder"))}">${escapeHTML(field.description)}</textarea>
+            <label class="toggle-switch">
+                <input type="checkbox" class="custom-field-enabled" ${field.enabled ? 'checked' : ''}>
+                <span class="slider">
+                    <span class="toggle-label" data-state="off">${chrome.i18n.getMessage("customFieldDisabled")}</span>
+                    <span class="toggle-label" data-state="on">${chrome.i18n.getMessage("customFieldEnabled")}</span>
+                </span>
+            </label>
+            <div class="error-message" style="display: none;"></div>
+        </div>
+    `).join('');
+
+    list.querySelectorAll('.custom-field').forEach(item => {
+        const fieldId = item.dataset.fieldId;
+        const update = (changes) => {
+            const updatedFields = customFields.map(field => field.id === fieldId ? { ...field, ...changes } : field);
+            const updatedField = updatedFields.find(field => field.id === fieldId);
+            const nameError = updatedField.enabled ? getCustomFieldNameError(updatedField.name, updatedFields, fieldId) : null;
+            if (nameError) {
+                // A field cannot be written to Anki without a valid name
+                updatedField.enabled = false;
+            }
+            saveCustomFields(updatedFields, () => {
+                const errorElement = list.querySelector(`.custom-field[data-field-id="${fieldId}"] .error-message`);
+                if (nameError && errorElement) {
+                    errorElement.textContent = chrome.i18n.getMessage(nameError);
+                    errorElement.style.display = 'block';
+                }
+            });
+        };
+
+        item.querySelector('.custom-field-name').addEventListener('change', function () {
+            const name = this.value.trim();
+            // Naming a new field enables it
+            const field = customFields.find(item => item.id === fieldId);
+            update({ name: name, enabled: field.enabled || (!field.name && !!name) });
+        });
+        item.querySelector('.custom-field-description').addEventListener('change', function () {
+            update({ description: this.value.trim() });
+        });
+        item.querySelector('.custom-field-enabled').addEventListener('change', function () {
+            update({ enabled: this.checked });
+        });
+        item.querySelector('.custom-field-delete').addEventListener('click', function () {
+            saveCustomFields(customFields.filter(field => field.id !== fieldId));
+        });
+    });
+}
+
+/**
+ * Show the words collected while reading and let the user generate their flashcards.
+ */
+function initializeBasket() {
+    const generateButton = document.getElementById('generateBasket');
+    if (!generateButton) return;
+
+    generateButton.addEventListener('click', function () {
+        const errorElement = document.getElementById('basketError');
+        errorElement.style.display = 'none';
+        generateButton.disabled = true;
+        chrome.runtime.sendMessage({ action: "generateBasket" }, function (response) {
+            generateButton.disabled = false;
+            if (response && response.success) {
+                // The flashcards are generated and reviewed in the page
+                window.close();
+            } else {
+                errorElement.textContent = response ? response.error : chrome.i18n.getMessage("errorGeneratingFlashcard");
+                errorElement.style.display = 'block';
+            }
+        });
+    });
+
+    chrome.storage.local.get(['basket'], function (result) {
+        renderBasket(result.basket || []);
+    });
+    chrome.storage.onChanged.addListener(function (changes, areaName) {
+        if (areaName === 'local' && changes.basket) {
+            renderBasket(changes.basket.newValue || []);
+        }
+    });
+}
+
+/**
+ * Open the bulk import, history and dictionaries pages in a new tab.
+ */
+function initializeExtensionPages() {
+    [['openBulkImport', 'import.html'], ['openHistory', 'history.html'], ['openDictionaries', 'dictionaries.html']].forEach(([buttonId, page]) => {
+        const openButton = document.getElementById(buttonId);
+        if (!openButton) return;
+
+        openButton.addEventListener('click', function () {
+            chrome.tabs.create({ url: chrome.runtime.getURL(page) });
+            window.close();
+        });
+    });
+}
+
+/**
+ * Show how much space the settings and the data kept on this device use, and keep it up to date.
+ */
+function initializeStorageUsage() {
+    if (!document.getElementById('storageSection')) return;
+
+    renderStorageUsage();
+    chrome.storage.onChanged.addListener(renderStorageUsage);
+
+    const ttlInput = document.getElementById('cacheTtlHours');
+    chrome.storage.sync.get(['cacheTtlHours'], function (result) {
+        ttlInput.value = result.cacheTtlHours || AnkiLingoFlashCache.DEFAULT_TTL_HOURS;
+    });
+    ttlInput.addEventListener('change', function () {
+        const hours = Math.round(Number(this.value));
+        if (hours >= 1) {
+            chrome.storage.sync.set({ cacheTtlHours: hours });
+        } else {
+            this.value = AnkiLingoFlashCache.DEFAULT_TTL_HOURS;
+            chrome.storage.sync.remove('cacheTtlHours');
+        }
+    });
+
+    document.getElementById('clearCache').addEventListener('click', function () {
+        AnkiLingoFlashCache.clear().then(() => showToast("cacheCleared"));
+    });
+}
+
+/**
+ * Render the space used in both storage areas.
+ */
+function renderStorageUsage() {
+    const toKilobytes = bytes => (bytes / 1024).toFixed(1);
+    AnkiLingoFlashStorage.getUsage().then(usage => {
+        document.getElementById('syncStorageUsage').textContent = chrome.i18n.getMessage("syncStorageUsage",
+            [toKilobytes(usage.sync.bytes), toKilobytes(usage.sync.quota)]);
+        document.getElementById('localStorageUsage').textContent = chrome.i18n.getMessage("localStorageUsage", [
+            toKilobytes(usage.local.bytes),
+            toKilobytes(usage.local.budget),
+            toKilobytes(usage.local.categories.flashcards),
+            toKilobytes(usage.local.categories.conversations),
+            toKilobytes(usage.local.categories.cache)
+        ]);
+    });
+    AnkiLingoFlashCache.getStats().then(stats => {
+        const lookups = stats.hits + stats.misses;
+        document.getElementById('cacheStats').textContent = chrome.i18n.getMessage("cacheStats", [
+            String(stats.entries),
+            String(stats.maxEntries),
+            String(stats.hits),
+            String(stats.misses),
+            lookups > 0 ? String(Math.round(stats.hits / lookups * 100)) : '0'
+        ]);
+    });
+}
+
+/**
+ * Render the words waiting in the basket.
+ * @param {Object[]} basket - The basket entries.
+ */
+function renderBasket(basket) {
+    const section = document.getElementById('basketSection');
+    const list = document.getElementById('basketList');
+    if (!section || !list) return;
+
+    section.style.display = basket.length > 0 ? 'block' : 'none';
+    document.getElementById('basketCount').textContent = `(${basket.length})`;
+
+    list.innerHTML = basket.map(entry => `
+        <div class="sub-card basket-entry" data-entry-id="${escapeHTML(entry.id)}">
+            <div class="custom-field-header">
+                <b class="outbox-label">${escapeHTML(entry.text)}</b>
+                <button class="custom-field-delete basket-remove" title="${escapeHTML(chrome.i18n.getMessage("discard"))}">&times;</button>
+            </div>
+            ${entry.sentence ? `<p class="basket-sentence">${escapeHTML(entry.sentence)}</p>` : ''}
+            ${/^https?:/i.test(entry.url || '') ? `<a class="basket-source" href="${escapeHTML(entry.url)}" target="_blank" rel="noopener noreferrer">${escapeHTML(entry.title || entry.url)}</a>` : ''}
+            ${entry.error ? `<div class="error-message">${escapeHTML(entry.error)}</div>` : ''}
+        </div>
+    `).join('');
+
+    list.querySelectorAll('.basket-entry').forEach(item => {
+        item.querySelector('.basket-remove').addEventListener('click', function () {
+            // The background serialises the basket changes
+            chrome.runtime.sendMessage({ action: "updateBasket", removedIds: [item.dataset.entryId] });
+        });
+    });
+}
+
+/**
+ * Show the notes waiting for Anki and keep the list in sync with the background.
+ */
+function initializeOutbox() {
+    const sendOutboxButton = document.getElementById('sendOutbox');
+    if (!sendOutboxButton) return;
+
+    sendOutboxButton.addEventListener('click', function () {
+        const errorElement = document.getElementById('outboxError');
+        errorElement.style.display = 'none';
+        sendOutboxButton.disabled = true;
+        chrome.runtime.sendMessage({ action: "drainOutbox" }, function (response) {
+            sendOutboxButton.disabled = false;
+            if (response && response.remaining > 0) {
+                errorElement.textContent = chrome.i18n.getMessage("outboxNotSent", [String(response.remaining)]);
+                errorElement.style.display = 'block';
+            }
+        });
+    });
+
+    chrome.storage.local.get(['outbox'], function (result) {
+        renderOutbox(result.outbox || []);
+    });
+    chrome.storage.onChanged.addListener(function (changes, areaName) {
+        const list = document.getElementById('outboxList');
+        // Do not discard an edit in progress
+        if (areaName === 'local' && changes.outbox && !list.querySelector('.outbox-fields:not([hidden])')) {
+            renderOutbox(changes.outbox.newValue || []);
+        }
+    });
+
+    // Deck suggestions for retargeting, when Anki is running
+    invokeAnkiConnect('deckNames')
+        .then(decks => {
+            document.getElementById('outboxDecks').innerHTML = decks
+                .map(deck => `<option value="${escapeHTML(deck)}"></option>`).join('');
+        })
+        .catch(error => console.log('Decks not available:', error.message));
+}
+
+/**
+ * Load the hover dictionary settings and save them as they change.
+ */
+function initializeHoverDictionary() {
+    const enabledToggle = document.getElementById('hoverDictionaryToggle');
+    if (!enabledToggle) return;
+
+    const options = document.getElementById('hoverDictionaryOptions');
+    const modifierSelect = document.getElementById('hoverDictionaryModifier');
+
+    chrome.storage.sync.get(['hoverDictionaryEnabled', 'hoverDictionaryModifier'], function (result) {
+        enabledToggle.checked = !!result.hoverDictionaryEnabled;
+        modifierSelect.value = result.hoverDictionaryModifier || 'Shift';
+        options.style.display = enabledToggle.checked ? 'block' : 'none';
+    });
+
+    enabledToggle.addEventListener('change', function () {
+        options.style.display = this.checked ? 'block' : 'none';
+        chrome.storage.sync.set({ hoverDictionaryEnabled: this.checked });
+    });
+    modifierSelect.addEventListener('change', function () {
+        chrome.storage.sync.set({ hoverDictionaryModifier: this.value });
+    });
+}
+
+/**
+ * Load the dictionary form lookup setting, on unless turned off, and save it as it changes.
+ */
+function initializeLemmatization() {
+    const enabledToggle = document.getElementById('lemmaToggle');
+    if (!enabledToggle) return;
+
+    chrome.storage.sync.get(['lemmaEnabled'], function (result) {
+        enabledToggle.checked = result.lemmaEnabled !== false;
+    });
+
+    enabledToggle.addEventListener('change', function () {
+        chrome.storage.sync.set({ lemmaEnabled: this.checked });
+    });
+}
+
+/**
+ * List the enrichments of each language with a checkbox, all on unless turned off, and save the ones turned off.
+ */
+function initializeEnrichments() {
+    const list = document.getElementById('enrichmentList');
+    if (!list) return;
+
+    chrome.storage.sync.get(['disabledEnrichments'], function (result) {
+        const disabledEnrichments = result.disabledEnrichments || {};
+        list.innerHTML = LANGUAGE_ENRICHMENTS.map(language => `
+            <div class="enrichment-language">
+                <b>${escapeHTML(chrome.i18n.getMessage(language.labelKey))}</b>
+                ${language.modules.map(moduleId => `
+                <label><input type="checkbox" data-language="${language.code}" data-enrichment="${moduleId}" ${(disabledEnrichments[language.code] || []).includes(moduleId) ? '' : 'checked'}> ${escapeHTML(chrome.i18n.getMessage(ENRICHMENT_LABEL_KEYS[moduleId]))}</label>`).join('')}
+            </div>
+        `).join('');
+    });
+
+    list.addEventListener('change', function () {
+        const disabledEnrichments = {};
+        list.querySelectorAll('input[type="checkbox"]:not(:checked)').forEach(checkbox => {
+            const language = checkbox.dataset.language;
+            disabledEnrichments[language] = [...(disabledEnrichments[language] || []), checkbox.dataset.enrichment];
+        });
+        chrome.storage.sync.set({ disabledEnrichments: disabledEnrichments });
+    });
+}
+
+/**
+ * Load the text-to-speech settings and save them as they change.
+ */
+function initializeTextToSpeech() {
+    const enabledToggle = document.getElementById('ttsEnabledToggle');
+    if (!enabledToggle) return;
+
+    const options = document.getElementById('ttsOptions');
+    const backendSelect = document.getElementById('ttsBackendSelect');
+    const localEndpointInput = document.getElementById('ttsLocalEndpoint');
+    const voiceInput = document.getElementById('ttsVoice');
+    const includeExamplesToggle = document.getElementById('ttsIncludeExamplesToggle');
+
+    chrome.storage.sync.get(['ttsEnabled', 'ttsBackend', 'ttsLocalEndpoint', 'ttsVoice', 'ttsIncludeExamples'], function (result) {
+        enabledToggle.checked = !!result.ttsEnabled;
+        backendSelect.value = result.ttsBackend || 'provider';
+        localEndpointInput.value = result.ttsLocalEndpoint || '';
+        voiceInput.value = result.ttsVoice || '';
+        includeExamplesToggle.checked = !!result.ttsIncludeExamples;
+        options.style.display = enabledToggle.checked ? 'block' : 'none';
+        localEndpointInput.style.display = backendSelect.value === 'local' ? 'block' : 'none';
+    });
+
+    enabledToggle.addEventListener('change', function () {
+        options.style.display = this.checked ? 'block' : 'none';
+        chrome.storage.sync.set({ ttsEnabled: this.checked });
+    });
+    backendSelect.addEventListener('change', function () {
+        localEndpointInput.style.display = this.value === 'local' ? 'block' : 'none';
+        chrome.storage.sync.set({ ttsBackend: this.value });
+    });
+    localEndpointInput.addEventListener('change', function () {
+        chrome.storage.sync.set({ ttsLocalEndpoint: this.value.trim() });
+    });
+    voiceInput.addEventListener('change', function () {
+        chrome.storage.sync.set({ ttsVoice: this.value.trim() });
+    });
+    includeExamplesToggle.addEventListener('change', function () {
+        chrome.storage.sync.set({ ttsIncludeExamples: this.checked });
+    });
+}
+
+/**
+ * Set up the choice of note type and the mapping of flashcard pieces onto its fields.
+ */
+function initializeNoteTypeMapping() {
+    const noteTypeSelect = document.getElementById('noteTypeSelect');
+    if (!noteTypeSelect) return;
+
+    chrome.storage.sync.get(['noteTypeMapping', 'customFields'], function (result) {
+        const mapping = result.noteTypeMapping || null;
+        const pieces = getMappablePieces(result.customFields || []);
+
+        invokeAnkiConnect('modelNames')
+            .catch(() => {
+                showNoteTypeError(chrome.i18n.getMessage("noteTypeAnkiClosed"));
+                // Keep the saved choice visible so it is not lost while Anki is closed
+                return mapping ? [mapping.modelName] : [];
+            })
+            .then(modelNames => {
+                const ownNoteTypes = noteTypeDescriptors.map(noteType => noteType.name);
+                noteTypeSelect.innerHTML = `<option value="">${escapeHTML(chrome.i18n.getMessage("builtInNoteType"))}</option>` + modelNames
+                    .filter(name => !ownNoteTypes.includes(name))
+                    .map(name => `<option value="${escapeHTML(name)}">${escapeHTML(name)}</option>`).join('');
+                noteTypeSelect.value = mapping ? mapping.modelName : '';
+                if (mapping) {
+                    loadFieldMapping(mapping.modelName, pieces, mapping.fields);
+                }
+            });
+
+        noteTypeSelect.addEventListener('change', function () {
+            const modelName = this.value;
+            if (!modelName) {
+                chrome.storage.sync.set({ noteTypeMapping: null });
+                renderFieldMapping([], pieces, {}, modelName);
+                return;
+            }
+            loadFieldMapping(modelName, pieces, null);
+        });
+    });
+}
+
+/**
+ * List the flashcard pieces that can be mapped, including the user-defined fields.
+ * @param {Object[]} customFields - The custom card fields.
+ * @returns {Object[]} The pieces: id, label and the field name guessed by default.
+ */
+function getMappablePieces(customFields) {
+    return [
+        ...MAPPABLE_NOTE_PIECES.map(piece => ({ id: piece.id, label: chrome.i18n.getMessage(piece.labelKey), defaultField: piece.defaultField })),
+        ...customFields.filter(field => field.enabled).map(field => ({ id: `extra_${field.id}`, label: field.name, defaultField: field.name }))
+    ];
+}
+
+/**
+ * Read the fields of a note type and show the mapping editor for it.
+ * @param {string} modelName - The name of the note type.
+ * @param {Object[]} pieces - The mappable pieces.
+ * @param {Object|null} savedFields - The saved mapping, or null to guess it from the field names.
+ */
+function loadFieldMapping(modelName, pieces, savedFields) {
+    invokeAnkiConnect('modelFieldNames', { modelName: modelName })
+        .then(fieldNames => {
+            hideNoteTypeError();
+            let fields = savedFields;
+            if (!fields) {
+                fields = {};
+                pieces.forEach(piece => {
+                    fields[piece.id] = fieldNames.find(name => name.toLowerCase() === piece.defaultField.toLowerCase()) || '';
+                });
+                chrome.storage.sync.set({ noteTypeMapping: { modelName: modelName, fields: fields } });
+            }
+            renderFieldMapping(fieldNames, pieces, fields, modelName);
+        })
+        .catch(error => {
+            showNoteTypeError(error.message);
+        });
+}
+
+/**
+ * Render one field choice per flashcard piece.
+ * @param {string[]} fieldNames - The fields of the note type.
+ * @param {Object[]} pieces - The mappable pieces.
+ * @param {Object} fields - The current mapping, piece ID to field name.
+ * @param {string} modelName - The name of the note type.
+ */
+function renderFieldMapping(fieldNames, pieces, fields, modelName) {
+    const list = document.getElementById('fieldMappingList');
+    if (!modelName) {
+        list.innerHTML = '';
+        return;
+    }
+
+    const fieldOptions = (selected) => `<option value="">${escapeHTML(chrome.i18n.getMessage("dontAddPiece"))}</option>` + fieldNames
+        .map(name => `<option value="${escapeHTML(name)}" ${name === selected ? 'selected' : ''}>${escapeHTML(name)}</option>`).join('');
+
+    list.innerHTML = pieces.map(piece => `
+        <div class="field-mapping-row">
+            <label>${escapeHTML(piece.label)}</label>
+            <select data-piece="${escapeHTML(piece.id)}">${fieldOptions(fields[piece.id] || '')}</select>
+        </div>
+    `).join('');
+
+    list.querySelectorAll('select').forEach(select => {
+        select.addEventListener('change', function () {
+            const updatedFields = { ...fields, [this.dataset.piece]: this.value };
+            fields = updatedFields;
+            chrome.storage.sync.set({ noteTypeMapping: { modelName: modelName, fields: updatedFields } });
+        });
+    });
+}
+
+/**
+ * Show an error under the note type choice.
+ * @param {string} message - The error message.
+ */
+function showNoteTypeError(message) {
+    const errorElement = document.getElementById('noteTypeError');
+    errorElement.textContent = message;
+    errorElement.style.display = 'block';
+}
+
+/**
+ * Hide the note type error.
+ */
+function hideNoteTypeError() {
+    document.getElementById('noteTypeError').style.display = 'none';
+}
+
+/**
+ * Update a queued note.
+ * @param {string} entryId - The ID of the outbox entry.
+ * @param {function} update - Receives the entry and returns the updated entry, or null to discard it.
+ */
+function updateOutboxEntry(entryId, update) {
+    chrome.storage.local.get(['outbox'], function (result) {
+        const outbox = (result.outbox || [])
+            .map(entry => entry.id === entryId ? update(entry) : entry)
+            .filter(Boolean);
+        chrome.storage.local.set({ outbox: outbox });
+    });
+}
+
+/**
+ * Render the notes waiting for Anki.
+ * @param {Object[]} outbox - The outbox entries.
+ */
+function renderOutbox(outbox) {
+    const section = document.getElementById('outboxSection');
+    const list = document.getElementById('outboxList');
+    if (!section || !list) return;
+
+    section.style.display = outbox.length > 0 ? 'block' : 'none';
+    document.getElementById('outboxCount').textContent = `(${outbox.length})`;
+
+    list.innerHTML = outbox.map(entry => `
+        <div class="sub-card outbox-entry" data-entry-id="${escapeHTML(entry.id)}">
+            <div class="custom-field-header">
+                <b class="outbox-label">${escapeHTML(entry.label || '')}</b>
+                <button class="outbox-edit">${chrome.i18n.getMessage("edit")}</button>
+                <button class="custom-field-delete outbox-discard" title="${escapeHTML(chrome.i18n.getMessage("discard"))}">&times;</button>
+            </div>
+            <input type="text" class="outbox-deck" list="outboxDecks" value="${escapeHTML(entry.note.deckName)}">
+            ${entry.error ? `<div class="error-message">${escapeHTML(entry.error)}</div>` : ''}
+            <div class="outbox-fields" hidden>
+                ${Object.keys(entry.note.fields).filter(name => name !== 'Add Reverse').map(name => `
+                <label>${escapeHTML(name)}</label>
+                <textarea rows="2" data-field-name="${escapeHTML(name)}">${escapeHTML(entry.note.fields[name])}</textarea>`).join('')}
+                <button class="outbox-save">${chrome.i18n.getMessage("save")}</button>
+            </div>
+        </div>
+    `).join('');
+
+    list.querySelectorAll('.outbox-entry').forEach(item => {
+        const entryId = item.dataset.entryId;
+
+        item.querySelector('.outbox-deck').addEventListener('change', function () {
+            const deckName = this.value.trim();
+            if (!deckName) return;
+            updateOutboxEntry(entryId, entry => ({ ...entry, note: { ...entry.note, deckName: deckName }, error: null }));
+        });
+        item.querySelector('.outbox-edit').addEventListener('click', function () {
+            const fields = item.querySelector('.outbox-fields');
+            fields.hidden = !fields.hidden;
+        });
+        item.querySelector('.outbox-save').addEventListener('click', function () {
+            const editedFields = {};
+            item.querySelectorAll('.outbox-fields textarea').forEach(textarea => {
+                editedFields[textarea.dataset.fieldName] = textarea.value;
+            });
+            item.querySelector('.outbox-fields').hidden = true;
+            updateOutboxEntry(entryId, entry => ({ ...entry, note: { ...entry.note, fields: { ...entry.note.fields, ...editedFields } }, error: null }));
+        });
+        item.querySelector('.outbox-discard').addEventListener('click', function () {
+            updateOutboxEntry(entryId, () => null);
+        });
+    });
+}
+
+/**
+ * Loads the local server settings and lists its models when local mode is active.
+ */
+function loadLocalSettings() {
+    chrome.storage.sync.get(['choice', 'localEndpoint'], function (result) {
+        const localEndpointInput = document.getElementById('localEndpoint');
+        if (localEndpointInput) {
+            localEndpointInput.value = result.localEndpoint || DEFAULT_LOCAL_ENDPOINT;
+        }
+        if (result.choice === 'local') {
+            fetchLocalModels();
+        }
+    });
 }
 
 /**
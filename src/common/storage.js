@@ -0,0 +1,282 @@
+/**
+ * AnkiLingoFlash storage layer
+ *
+ * Settings stay in chrome.storage.sync, which only holds about 100 KB (8 KB per item).
+ * Bulky data goes to chrome.storage.local through this module:
+ * - the flashcard history (`flashcards`),
+ * - the model conversations (`conversation_<userId>_<type>`),
+ * - the content cache (`cache_*`, see cache.js).
+ * Local data is kept under a size budget by evicting the oldest cache entries, then the conversations.
+ * The history, the outbox and the basket are never evicted.
+ * The size of local data is measured in full once per script, then kept up to date from the items written and removed,
+ * so a write only costs the size of what it writes. Writes from other scripts are only seen at the next full measure.
+ *
+ * Loaded in the background, the popup, the extension pages and next to the content script,
+ * which may be injected more than once in a page.
+ */
+(function (root) {
+    if (root.AnkiLingoFlashStorage) {
+        return;
+    }
+
+    const FLASHCARDS_KEY = 'flashcards';
+    const CONVERSATION_PREFIX = 'conversation_';
+    const CACHE_PREFIX = 'cache_';
+    // Translations cached by earlier versions, keyed by a weak hash of the text only
+    const LEGACY_TRANSLATION_CACHE_PREFIX = 'translation_cache_';
+
+    // Local storage holds 10 MB in Chrome; stay well under it
+    const LOCAL_BUDGET_BYTES = 4 * 1024 * 1024;
+    // Evict down to this share of the budget so the next writes do not evict again
+    const EVICTION_TARGET_RATIO = 0.8;
+    const SYNC_QUOTA_BYTES = chrome.storage.sync.QUOTA_BYTES || 102400;
+
+    // Size of local data as this script last knew it, null until measured
+    let localBytes = null;
+
+    /**
+     * Tell which kind of data a storage key holds.
+     * @param {string} key - The storage key.
+     * @returns {string} 'flashcards', 'conversations', 'cache' or 'other'.
+     */
+    function getCategory(key) {
+        if (key === FLASHCARDS_KEY) {
+            return 'flashcards';
+        }
+        if (key.startsWith(CONVERSATION_PREFIX)) {
+            return 'conversations';
+        }
+        if (key.startsWith(CACHE_PREFIX) || key.startsWith(LEGACY_TRANSLATION_CACHE_PREFIX)) {
+            return 'cache';
+        }
+        return 'other';
+    }
+
+    /**
+     * Estimate the bytes an item takes in storage, the way the browsers count them: key plus JSON value.
+     * @param {string} key - The storage key.
+     * @param {*} value - The stored value.
+     * @returns {number} The size in bytes.
+     */
+    function estimateBytes(key, value) {
+        return new TextEncoder().encode(key + JSON.stringify(value)).length;
+    }
+
+    /**
+     * Measure the bytes items take in local storage, as the browser counts them when it can.
+     * Browsers without getBytesInUse on local storage get an estimate of only these items.
+     * @param {string[]} keys - The keys to measure.
+     * @returns {Promise<number>} A promise that resolves with the size in bytes.
+     */
+    async function getStoredBytes(keys) {
+        if (typeof chrome.storage.local.getBytesInUse === 'function') {
+            return new Promise(resolve => chrome.storage.local.getBytesInUse(keys, resolve));
+        }
+        const items = await get(keys);
+        return Object.entries(items).reduce((sum, [key, value]) => sum + estimateBytes(key, value), 0);
+    }
+
+    /**
+     * Read items from local storage.
+     * @param {string[]|null} keys - The keys to read, or null for everything.
+     * @returns {Promise<Object>} A promise that resolves with the items found.
+     */
+    function get(keys) {
+        return new Promise(resolve => chrome.storage.local.get(keys, resolve));
+    }
+
+    /**
+     * Write items to local storage, evicting old cache entries and conversations when a write takes it over budget.
+     * @param {Object} items - The items to write.
+     * @returns {Promise} A promise that resolves once the items are written.
+     */
+    async function set(items) {
+        const previousBytes = await getStoredBytes(Object.keys(items));
+        const newBytes = Object.entries(items).reduce((sum, [key, value]) => sum + estimateBytes(key, value), 0);
+        try {
+            await writeLocal(items);
+        } catch (error) {
+            // The browser refused the write: make room and try once more
+            console.log('Local storage full, evicting before writing again:', error.message);
+            await evict(0);
+            await writeLocal(items);
+        }
+
+        if (localBytes === null) {
+            localBytes = (await getLocalUsage()).bytes;
+        } else {
+            localBytes += newBytes - previousBytes;
+        }
+        // Only a write that grows local data can take it over budget
+        if (newBytes > previousBytes && localBytes > LOCAL_BUDGET_BYTES) {
+            await evict(LOCAL_BUDGET_BYTES * EVICTION_TARGET_RATIO);
+        }
+    }
+
+    /**
+     * Write items to local storage, rejecting when the browser refuses them.
+     * @param {Object} items - The items to write.
+     * @returns {Promise} A promise that resolves once the items are written.
+     */
+    function writeLocal(items) {
+        return new Promise((resolve, reject) => {
+            chrome.storage.local.set(items, () => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * Remove items from local storage.
+     * @param {string[]} keys - The keys to remove.
+     * @returns {Promise} A promise that resolves once the items are removed.
+     */
+    async function remove(keys) {
+        const removedBytes = localBytes === null ? 0 : await getStoredBytes(keys);
+        await new Promise(resolve => chrome.storage.local.remove(keys, resolve));
+        if (localBytes !== null) {
+            localBytes -= removedBytes;
+        }
+    }
+
+    /**
+     * Evict cache entries, oldest first, then conversations, until local data fits the target size.
+     * Measures local data in full, which also corrects the size this script keeps.
+     * @param {number} targetBytes - The size to get down to.
+     * @returns {Promise<number>} A promise that resolves with the number of items evicted.
+     */
+    async function evict(targetBytes) {
+        const items = await get(null);
+        let total = Object.entries(items).reduce((sum, [key, value]) => sum + estimateBytes(key, value), 0);
+        const evictable = Object.keys(items)
+            .filter(key => ['cache', 'conversations'].includes(getCategory(key)))
+            .sort((a, b) => {
+                if (getCategory(a) !== getCategory(b)) {
+                    return getCategory(a) === 'cache' ? -1 : 1;
+                }
+                return ((items[a] && items[a].timestamp) || 0) - ((items[b] && items[b].timestamp) || 0);
+            });
+
+        const evicted = [];
+        for (const key of evictable) {
+            if (total <= targetBytes) {
+                break;
+            }
+            total -= estimateBytes(key, items[key]);
+            evicted.push(key);
+        }
+        if (evicted.length > 0) {
+            await new Promise(resolve => chrome.storage.local.remove(evicted, resolve));
+            console.log(`Evicted ${evicted.length} item(s) from local storage`);
+        }
+        localBytes = total;
+        return evicted.length;
+    }
+
+    /**
+     * Measure local data, in total and per kind of data.
+     * @returns {Promise<Object>} `{ bytes, budget, categories }`, where `categories` holds the bytes of
+     *     the flashcards, conversations, cache and other data.
+     */
+    async function getLocalUsage() {
+        const items = await get(null);
+        const categories = { flashcards: 0, conversations: 0, cache: 0, other: 0 };
+        Object.entries(items).forEach(([key, value]) => {
+            categories[getCategory(key)] += estimateBytes(key, value);
+        });
+        const bytes = Object.values(categories).reduce((sum, size) => sum + size, 0);
+        return { bytes: bytes, budget: LOCAL_BUDGET_BYTES, categories: categories };
+    }
+
+    /**
+     * Measure the space used in both storage areas.
+     * @returns {Promise<Object>} `{ sync: { bytes, quota }, local: { bytes, budget, categories } }`.
+     */
+    async function getUsage() {
+        const syncItems = await new Promise(resolve => chrome.storage.sync.get(null, resolve));
+        const syncBytes = Object.entries(syncItems).reduce((sum, [key, value]) => sum + estimateBytes(key, value), 0);
+        return {
+            sync: { bytes: syncBytes, quota: SYNC_QUOTA_BYTES },
+            local: await getLocalUsage()
+        };
+    }
+
+    /**
+     * Read the flashcard history.
+     * @returns {Promise<Object>} A promise that resolves with the flashcards keyed by ID.
+     */
+    async function getFlashcards() {
+        const result = await get([FLASHCARDS_KEY]);
+        return result[FLASHCARDS_KEY] || {};
+    }
+
+    /**
+     * Add or replace flashcards in the history. Other flashcards are left as they are.
+     * @param {Object[]} flashcards - The flashcards to save, each with its `id`.
+     * @returns {Promise} A promise that resolves once the flashcards are saved.
+     */
+    async function saveFlashcards(flashcards) {
+        const stored = await getFlashcards();
+        flashcards.forEach(flashcard => {
+            stored[flashcard.id] = flashcard;
+        });
+        await set({ [FLASHCARDS_KEY]: stored });
+    }
+
+    /**
+     * Delete flashcards from the history.
+     * @param {string[]} flashcardIds - The IDs of the flashcards to delete.
+     * @returns {Promise} A promise that resolves once the flashcards are deleted.
+     */
+    async function deleteFlashcards(flashcardIds) {
+        const stored = await getFlashcards();
+        flashcardIds.forEach(flashcardId => delete stored[flashcardId]);
+        await set({ [FLASHCARDS_KEY]: stored });
+    }
+
+    /**
+     * Move the bulky data an earlier version wrote to the synced storage into local storage.
+     * Data already in local storage wins over the synced copy. Translations cached under the old keys are dropped.
+     * @returns {Promise<number>} A promise that resolves with the number of keys moved or dropped.
+     */
+    async function migrateFromSync() {
+        const syncItems = await new Promise(resolve => chrome.storage.sync.get(null, resolve));
+        const keys = Object.keys(syncItems).filter(key => getCategory(key) !== 'other');
+        if (keys.length === 0) {
+            return 0;
+        }
+
+        const localItems = await get(keys);
+        const items = {};
+        keys.filter(key => !key.startsWith(LEGACY_TRANSLATION_CACHE_PREFIX)).forEach(key => {
+            if (key === FLASHCARDS_KEY) {
+                items[key] = { ...syncItems[key], ...localItems[key] };
+            } else if (localItems[key] === undefined) {
+                items[key] = syncItems[key];
+            }
+        });
+        await set(items);
+        await new Promise(resolve => chrome.storage.sync.remove(keys, resolve));
+        console.log(`Moved ${keys.length} item(s) from synced to local storage`);
+        return keys.length;
+    }
+
+    root.AnkiLingoFlashStorage = {
+        FLASHCARDS_KEY,
+        CONVERSATION_PREFIX,
+        CACHE_PREFIX,
+        getCategory,
+        get,
+        set,
+        remove,
+        getUsage,
+        getFlashcards,
+        saveFlashcards,
+        deleteFlashcards,
+        migrateFromSync
+    };
+})(globalThis);
@@ -0,0 +1,120 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { createChrome, createContext, loadScripts } = require('./helpers/environment');
+
+// The background bundle, in the order build.sh puts it together
+function loadBackground() {
+    const context = createContext(createChrome());
+    loadScripts(context, 'src/config.js', 'src/common/storage.js', 'src/common/cache.js', 'src/common/dictionary.js', 'src/common/background_common.js');
+    return context;
+}
+
+// Objects built in the VM context have its own prototypes: compare them as plain data
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const FLASHCARD_RESPONSE = {
+    definition: 'A domestic animal',
+    translation: 'chat',
+    example_1: 'The cat sleeps.',
+    example_2: 'I have a cat.',
+    example_3: 'The cat is black.'
+};
+
+describe('getResponseSchema', () => {
+    let background;
+    before(() => {
+        background = loadBackground();
+    });
+
+    it('compiles the flashcard fields into a strict object schema', () => {
+        const { name, schema } = plain(background.getResponseSchema('flashcard', 'cat', 'French', 'travel'));
+        assert.equal(name, 'flashcard_response');
+        assert.equal(schema.type, 'object');
+        assert.equal(schema.additionalProperties, false);
+        assert.deepEqual(schema.required, ['definition', 'translation', 'example_1', 'example_2', 'example_3']);
+        assert.deepEqual(Object.keys(schema.properties), schema.required);
+        assert.equal(schema.properties.translation.type, 'string');
+    });
+
+    it('builds the descriptions from the request', () => {
+        const { schema } = plain(background.getResponseSchema('flashcard', 'cat', 'French', 'travel'));
+        assert.match(schema.properties.definition.description, /in French$/);
+        assert.match(schema.properties.example_1.description, /learning goal: travel$/);
+    });
+
+    it('only asks for a mnemonic when the user wants one', () => {
+        const withoutMnemonic = plain(background.getResponseSchema('flashcard', 'cat', 'French', 'travel'));
+        const withMnemonic = plain(background.getResponseSchema('flashcard', 'cat', 'French', 'travel', [], true));
+        assert.equal(withoutMnemonic.schema.properties.mnemonic, undefined);
+        assert.equal(withMnemonic.schema.properties.mnemonic.type, 'string');
+        assert.ok(withMnemonic.schema.required.includes('mnemonic'));
+    });
+
+    it('adds the custom fields', () => {
+        const customFields = [{ id: 'abc', name: 'Etymology', description: 'The origin of the word', enabled: true }];
+        const { schema } = plain(background.getResponseSchema('flashcard', 'cat', 'French', 'travel', customFields));
+        assert.ok(schema.required.includes('extra_abc'));
+        assert.deepEqual(schema.properties.extra_abc, { type: 'string', description: 'Etymology: The origin of the word' });
+    });
+
+    it('compiles arrays of objects', () => {
+        const { name, schema } = plain(background.getResponseSchema('vocabulary_extraction', 'text', 'French', 'reading'));
+        assert.equal(name, 'vocabulary_response');
+        const items = schema.properties.items;
+        assert.equal(items.type, 'array');
+        assert.equal(items.items.type, 'object');
+        assert.equal(items.items.additionalProperties, false);
+        assert.deepEqual(items.items.required, ['term', 'difficulty']);
+    });
+});
+
+describe('validateResponse', () => {
+    let background;
+    const context = { customFields: [], withMnemonic: false };
+    before(() => {
+        background = loadBackground();
+    });
+
+    it('accepts a complete response', () => {
+        assert.doesNotThrow(() => background.validateResponse('flashcard', FLASHCARD_RESPONSE, context));
+    });
+
+    it('rejects what is not an object', () => {
+        for (const data of [null, 'text', [FLASHCARD_RESPONSE]]) {
+            assert.throws(() => background.validateResponse('flashcard', data, context), {
+                message: 'Invalid API response: expected a JSON object',
+                isInvalidResponse: true
+            });
+        }
+    });
+
+    it('names the missing and malformed fields', () => {
+        const data = { ...FLASHCARD_RESPONSE, translation: undefined, example_2: 42 };
+        assert.throws(() => background.validateResponse('flashcard', data, context), {
+            message: 'Invalid API response: missing or malformed fields translation, example_2',
+            isInvalidResponse: true
+        });
+    });
+
+    it('rejects empty required fields and accepts empty optional ones', () => {
+        assert.throws(() => background.validateResponse('flashcard', { ...FLASHCARD_RESPONSE, definition: '  ' }, context), /fields definition$/);
+        assert.doesNotThrow(() => background.validateResponse('flashcard', { ...FLASHCARD_RESPONSE, mnemonic: '' }, { ...context, withMnemonic: true }));
+        assert.doesNotThrow(() => background.validateResponse('custom_field', { value: '' }, context));
+    });
+
+    it('checks the mnemonic and the custom fields only when they were asked for', () => {
+        const customFields = [{ id: 'abc', name: 'Etymology', description: 'The origin of the word' }];
+        assert.throws(() => background.validateResponse('flashcard', FLASHCARD_RESPONSE, { ...context, withMnemonic: true }), /fields mnemonic$/);
+        assert.throws(() => background.validateResponse('flashcard', FLASHCARD_RESPONSE, { ...context, customFields }), /fields extra_abc$/);
+        assert.doesNotThrow(() => background.validateResponse('flashcard', { ...FLASHCARD_RESPONSE, extra_abc: 'From Latin' }, { ...context, customFields }));
+    });
+
+    it('reports the path of invalid nested values', () => {
+        const data = { items: [{ term: 'chat', difficulty: 'A1' }, { term: 'chien' }, 'loup'] };
+        assert.throws(() => background.validateResponse('vocabulary_extraction', data, context), {
+            message: 'Invalid API response: missing or malformed fields items[1].difficulty, items[2]'
+        });
+        assert.throws(() => background.validateResponse('vocabulary_extraction', { items: 'chat' }, context), /fields items$/);
+        assert.doesNotThrow(() => background.validateResponse('vocabulary_extraction', { items: [] }, context));
+    });
+});
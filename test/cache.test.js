@@ -0,0 +1,117 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('node:vm');
+const { createChrome, createContext, loadScripts } = require('./helpers/environment');
+
+const HOUR = 60 * 60 * 1000;
+
+const REQUEST = { kind: 'translation', text: 'chat', context: 'Le chat dort.', language: 'English', provider: 'openai', model: 'gpt-4o' };
+
+describe('content cache', () => {
+    let chrome;
+    let cache;
+    let now;
+
+    // Cache entries are the local items under the cache prefix
+    const entryKeys = () => Object.keys(chrome.storage.local.items).filter(key => key.startsWith('cache_'));
+
+    beforeEach(() => {
+        chrome = createChrome();
+        const context = createContext(chrome);
+        now = Date.UTC(2026, 0, 1);
+        vm.runInContext('Date', context).now = () => now;
+        loadScripts(context, 'src/common/storage.js', 'src/common/cache.js');
+        cache = context.AnkiLingoFlashCache;
+    });
+
+    it('returns what was cached for the same request', async () => {
+        await cache.set(REQUEST, 'cat');
+        assert.equal(await cache.get(REQUEST), 'cat');
+        assert.equal(await cache.get({ ...REQUEST, text: '  chat ', context: 'Le chat dort. ' }), 'cat');
+    });
+
+    it('keys the entries on what was asked and who answered', async () => {
+        await cache.set(REQUEST, 'cat');
+        for (const change of [{ kind: 'definition' }, { text: 'chien' }, { context: 'Un chat noir.' }, { language: 'German' }, { provider: 'google' }, { model: 'gpt-4o-mini' }]) {
+            assert.equal(await cache.get({ ...REQUEST, ...change }), null, JSON.stringify(change));
+        }
+        assert.equal(entryKeys().length, 1);
+        assert.match(entryKeys()[0], /^cache_translation_[0-9a-z]+$/);
+    });
+
+    it('does not cache empty values', async () => {
+        await cache.set(REQUEST, '');
+        await cache.set(REQUEST, null);
+        assert.deepEqual(entryKeys(), []);
+    });
+
+    it('reads a hash collision as a miss and leaves the entry alone', async () => {
+        await cache.set(REQUEST, 'cat');
+        const [key] = entryKeys();
+        chrome.storage.local.items[key].identity = 'another request';
+        assert.equal(await cache.get(REQUEST), null);
+        assert.deepEqual(entryKeys(), [key]);
+    });
+
+    it('expires the entries after the TTL set in the popup', async () => {
+        chrome.storage.sync.items.cacheTtlHours = 2;
+        await cache.set(REQUEST, 'cat');
+        now += 2 * HOUR;
+        assert.equal(await cache.get(REQUEST), 'cat');
+        now += 1;
+        assert.equal(await cache.get(REQUEST), null);
+        assert.deepEqual(entryKeys(), []);
+    });
+
+    it('keeps the entries for a day by default', async () => {
+        await cache.set(REQUEST, 'cat');
+        now += 24 * HOUR;
+        assert.equal(await cache.get(REQUEST), 'cat');
+        now += 1;
+        assert.equal(await cache.get(REQUEST), null);
+    });
+
+    it('purges the expired entries and their keys in the index', async () => {
+        await cache.set(REQUEST, 'cat');
+        now += 12 * HOUR;
+        await cache.set({ ...REQUEST, text: 'chien' }, 'dog');
+        now += 13 * HOUR;
+        assert.equal(await cache.purgeExpired(), 1);
+        assert.equal(entryKeys().length, 1);
+        assert.equal((await cache.getStats()).entries, 1);
+        assert.equal(await cache.get({ ...REQUEST, text: 'chien' }), 'dog');
+    });
+
+    it('evicts the least recently used entries past 1000 entries', async () => {
+        const request = index => ({ ...REQUEST, text: `word ${index}` });
+        for (let index = 0; index < 1000; index++) {
+            await cache.set(request(index), `value ${index}`);
+            now += 1000;
+        }
+        // Using the oldest entry moves it to the back of the queue
+        now += 2 * HOUR;
+        assert.equal(await cache.get(request(0)), 'value 0');
+
+        await cache.set(request(1000), 'value 1000');
+        // Down to 90% of the maximum, the new entry included
+        assert.equal(entryKeys().length, 900);
+        assert.equal((await cache.getStats()).entries, 900);
+        assert.equal(await cache.get(request(0)), 'value 0');
+        assert.equal(await cache.get(request(1)), null);
+        assert.equal(await cache.get(request(101)), null);
+        assert.equal(await cache.get(request(102)), 'value 102');
+        assert.equal(await cache.get(request(1000)), 'value 1000');
+    });
+
+    it('counts the hits and misses, and clears them with the entries', async () => {
+        await cache.set(REQUEST, 'cat');
+        await cache.get(REQUEST);
+        await cache.get({ ...REQUEST, text: 'chien' });
+        await cache.get(REQUEST);
+        assert.deepEqual(JSON.parse(JSON.stringify(await cache.getStats())), { entries: 1, hits: 2, misses: 1, maxEntries: 1000 });
+
+        await cache.clear();
+        assert.deepEqual(JSON.parse(JSON.stringify(await cache.getStats())), { entries: 0, hits: 0, misses: 0, maxEntries: 1000 });
+        assert.deepEqual(Object.keys(chrome.storage.local.items), []);
+    });
+});
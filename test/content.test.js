@@ -0,0 +1,153 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createChrome, createWindow, loadScripts } = require('./helpers/environment');
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// The scripts injected in the pages, in the order the background injects them
+const CONTENT_SCRIPTS = ['franc/data.js', 'franc/expressions.js', 'franc/index.js', 'src/common/storage.js', 'src/common/cache.js', 'src/common/content.js'];
+
+const PAGE = `<!DOCTYPE html>
+<html lang="en">
+<body>
+    <p id="english">The cat sleeps on the sofa.</p>
+    <p id="portuguese" lang="pt-BR">O gato dorme no sofá.</p>
+    <p id="unsupported" lang="tlh">nuqneH</p>
+</body>
+</html>`;
+
+describe('content script', () => {
+    let chrome;
+    let page;
+    before(async () => {
+        chrome = createChrome();
+        page = await createWindow(chrome, PAGE);
+        loadScripts(page, ...CONTENT_SCRIPTS);
+    });
+    after(() => page.close());
+
+    // Select the text of an element, as the user would
+    const select = id => {
+        const range = page.document.createRange();
+        range.selectNodeContents(page.document.getElementById(id));
+        page.getSelection().removeAllRanges();
+        page.getSelection().addRange(range);
+    };
+
+    describe('findWordAt', () => {
+        it('finds the word around the caret, or just before it', () => {
+            assert.deepEqual(plain(page.findWordAt('The cat sleeps', 5, null)), { start: 4, end: 7 });
+            assert.deepEqual(plain(page.findWordAt('The cat sleeps', 7, null)), { start: 4, end: 7 });
+            assert.deepEqual(plain(page.findWordAt('The cat sleeps', 14, null)), { start: 8, end: 14 });
+        });
+
+        it('does not find a word between words', () => {
+            assert.equal(page.findWordAt('cat,  dog', 5, null), null);
+            assert.equal(page.findWordAt('', 0, null), null);
+        });
+
+        it('splits words the way the language of the element does', () => {
+            const element = page.document.createElement('span');
+            element.setAttribute('lang', 'ja');
+            const word = page.findWordAt('猫が好き', 0, element);
+            assert.equal(word.start, 0);
+            assert.ok(word.end < 4);
+        });
+
+        it('falls back to runs of letters without Intl.Segmenter', () => {
+            const intl = page.eval('Intl');
+            const segmenter = intl.Segmenter;
+            intl.Segmenter = undefined;
+            try {
+                assert.deepEqual(plain(page.findWordAt("Voilà l'arc-en-ciel.", 9, null)), { start: 6, end: 19 });
+                assert.deepEqual(plain(page.findWordAt('Voilà', 5, null)), { start: 0, end: 5 });
+                assert.equal(page.findWordAt('a, b', 2, null), null);
+            } finally {
+                intl.Segmenter = segmenter;
+            }
+        });
+    });
+
+    describe('language detection', () => {
+        it('maps the codes franc returns to the i18n keys', () => {
+            assert.equal(page.getLanguageKey('fra'), 'french_fr');
+            assert.equal(page.getLanguageKey('nob'), 'norwegian');
+            assert.equal(page.getLanguageKey('nno'), 'norwegian');
+            assert.equal(page.getLanguageKey('tlh'), null);
+        });
+
+        it('detects the language of a selection', () => {
+            assert.deepEqual(plain(page.detectLanguage('Le chat dort paisiblement sur le canapé du salon.', '', null)), { key: 'french_fr', confidence: 'high' });
+        });
+
+        it('weighs the context more than a short selection', () => {
+            const detection = page.detectLanguage('gato', 'O gato dorme tranquilamente no sofá da sala de estar.', null);
+            assert.equal(detection.key, 'portuguese_pt');
+        });
+
+        it('counts the language the page declares', () => {
+            assert.deepEqual(plain(page.detectLanguage('', '', 'german_de')), { key: 'german_de', confidence: 'high' });
+            assert.deepEqual(plain(page.detectLanguage('', '', null)), { key: null, confidence: 'low' });
+        });
+
+        it('reads the closest lang attribute of the selection', () => {
+            select('portuguese');
+            assert.equal(page.getPageLanguage('gato'), 'portuguese_pt');
+            select('english');
+            assert.equal(page.getPageLanguage('The  CAT'), 'english_us');
+        });
+
+        it('ignores text outside the selection and undeclared or unsupported languages', () => {
+            select('english');
+            assert.equal(page.getPageLanguage('gato'), null);
+            assert.equal(page.getPageLanguage(' '), null);
+            select('unsupported');
+            assert.equal(page.getPageLanguage('nuqneH'), null);
+            page.getSelection().removeAllRanges();
+            assert.equal(page.getPageLanguage('cat'), null);
+        });
+    });
+
+    describe('translation cache', () => {
+        it('keeps the translations of a term in different sentences apart', async () => {
+            const cacheKeys = () => Object.keys(chrome.storage.local.items).filter(key => key.startsWith('cache_translation_'));
+            await page.setCachedTranslation('bank', 'french_fr', 'banque', 'I opened an account at the bank.');
+            await page.setCachedTranslation('bank', 'french_fr', 'rive', 'We had a picnic on the bank of the river.');
+
+            assert.equal(cacheKeys().length, 2);
+            assert.equal(await page.getCachedTranslation('bank', 'french_fr', 'I opened an account at the bank.'), 'banque');
+            assert.equal(await page.getCachedTranslation('bank', 'french_fr', 'We had a picnic on the bank of the river.'), 'rive');
+            assert.equal(await page.getCachedTranslation('bank', 'french_fr', 'The bank is closed today.'), null);
+        });
+    });
+
+    describe('buildClozeText', () => {
+        it('hides the term in its sentence, with its hint', () => {
+            assert.equal(page.buildClozeText('Le chat dort.', 'chat', 'cat'), 'Le {{c1::chat::cat}} dort.');
+            assert.equal(page.buildClozeText('Le chat dort.', ' chat ', ''), 'Le {{c1::chat}} dort.');
+        });
+
+        it('keeps the case of the sentence and only hides the first occurrence', () => {
+            assert.equal(page.buildClozeText('Chat et chat.', 'chat', 'cat'), '{{c1::Chat::cat}} et chat.');
+        });
+
+        it('escapes the term and the hint', () => {
+            assert.equal(page.buildClozeText('Is it (really) 1+1?', '(really) 1+1', 'a::b}}\nc'), 'Is it {{c1::(really) 1+1::a b c}}?');
+        });
+
+        it('returns an empty string when the term is not in the sentence', () => {
+            assert.equal(page.buildClozeText('Le chien dort.', 'chat', 'cat'), '');
+            assert.equal(page.buildClozeText('', 'chat', 'cat'), '');
+            assert.equal(page.buildClozeText('Le chat dort.', '', 'cat'), '');
+        });
+    });
+
+    describe('escapeAnkiSearchValue', () => {
+        it('escapes quotes, backslashes and wildcards', () => {
+            assert.equal(page.escapeAnkiSearchValue('plain text'), 'plain text');
+            assert.equal(page.escapeAnkiSearchValue('say "hi"'), 'say \\"hi\\"');
+            assert.equal(page.escapeAnkiSearchValue('a\\b'), 'a\\\\b');
+            assert.equal(page.escapeAnkiSearchValue('snake_case*'), 'snake\\_case\\*');
+        });
+    });
+});
@@ -0,0 +1,226 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+const { File } = require('node:buffer');
+const { createChrome, createWindow, loadScripts } = require('./helpers/environment');
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+/**
+ * Build a zip archive, storing or deflating each file.
+ * @param {Object[]} files - `{ name, content, deflate }`.
+ * @returns {Buffer} The archive.
+ */
+function buildZip(files) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    files.forEach(file => {
+        const name = Buffer.from(file.name);
+        const content = Buffer.from(file.content);
+        const data = file.deflate ? zlib.deflateRawSync(content) : content;
+        const method = file.deflate ? 8 : 0;
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(content.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        localParts.push(local, name, data);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(content.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centralParts.push(central, name);
+
+        offset += local.length + name.length + data.length;
+    });
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Build the index of a StarDict dictionary: each word, null-terminated, then the offset and size of its data.
+ * @param {Object[]} words - `{ term, offset, size }`.
+ * @returns {Buffer} The index.
+ */
+function buildStarDictIndex(words) {
+    return Buffer.concat(words.map(word => {
+        const position = Buffer.alloc(8);
+        position.writeUInt32BE(word.offset, 0);
+        position.writeUInt32BE(word.size, 4);
+        return Buffer.concat([Buffer.from(word.term), Buffer.from([0]), position]);
+    }));
+}
+
+// An importer that keeps what the readers hand it
+function createImporter() {
+    return {
+        title: null,
+        format: null,
+        entries: [],
+        async start(title, format) {
+            this.title = title;
+            this.format = format;
+        },
+        async add(entries) {
+            this.entries.push(...plain(entries));
+        }
+    };
+}
+
+describe('dictionary readers', () => {
+    let page;
+    before(async () => {
+        page = await createWindow(createChrome());
+        loadScripts(page, 'src/common/storage.js', 'src/common/page_common.js', 'src/common/dictionaries.js');
+    });
+    after(() => page.close());
+
+    describe('Yomitan', () => {
+        it('flattens glossary items into text', () => {
+            assert.equal(page.flattenYomitanGlossary(' cat '), 'cat');
+            assert.equal(page.flattenYomitanGlossary({ type: 'text', text: 'cat' }), 'cat');
+            assert.equal(page.flattenYomitanGlossary({ type: 'image', path: 'cat.png' }), '');
+            assert.equal(page.flattenYomitanGlossary(['猫', ['v5']]), '');
+            assert.equal(page.flattenYomitanGlossary({
+                type: 'structured-content',
+                content: [
+                    { tag: 'ruby', content: ['猫', { tag: 'rt', content: 'ねこ' }] },
+                    { tag: 'ul', content: [{ tag: 'li', content: 'cat' }, { tag: 'li', content: ['feline', { tag: 'br' }, 'kitty'] }] },
+                    { tag: 'img', path: 'cat.png' }
+                ]
+            }), '猫; cat; feline; kitty');
+        });
+
+        it('reads the term banks of a zip archive, in order', async () => {
+            const archive = buildZip([
+                { name: 'index.json', content: JSON.stringify({ title: 'JMdict', format: 3 }) },
+                { name: 'term_bank_10.json', content: JSON.stringify([['犬', 'いぬ', 'n', '', 0, ['dog'], 2, '']]), deflate: true },
+                { name: 'term_bank_2.json', content: JSON.stringify([['猫', 'ねこ', 'n', '', 0, ['cat', { type: 'text', text: 'feline' }], 1, '']]) },
+                { name: 'tag_bank_1.json', content: '[]' }
+            ]);
+            const importer = createImporter();
+            await page.readYomitanDictionary(new File([archive], 'jmdict.zip'), importer);
+            assert.equal(importer.title, 'JMdict');
+            assert.equal(importer.format, 'yomitan');
+            assert.deepEqual(importer.entries, [
+                { term: '猫', reading: 'ねこ', partOfSpeech: 'n', definitions: ['cat', 'feline'] },
+                { term: '犬', reading: 'いぬ', partOfSpeech: 'n', definitions: ['dog'] }
+            ]);
+        });
+
+        it('reads the glossary spread over the rows of format 1', async () => {
+            const archive = buildZip([
+                { name: 'index.json', content: JSON.stringify({ title: 'Old', version: 1 }) },
+                { name: 'term_bank_1.json', content: JSON.stringify([['かな', 'かな', '', '', 0, 'kana', 'syllabary']]) }
+            ]);
+            const importer = createImporter();
+            await page.readYomitanDictionary(new File([archive], 'old.zip'), importer);
+            assert.deepEqual(importer.entries, [{ term: 'かな', reading: '', partOfSpeech: '', definitions: ['kana', 'syllabary'] }]);
+        });
+
+        it('rejects unreadable archives and archives without an index', async () => {
+            const archive = buildZip([{ name: 'term_bank_1.json', content: '[]' }]);
+            await assert.rejects(page.readYomitanDictionary(new File([archive], 'other.zip'), createImporter()),
+                { message: /^This zip file is not a Yomitan dictionary/ });
+            await assert.rejects(page.readYomitanDictionary(new File(['not a zip'], 'other.zip'), createImporter()),
+                { message: /zip/i });
+        });
+    });
+
+    describe('StarDict', () => {
+        it('splits the fields of a word', () => {
+            const bytes = new Uint8Array(Buffer.concat([
+                Buffer.from('t/kat/\0'),
+                Buffer.from('m  a small animal  \0'),
+                Buffer.from([0x57, 0, 0, 0, 2, 0xff, 0xff]),
+                Buffer.from('h<b>cat</b><br>feline\0')
+            ]));
+            assert.deepEqual(plain(page.parseStarDictFields(bytes, '')), [
+                { type: 't', text: '/kat/' },
+                { type: 'm', text: 'a small animal' },
+                { type: 'h', text: 'cat; feline' }
+            ]);
+        });
+
+        it('reads the types from the same type sequence, the last field taking the rest of the data', () => {
+            const bytes = new Uint8Array(Buffer.from('/kat/\0<p>cat</p><p>feline</p>'));
+            assert.deepEqual(plain(page.parseStarDictFields(bytes, 'tg')), [
+                { type: 't', text: '/kat/' },
+                { type: 'g', text: 'cat; feline' }
+            ]);
+        });
+
+        it('reads a dictionary from its .ifo, .idx and compressed .dict files', async () => {
+            // Each word has a phonetic field and a meaning; the second one leaves its phonetic field empty
+            const data = Buffer.from('/kat/\0cat\0dog');
+            const files = [
+                new File(['StarDict\'s dict ifo file\nversion=2.4.2\nbookname=Animals\nsametypesequence=tm\n'], 'animals.ifo'),
+                new File([buildStarDictIndex([{ term: 'cat', offset: 0, size: 9 }, { term: 'dog', offset: 9, size: 4 }])], 'animals.idx'),
+                new File([zlib.gzipSync(data)], 'animals.dict.dz')
+            ];
+            const importer = createImporter();
+            await page.readStarDictDictionary(files, importer);
+            assert.equal(importer.title, 'Animals');
+            assert.equal(importer.format, 'stardict');
+            assert.deepEqual(importer.entries, [
+                { term: 'cat', reading: '/kat/', partOfSpeech: '', definitions: ['cat'] },
+                { term: 'dog', reading: '', partOfSpeech: '', definitions: ['dog'] }
+            ]);
+        });
+
+        it('asks for the missing files', async () => {
+            await assert.rejects(page.readStarDictDictionary([new File([''], 'animals.ifo')], createImporter()),
+                { message: /\.ifo, \.idx/ });
+        });
+    });
+
+    describe('Wiktionary JSONL', () => {
+        it('reads the word, its part of speech and the last gloss of each sense', () => {
+            const line = JSON.stringify({
+                word: 'chat',
+                pos: 'noun',
+                senses: [{ glosses: ['animal', 'cat'] }, { raw_glosses: ['(Internet) chat'] }, { tags: ['no-gloss'] }]
+            });
+            assert.deepEqual(plain(page.parseWiktionaryLine(line)), {
+                term: 'chat',
+                reading: '',
+                partOfSpeech: 'noun',
+                definitions: ['cat', '(Internet) chat']
+            });
+        });
+
+        it('skips blank, malformed and senseless lines', () => {
+            assert.equal(page.parseWiktionaryLine('  '), null);
+            assert.equal(page.parseWiktionaryLine('{"word": "chat",'), null);
+            assert.equal(page.parseWiktionaryLine(JSON.stringify({ word: 'chat' })), null);
+            assert.equal(page.parseWiktionaryLine(JSON.stringify({ senses: [] })), null);
+        });
+
+        it('reads an extract line by line', async () => {
+            const lines = [
+                JSON.stringify({ word: 'chat', pos: 'noun', senses: [{ glosses: ['cat'] }] }),
+                'not json',
+                JSON.stringify({ word: 'chien', pos: 'noun', senses: [{ glosses: ['dog'] }] })
+            ];
+            const importer = createImporter();
+            await page.readWiktionaryDictionary(new File([lines.join('\n')], 'kaikki-french.jsonl'), importer);
+            assert.equal(importer.title, 'kaikki-french');
+            assert.equal(importer.format, 'wiktionary');
+            assert.deepEqual(importer.entries.map(entry => entry.term), ['chat', 'chien']);
+        });
+    });
+});
@@ -0,0 +1,249 @@
+/**
+ * Test environment: loads the extension's scripts as the browser does, next to an in-memory `chrome` API.
+ *
+ * Background scripts and the shared modules run in a plain VM context, the extension pages and the content script
+ * in a jsdom window. Either way, the scripts are evaluated as classic scripts, so their top-level functions
+ * (and the functions content.js declares in its guard block) are read from the context's global object.
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { Blob } = require('node:buffer');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const MESSAGES = JSON.parse(fs.readFileSync(path.join(ROOT, '_locales', 'en', 'messages.json'), 'utf8'));
+
+// The VM context jsdom runs the scripts of each window in
+const windowContexts = new WeakMap();
+
+/**
+ * Create a function that accepts any call and any property access, for the browser APIs a test does not look at.
+ * @returns {Function} The stub.
+ */
+function createStub() {
+    const members = {};
+    return new Proxy(function () {}, {
+        get(target, property) {
+            // Never look like a promise or a primitive
+            if (property === 'then' || typeof property === 'symbol') {
+                return undefined;
+            }
+            if (!(property in members)) {
+                members[property] = createStub();
+            }
+            return members[property];
+        },
+        apply() {
+            return undefined;
+        }
+    });
+}
+
+/**
+ * Complete an API namespace with stubs for every member it does not define.
+ * @param {Object} namespace - The members the tests use.
+ * @returns {Object} The namespace.
+ */
+function withStubs(namespace) {
+    return new Proxy(namespace, {
+        get(target, property) {
+            if (!(property in target) && typeof property === 'string' && property !== 'then') {
+                target[property] = createStub();
+            }
+            return target[property];
+        }
+    });
+}
+
+/**
+ * Create an in-memory storage area, with the callback and promise forms of chrome.storage.
+ * Values are cloned on the way in and out, as the browsers serialize them.
+ * @param {Object} initialItems - The items the area starts with.
+ * @returns {Object} The storage area; `items` holds its content.
+ */
+function createStorageArea(initialItems = {}) {
+    const items = structuredClone(initialItems);
+
+    const read = keys => {
+        if (keys === null || keys === undefined) {
+            return structuredClone(items);
+        }
+        const defaults = typeof keys === 'object' && !Array.isArray(keys) ? keys : {};
+        const names = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+        const result = {};
+        names.forEach(name => {
+            if (name in items) {
+                result[name] = structuredClone(items[name]);
+            } else if (name in defaults) {
+                result[name] = defaults[name];
+            }
+        });
+        return result;
+    };
+
+    // Answer asynchronously, like the browsers
+    const answer = (value, callback) => {
+        if (callback) {
+            Promise.resolve().then(() => callback(value));
+            return undefined;
+        }
+        return Promise.resolve(value);
+    };
+
+    return {
+        items,
+        get(keys, callback) {
+            return answer(read(keys), callback);
+        },
+        set(newItems, callback) {
+            Object.entries(structuredClone(newItems)).forEach(([key, value]) => {
+                items[key] = value;
+            });
+            return answer(undefined, callback);
+        },
+        remove(keys, callback) {
+            [].concat(keys).forEach(key => delete items[key]);
+            return answer(undefined, callback);
+        },
+        clear(callback) {
+            Object.keys(items).forEach(key => delete items[key]);
+            return answer(undefined, callback);
+        },
+        getBytesInUse(keys, callback) {
+            const measured = read(keys);
+            const bytes = Object.entries(measured)
+                .reduce((sum, [key, value]) => sum + Buffer.byteLength(key + JSON.stringify(value)), 0);
+            return answer(bytes, callback);
+        },
+        QUOTA_BYTES: 102400
+    };
+}
+
+/**
+ * Read a message of the English locale, with its placeholders filled in.
+ * @param {string} key - The message name.
+ * @param {string|string[]} substitutions - The substitutions.
+ * @returns {string} The message, or an empty string for an unknown name, as chrome.i18n does.
+ */
+function getMessage(key, substitutions) {
+    const entry = MESSAGES[key];
+    if (!entry) {
+        return '';
+    }
+    const values = [].concat(substitutions === undefined ? [] : substitutions);
+    const placeholders = entry.placeholders || {};
+    return entry.message
+        .replace(/\$([A-Za-z0-9_]+)\$/g, (match, name) => (placeholders[name.toLowerCase()] ? placeholders[name.toLowerCase()].content : match))
+        .replace(/\$(\d)/g, (match, index) => (values[index - 1] === undefined ? '' : String(values[index - 1])));
+}
+
+/**
+ * Create the `chrome` API of a test.
+ * @param {Object} options - `{ local, sync }`: the items each storage area starts with.
+ * @returns {Object} The API. `runtime.sentMessages` holds the messages sent with runtime.sendMessage.
+ */
+function createChrome(options = {}) {
+    const sentMessages = [];
+    return withStubs({
+        storage: withStubs({
+            local: createStorageArea(options.local),
+            sync: createStorageArea(options.sync)
+        }),
+        runtime: withStubs({
+            lastError: undefined,
+            sentMessages: sentMessages,
+            sendMessage(message, callback) {
+                sentMessages.push(message);
+                if (callback) {
+                    Promise.resolve().then(() => callback(undefined));
+                }
+            },
+            getURL: file => `chrome-extension://test/${file}`
+        }),
+        i18n: withStubs({
+            getMessage: getMessage,
+            getUILanguage: () => 'en'
+        })
+    });
+}
+
+/**
+ * Wrap a timer function so that pending timers do not keep the test process alive.
+ * @param {Function} timer - setTimeout or setInterval.
+ * @returns {Function} The wrapped timer function.
+ */
+function unrefTimer(timer) {
+    return (...args) => {
+        const handle = timer(...args);
+        handle.unref();
+        return handle;
+    };
+}
+
+/**
+ * Create a VM context for the background script and the shared modules.
+ * @param {Object} chrome - The `chrome` API, from createChrome.
+ * @returns {Object} The context, which is also its global object.
+ */
+function createContext(chrome) {
+    return vm.createContext({
+        chrome: chrome,
+        console: console,
+        TextEncoder: TextEncoder,
+        TextDecoder: TextDecoder,
+        setTimeout: unrefTimer(setTimeout),
+        clearTimeout: clearTimeout,
+        setInterval: unrefTimer(setInterval),
+        clearInterval: clearInterval
+    });
+}
+
+/**
+ * Create a jsdom window for the extension pages and the content script.
+ * Resolves once the document is loaded, so the DOMContentLoaded listeners of the pages do not run.
+ * @param {Object} chrome - The `chrome` API, from createChrome.
+ * @param {string} html - The document.
+ * @returns {Promise<Window>} The window.
+ */
+async function createWindow(chrome, html = '<!DOCTYPE html><html><head></head><body></body></html>') {
+    const dom = new JSDOM(html, { url: 'https://example.com/', runScripts: 'outside-only' });
+    if (dom.window.document.readyState !== 'complete') {
+        await new Promise(resolve => dom.window.addEventListener('load', resolve));
+    }
+    windowContexts.set(dom.window, dom.getInternalVMContext());
+    // jsdom lacks the streams and the compression API the dictionary readers use
+    Object.assign(dom.window, {
+        chrome: chrome,
+        Blob: Blob,
+        Response: Response,
+        DecompressionStream: DecompressionStream,
+        TextDecoderStream: TextDecoderStream,
+        TextEncoder: TextEncoder,
+        TextDecoder: TextDecoder
+    });
+    return dom.window;
+}
+
+/**
+ * Run scripts of the repository, in order, as classic scripts.
+ * The import and export statements of ES modules are stripped; their bindings are shared through the global scope.
+ * @param {Object} target - A context from createContext, or a window from createWindow.
+ * @param {...string} files - The paths of the scripts, from the root of the repository.
+ */
+function loadScripts(target, ...files) {
+    const context = windowContexts.get(target) || target;
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8')
+            .replace(/^import .*;$/gm, '')
+            .replace(/^export /gm, '');
+        vm.runInContext(source, context, { filename: file });
+    });
+}
+
+module.exports = {
+    createChrome,
+    createContext,
+    createWindow,
+    loadScripts
+};
@@ -0,0 +1,62 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createChrome, createWindow, loadScripts } = require('./helpers/environment');
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+describe('import list parsing', () => {
+    let page;
+    before(async () => {
+        page = await createWindow(createChrome());
+        loadScripts(page, 'src/common/storage.js', 'src/common/page_common.js', 'src/common/import.js');
+    });
+    after(() => page.close());
+
+    it('detects the delimiter from the first line', () => {
+        assert.equal(page.detectDelimiter('term\tcontext'), '\t');
+        assert.equal(page.detectDelimiter('term;context;deck, with a comma'), ';');
+        assert.equal(page.detectDelimiter('term,context;deck,other'), ',');
+        assert.equal(page.detectDelimiter('a plain term'), null);
+    });
+
+    it('splits quoted cells holding delimiters, line breaks and quotes', () => {
+        const text = 'chat,"Le chat, noir"\r\n"dit ""bonjour""","une\nligne"\nchien';
+        assert.deepEqual(plain(page.splitDelimited(text, ',')), [
+            ['chat', 'Le chat, noir'],
+            ['dit "bonjour"', 'une\nligne'],
+            ['chien']
+        ]);
+    });
+
+    it('only opens a quote at the start of a cell', () => {
+        assert.deepEqual(plain(page.splitDelimited('l"homme,x', ',')), [['l"homme', 'x']]);
+    });
+
+    it('reads term, context and deck columns in order without a header', () => {
+        assert.deepEqual(plain(page.parseList('chat\tLe chat dort.\tFrench\nchien\t\t', false)), [
+            { term: 'chat', context: 'Le chat dort.', deck: 'French' },
+            { term: 'chien', context: '', deck: '' }
+        ]);
+    });
+
+    it('reads the columns named in the header', () => {
+        const text = '﻿Deck;Sentence;Word\nFrench;Le chat dort.;chat\nFrench;;\n';
+        assert.deepEqual(plain(page.parseList(text, true)), [
+            { term: 'chat', context: 'Le chat dort.', deck: 'French' }
+        ]);
+    });
+
+    it('falls back to the first column when the header names no term', () => {
+        assert.deepEqual(plain(page.parseList('mot,phrase\nchat,Le chat dort.', true)), [
+            { term: 'chat', context: '', deck: '' }
+        ]);
+    });
+
+    it('reads a plain list one term per line', () => {
+        assert.deepEqual(plain(page.parseList('  chat \r\n\r\nchien qui court\n', false)), [
+            { term: 'chat', context: '', deck: '' },
+            { term: 'chien qui court', context: '', deck: '' }
+        ]);
+        assert.deepEqual(plain(page.parseList(' \n ', false)), []);
+    });
+});
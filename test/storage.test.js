@@ -0,0 +1,111 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createChrome, createContext, loadScripts } = require('./helpers/environment');
+
+function loadStorage(items) {
+    const chrome = createChrome(items);
+    const context = createContext(chrome);
+    loadScripts(context, 'src/common/storage.js');
+    return { chrome, storage: context.AnkiLingoFlashStorage };
+}
+
+describe('getCategory', () => {
+    const { storage } = loadStorage();
+
+    it('tells the kind of data of a key', () => {
+        assert.equal(storage.getCategory('flashcards'), 'flashcards');
+        assert.equal(storage.getCategory('conversation_user_flashcard'), 'conversations');
+        assert.equal(storage.getCategory('cache_translation_1x2y'), 'cache');
+        assert.equal(storage.getCategory('translation_cache_12345'), 'cache');
+        assert.equal(storage.getCategory('outbox'), 'other');
+        assert.equal(storage.getCategory('flashcards_backup'), 'other');
+    });
+});
+
+describe('getUsage', () => {
+    it('measures each kind of local data and the synced settings', async () => {
+        const { storage } = loadStorage({
+            local: {
+                flashcards: { a: { id: 'a' } },
+                conversation_user_flashcard: { messages: [] },
+                cache_translation_x: { value: 'chat' },
+                outbox: []
+            },
+            sync: { language: 'french_fr' }
+        });
+        const usage = await storage.getUsage();
+        const size = (key, value) => Buffer.byteLength(key + JSON.stringify(value));
+        assert.equal(usage.local.categories.flashcards, size('flashcards', { a: { id: 'a' } }));
+        assert.equal(usage.local.categories.conversations, size('conversation_user_flashcard', { messages: [] }));
+        assert.equal(usage.local.categories.cache, size('cache_translation_x', { value: 'chat' }));
+        assert.equal(usage.local.categories.other, size('outbox', []));
+        assert.equal(usage.local.bytes, Object.values(usage.local.categories).reduce((sum, bytes) => sum + bytes, 0));
+        assert.equal(usage.sync.bytes, size('language', 'french_fr'));
+        assert.equal(usage.sync.quota, 102400);
+    });
+});
+
+describe('set', () => {
+    it('evicts the oldest cache entries, then the conversations, once over budget', async () => {
+        const megabytes = count => 'x'.repeat(count * 1024 * 1024);
+        const { chrome, storage } = loadStorage({
+            local: {
+                flashcards: { a: { id: 'a', text: megabytes(1) } },
+                conversation_user_flashcard: { timestamp: 1, messages: [] },
+                cache_translation_old: { timestamp: 1, value: megabytes(1) },
+                cache_translation_older: { timestamp: 0, value: 'chat' }
+            }
+        });
+        await storage.set({ cache_translation_new: { timestamp: 2, value: megabytes(2) } });
+        // 4 MB is the budget; eviction goes down to 80% of it
+        assert.deepEqual(Object.keys(chrome.storage.local.items).sort(), ['cache_translation_new', 'conversation_user_flashcard', 'flashcards']);
+    });
+
+    it('never evicts the flashcards', async () => {
+        const { chrome, storage } = loadStorage({ local: { conversation_user_flashcard: { timestamp: 1 } } });
+        await storage.set({ flashcards: { a: { id: 'a', text: 'x'.repeat(5 * 1024 * 1024) } } });
+        assert.deepEqual(Object.keys(chrome.storage.local.items), ['flashcards']);
+    });
+});
+
+describe('flashcard history', () => {
+    it('adds, replaces and deletes flashcards by ID', async () => {
+        const { storage } = loadStorage({ local: { flashcards: { a: { id: 'a', text: 'chat' } } } });
+        await storage.saveFlashcards([{ id: 'a', text: 'chat noir' }, { id: 'b', text: 'chien' }]);
+        await storage.deleteFlashcards(['b']);
+        assert.deepEqual(JSON.parse(JSON.stringify(await storage.getFlashcards())), { a: { id: 'a', text: 'chat noir' } });
+    });
+});
+
+describe('migrateFromSync', () => {
+    it('moves the bulky data to local storage and drops the legacy translation cache', async () => {
+        const { chrome, storage } = loadStorage({
+            sync: {
+                language: 'french_fr',
+                flashcards: { a: { id: 'a', text: 'synced' }, b: { id: 'b', text: 'synced' } },
+                conversation_user_flashcard: { messages: ['synced'] },
+                conversation_user_definition: { messages: ['synced'] },
+                translation_cache_123: 'chat'
+            },
+            local: {
+                flashcards: { b: { id: 'b', text: 'local' }, c: { id: 'c', text: 'local' } },
+                conversation_user_definition: { messages: ['local'] }
+            }
+        });
+
+        assert.equal(await storage.migrateFromSync(), 4);
+        assert.deepEqual(chrome.storage.sync.items, { language: 'french_fr' });
+        assert.deepEqual(chrome.storage.local.items, {
+            flashcards: { a: { id: 'a', text: 'synced' }, b: { id: 'b', text: 'local' }, c: { id: 'c', text: 'local' } },
+            conversation_user_flashcard: { messages: ['synced'] },
+            conversation_user_definition: { messages: ['local'] }
+        });
+    });
+
+    it('does nothing when the synced storage only holds settings', async () => {
+        const { chrome, storage } = loadStorage({ sync: { language: 'french_fr' }, local: { outbox: [] } });
+        assert.equal(await storage.migrateFromSync(), 0);
+        assert.deepEqual(chrome.storage.sync.items, { language: 'french_fr' });
+        assert.deepEqual(chrome.storage.local.items, { outbox: [] });
+    });
+});